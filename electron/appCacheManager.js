@@ -17,6 +17,11 @@ const {
   getApplicationById,
   expandPath
 } = require('./appCacheDatabase');
+const { createBatch } = require('./quarantine');
+const { measurePaths } = require('./scanEngine');
+const { createLimiter, measureTree } = require('./scanWorker');
+const sizeIndex = require('./sizeIndex');
+const { evaluateTree } = require('./protectionRules');
 
 // Platform-specific utilities
 const isWindows = process.platform === 'win32';
@@ -24,42 +29,18 @@ const isMac = process.platform === 'darwin';
 const isLinux = process.platform === 'linux';
 
 /**
- * Calculate size of a directory recursively
+ * Calculate the apparent and on-disk size of a directory. Symlinks are not
+ * followed and a hardlinked file counts once.
+ * @returns {Promise<{size: number, diskSize: number}>}
  */
 async function getDirectorySize(dirPath) {
-  let totalSize = 0;
-
   try {
-    const stats = await fs.stat(dirPath);
-
-    if (!stats.isDirectory()) {
-      return stats.size;
-    }
-
-    const files = await fs.readdir(dirPath);
-
-    await Promise.all(
-      files.map(async (file) => {
-        const filePath = path.join(dirPath, file);
-        try {
-          const fileStats = await fs.stat(filePath);
-
-          if (fileStats.isDirectory()) {
-            totalSize += await getDirectorySize(filePath);
-          } else {
-            totalSize += fileStats.size;
-          }
-        } catch (err) {
-          // Skip files we can't access
-          console.warn(`[AppCache] Cannot access: ${filePath}`);
-        }
-      })
-    );
+    const { size, diskSize } = await measureTree(dirPath, createLimiter(64));
+    return { size, diskSize };
   } catch (err) {
     console.error(`[AppCache] Error calculating size for ${dirPath}:`, err.message);
+    return { size: 0, diskSize: 0 };
   }
-
-  return totalSize;
 }
 
 /**
@@ -165,17 +146,20 @@ function shouldPreserve(filePath, preservePaths) {
 }
 
 /**
- * Delete directory recursively with preservation rules
+ * Delete directory recursively with preservation rules. Files are moved into
+ * the quarantine batch one by one so preserved paths stay in place.
  */
-async function deleteDirectory(dirPath, preservePaths = []) {
+async function deleteDirectory(dirPath, preservePaths = [], batch) {
   try {
-    const stats = await fs.stat(dirPath);
+    // A symlinked directory is moved as a link, never entered
+    const stats = await fs.lstat(dirPath);
 
     if (!stats.isDirectory()) {
       // Check if this file should be preserved
       if (!shouldPreserve(dirPath, preservePaths)) {
-        await fs.unlink(dirPath);
-        return { deleted: 1, preserved: 0, size: stats.size };
+        const result = await batch.add(dirPath);
+        if (!result.success) throw new Error(result.error);
+        return { deleted: 1, preserved: 0, size: result.size };
       } else {
         return { deleted: 0, preserved: 1, size: 0 };
       }
@@ -198,7 +182,7 @@ async function deleteDirectory(dirPath, preservePaths = []) {
         }
 
         try {
-          const result = await deleteDirectory(filePath, preservePaths);
+          const result = await deleteDirectory(filePath, preservePaths, batch);
           totalDeleted += result.deleted;
           totalPreserved += result.preserved;
           totalSize += result.size;
@@ -209,6 +193,9 @@ async function deleteDirectory(dirPath, preservePaths = []) {
     );
 
     // Try to remove the directory itself if it's empty
+    if (batch.dryRun) {
+      return { deleted: totalDeleted, preserved: totalPreserved, size: totalSize };
+    }
     try {
       const remaining = await fs.readdir(dirPath);
       if (remaining.length === 0) {
@@ -227,8 +214,9 @@ async function deleteDirectory(dirPath, preservePaths = []) {
 
 /**
  * Scan all applications and their caches
+ * @param {Object} options - { fullRescan } to ignore the size index and rebuild it
  */
-async function scanAppCaches() {
+async function scanAppCaches(options = {}) {
   console.log('[AppCache] Starting application cache scan...');
 
   const apps = getApplicationsForPlatform();
@@ -248,6 +236,7 @@ async function scanAppCaches() {
           description: app.description,
           installed: false,
           cacheSize: 0,
+          cacheDiskSize: 0,
           cacheAge: null,
           cachePaths: []
         });
@@ -257,8 +246,6 @@ async function scanAppCaches() {
       // Check if app is running
       const running = await isAppRunning(app.processNames);
 
-      // Calculate cache size
-      let totalCacheSize = 0;
       const existingCachePaths = [];
 
       for (const cachePath of app.cachePaths) {
@@ -276,23 +263,15 @@ async function scanAppCaches() {
 
               for (const file of files) {
                 if (regex.test(file)) {
-                  const fullPath = path.join(baseDir, file);
-                  const size = await getDirectorySize(fullPath);
-                  totalCacheSize += size;
-                  existingCachePaths.push(fullPath);
+                  existingCachePaths.push(path.join(baseDir, file));
                 }
               }
             } catch (err) {
               // Base directory doesn't exist
             }
-          } else {
+          } else if (fsSync.existsSync(expandedPath)) {
             // Regular path
-            const exists = fsSync.existsSync(expandedPath);
-            if (exists) {
-              const size = await getDirectorySize(expandedPath);
-              totalCacheSize += size;
-              existingCachePaths.push(expandedPath);
-            }
+            existingCachePaths.push(expandedPath);
           }
         } catch (err) {
           console.warn(`[AppCache] Error processing ${expandedPath}:`, err.message);
@@ -310,27 +289,61 @@ async function scanAppCaches() {
         description: app.description,
         installed: true,
         running,
-        cacheSize: totalCacheSize,
+        cacheSize: 0,
+        cacheDiskSize: 0,
         cacheAge,
+        indexedAt: null,
         cachePaths: existingCachePaths,
         processNames: app.processNames,
         preservePaths: app.preservePaths
       });
-
-      console.log(`[AppCache] ${app.name}: ${(totalCacheSize / 1024 / 1024 / 1024).toFixed(2)} GB`);
     } catch (err) {
       console.error(`[AppCache] Error scanning ${app.name}:`, err.message);
     }
   }
 
+  // Calculate cache sizes for every app in one pass over the shared size index
+  const allCachePaths = [...new Set(results.flatMap(result => result.cachePaths))];
+  const measured = new Map();
+  await measurePaths(allCachePaths, {
+    index: sizeIndex,
+    fullRescan: options.fullRescan,
+    onResult: ({ path: cachePath, result, error }) => {
+      if (error) {
+        console.warn(`[AppCache] Cannot access: ${cachePath}`);
+        return;
+      }
+      measured.set(cachePath, result);
+    }
+  });
+
+  for (const result of results) {
+    if (!result.installed) continue;
+
+    for (const cachePath of result.cachePaths) {
+      const size = measured.get(cachePath);
+      if (!size) continue;
+
+      result.cacheSize += size.size;
+      result.cacheDiskSize += size.diskSize;
+      if (size.indexedAt) {
+        result.indexedAt = Math.min(result.indexedAt || size.indexedAt, size.indexedAt);
+      }
+    }
+
+    console.log(`[AppCache] ${result.name}: ${(result.cacheSize / 1024 / 1024 / 1024).toFixed(2)} GB`);
+  }
+
   console.log('[AppCache] Scan complete');
   return { success: true, apps: results };
 }
 
 /**
  * Clean cache for a specific application
+ * @param {string} appId - Application to clean
+ * @param {Object} sharedBatch - Quarantine batch shared by a multi-app clean
  */
-async function cleanAppCache(appId) {
+async function cleanAppCache(appId, sharedBatch = null) {
   console.log(`[AppCache] Cleaning cache for ${appId}...`);
 
   const app = getApplicationById(appId);
@@ -342,10 +355,13 @@ async function cleanAppCache(appId) {
     };
   }
 
+  const batch = sharedBatch || createBatch('app-cache-manager', app.name);
+  let cleaned = null;
+
   try {
-    // Check if app is running
+    // Check if app is running; a preview only warns
     const running = await isAppRunning(app.processNames);
-    if (running) {
+    if (running && !batch.dryRun) {
       return {
         success: false,
         error: 'Application is currently running',
@@ -359,6 +375,26 @@ async function cleanAppCache(appId) {
     let totalDeleted = 0;
     let totalPreserved = 0;
     const cleanedPaths = [];
+    const skipped = [];
+
+    const cleanTarget = async (targetPath) => {
+      const protection = await evaluateTree(targetPath);
+      if (protection.protected) {
+        skipped.push({
+          path: targetPath,
+          reason: protection.reason,
+          filter: 'protection',
+          rule: protection.rule
+        });
+        return;
+      }
+
+      const result = await deleteDirectory(targetPath, app.preservePaths, batch);
+      totalDeleted += result.deleted;
+      totalPreserved += result.preserved;
+      totalSpaceRecovered += result.size;
+      cleanedPaths.push(targetPath);
+    };
 
     // Clean each cache path
     for (const cachePath of app.cachePaths) {
@@ -376,12 +412,7 @@ async function cleanAppCache(appId) {
 
             for (const file of files) {
               if (regex.test(file)) {
-                const fullPath = path.join(baseDir, file);
-                const result = await deleteDirectory(fullPath, app.preservePaths);
-                totalDeleted += result.deleted;
-                totalPreserved += result.preserved;
-                totalSpaceRecovered += result.size;
-                cleanedPaths.push(fullPath);
+                await cleanTarget(path.join(baseDir, file));
               }
             }
           } catch (err) {
@@ -391,11 +422,7 @@ async function cleanAppCache(appId) {
           // Regular path
           const exists = fsSync.existsSync(expandedPath);
           if (exists) {
-            const result = await deleteDirectory(expandedPath, app.preservePaths);
-            totalDeleted += result.deleted;
-            totalPreserved += result.preserved;
-            totalSpaceRecovered += result.size;
-            cleanedPaths.push(expandedPath);
+            await cleanTarget(expandedPath);
           }
         }
       } catch (err) {
@@ -403,30 +430,43 @@ async function cleanAppCache(appId) {
       }
     }
 
-    console.log(`[AppCache] ${app.name} cleaned: ${(totalSpaceRecovered / 1024 / 1024 / 1024).toFixed(2)} GB recovered`);
+    console.log(`[AppCache] ${app.name} ${batch.dryRun ? 'preview' : 'cleaned'}: ${(totalSpaceRecovered / 1024 / 1024 / 1024).toFixed(2)} GB recovered`);
 
-    return {
+    cleaned = {
       success: true,
       appId,
       appName: app.name,
       spaceRecovered: totalSpaceRecovered,
       filesDeleted: totalDeleted,
       filesPreserved: totalPreserved,
-      cleanedPaths
+      cleanedPaths,
+      skipped,
+      warning: running ? `${app.name} is running and must be closed before cleaning` : null
     };
+    return cleaned;
   } catch (err) {
     return {
       success: false,
       error: err.message,
       spaceRecovered: 0
     };
+  } finally {
+    // Measured after the move, so it is attached to the returned result here
+    if (!sharedBatch) {
+      const freeSpace = await batch.commit();
+      if (cleaned) {
+        cleaned.freeSpace = freeSpace;
+        cleaned.quarantineBatchId = batch.getStoredBatchId();
+      }
+    }
   }
 }
 
 /**
  * Clean caches for multiple applications
+ * @param {Object} options - { dryRun } returns a manifest without touching the disk
  */
-async function cleanMultipleCaches(appIds, progressCallback) {
+async function cleanMultipleCaches(appIds, progressCallback, options = {}) {
   console.log(`[AppCache] Cleaning ${appIds.length} applications...`);
 
   const results = [];
@@ -434,6 +474,8 @@ async function cleanMultipleCaches(appIds, progressCallback) {
   let successCount = 0;
   let failureCount = 0;
 
+  const batch = createBatch('app-cache-manager', 'Application Caches', { dryRun: options.dryRun });
+
   for (let i = 0; i < appIds.length; i++) {
     const appId = appIds[i];
 
@@ -447,7 +489,7 @@ async function cleanMultipleCaches(appIds, progressCallback) {
       });
     }
 
-    const result = await cleanAppCache(appId);
+    const result = await cleanAppCache(appId, batch);
     results.push(result);
 
     if (result.success) {
@@ -458,11 +500,33 @@ async function cleanMultipleCaches(appIds, progressCallback) {
     }
   }
 
+  const freeSpace = await batch.commit();
+
+  if (batch.dryRun) {
+    return {
+      success: true,
+      dryRun: true,
+      totalSpaceRecovered,
+      successCount,
+      failureCount,
+      results,
+      manifest: batch.getManifest({
+        skipped: results.flatMap(result => result.skipped || []),
+        failed: results
+          .filter(result => !result.success)
+          .map(result => ({ path: result.appName || result.appId, error: result.error })),
+        warnings: results.map(result => result.warning).filter(Boolean)
+      })
+    };
+  }
+
   console.log(`[AppCache] Batch cleaning complete: ${(totalSpaceRecovered / 1024 / 1024 / 1024).toFixed(2)} GB recovered`);
 
   return {
     success: true,
     totalSpaceRecovered,
+    freeSpace,
+    quarantineBatchId: batch.getStoredBatchId(),
     successCount,
     failureCount,
     results
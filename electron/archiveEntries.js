@@ -0,0 +1,418 @@
+/**
+ * Archive Entries
+ *
+ * Lists and hashes the files inside zip, tar and tar.gz archives as a stream,
+ * without extracting anything to disk. Only what duplicate detection needs is
+ * supported: stored and deflated zip entries (including ZIP64), and ustar,
+ * GNU and pax tar headers. Encrypted entries and other compression methods
+ * are listed without a hash.
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+const READ_CHUNK_SIZE = 1024 * 1024;
+
+// The end of central directory record plus the longest possible comment
+const ZIP_EOCD_SEARCH = 22 + 0xffff;
+const ZIP_EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const ZIP_CENTRAL_SIGNATURE = 0x02014b50;
+const ZIP_LOCAL_SIGNATURE = 0x04034b50;
+
+const TAR_BLOCK = 512;
+
+// Long names and pax headers are held in memory, so cap them
+const MAX_TAR_METADATA = 1024 * 1024;
+
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+/**
+ * Archive format from a file name, or null when it isn't one we read
+ */
+function getArchiveFormat(fileName) {
+  const name = fileName.toLowerCase();
+  if (name.endsWith('.zip')) return 'zip';
+  if (name.endsWith('.tar')) return 'tar';
+  if (name.endsWith('.tar.gz') || name.endsWith('.tgz')) return 'tar.gz';
+  return null;
+}
+
+async function hashStream(stream) {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  for await (const chunk of stream) {
+    hash.update(chunk);
+    size += chunk.length;
+  }
+  return { hash: hash.digest('hex'), size };
+}
+
+/**
+ * Read the central directory: every entry's name, sizes and where its local
+ * header starts
+ */
+async function readZipDirectory(handle, fileSize) {
+  const tailSize = Math.min(fileSize, ZIP_EOCD_SEARCH);
+  const tail = Buffer.alloc(tailSize);
+  await handle.read(tail, 0, tailSize, fileSize - tailSize);
+
+  let eocd = -1;
+  for (let i = tailSize - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === ZIP_EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error('Not a zip archive');
+  }
+
+  let entryCount = tail.readUInt16LE(eocd + 10);
+  let directorySize = tail.readUInt32LE(eocd + 12);
+  let directoryOffset = tail.readUInt32LE(eocd + 16);
+
+  // ZIP64 archives keep the real values in a second record
+  if (entryCount === 0xffff || directorySize === 0xffffffff || directoryOffset === 0xffffffff) {
+    const locator = eocd - 20;
+    if (locator < 0 || tail.readUInt32LE(locator) !== ZIP64_LOCATOR_SIGNATURE) {
+      throw new Error('ZIP64 end of central directory not found');
+    }
+    const record = Buffer.alloc(56);
+    await handle.read(record, 0, 56, Number(tail.readBigUInt64LE(locator + 8)));
+    if (record.readUInt32LE(0) !== ZIP64_EOCD_SIGNATURE) {
+      throw new Error('ZIP64 end of central directory not found');
+    }
+    entryCount = Number(record.readBigUInt64LE(32));
+    directorySize = Number(record.readBigUInt64LE(40));
+    directoryOffset = Number(record.readBigUInt64LE(48));
+  }
+
+  // A damaged or crafted record could otherwise ask for a huge buffer
+  if (directoryOffset + directorySize > fileSize || entryCount * 46 > directorySize) {
+    throw new Error('Corrupt zip central directory');
+  }
+
+  const directory = Buffer.alloc(directorySize);
+  await handle.read(directory, 0, directorySize, directoryOffset);
+
+  const entries = [];
+  let offset = 0;
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > directory.length || directory.readUInt32LE(offset) !== ZIP_CENTRAL_SIGNATURE) {
+      throw new Error('Corrupt zip central directory');
+    }
+
+    const flags = directory.readUInt16LE(offset + 8);
+    const method = directory.readUInt16LE(offset + 10);
+    let compressedSize = directory.readUInt32LE(offset + 20);
+    let size = directory.readUInt32LE(offset + 24);
+    const nameLength = directory.readUInt16LE(offset + 28);
+    const extraLength = directory.readUInt16LE(offset + 30);
+    const commentLength = directory.readUInt16LE(offset + 32);
+    const mode = directory.readUInt32LE(offset + 38) >>> 16;
+    let headerOffset = directory.readUInt32LE(offset + 42);
+
+    const nameStart = offset + 46;
+    // Bit 11 marks UTF-8 names; older tools wrote the local code page
+    const name = directory.toString(flags & 0x800 ? 'utf8' : 'latin1', nameStart, nameStart + nameLength);
+
+    // The ZIP64 extra field lists only the values that overflowed, in order
+    let extra = nameStart + nameLength;
+    const extraEnd = extra + extraLength;
+    while (extra + 4 <= extraEnd) {
+      const id = directory.readUInt16LE(extra);
+      const length = directory.readUInt16LE(extra + 2);
+      if (id === 0x0001) {
+        let field = extra + 4;
+        if (size === 0xffffffff) { size = Number(directory.readBigUInt64LE(field)); field += 8; }
+        if (compressedSize === 0xffffffff) { compressedSize = Number(directory.readBigUInt64LE(field)); field += 8; }
+        if (headerOffset === 0xffffffff) { headerOffset = Number(directory.readBigUInt64LE(field)); }
+      }
+      extra += 4 + length;
+    }
+
+    entries.push({
+      name,
+      size,
+      compressedSize,
+      method,
+      headerOffset,
+      encrypted: (flags & 0x1) !== 0,
+      isFile: !name.endsWith('/') && (mode & S_IFMT) !== S_IFLNK
+    });
+
+    offset = extraEnd + commentLength;
+  }
+
+  return entries;
+}
+
+async function readZipEntries(filePath, shouldHash, cancelToken) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { size: fileSize } = await handle.stat();
+    const directory = await readZipDirectory(handle, fileSize);
+    const entries = [];
+
+    for (const entry of directory) {
+      if (!entry.isFile || entry.size === 0) continue;
+      if (cancelToken && cancelToken.cancelled) {
+        throw new Error('Scan cancelled by user');
+      }
+
+      const result = { name: entry.name, size: entry.size, hash: null };
+      entries.push(result);
+      if (!shouldHash(entry.size)) continue;
+
+      if (entry.encrypted) {
+        result.error = 'Encrypted';
+        continue;
+      }
+      if (entry.method !== 0 && entry.method !== 8) {
+        result.error = `Unsupported compression method ${entry.method}`;
+        continue;
+      }
+
+      try {
+        // The local header's name and extra field can differ from the
+        // central directory's, so the data offset comes from the local header
+        const local = Buffer.alloc(30);
+        await handle.read(local, 0, 30, entry.headerOffset);
+        if (local.readUInt32LE(0) !== ZIP_LOCAL_SIGNATURE) {
+          throw new Error('Corrupt local header');
+        }
+        const dataStart = entry.headerOffset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+
+        let stream = fsSync.createReadStream(filePath, {
+          start: dataStart,
+          end: dataStart + entry.compressedSize - 1,
+          highWaterMark: READ_CHUNK_SIZE
+        });
+        if (entry.method === 8) {
+          const source = stream;
+          stream = source.pipe(zlib.createInflateRaw());
+          source.on('error', err => stream.destroy(err));
+        }
+
+        const { hash, size } = await hashStream(stream);
+        if (size !== entry.size) {
+          throw new Error(`Expected ${entry.size} bytes, read ${size}`);
+        }
+        result.hash = hash;
+      } catch (err) {
+        result.error = err.message;
+      }
+    }
+
+    return entries;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Parse a tar size field: octal text, or base-256 when the high bit is set
+ */
+function readTarNumber(header, offset, length) {
+  if (header[offset] & 0x80) {
+    let value = 0;
+    for (let i = offset + 1; i < offset + length; i++) {
+      value = value * 256 + header[i];
+    }
+    return value;
+  }
+  const text = header.toString('latin1', offset, offset + length).replace(/[\0 ]+$/, '').trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+function readTarString(header, offset, length) {
+  const end = header.indexOf(0, offset);
+  return header.toString('utf8', offset, end === -1 || end > offset + length ? offset + length : end);
+}
+
+function isValidTarHeader(header) {
+  const expected = readTarNumber(header, 148, 8);
+  let sum = 0;
+  for (let i = 0; i < TAR_BLOCK; i++) {
+    sum += i >= 148 && i < 156 ? 0x20 : header[i];
+  }
+  return sum === expected;
+}
+
+/**
+ * pax extended header records: "<length> <key>=<value>\n"
+ */
+function parsePaxHeaders(data) {
+  const headers = {};
+  let offset = 0;
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    if (space === -1) break;
+    const length = parseInt(data.toString('latin1', offset, space), 10);
+    if (!length) break;
+    const record = data.toString('utf8', space + 1, offset + length - 1);
+    const separator = record.indexOf('=');
+    if (separator !== -1) {
+      headers[record.slice(0, separator)] = record.slice(separator + 1);
+    }
+    offset += length;
+  }
+  return headers;
+}
+
+async function readTarEntries(filePath, gzipped, shouldHash, cancelToken) {
+  const source = fsSync.createReadStream(filePath, { highWaterMark: READ_CHUNK_SIZE });
+  let stream = source;
+  if (gzipped) {
+    stream = source.pipe(zlib.createGunzip());
+    source.on('error', err => stream.destroy(err));
+  }
+
+  const entries = [];
+  let buffer = Buffer.alloc(0);
+  let current = null;
+  let padding = 0;
+  let next = {}; // Name and size overrides from pax or GNU long name headers
+  let ended = false;
+
+  const finishEntry = (entry) => {
+    if (entry.type === 'x') {
+      const headers = parsePaxHeaders(Buffer.concat(entry.chunks));
+      next = {
+        ...next,
+        ...(headers.path && { name: headers.path }),
+        ...(headers.size && { size: parseInt(headers.size, 10) })
+      };
+    } else if (entry.type === 'L') {
+      const data = Buffer.concat(entry.chunks);
+      const end = data.indexOf(0);
+      next = { ...next, name: data.toString('utf8', 0, end === -1 ? data.length : end) };
+    } else if (entry.type !== 'g' && entry.type !== 'K') {
+      if (entry.isFile && entry.size > 0) {
+        entries.push({ name: entry.name, size: entry.size, hash: entry.hash ? entry.hash.digest('hex') : null });
+      }
+      next = {};
+    }
+  };
+
+  try {
+    for await (const chunk of stream) {
+      if (cancelToken && cancelToken.cancelled) {
+        throw new Error('Scan cancelled by user');
+      }
+
+      buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+      let offset = 0;
+
+      while (offset < buffer.length && !ended) {
+        if (current) {
+          const take = Math.min(current.remaining, buffer.length - offset);
+          const data = buffer.subarray(offset, offset + take);
+          if (current.hash) current.hash.update(data);
+          if (current.chunks) current.chunks.push(Buffer.from(data));
+          current.remaining -= take;
+          offset += take;
+          if (current.remaining === 0) {
+            finishEntry(current);
+            current = null;
+          }
+          continue;
+        }
+
+        if (padding > 0) {
+          const skip = Math.min(padding, buffer.length - offset);
+          padding -= skip;
+          offset += skip;
+          continue;
+        }
+
+        if (buffer.length - offset < TAR_BLOCK) break;
+        const header = buffer.subarray(offset, offset + TAR_BLOCK);
+        offset += TAR_BLOCK;
+
+        // A zero block ends the archive
+        if (header.every(byte => byte === 0)) {
+          ended = true;
+          break;
+        }
+        if (!isValidTarHeader(header)) {
+          throw new Error('Not a tar archive');
+        }
+
+        const type = String.fromCharCode(header[156] || 0x30);
+        const size = next.size ?? readTarNumber(header, 124, 12);
+        const prefix = header.toString('latin1', 257, 262) === 'ustar' ? readTarString(header, 345, 155) : '';
+        const baseName = readTarString(header, 0, 100);
+
+        const entry = {
+          type,
+          size,
+          remaining: size,
+          name: next.name || (prefix ? `${prefix}/${baseName}` : baseName),
+          isFile: type === '0' || type === '7'
+        };
+        if (type === 'x' || type === 'L') {
+          if (size > MAX_TAR_METADATA) {
+            throw new Error('Tar metadata header too large');
+          }
+          entry.chunks = [];
+        } else if (entry.isFile && size > 0 && shouldHash(size)) {
+          entry.hash = crypto.createHash('sha256');
+        }
+
+        // Hardlinks, symlinks and folders carry no data
+        if (!['0', '7', 'x', 'g', 'L', 'K'].includes(type)) entry.remaining = 0;
+
+        padding = (TAR_BLOCK - (entry.remaining % TAR_BLOCK)) % TAR_BLOCK;
+        if (entry.remaining === 0) {
+          finishEntry(entry);
+        } else {
+          current = entry;
+        }
+      }
+
+      buffer = buffer.subarray(offset);
+      if (ended) break;
+    }
+  } finally {
+    // Also closes the file when the archive ends before the stream does
+    source.destroy();
+    if (stream !== source) stream.destroy();
+  }
+
+  if (current) {
+    throw new Error('Archive is truncated');
+  }
+
+  return entries;
+}
+
+/**
+ * List the file entries of an archive, hashing those worth comparing
+ * @param {string} filePath - Path to a zip, tar or tar.gz file
+ * @param {Function} shouldHash - (size) => boolean; other entries are listed
+ *   without reading their data
+ * @param {Object} cancelToken - { cancelled }
+ * @returns {Promise<Array<{name: string, size: number, hash: string|null, error?: string}>>}
+ *   Files with data; folders, links and empty files are left out
+ */
+async function readArchiveEntries(filePath, shouldHash, cancelToken) {
+  const format = getArchiveFormat(filePath);
+  if (format === 'zip') {
+    return readZipEntries(filePath, shouldHash, cancelToken);
+  }
+  if (format === 'tar' || format === 'tar.gz') {
+    return readTarEntries(filePath, format === 'tar.gz', shouldHash, cancelToken);
+  }
+  throw new Error('Unsupported archive format');
+}
+
+module.exports = {
+  getArchiveFormat,
+  readArchiveEntries
+};
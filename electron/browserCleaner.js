@@ -5,6 +5,8 @@ const { exec } = require('child_process');
 const { promisify } = require('util');
 const { isTrackingDomain, getTrackerCategory } = require('./trackerDatabase');
 const { calculatePrivacyScore } = require('./privacyScoreCalculator');
+const { createBatch } = require('./quarantine');
+const { evaluateTree } = require('./protectionRules');
 
 const execAsync = promisify(exec);
 
@@ -371,6 +373,19 @@ async function analyzeBrowserData(browserId, dataTypes) {
         itemPath = path.join(browserPath, item);
       }
 
+      const protection = await evaluateTree(itemPath);
+      if (protection.protected) {
+        results.skipped.push({
+          dataType,
+          item,
+          path: itemPath,
+          reason: protection.reason,
+          filter: 'protection',
+          rule: protection.rule
+        });
+        continue;
+      }
+
       try {
         const size = await getSize(itemPath);
         if (size > 0) {
@@ -427,24 +442,12 @@ async function analyzeBrowserData(browserId, dataTypes) {
   return analysis;
 }
 
-// Delete an item (file or directory)
-async function deleteItem(itemPath) {
-  try {
-    const stats = await fs.stat(itemPath);
-
-    if (stats.isDirectory()) {
-      await fs.rm(itemPath, { recursive: true, force: true });
-    } else {
-      await fs.unlink(itemPath);
-    }
-
-    return { success: true, path: itemPath };
-  } catch (err) {
-    return { success: false, path: itemPath, error: err.message };
-  }
+// Move an item (file or directory) into the quarantine batch for this clean
+async function deleteItem(itemPath, batch) {
+  return batch.add(itemPath);
 }
 
-// Clean browser data with cookie whitelist support
+// Clean browser data with cookie whitelist support; options.dryRun returns a manifest only
 async function cleanBrowserData(browserId, dataTypes, options = {}) {
   const platform = process.platform;
   const config = BROWSERS[browserId];
@@ -457,7 +460,8 @@ async function cleanBrowserData(browserId, dataTypes, options = {}) {
   const processName = config.processNames[platform];
   const isRunning = await isProcessRunning(processName);
 
-  if (isRunning) {
+  // A preview doesn't touch the profile, so a running browser is only a warning
+  if (isRunning && !options.dryRun) {
     throw new Error(`${config.name} is currently running. Please close it before cleaning.`);
   }
 
@@ -476,9 +480,12 @@ async function cleanBrowserData(browserId, dataTypes, options = {}) {
     browserName: config.name,
     cleaned: [],
     failed: [],
+    skipped: [],
     totalFreed: 0
   };
 
+  const batch = createBatch('browser-cleaner', config.name, { dryRun: options.dryRun });
+
   for (const dataType of dataTypes) {
     const items = config.dataTypes[dataType];
     if (!items) continue;
@@ -504,9 +511,22 @@ async function cleanBrowserData(browserId, dataTypes, options = {}) {
         itemPath = path.join(browserPath, item);
       }
 
+      const protection = await evaluateTree(itemPath);
+      if (protection.protected) {
+        results.skipped.push({
+          dataType,
+          item,
+          path: itemPath,
+          reason: protection.reason,
+          filter: 'protection',
+          rule: protection.rule
+        });
+        continue;
+      }
+
       try {
         const size = await getSize(itemPath);
-        const result = await deleteItem(itemPath);
+        const result = await deleteItem(itemPath, batch);
 
         if (result.success) {
           results.cleaned.push({
@@ -536,8 +556,20 @@ async function cleanBrowserData(browserId, dataTypes, options = {}) {
     }
   }
 
+  results.freeSpace = await batch.commit();
+  results.quarantineBatchId = batch.getStoredBatchId();
+
   results.totalFreedFormatted = formatBytes(results.totalFreed);
 
+  if (batch.dryRun) {
+    results.dryRun = true;
+    results.manifest = batch.getManifest({
+      skipped: results.skipped,
+      failed: results.failed,
+      warnings: isRunning ? [`${config.name} is running and must be closed before cleaning`] : []
+    });
+  }
+
   return results;
 }
 
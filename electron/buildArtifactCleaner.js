@@ -0,0 +1,444 @@
+/**
+ * Build Artifact Cleaner
+ *
+ * Finds project roots by their marker files (package.json, Cargo.toml, ...)
+ * and reports the regenerable directories inside each project together with
+ * the project's last source change, so old projects can be cleaned by age.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { createBatch } = require('./quarantine');
+const { evaluatePath, evaluateTree } = require('./protectionRules');
+const { applySafetyFilters } = require('./safetyFilters');
+const { globToRegExp, toPosix } = require('./pathGlob');
+const { measurePaths } = require('./scanEngine');
+const { createLimiter } = require('./scanWorker');
+const sizeIndex = require('./sizeIndex');
+
+const HOME = os.homedir();
+
+/**
+ * Project types. `artifacts` are only matched directly in the project root,
+ * `nestedArtifacts` anywhere inside the project. `buildOutputs` are folder
+ * names that projects also use for committed or hand-written files, so they
+ * only count when one of the `configFiles` names them or a .gitignore
+ * ignores them.
+ */
+const PROJECT_TYPES = [
+  {
+    id: 'node',
+    name: 'Node.js',
+    markers: ['package.json'],
+    artifacts: ['node_modules', '.next', '.nuxt', '.parcel-cache', '.turbo'],
+    buildOutputs: ['dist', 'build'],
+    configFiles: [
+      'package.json',
+      'tsconfig.json',
+      'vite.config.js',
+      'vite.config.mjs',
+      'vite.config.ts',
+      'webpack.config.js',
+      'rollup.config.js',
+      'rollup.config.mjs'
+    ]
+  },
+  {
+    id: 'rust',
+    name: 'Rust',
+    markers: ['Cargo.toml'],
+    artifacts: ['target']
+  },
+  {
+    id: 'maven',
+    name: 'Maven',
+    markers: ['pom.xml'],
+    artifacts: ['target']
+  },
+  {
+    id: 'gradle',
+    name: 'Gradle',
+    markers: ['build.gradle', 'build.gradle.kts', 'settings.gradle', 'settings.gradle.kts'],
+    artifacts: ['.gradle'],
+    buildOutputs: ['build'],
+    configFiles: ['build.gradle', 'build.gradle.kts']
+  },
+  {
+    id: 'python',
+    name: 'Python',
+    markers: ['pyproject.toml', 'setup.py', 'setup.cfg'],
+    artifacts: ['.pytest_cache', '.mypy_cache', '.tox'],
+    buildOutputs: ['build', 'dist'],
+    configFiles: ['pyproject.toml', 'setup.py', 'setup.cfg'],
+    nestedArtifacts: ['__pycache__']
+  }
+];
+
+const ARTIFACT_NAMES = new Set(PROJECT_TYPES.flatMap(type => [
+  ...type.artifacts,
+  ...(type.buildOutputs || []),
+  ...(type.nestedArtifacts || [])
+]));
+
+// Never descended into while looking for projects
+const SKIP_PATHS = [
+  path.join(HOME, 'Library'),
+  path.join(HOME, 'AppData')
+];
+
+// Artifacts are the point of this tool, so the node_modules rule doesn't apply,
+// and projects often live under Documents or Desktop
+const PROTECTION_CONTEXT = { allowPersonalFolders: true, allowBuildArtifacts: true };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function formatBytes(bytes) {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
+}
+
+function getProjectTypes(names) {
+  return PROJECT_TYPES.filter(type => type.markers.some(marker => names.has(marker)));
+}
+
+/**
+ * Whether a config file names the folder as a path: quoted ("dist",
+ * "dist/index.js") or relative ("./dist"). JSON keys such as the "build"
+ * script don't count.
+ */
+function namesFolder(text, name) {
+  return new RegExp(`(?:\\./${name}(?![\\w.-])|["'\`]${name}(?:/|["'\`](?!\\s*:)))`).test(text);
+}
+
+/**
+ * Whether git would ignore a folder, going by the .gitignore files from its
+ * parent up to the repository root (or the home folder). Deeper files and
+ * later lines win; a `!` line un-ignores.
+ */
+async function isGitIgnored(dirPath) {
+  const dirs = [];
+  for (let dir = path.dirname(dirPath); ; dir = path.dirname(dir)) {
+    dirs.unshift(dir);
+    const isRepoRoot = await fs.lstat(path.join(dir, '.git')).then(() => true, () => false);
+    if (isRepoRoot || dir === HOME || path.dirname(dir) === dir) break;
+  }
+
+  let ignored = false;
+  for (const dir of dirs) {
+    let text;
+    try {
+      text = await fs.readFile(path.join(dir, '.gitignore'), 'utf8');
+    } catch (err) {
+      continue;
+    }
+
+    const relativePath = toPosix(path.relative(dir, dirPath));
+    for (const rawLine of text.split(/\r?\n/)) {
+      let line = rawLine.trim();
+      if (!line || line.startsWith('#')) continue;
+
+      const negated = line.startsWith('!');
+      if (negated) line = line.slice(1);
+      line = line.replace(/\/+$/, '');
+
+      // Patterns with a slash are relative to the .gitignore, others match
+      // the name at any depth
+      const target = line.includes('/') ? relativePath : path.basename(dirPath);
+      const pattern = line.replace(/^\//, '');
+      if (pattern && globToRegExp(pattern).test(target)) {
+        ignored = !negated;
+      }
+    }
+  }
+  return ignored;
+}
+
+/**
+ * Whether a folder directly in a project root is a build artifact of one of
+ * the project's types
+ */
+async function isRootArtifact(projectRoot, types, name) {
+  for (const type of types) {
+    if (type.artifacts.includes(name)) return true;
+    if (!(type.buildOutputs || []).includes(name)) continue;
+
+    for (const configFile of type.configFiles) {
+      const text = await fs.readFile(path.join(projectRoot, configFile), 'utf8').catch(() => null);
+      if (text && namesFolder(text, name)) return true;
+    }
+    if (await isGitIgnored(path.join(projectRoot, name))) return true;
+  }
+  return false;
+}
+
+/**
+ * Check a path handed in for cleaning the way the scan found it: a real
+ * directory that is a root artifact of the project it sits in, or a nested
+ * artifact inside a matching project
+ */
+async function isArtifactDirectory(artifactPath) {
+  const name = path.basename(artifactPath);
+  if (!ARTIFACT_NAMES.has(name)) return false;
+
+  const stats = await fs.lstat(artifactPath).catch(() => null);
+  if (!stats || !stats.isDirectory()) return false;
+
+  const readTypes = async (dir) => {
+    const names = await fs.readdir(dir).catch(() => []);
+    return getProjectTypes(new Set(names));
+  };
+
+  const projectRoot = path.dirname(artifactPath);
+  if (projectRoot !== HOME && await isRootArtifact(projectRoot, await readTypes(projectRoot), name)) {
+    return true;
+  }
+
+  for (let dir = projectRoot; dir !== HOME && path.dirname(dir) !== dir; dir = path.dirname(dir)) {
+    const types = await readTypes(dir);
+    if (types.some(type => (type.nestedArtifacts || []).includes(name))) return true;
+  }
+  return false;
+}
+
+/**
+ * Walk the search roots for projects. Each file seen updates the last source
+ * change of every project it belongs to; artifact directories are recorded
+ * and not entered.
+ */
+async function findProjects(searchPaths, maxDepth, progressCallback) {
+  const limit = createLimiter(64);
+  const projects = [];
+
+  async function walk(dirPath, depth, enclosing) {
+    if (depth > maxDepth || SKIP_PATHS.includes(dirPath)) return;
+
+    let entries;
+    try {
+      entries = await limit(() => fs.readdir(dirPath, { withFileTypes: true }));
+    } catch (err) {
+      // Skip directories we can't read
+      return;
+    }
+
+    const names = new Set(entries.map(entry => entry.name));
+    const types = getProjectTypes(names);
+
+    let chain = enclosing;
+    let project = null;
+    // A marker file directly in the home folder is almost never a real project
+    if (types.length > 0 && dirPath !== HOME) {
+      project = { root: dirPath, types, artifactPaths: [], lastModified: 0 };
+      projects.push(project);
+      chain = [...enclosing, project];
+
+      if (progressCallback) {
+        progressCallback({ stage: 'discovering', currentPath: dirPath, projectsFound: projects.length });
+      }
+    }
+
+    const nested = new Set(chain.flatMap(p => p.types.flatMap(type => type.nestedArtifacts || [])));
+
+    await Promise.all(entries.map(async (entry) => {
+      const entryPath = path.join(dirPath, entry.name);
+
+      if (entry.isDirectory()) {
+        if (project && await isRootArtifact(dirPath, project.types, entry.name)) {
+          project.artifactPaths.push(entryPath);
+          return;
+        }
+        if (chain.length > 0 && nested.has(entry.name)) {
+          chain[chain.length - 1].artifactPaths.push(entryPath);
+          return;
+        }
+        if (entry.name.startsWith('.') || entry.name === 'node_modules') return;
+
+        await walk(entryPath, depth + 1, chain);
+        return;
+      }
+
+      if (chain.length === 0) return;
+
+      try {
+        const stats = await limit(() => fs.lstat(entryPath));
+        for (const p of chain) {
+          p.lastModified = Math.max(p.lastModified, stats.mtimeMs);
+        }
+      } catch (err) {
+        // Skip files we can't access
+      }
+    }));
+  }
+
+  for (const searchPath of searchPaths) {
+    await walk(searchPath, 0, []);
+  }
+
+  return projects;
+}
+
+/**
+ * Scan for projects and their build artifacts
+ * @param {Function} progressCallback - Receives { stage, currentPath, projectsFound }
+ * @param {Object} options - { searchPaths, minAgeDays, maxDepth, fullRescan }
+ *   Projects whose sources haven't changed in minAgeDays are marked `stale`
+ */
+async function scanBuildArtifacts(progressCallback, options = {}) {
+  const {
+    searchPaths = [HOME],
+    minAgeDays = 90,
+    maxDepth = 12,
+    fullRescan = false
+  } = options;
+
+  const projects = await findProjects(searchPaths, maxDepth, progressCallback);
+  const withArtifacts = projects.filter(project => project.artifactPaths.length > 0);
+
+  if (progressCallback) {
+    progressCallback({ stage: 'measuring', projectsFound: withArtifacts.length });
+  }
+
+  const sizes = new Map();
+  await measurePaths(withArtifacts.flatMap(project => project.artifactPaths), {
+    index: sizeIndex,
+    fullRescan,
+    onResult: ({ path: artifactPath, result }) => {
+      if (result) sizes.set(artifactPath, result.size);
+    }
+  });
+
+  const now = Date.now();
+  const results = withArtifacts.map(project => {
+    const artifacts = project.artifactPaths
+      .filter(artifactPath => sizes.has(artifactPath))
+      .map(artifactPath => {
+        const size = sizes.get(artifactPath);
+        const protection = evaluatePath(artifactPath, PROTECTION_CONTEXT);
+        return {
+          path: artifactPath,
+          name: path.relative(project.root, artifactPath),
+          size,
+          sizeFormatted: formatBytes(size),
+          protected: protection.protected,
+          protectionRule: protection.protected ? protection.rule : null
+        };
+      })
+      .sort((a, b) => b.size - a.size);
+
+    const totalSize = artifacts
+      .filter(artifact => !artifact.protected)
+      .reduce((sum, artifact) => sum + artifact.size, 0);
+    const lastModified = project.lastModified || null;
+    const ageDays = lastModified ? Math.floor((now - lastModified) / DAY_MS) : null;
+
+    return {
+      root: project.root,
+      name: path.basename(project.root),
+      types: project.types.map(type => type.name),
+      lastModified,
+      ageDays,
+      stale: ageDays !== null && ageDays >= minAgeDays,
+      artifacts,
+      totalSize,
+      totalSizeFormatted: formatBytes(totalSize)
+    };
+  })
+    .filter(project => project.artifacts.length > 0)
+    .sort((a, b) => b.totalSize - a.totalSize);
+
+  const totalSize = results.reduce((sum, project) => sum + project.totalSize, 0);
+  const staleSize = results
+    .filter(project => project.stale)
+    .reduce((sum, project) => sum + project.totalSize, 0);
+
+  console.log(`[BuildArtifacts] Found ${results.length} projects with ${formatBytes(totalSize)} of artifacts`);
+
+  return {
+    projects: results,
+    totalSize,
+    totalSizeFormatted: formatBytes(totalSize),
+    staleSize,
+    staleSizeFormatted: formatBytes(staleSize),
+    minAgeDays,
+    searchPaths
+  };
+}
+
+/**
+ * Clean artifact directories
+ * @param {Array<string>} artifactPaths - Directories from scanBuildArtifacts
+ * @param {Function} progressCallback - Progress updates
+ * @param {Object} options - Safety filters { minAgeHours, skipInUse } and { dryRun }
+ */
+async function cleanBuildArtifacts(artifactPaths, progressCallback, options = {}) {
+  const results = {
+    cleaned: [],
+    failed: [],
+    skipped: [],
+    totalFreed: 0
+  };
+
+  const candidates = [];
+  for (const requestedPath of artifactPaths) {
+    const artifactPath = path.resolve(requestedPath);
+    if (!await isArtifactDirectory(artifactPath)) {
+      results.skipped.push({ path: artifactPath, reason: 'Not a build artifact directory', filter: 'artifact' });
+      continue;
+    }
+
+    const protection = await evaluateTree(artifactPath, PROTECTION_CONTEXT);
+    if (protection.protected) {
+      results.skipped.push({
+        path: artifactPath,
+        reason: protection.reason,
+        filter: 'protection',
+        rule: protection.rule
+      });
+      continue;
+    }
+
+    candidates.push({ path: artifactPath });
+  }
+
+  const { allowed, kept } = await applySafetyFilters(candidates, options);
+  results.skipped.push(...kept);
+
+  const batch = createBatch('build-artifacts', 'Build Artifacts', { dryRun: options.dryRun });
+
+  for (let i = 0; i < allowed.length; i++) {
+    const artifactPath = allowed[i].path;
+
+    if (progressCallback) {
+      progressCallback({ current: i + 1, total: allowed.length, currentPath: artifactPath });
+    }
+
+    const result = await batch.add(artifactPath);
+    if (result.success) {
+      results.cleaned.push(artifactPath);
+      results.totalFreed += result.size;
+    } else {
+      results.failed.push({ path: artifactPath, error: result.error });
+    }
+  }
+
+  results.freeSpace = await batch.commit();
+  results.quarantineBatchId = batch.getStoredBatchId();
+
+  results.totalFreedFormatted = formatBytes(results.totalFreed);
+  if (batch.dryRun) {
+    results.dryRun = true;
+    results.manifest = batch.getManifest({ skipped: results.skipped, failed: results.failed });
+  }
+
+  console.log(`[BuildArtifacts] ${batch.dryRun ? 'Would clean' : 'Cleaned'} ${results.cleaned.length} directories (${results.totalFreedFormatted})`);
+  return results;
+}
+
+module.exports = {
+  PROJECT_TYPES,
+  scanBuildArtifacts,
+  cleanBuildArtifacts
+};
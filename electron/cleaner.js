@@ -1,87 +1,105 @@
 const fs = require('fs').promises;
+const fsSync = require('fs');
 const path = require('path');
 const os = require('os');
-
-// Safe patterns to clean - these are common temp/cache locations
-const SAFE_PATTERNS = {
-  darwin: [
-    path.join(os.homedir(), 'Library/Caches'),
-    '/Library/Caches',
-    '/System/Library/Caches',
-    path.join(os.tmpdir()),
-    path.join(os.homedir(), '.cache'),
-    path.join(os.homedir(), 'Library/Logs'),
-    path.join(os.homedir(), '.npm/_cacache'),
-    path.join(os.homedir(), '.yarn/cache'),
-    path.join(os.homedir(), 'Library/Application Support/Google/Chrome/Default/Cache'),
-    path.join(os.homedir(), 'Library/Application Support/Firefox/Profiles/*/cache2'),
-  ],
-  win32: [
-    path.join(process.env.LOCALAPPDATA || '', 'Temp'),
-    path.join(process.env.TEMP || ''),
-    path.join(process.env.WINDIR || 'C:\\Windows', 'Temp'),
-    path.join(process.env.LOCALAPPDATA || '', 'Microsoft\\Windows\\INetCache'),
-    path.join(process.env.LOCALAPPDATA || '', 'Google\\Chrome\\User Data\\Default\\Cache'),
-    path.join(process.env.APPDATA || '', 'npm-cache'),
-    path.join(process.env.LOCALAPPDATA || '', 'yarn\\Cache'),
-  ]
+const { createBatch } = require('./quarantine');
+const { hasGlob, expandGlob } = require('./pathGlob');
+const { evaluatePath, evaluateTree } = require('./protectionRules');
+const { applySafetyFilters } = require('./safetyFilters');
+const { measurePaths, createBatcher } = require('./scanEngine');
+const { QUARANTINE_STORE_NAME } = require('./scanWorker');
+const { rotateLogs } = require('./logRotator');
+const sizeIndex = require('./sizeIndex');
+
+const HOME = os.homedir();
+const XDG_CACHE_HOME = process.env.XDG_CACHE_HOME || path.join(HOME, '.cache');
+
+// Categories used to group scan results in the Cleaner page
+const CATEGORIES = {
+  APP_CACHE: 'Application Cache',
+  BROWSER_CACHE: 'Browser Cache',
+  PACKAGE_CACHE: 'Package Manager Cache',
+  TEMP: 'Temporary Files',
+  LOGS: 'Logs',
+  THUMBNAILS: 'Thumbnails'
 };
 
-// Patterns to NEVER touch
-const PROTECTED_PATTERNS = [
-  'Documents',
-  'Desktop',
-  'Downloads',
-  'Pictures',
-  'Videos',
-  'Music',
-  'System32',
-  'Program Files',
-  'Applications',
-  'System',
-  '.ssh',
-  '.git',
-  'node_modules', // We scan but don't auto-clean these
-];
-
-function isProtectedPath(filePath) {
-  return PROTECTED_PATTERNS.some(pattern =>
-    filePath.toLowerCase().includes(pattern.toLowerCase())
-  );
-}
-
-async function getDirectorySize(dirPath) {
-  let totalSize = 0;
-
+/**
+ * Read the systemd machine id, which names the journal directory
+ */
+function getMachineId() {
   try {
-    const stats = await fs.stat(dirPath);
-
-    if (!stats.isDirectory()) {
-      return stats.size;
-    }
-
-    const files = await fs.readdir(dirPath);
-
-    await Promise.all(files.map(async (file) => {
-      const filePath = path.join(dirPath, file);
-      try {
-        const fileStats = await fs.stat(filePath);
-        if (fileStats.isDirectory()) {
-          totalSize += await getDirectorySize(filePath);
-        } else {
-          totalSize += fileStats.size;
-        }
-      } catch (err) {
-        // Skip files we can't access
-      }
-    }));
+    return fsSync.readFileSync('/etc/machine-id', 'utf8').trim();
   } catch (err) {
-    // Skip directories we can't access
+    return null;
   }
+}
 
-  return totalSize;
+/**
+ * Build the Linux target list. Persistent journals live in
+ * /var/log/journal/<machine-id>, and only user-<uid> files belong to us.
+ * Of those, only archived files (user-<uid>@<ids>.journal, or .journal~ when
+ * journald set a corrupt file aside) are taken; the active user-<uid>.journal
+ * is still being written. `journalctl --vacuum-size` / `--vacuum-time` is the
+ * way to trim the journal as a whole.
+ *
+ * The trash is not a target: its files/ and info/ entries must go together,
+ * which the Trash Manager (trashManager.js) takes care of.
+ */
+function getLinuxPatterns() {
+  const uid = process.getuid ? process.getuid() : null;
+  const machineId = getMachineId();
+
+  const patterns = [
+    { path: XDG_CACHE_HOME, category: CATEGORIES.APP_CACHE },
+    { path: '/tmp', category: CATEGORIES.TEMP, ownedOnly: true },
+    { path: '/var/tmp', category: CATEGORIES.TEMP, ownedOnly: true },
+    { path: path.join(XDG_CACHE_HOME, 'thumbnails'), category: CATEGORIES.THUMBNAILS },
+    { path: path.join(HOME, '.thumbnails'), category: CATEGORIES.THUMBNAILS },
+    { path: path.join(HOME, '.npm/_cacache'), category: CATEGORIES.PACKAGE_CACHE },
+    { path: path.join(XDG_CACHE_HOME, 'pip'), category: CATEGORIES.PACKAGE_CACHE },
+    { path: path.join(XDG_CACHE_HOME, 'yarn'), category: CATEGORIES.PACKAGE_CACHE }
+  ];
+
+  if (machineId && uid !== null) {
+    patterns.push({
+      path: path.join('/var/log/journal', machineId),
+      category: CATEGORIES.LOGS,
+      match: new RegExp(`^user-${uid}@[^/]+\\.journal~?$`)
+    });
+  }
+
+  return patterns;
 }
 
+// Safe patterns to clean - these are common temp/cache locations.
+// Paths may contain glob syntax (*, **, ?, {a,b}), expanded at scan time.
+const SAFE_PATTERNS = {
+  darwin: [
+    { path: path.join(HOME, 'Library/Caches'), category: CATEGORIES.APP_CACHE },
+    { path: '/Library/Caches', category: CATEGORIES.APP_CACHE },
+    { path: '/System/Library/Caches', category: CATEGORIES.APP_CACHE },
+    { path: path.join(os.tmpdir()), category: CATEGORIES.TEMP },
+    { path: path.join(HOME, '.cache'), category: CATEGORIES.APP_CACHE },
+    { path: path.join(HOME, 'Library/Logs'), category: CATEGORIES.LOGS },
+    { path: path.join(HOME, '.npm/_cacache'), category: CATEGORIES.PACKAGE_CACHE },
+    { path: path.join(HOME, '.yarn/cache'), category: CATEGORIES.PACKAGE_CACHE },
+    { path: path.join(HOME, 'Library/Application Support/{Google/Chrome,Microsoft Edge,BraveSoftware/Brave-Browser,Vivaldi,Chromium}/*/{Cache,Code Cache,GPUCache}'), category: CATEGORIES.BROWSER_CACHE },
+    { path: path.join(HOME, 'Library/Application Support/{Firefox,Waterfox,LibreWolf}/Profiles/*/cache2'), category: CATEGORIES.BROWSER_CACHE },
+  ],
+  win32: [
+    { path: path.join(process.env.LOCALAPPDATA || '', 'Temp'), category: CATEGORIES.TEMP },
+    { path: path.join(process.env.TEMP || ''), category: CATEGORIES.TEMP },
+    { path: path.join(process.env.WINDIR || 'C:\\Windows', 'Temp'), category: CATEGORIES.TEMP },
+    { path: path.join(process.env.LOCALAPPDATA || '', 'Microsoft\\Windows\\INetCache'), category: CATEGORIES.BROWSER_CACHE },
+    { path: path.join(process.env.LOCALAPPDATA || '', '{Google\\Chrome,Microsoft\\Edge,BraveSoftware\\Brave-Browser,Vivaldi,Chromium}\\User Data\\*\\{Cache,Code Cache,GPUCache}'), category: CATEGORIES.BROWSER_CACHE },
+    { path: path.join(process.env.LOCALAPPDATA || '', 'Mozilla\\Firefox\\Profiles\\*\\cache2'), category: CATEGORIES.BROWSER_CACHE },
+    { path: path.join(process.env.APPDATA || '', 'npm-cache'), category: CATEGORIES.PACKAGE_CACHE },
+    { path: path.join(process.env.LOCALAPPDATA || '', 'yarn\\Cache'), category: CATEGORIES.PACKAGE_CACHE },
+  ],
+  linux: getLinuxPatterns()
+};
+
 function formatBytes(bytes) {
   if (bytes === 0) return '0 Bytes';
   const k = 1024;
@@ -90,128 +108,264 @@ function formatBytes(bytes) {
   return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
 }
 
-async function scanDirectory(dirPath, progressCallback) {
-  const items = [];
+/**
+ * List the top-level entries of a target that should be measured
+ */
+async function listTargetEntries(target, nestedTargets) {
+  const entries = [];
 
   try {
-    const stats = await fs.stat(dirPath);
-    if (!stats.isDirectory()) return items;
+    // A target that is itself a symlink may point outside the safe roots
+    const stats = await fs.lstat(target.path);
+    if (!stats.isDirectory()) return entries;
 
-    const files = await fs.readdir(dirPath);
+    const files = await fs.readdir(target.path);
 
     for (const file of files) {
-      const filePath = path.join(dirPath, file);
-
-      try {
-        const fileStats = await fs.stat(filePath);
-        const size = await getDirectorySize(filePath);
-
-        if (size > 1024 * 1024) { // Only include items > 1MB
-          items.push({
-            path: filePath,
-            name: file,
-            size: size,
-            sizeFormatted: formatBytes(size),
-            type: fileStats.isDirectory() ? 'directory' : 'file',
-            modified: fileStats.mtime,
-            selected: false
-          });
-        }
-
-        if (progressCallback) {
-          progressCallback({ scanning: filePath });
-        }
-      } catch (err) {
-        // Skip files we can't access
-      }
+      const filePath = path.join(target.path, file);
+
+      // Nested targets (e.g. ~/.cache/pip) are reported under their own category
+      if (nestedTargets.has(filePath) || file === QUARANTINE_STORE_NAME) continue;
+
+      if (target.match && !target.match.test(file)) continue;
+
+      entries.push({ path: filePath, name: file, target });
     }
   } catch (err) {
-    console.error(`Error scanning ${dirPath}:`, err.message);
+    console.error(`Error scanning ${target.path}:`, err.message);
   }
 
-  return items;
+  return entries;
 }
 
-async function scanSystem(progressCallback) {
+/**
+ * Resolve the target list to concrete paths, expanding glob patterns
+ */
+async function resolveTargets(patterns) {
+  const targets = [];
+
+  for (const pattern of patterns) {
+    if (!hasGlob(pattern.path)) {
+      targets.push(pattern);
+      continue;
+    }
+
+    try {
+      const paths = await expandGlob(pattern.path);
+      paths.forEach(concretePath => {
+        targets.push({ ...pattern, path: concretePath, pattern: pattern.path });
+      });
+    } catch (err) {
+      console.error(`Error expanding pattern ${pattern.path}:`, err.message);
+    }
+  }
+
+  return targets;
+}
+
+/**
+ * Scan every target for cleanable items
+ * @param {Function} progressCallback - Receives { scanning, found, items } where
+ *   `items` is the latest batch of found items, streamed while the scan runs
+ * @param {Object} options - Scan budget: { workers, concurrency, maxOpenFiles },
+ *   and { fullRescan } to ignore the size index and rebuild it
+ */
+async function scanSystem(progressCallback, options = {}) {
   const platform = process.platform;
   const patterns = SAFE_PATTERNS[platform] || SAFE_PATTERNS.darwin;
+  const targets = await resolveTargets(patterns);
+  const targetPaths = new Set(targets.map(target => target.path));
+  const uid = process.getuid ? process.getuid() : null;
+
+  const entries = [];
+  for (const target of targets) {
+    if (progressCallback) {
+      progressCallback({ scanning: target.path, found: 0 });
+    }
+    entries.push(...await listTargetEntries(target, targetPaths));
+  }
+  const entriesByPath = new Map(entries.map(entry => [entry.path, entry]));
 
   const allItems = [];
   let totalSize = 0;
+  let totalDiskSize = 0;
+  const indexStats = { reusedDirs: 0, walkedDirs: 0 };
 
-  for (const pattern of patterns) {
+  const batcher = createBatcher((items) => {
     if (progressCallback) {
-      progressCallback({ scanning: pattern, found: allItems.length });
+      progressCallback({ scanning: items[items.length - 1].path, found: allItems.length, items });
     }
+  });
+
+  await measurePaths(entries.map(entry => entry.path), {
+    ...options,
+    index: sizeIndex,
+    onResult: ({ path: filePath, result }) => {
+      // Skip files we can't access
+      if (!result) return;
+
+      if (result.isDirectory) {
+        indexStats.reusedDirs += result.reusedDirs;
+        indexStats.walkedDirs += result.walkedDirs;
+      }
 
-    try {
-      const items = await scanDirectory(pattern, progressCallback);
-      allItems.push(...items);
-      totalSize += items.reduce((sum, item) => sum + item.size, 0);
-    } catch (err) {
-      console.error(`Error scanning pattern ${pattern}:`, err.message);
+      const { name, target } = entriesByPath.get(filePath);
+
+      // Shared temp directories hold entries from other users
+      if (target.ownedOnly && uid !== null && result.uid !== uid) return;
+
+      if (result.size <= 1024 * 1024) return; // Only include items > 1MB
+
+      const protection = evaluatePath(filePath);
+      const item = {
+        path: filePath,
+        name,
+        size: result.size,
+        sizeFormatted: formatBytes(result.size),
+        diskSize: result.diskSize,
+        diskSizeFormatted: formatBytes(result.diskSize),
+        type: result.isDirectory ? 'directory' : 'file',
+        category: target.category,
+        modified: new Date(result.mtimeMs),
+        indexedAt: result.isDirectory ? result.indexedAt : null,
+        protected: protection.protected,
+        protectionRule: protection.protected ? protection.rule : null,
+        selected: false
+      };
+
+      allItems.push(item);
+      // Protected items are listed with their reason but aren't reclaimable
+      if (!item.protected) {
+        totalSize += item.size;
+        totalDiskSize += item.diskSize;
+      }
+      batcher.push(item);
     }
-  }
+  });
+
+  batcher.flush();
 
   // Sort by size (largest first)
   allItems.sort((a, b) => b.size - a.size);
 
+  // Per-category totals, in the order categories first appear in the target list
+  const categories = [];
+  for (const pattern of patterns) {
+    if (categories.some(c => c.name === pattern.category)) continue;
+    const categoryItems = allItems.filter(item => item.category === pattern.category);
+    if (categoryItems.length === 0) continue;
+    const size = categoryItems.reduce((sum, item) => sum + item.size, 0);
+    const diskSize = categoryItems.reduce((sum, item) => sum + item.diskSize, 0);
+    categories.push({
+      name: pattern.category,
+      count: categoryItems.length,
+      size,
+      sizeFormatted: formatBytes(size),
+      diskSize,
+      diskSizeFormatted: formatBytes(diskSize)
+    });
+  }
+
   return {
     items: allItems,
+    categories,
     totalSize: totalSize,
     totalSizeFormatted: formatBytes(totalSize),
-    scannedLocations: patterns.length
+    totalDiskSize,
+    totalDiskSizeFormatted: formatBytes(totalDiskSize),
+    protectedCount: allItems.filter(item => item.protected).length,
+    scannedLocations: targets.map(target => target.path),
+    indexStats
   };
 }
 
-async function deleteItem(itemPath) {
-  try {
-    const stats = await fs.stat(itemPath);
-
-    if (stats.isDirectory()) {
-      await fs.rm(itemPath, { recursive: true, force: true });
-    } else {
-      await fs.unlink(itemPath);
-    }
-
-    return { success: true, path: itemPath };
-  } catch (err) {
-    return { success: false, path: itemPath, error: err.message };
-  }
+// Move an item into the quarantine batch for this clean
+async function deleteItem(itemPath, batch) {
+  return batch.add(itemPath);
 }
 
-async function cleanFiles(filesToClean, progressCallback) {
+/**
+ * Clean the selected items
+ * @param {Array} filesToClean - Items from scanSystem
+ * @param {Function} progressCallback - Progress updates
+ * @param {Object} options - Safety filters { minAgeHours, skipInUse },
+ *   { dryRun } to return a manifest without touching the disk, and
+ *   { logMode: 'compress', logCompressAfterDays, logKeepRotations } to gzip
+ *   and rotate Logs items instead of deleting them
+ */
+async function cleanFiles(filesToClean, progressCallback, options = {}) {
   const results = {
     cleaned: [],
     failed: [],
-    totalFreed: 0
+    skipped: [],
+    totalFreed: 0,
+    totalDiskFreed: 0
   };
 
-  for (let i = 0; i < filesToClean.length; i++) {
-    const item = filesToClean[i];
-
-    // Safety check - never delete protected paths
-    if (isProtectedPath(item.path)) {
-      results.failed.push({
+  // Safety check - never delete protected paths
+  const candidates = [];
+  const logItems = [];
+  for (const item of filesToClean) {
+    const protection = await evaluateTree(item.path);
+    if (protection.protected) {
+      results.skipped.push({
         path: item.path,
-        error: 'Protected path - skipped for safety'
+        reason: protection.reason,
+        filter: 'protection',
+        rule: protection.rule
       });
-      continue;
+    } else if (options.logMode === 'compress' && item.category === CATEGORIES.LOGS) {
+      // Safety filters apply per log file during rotation, not to the whole folder
+      logItems.push(item);
+    } else {
+      candidates.push(item);
     }
+  }
+
+  // Optional age and in-use filters
+  const { allowed, kept } = await applySafetyFilters(candidates, options);
+  results.skipped.push(...kept);
+
+  const batch = createBatch('cleaner', 'System Cleaner', { dryRun: options.dryRun });
+
+  if (logItems.length > 0) {
+    const rotation = await rotateLogs(logItems.map(item => item.path), progressCallback, {
+      ...options,
+      compressAfterDays: options.logCompressAfterDays,
+      keepRotations: options.logKeepRotations,
+      batch
+    });
+
+    results.cleaned.push(...rotation.cleaned);
+    results.failed.push(...rotation.failed);
+    results.skipped.push(...rotation.skipped);
+    // Rotated-out log files are single files, counted by apparent size
+    results.totalDiskFreed += rotation.deletionSaved;
+    results.compressed = rotation.compressed;
+    results.compressionSaved = rotation.compressionSaved;
+    results.deletionSaved = rotation.deletionSaved;
+  }
+
+  for (let i = 0; i < allowed.length; i++) {
+    const item = allowed[i];
 
     if (progressCallback) {
       progressCallback({
         current: i + 1,
-        total: filesToClean.length,
+        total: allowed.length,
         path: item.path
       });
     }
 
-    const result = await deleteItem(item.path);
+    const result = await deleteItem(item.path, batch);
 
     if (result.success) {
       results.cleaned.push(item.path);
       results.totalFreed += item.size;
+      results.totalDiskFreed += item.diskSize ?? item.size;
+      if (logItems.length > 0) {
+        results.deletionSaved += item.size;
+      }
     } else {
       results.failed.push({
         path: item.path,
@@ -220,12 +374,37 @@ async function cleanFiles(filesToClean, progressCallback) {
     }
   }
 
+  results.freeSpace = await batch.commit();
+  results.quarantineBatchId = batch.getStoredBatchId();
+
+  // Compression and deletion savings are reported separately in log compress mode
+  if (logItems.length > 0) {
+    results.totalFreed = results.compressionSaved + results.deletionSaved;
+    results.compressionSavedFormatted = formatBytes(results.compressionSaved);
+    results.deletionSavedFormatted = formatBytes(results.deletionSaved);
+  }
   results.totalFreedFormatted = formatBytes(results.totalFreed);
+  results.totalDiskFreedFormatted = formatBytes(results.totalDiskFreed);
+
+  if (batch.dryRun) {
+    results.dryRun = true;
+    results.manifest = batch.getManifest({
+      skipped: results.skipped,
+      failed: results.failed,
+      ...(logItems.length > 0 && {
+        compressed: results.compressed,
+        compressionSaved: results.compressionSaved,
+        compressionSavedFormatted: results.compressionSavedFormatted
+      })
+    });
+  }
 
   return results;
 }
 
 module.exports = {
+  SAFE_PATTERNS,
+  CATEGORIES,
   scanSystem,
   cleanFiles,
   formatBytes
@@ -108,6 +108,10 @@ const DEFAULT_PROFILES = {
       oldDownloads: {
         enabled: true,
         minAge: 90 // 90 days
+      },
+      crashDumps: {
+        enabled: true,
+        keepPerProgram: 3 // newest crash reports kept per program
       }
     },
     options: {
@@ -153,7 +157,8 @@ const DEFAULT_PROFILES = {
         enabled: true
       },
       trash: {
-        enabled: true
+        enabled: true,
+        olderThanDays: 30 // empty items trashed more than 30 days ago
       },
       recentItems: {
         enabled: true
@@ -228,7 +233,7 @@ const DEFAULT_PROFILES = {
       },
       buildArtifacts: {
         enabled: true,
-        paths: ['node_modules/.cache', 'dist', 'build', 'out']
+        minAgeDays: 90 // projects untouched for 90 days
       },
       xcodeCache: {
         enabled: true
@@ -255,6 +260,21 @@ const DEFAULT_PROFILES = {
   }
 };
 
+/**
+ * Bring a profile saved by an older version up to date. `trash.enabled` did
+ * nothing before the trash manager existed, and emptying the trash deletes
+ * permanently, so a trash task without an explicit age is turned off.
+ * @returns {boolean} Whether the profile changed
+ */
+function migrateProfile(profile) {
+  const trash = profile.cleaningTasks && profile.cleaningTasks.trash;
+  if (trash && trash.enabled && !Number.isFinite(trash.olderThanDays)) {
+    profile.cleaningTasks.trash = { ...trash, enabled: false };
+    return true;
+  }
+  return false;
+}
+
 /**
  * Profile Manager Class
  */
@@ -273,6 +293,12 @@ class ProfileManager {
         const data = fs.readFileSync(this.profilesPath, 'utf8');
         const customProfiles = JSON.parse(data);
 
+        const migrated = Object.values(customProfiles).filter(migrateProfile);
+        if (migrated.length > 0) {
+          fs.writeFileSync(this.profilesPath, JSON.stringify(customProfiles, null, 2), 'utf8');
+          console.log(`[PROFILE_MANAGER] Turned off the trash task in ${migrated.length} older profile(s)`);
+        }
+
         // Merge default profiles with custom ones
         return {
           ...DEFAULT_PROFILES,
@@ -523,6 +549,7 @@ class ProfileManager {
       }
 
       // Create profile with imported data
+      migrateProfile(profileData);
       return this.createProfile(profileData);
     } catch (error) {
       console.error('[PROFILE_MANAGER] Error importing profile:', error);
@@ -0,0 +1,517 @@
+/**
+ * Crash Dump Cleaner
+ *
+ * Lists crash reports and core dumps with the program that crashed, so old
+ * dumps can be removed while keeping the newest few per program:
+ * - Linux: systemd-coredump (/var/lib/systemd/coredump) and apport (/var/crash)
+ * - macOS: DiagnosticReports in ~/Library/Logs and /Library/Logs
+ * - Windows: %LOCALAPPDATA%\CrashDumps (Windows Error Reporting local dumps)
+ * - Everywhere: Crashpad/Breakpad directories of Chromium and Electron apps
+ */
+
+const fs = require('fs').promises;
+const { constants } = require('fs');
+const path = require('path');
+const os = require('os');
+const { createBatch } = require('./quarantine');
+const { evaluatePath, evaluateTree } = require('./protectionRules');
+const { applySafetyFilters } = require('./safetyFilters');
+
+const HOME = os.homedir();
+const XDG_CONFIG_HOME = process.env.XDG_CONFIG_HOME || path.join(HOME, '.config');
+
+const SOURCES = {
+  COREDUMP: 'systemd-coredump',
+  APPORT: 'apport',
+  DIAGNOSTIC_REPORTS: 'DiagnosticReports',
+  WINDOWS: 'Windows Error Reporting',
+  CRASHPAD: 'Crashpad'
+};
+
+// Crashpad keeps reports in these subdirectories of its database
+const CRASHPAD_REPORT_DIRS = ['completed', 'pending', 'new'];
+
+// Breakpad/Crashpad database names used by Chromium-based apps
+const CRASHPAD_DIR_NAMES = ['Crashpad', 'Crash Reports'];
+
+const DIAGNOSTIC_EXTENSIONS = ['.crash', '.ips', '.diag', '.spin', '.hang', '.panic'];
+
+// core.<comm>.<uid>.<boot id>.<pid>.<usec>[.zst|.xz|.lz4]
+const COREDUMP_PATTERN = /^core\.(.+)\.(\d+)\.([0-9a-f]{32})\.(\d+)\.(\d+)(?:\.(?:zst|xz|lz4))?$/;
+
+// <program>_<yyyy-mm-dd-hhmmss>[_<host>].crash or <program>-<yyyy-mm-dd-hhmmss>.ips
+const DIAGNOSTIC_PATTERN = /^(.+?)[-_](\d{4})-(\d{2})-(\d{2})-(\d{2})(\d{2})(\d{2})(?:[-_.][^.]*)?\.[a-z_.]+$/;
+
+// <program>.exe.<pid>.dmp
+const WINDOWS_DUMP_PATTERN = /^(.+?)\.(\d+)\.dmp$/i;
+
+function formatBytes(bytes) {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
+}
+
+/**
+ * Read the beginning of a file, enough for the metadata headers we parse
+ */
+async function readHead(filePath, length = 8192) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.toString('utf8', 0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Parent directories whose children may hold a Crashpad database
+ * (e.g. ~/.config/Code/Crashpad, ~/.config/google-chrome/Crash Reports)
+ */
+function getCrashpadParents() {
+  switch (process.platform) {
+    case 'darwin':
+      return [path.join(HOME, 'Library/Application Support')];
+    case 'win32':
+      return [process.env.APPDATA, process.env.LOCALAPPDATA].filter(Boolean);
+    default:
+      return [XDG_CONFIG_HOME];
+  }
+}
+
+/**
+ * Crash report locations for this platform. Crashpad databases are found
+ * one or two levels below the app data folders (App/Crashpad and
+ * Vendor/App/Crashpad).
+ */
+async function getLocations() {
+  const locations = [];
+
+  if (process.platform === 'linux') {
+    locations.push({ source: SOURCES.COREDUMP, root: '/var/lib/systemd/coredump', label: 'systemd-coredump' });
+    locations.push({ source: SOURCES.APPORT, root: '/var/crash', label: 'Apport (/var/crash)' });
+  } else if (process.platform === 'darwin') {
+    locations.push({ source: SOURCES.DIAGNOSTIC_REPORTS, root: path.join(HOME, 'Library/Logs/DiagnosticReports'), label: 'User DiagnosticReports' });
+    locations.push({ source: SOURCES.DIAGNOSTIC_REPORTS, root: '/Library/Logs/DiagnosticReports', label: 'System DiagnosticReports' });
+  } else if (process.platform === 'win32' && process.env.LOCALAPPDATA) {
+    locations.push({ source: SOURCES.WINDOWS, root: path.join(process.env.LOCALAPPDATA, 'CrashDumps'), label: 'CrashDumps' });
+  }
+
+  for (const parent of getCrashpadParents()) {
+    let apps;
+    try {
+      apps = await fs.readdir(parent, { withFileTypes: true });
+    } catch (err) {
+      continue;
+    }
+
+    for (const app of apps.filter(entry => entry.isDirectory())) {
+      const appDir = path.join(parent, app.name);
+      let children;
+      try {
+        children = await fs.readdir(appDir, { withFileTypes: true });
+      } catch (err) {
+        continue;
+      }
+
+      for (const child of children.filter(entry => entry.isDirectory())) {
+        if (CRASHPAD_DIR_NAMES.includes(child.name)) {
+          locations.push({ source: SOURCES.CRASHPAD, root: path.join(appDir, child.name), label: app.name, program: app.name });
+          continue;
+        }
+
+        // Vendor/App/Crashpad, e.g. "Google/Chrome/Crashpad"
+        for (const name of CRASHPAD_DIR_NAMES) {
+          const root = path.join(appDir, child.name, name);
+          try {
+            if ((await fs.stat(root)).isDirectory()) {
+              locations.push({ source: SOURCES.CRASHPAD, root, label: `${app.name}/${child.name}`, program: child.name });
+            }
+          } catch (err) {
+            // No crash database here
+          }
+        }
+      }
+    }
+  }
+
+  return locations;
+}
+
+/**
+ * Apport reports start with "Key: value" lines; ExecutablePath names the
+ * program and Date is the crash time in local time
+ */
+async function parseApportReport(filePath) {
+  const metadata = {};
+  try {
+    const head = await readHead(filePath);
+    for (const line of head.split('\n')) {
+      const match = line.match(/^(ExecutablePath|Date|Package): (.*)$/);
+      if (match) metadata[match[1]] = match[2].trim();
+    }
+  } catch (err) {
+    // Reports of other users are usually unreadable; fall back to the name
+  }
+
+  let program = metadata.ExecutablePath ? path.basename(metadata.ExecutablePath) : null;
+  if (!program) {
+    // _usr_bin_foo.1000.crash -> foo
+    const stem = path.basename(filePath).replace(/(\.\d+)?\.crash$/, '');
+    program = stem.split('_').filter(Boolean).pop() || stem;
+  }
+
+  const date = metadata.Date ? Date.parse(metadata.Date) : NaN;
+  return { program, date: Number.isNaN(date) ? null : date };
+}
+
+/**
+ * .ips reports start with a one-line JSON header holding app_name and the
+ * crash timestamp ("2024-01-31 10:15:42.00 +0100")
+ */
+async function parseIpsHeader(filePath) {
+  try {
+    const firstLine = (await readHead(filePath, 4096)).split('\n')[0];
+    const header = JSON.parse(firstLine);
+    let date = null;
+    if (header.timestamp) {
+      const match = header.timestamp.match(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2})(?:\.\d+)? ([+-]\d{2})(\d{2})$/);
+      if (match) {
+        date = Date.parse(`${match[1]}T${match[2]}${match[3]}:${match[4]}`);
+      }
+    }
+    return { program: header.app_name || header.name || null, date };
+  } catch (err) {
+    return { program: null, date: null };
+  }
+}
+
+/**
+ * Identify a file in a crash location. Returns null for files that are not
+ * crash reports (sidecar and settings files).
+ */
+async function describeDump(location, filePath) {
+  const name = path.basename(filePath);
+
+  switch (location.source) {
+    case SOURCES.COREDUMP: {
+      const match = name.match(COREDUMP_PATTERN);
+      if (!match) return null;
+      return {
+        program: match[1].replace(/\\x([0-9a-f]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16))),
+        date: Math.floor(Number(match[5]) / 1000)
+      };
+    }
+
+    case SOURCES.APPORT: {
+      if (!name.endsWith('.crash')) return null;
+      return parseApportReport(filePath);
+    }
+
+    case SOURCES.DIAGNOSTIC_REPORTS: {
+      if (!DIAGNOSTIC_EXTENSIONS.some(ext => name.endsWith(ext))) return null;
+      const fromHeader = name.endsWith('.ips') ? await parseIpsHeader(filePath) : { program: null, date: null };
+      const match = name.match(DIAGNOSTIC_PATTERN);
+      const fromName = match
+        ? { program: match[1], date: new Date(+match[2], match[3] - 1, +match[4], +match[5], +match[6], +match[7]).getTime() }
+        : { program: name.replace(/\.[^.]+$/, ''), date: null };
+      return {
+        program: fromHeader.program || fromName.program,
+        date: fromHeader.date || fromName.date
+      };
+    }
+
+    case SOURCES.WINDOWS: {
+      const match = name.match(WINDOWS_DUMP_PATTERN);
+      if (!match) return null;
+      return { program: match[1], date: null };
+    }
+
+    case SOURCES.CRASHPAD: {
+      if (!name.endsWith('.dmp')) return null;
+      return { program: location.program, date: null };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Files that belong to a report and go with it: apport upload markers and
+ * Crashpad .meta records
+ */
+function getRelatedPaths(filePath) {
+  if (filePath.endsWith('.crash')) {
+    const stem = filePath.slice(0, -'.crash'.length);
+    return [`${stem}.upload`, `${stem}.uploaded`];
+  }
+  if (filePath.endsWith('.dmp')) {
+    return [filePath.replace(/\.dmp$/, '.meta')];
+  }
+  return [];
+}
+
+async function existingPaths(paths) {
+  const found = [];
+  for (const candidate of paths) {
+    try {
+      const stats = await fs.lstat(candidate);
+      found.push({ path: candidate, size: stats.size });
+    } catch (err) {
+      // Not there
+    }
+  }
+  return found;
+}
+
+/**
+ * List the crash reports of one location. Crashpad reports are read from
+ * its completed/pending/new folders, DiagnosticReports includes Retired.
+ */
+async function readLocation(location) {
+  const dirs = [location.root];
+  if (location.source === SOURCES.CRASHPAD) {
+    dirs.push(...CRASHPAD_REPORT_DIRS.map(dir => path.join(location.root, dir)));
+  } else if (location.source === SOURCES.DIAGNOSTIC_REPORTS) {
+    dirs.push(path.join(location.root, 'Retired'));
+  }
+
+  const dumps = [];
+  for (const dir of dirs) {
+    let names;
+    try {
+      names = await fs.readdir(dir);
+    } catch (err) {
+      if (dir === location.root) throw err;
+      continue;
+    }
+
+    for (const name of names) {
+      const filePath = path.join(dir, name);
+      let stats;
+      try {
+        stats = await fs.lstat(filePath);
+      } catch (err) {
+        continue;
+      }
+      if (!stats.isFile()) continue;
+
+      const described = await describeDump(location, filePath);
+      if (!described) continue;
+
+      const related = await existingPaths(getRelatedPaths(filePath));
+      const size = stats.size + related.reduce((sum, file) => sum + file.size, 0);
+
+      dumps.push({
+        path: filePath,
+        name,
+        program: described.program || 'Unknown',
+        source: location.source,
+        location: location.label,
+        date: described.date || stats.mtimeMs,
+        size,
+        sizeFormatted: formatBytes(size),
+        relatedPaths: related.map(file => file.path)
+      });
+    }
+  }
+
+  return dumps;
+}
+
+/**
+ * Whether the current user may remove files from a directory
+ */
+async function canRemoveFrom(dir) {
+  try {
+    await fs.access(dir, constants.W_OK);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Scan all crash locations
+ *
+ * @param {Object} options - { keepPerProgram } marks everything but the
+ *   newest N dumps of each program as removable excess (default 3)
+ * @returns {Promise<Object>} Dumps grouped by program, newest first
+ */
+async function scanCrashDumps(options = {}) {
+  const keepPerProgram = options.keepPerProgram ?? 3;
+  const locations = [];
+  const allDumps = [];
+
+  for (const location of await getLocations()) {
+    const summary = { root: location.root, label: location.label, source: location.source, itemCount: 0, size: 0, error: null };
+
+    try {
+      const dumps = await readLocation(location);
+      const writable = await canRemoveFrom(location.root);
+      for (const dump of dumps) {
+        const writableDir = path.dirname(dump.path) === location.root ? writable : await canRemoveFrom(path.dirname(dump.path));
+        const protection = evaluatePath(dump.path);
+        dump.removable = writableDir && !protection.protected;
+        dump.reason = !writableDir
+          ? 'Needs administrator rights'
+          : protection.protected ? `Protected: ${protection.rule.description}` : null;
+      }
+      summary.itemCount = dumps.length;
+      summary.size = dumps.reduce((sum, dump) => sum + dump.size, 0);
+      allDumps.push(...dumps);
+    } catch (err) {
+      if (err.code === 'ENOENT') continue;
+      summary.error = err.code === 'EACCES' || err.code === 'EPERM' ? 'Permission denied' : err.message;
+    }
+
+    summary.sizeFormatted = formatBytes(summary.size);
+    locations.push(summary);
+  }
+
+  const byProgram = new Map();
+  for (const dump of allDumps) {
+    if (!byProgram.has(dump.program)) byProgram.set(dump.program, []);
+    byProgram.get(dump.program).push(dump);
+  }
+
+  const programs = [];
+  for (const [program, dumps] of byProgram) {
+    dumps.sort((a, b) => b.date - a.date);
+    dumps.forEach((dump, index) => {
+      dump.excess = index >= keepPerProgram;
+    });
+
+    const totalSize = dumps.reduce((sum, dump) => sum + dump.size, 0);
+    programs.push({
+      program,
+      dumps,
+      latest: dumps[0].date,
+      totalSize,
+      totalSizeFormatted: formatBytes(totalSize)
+    });
+  }
+  programs.sort((a, b) => b.totalSize - a.totalSize);
+
+  const totalSize = allDumps.reduce((sum, dump) => sum + dump.size, 0);
+  const excessSize = allDumps
+    .filter(dump => dump.excess && dump.removable)
+    .reduce((sum, dump) => sum + dump.size, 0);
+
+  console.log(`[CrashDumps] Found ${allDumps.length} crash reports from ${programs.length} programs (${formatBytes(totalSize)})`);
+
+  return {
+    programs,
+    locations,
+    keepPerProgram,
+    totalCount: allDumps.length,
+    totalSize,
+    totalSizeFormatted: formatBytes(totalSize),
+    excessSize,
+    excessSizeFormatted: formatBytes(excessSize)
+  };
+}
+
+/**
+ * Clean crash reports. Only files inside a known crash location are
+ * accepted; upload markers and .meta records are removed with their report.
+ *
+ * @param {string[]} dumpPaths - Report paths from scanCrashDumps
+ * @param {Function} progressCallback - Progress callback
+ * @param {Object} options - dryRun and safety filter options
+ */
+async function cleanCrashDumps(dumpPaths, progressCallback, options = {}) {
+  const results = {
+    cleaned: [],
+    failed: [],
+    skipped: [],
+    totalFreed: 0
+  };
+
+  const roots = (await getLocations()).map(location => path.resolve(location.root));
+  const candidates = [];
+
+  for (const requestedPath of dumpPaths) {
+    // Paths come over IPC: resolve ".." segments before the prefix check
+    const dumpPath = path.resolve(requestedPath);
+    if (!roots.some(root => dumpPath.startsWith(root + path.sep))) {
+      results.skipped.push({ path: dumpPath, reason: 'Not in a crash report location', filter: 'location' });
+      continue;
+    }
+
+    const protection = await evaluateTree(dumpPath);
+    if (protection.protected) {
+      results.skipped.push({
+        path: dumpPath,
+        reason: protection.reason,
+        filter: 'protection',
+        rule: protection.rule
+      });
+      continue;
+    }
+
+    candidates.push({ path: dumpPath });
+  }
+
+  const { allowed, kept } = await applySafetyFilters(candidates, options);
+  results.skipped.push(...kept);
+
+  const batch = createBatch('crash-dumps', 'Crash Reports', { dryRun: options.dryRun });
+
+  for (let i = 0; i < allowed.length; i++) {
+    const dumpPath = allowed[i].path;
+
+    if (progressCallback) {
+      progressCallback({ current: i + 1, total: allowed.length, currentPath: dumpPath });
+    }
+
+    const result = await batch.add(dumpPath);
+    if (!result.success) {
+      results.failed.push({ path: dumpPath, error: result.error });
+      continue;
+    }
+
+    results.cleaned.push(dumpPath);
+    results.totalFreed += result.size;
+
+    for (const related of await existingPaths(getRelatedPaths(dumpPath))) {
+      const relatedProtection = await evaluateTree(related.path);
+      if (relatedProtection.protected) {
+        results.skipped.push({
+          path: related.path,
+          reason: relatedProtection.reason,
+          filter: 'protection',
+          rule: relatedProtection.rule
+        });
+        continue;
+      }
+
+      const relatedResult = await batch.add(related.path);
+      if (relatedResult.success) {
+        results.totalFreed += relatedResult.size;
+      }
+    }
+  }
+
+  results.freeSpace = await batch.commit();
+  results.quarantineBatchId = batch.getStoredBatchId();
+
+  results.totalFreedFormatted = formatBytes(results.totalFreed);
+  if (batch.dryRun) {
+    results.dryRun = true;
+    results.manifest = batch.getManifest({ skipped: results.skipped, failed: results.failed });
+  }
+
+  console.log(`[CrashDumps] ${batch.dryRun ? 'Would clean' : 'Cleaned'} ${results.cleaned.length} crash reports (${results.totalFreedFormatted})`);
+  return results;
+}
+
+module.exports = {
+  SOURCES,
+  scanCrashDumps,
+  cleanCrashDumps
+};
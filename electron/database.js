@@ -2,6 +2,7 @@ const Database = require('better-sqlite3');
 const path = require('path');
 const { app } = require('electron');
 const fs = require('fs');
+const { formatDelta } = require('./freeSpace');
 
 let db = null;
 
@@ -50,7 +51,12 @@ function createTables() {
       privacy_score_before INTEGER,
       privacy_score_after INTEGER,
       trackers_removed INTEGER DEFAULT 0,
-      notes TEXT
+      notes TEXT,
+      space_estimated_bytes INTEGER,
+      free_space_volumes TEXT,
+      quarantine_batch_ids TEXT,
+      pending_purge INTEGER DEFAULT 0,
+      purge_freed_bytes INTEGER DEFAULT 0
     );
   `;
 
@@ -60,6 +66,7 @@ function createTables() {
 
   try {
     db.exec(createCleaningHistoryTable);
+    migrateTables();
     db.exec(createIndexes);
     console.log('[DATABASE] Tables created successfully');
   } catch (error) {
@@ -69,12 +76,47 @@ function createTables() {
 }
 
 /**
- * Add a cleaning event to history
+ * Add columns introduced after the first release to existing databases
+ */
+function migrateTables() {
+  const columns = db.prepare('PRAGMA table_info(cleaning_history)').all().map(column => column.name);
+
+  if (!columns.includes('space_estimated_bytes')) {
+    db.exec('ALTER TABLE cleaning_history ADD COLUMN space_estimated_bytes INTEGER');
+  }
+  if (!columns.includes('free_space_volumes')) {
+    db.exec('ALTER TABLE cleaning_history ADD COLUMN free_space_volumes TEXT');
+  }
+  if (!columns.includes('quarantine_batch_ids')) {
+    db.exec('ALTER TABLE cleaning_history ADD COLUMN quarantine_batch_ids TEXT');
+  }
+  if (!columns.includes('pending_purge')) {
+    db.exec('ALTER TABLE cleaning_history ADD COLUMN pending_purge INTEGER DEFAULT 0');
+  }
+  if (!columns.includes('purge_freed_bytes')) {
+    db.exec('ALTER TABLE cleaning_history ADD COLUMN purge_freed_bytes INTEGER DEFAULT 0');
+  }
+}
+
+/**
+ * Add a cleaning event to history.
+ * spaceSavedBytes is the free space measured before and after the clean when
+ * the clean reported it; spaceEstimatedBytes keeps the sum of item sizes.
+ * Items moved to quarantine (quarantineBatchIds) free nothing until their
+ * batch is purged, so such events store the estimate and stay pending until
+ * settleQuarantineBatch replaces it with the measured value.
  * @param {Object} event - Cleaning event data
  * @returns {Object} - Insert result
  */
 function addCleaningEvent(event) {
   try {
+    const quarantineBatchIds = (event.quarantineBatchIds || []).filter(Boolean);
+    const pendingPurge = quarantineBatchIds.length > 0 && event.spaceEstimatedBytes != null;
+    const spaceSavedBytes = pendingPurge ? event.spaceEstimatedBytes : event.spaceSavedBytes || 0;
+    const spaceSavedFormatted = pendingPurge
+      ? formatDelta(spaceSavedBytes)
+      : event.spaceSavedFormatted || '0 Bytes';
+
     const stmt = db.prepare(`
       INSERT INTO cleaning_history (
         timestamp,
@@ -87,22 +129,30 @@ function addCleaningEvent(event) {
         privacy_score_before,
         privacy_score_after,
         trackers_removed,
-        notes
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        notes,
+        space_estimated_bytes,
+        free_space_volumes,
+        quarantine_batch_ids,
+        pending_purge
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     const result = stmt.run(
       event.timestamp || Date.now(),
       JSON.stringify(event.browsersСleaned || []),
       JSON.stringify(event.dataTypes || []),
-      event.spaceSavedBytes || 0,
-      event.spaceSavedFormatted || '0 Bytes',
+      spaceSavedBytes,
+      spaceSavedFormatted,
       event.itemsCleaned || 0,
       event.itemsFailed || 0,
       event.privacyScoreBefore || null,
       event.privacyScoreAfter || null,
       event.trackersRemoved || 0,
-      event.notes || null
+      event.notes || null,
+      event.spaceEstimatedBytes ?? null,
+      event.freeSpaceVolumes ? JSON.stringify(event.freeSpaceVolumes) : null,
+      quarantineBatchIds.length > 0 ? JSON.stringify(quarantineBatchIds) : null,
+      pendingPurge ? 1 : 0
     );
 
     return {
@@ -118,6 +168,63 @@ function addCleaningEvent(event) {
   }
 }
 
+/**
+ * Record that a quarantine batch left the store. Pending events that moved
+ * items into it add the free space measured around the purge; once all of an
+ * event's batches are gone its saved space becomes the free space measured
+ * during the clean plus during the purges.
+ * @param {string} batchId - Purged or fully restored batch
+ * @param {number} freed - Free space gained by the purge, 0 for a restore
+ * @returns {Object} - Update result
+ */
+function settleQuarantineBatch(batchId, freed) {
+  try {
+    const rows = db.prepare(`
+      SELECT id, quarantine_batch_ids, free_space_volumes, purge_freed_bytes
+      FROM cleaning_history
+      WHERE pending_purge = 1 AND quarantine_batch_ids LIKE ?
+    `).all(`%"${batchId}"%`);
+
+    const updatePending = db.prepare(`
+      UPDATE cleaning_history SET quarantine_batch_ids = ?, purge_freed_bytes = ? WHERE id = ?
+    `);
+    const updateSettled = db.prepare(`
+      UPDATE cleaning_history
+      SET pending_purge = 0, purge_freed_bytes = ?, space_saved_bytes = ?, space_saved_formatted = ?
+      WHERE id = ?
+    `);
+
+    let updated = 0;
+    for (const row of rows) {
+      const batchIds = JSON.parse(row.quarantine_batch_ids);
+      if (!batchIds.includes(batchId)) continue;
+
+      const pending = batchIds.filter(id => id !== batchId);
+      const purgeFreed = (row.purge_freed_bytes || 0) + freed;
+      if (pending.length > 0) {
+        updatePending.run(JSON.stringify(pending), purgeFreed, row.id);
+      } else {
+        const volumes = row.free_space_volumes ? JSON.parse(row.free_space_volumes) : [];
+        const cleanFreed = volumes.reduce((sum, volume) => sum + volume.freed, 0);
+        const saved = cleanFreed + purgeFreed;
+        updateSettled.run(purgeFreed, saved, formatDelta(saved), row.id);
+      }
+      updated++;
+    }
+
+    return {
+      success: true,
+      updated
+    };
+  } catch (error) {
+    console.error('[DATABASE] Failed to settle quarantine batch:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
 /**
  * Get cleaning history with pagination
  * @param {Object} options - Query options
@@ -141,6 +248,8 @@ function getCleaningHistory(options = {}) {
       ...row,
       browsersСleaned: JSON.parse(row.browsers_cleaned),
       dataTypes: JSON.parse(row.data_types),
+      freeSpaceVolumes: row.free_space_volumes ? JSON.parse(row.free_space_volumes) : [],
+      pendingPurge: row.pending_purge === 1,
       date: new Date(row.timestamp)
     }));
 
@@ -249,6 +358,8 @@ function exportHistoryToCSV() {
       'Browsers',
       'Data Types',
       'Space Saved',
+      'Estimated Space',
+      'Pending Purge',
       'Items Cleaned',
       'Privacy Score Before',
       'Privacy Score After',
@@ -260,6 +371,8 @@ function exportHistoryToCSV() {
       event.browsersСleaned.join(', '),
       event.dataTypes.join(', '),
       event.space_saved_formatted,
+      event.space_estimated_bytes ?? 'N/A',
+      event.pendingPurge ? 'Yes' : 'No',
       event.items_cleaned,
       event.privacy_score_before || 'N/A',
       event.privacy_score_after || 'N/A',
@@ -292,6 +405,7 @@ function closeDatabase() {
 module.exports = {
   initDatabase,
   addCleaningEvent,
+  settleQuarantineBatch,
   getCleaningHistory,
   getCleaningStats,
   deleteCleaningEvent,
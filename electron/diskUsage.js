@@ -0,0 +1,501 @@
+/**
+ * Disk Usage Explorer
+ *
+ * Adds up the apparent and on-disk size of every directory below a chosen
+ * root, ncdu-style. Directories are listed through scanWorker.readDirectory
+ * with the size index, so a rescan only lists directories whose mtime
+ * changed. The tree stays in the main process; the renderer asks for one
+ * directory at a time as it drills down.
+ *
+ * Size index records only name files of at least LARGE_FILE_FLOOR, so those
+ * are the files shown one by one. Smaller files of a directory are shown as
+ * a single "smaller files" node.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { createBatch } = require('./quarantine');
+const { evaluateTree } = require('./protectionRules');
+const { applySafetyFilters } = require('./safetyFilters');
+const { createLimiter, readDirectory } = require('./scanWorker');
+const sizeIndex = require('./sizeIndex');
+
+// Kernel and device filesystems; they report sizes that take no disk space
+const VIRTUAL_DIRECTORIES = process.platform === 'linux' ? ['/proc', '/sys', '/dev', '/run'] : [];
+
+// Children listed per directory; the rest are merged into one node
+const MAX_CHILDREN = 60;
+
+// Directories between progress updates
+const PROGRESS_INTERVAL = 200;
+
+// The last scanned tree, and its nodes by path
+let currentTree = null;
+let nodesByPath = new Map();
+
+function formatBytes(bytes) {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return (bytes / Math.pow(k, i)).toFixed(2) + ' ' + sizes[i];
+}
+
+function expandHome(value) {
+  if (value === '~' || value.startsWith('~/') || value.startsWith('~\\')) {
+    return path.join(os.homedir(), value.slice(1));
+  }
+  return value;
+}
+
+function isUnderRoots(filePath, roots) {
+  return roots.some(root => filePath === root || filePath.startsWith(root.endsWith(path.sep) ? root : root + path.sep));
+}
+
+function createNode(name, nodePath, type, parent) {
+  return {
+    name,
+    path: nodePath,
+    type,
+    parent,
+    size: 0,
+    diskSize: 0,
+    fileCount: 0,
+    dirCount: 0,
+    modified: null,
+    children: []
+  };
+}
+
+/**
+ * Walk a directory tree into nodes. A file hardlinked several times is
+ * counted at its first link only; symlinks count as the link itself.
+ */
+async function buildTree(rootPath, options, progressCallback, cancelToken) {
+  const { excludePaths, oneFilesystem, fullRescan } = options;
+  const rootStats = await fs.lstat(rootPath);
+  if (!rootStats.isDirectory()) {
+    throw new Error(`Not a folder: ${rootPath}`);
+  }
+
+  const known = sizeIndex.getSubtree(rootPath);
+  const scan = {
+    limit: createLimiter(64),
+    index: new Map(known.map(entry => [entry.path, entry])),
+    fullRescan,
+    records: [],
+    stale: [],
+    reusedDirs: 0,
+    walkedDirs: 0,
+    indexedAt: Date.now()
+  };
+  const seenLinks = new Set();
+  const skipped = [...VIRTUAL_DIRECTORIES.filter(dir => dir !== rootPath), ...excludePaths];
+  let dirCount = 0;
+
+  async function walk(node, dirStats) {
+    if (cancelToken && cancelToken.cancelled) {
+      throw new Error('Scan cancelled by user');
+    }
+
+    let record;
+    try {
+      record = await readDirectory(node.path, dirStats, scan.limit, scan);
+    } catch (err) {
+      // Skip directories we can't read
+      node.unreadable = true;
+      return;
+    }
+
+    if (record.reused) {
+      scan.reusedDirs++;
+      scan.indexedAt = Math.min(scan.indexedAt, record.indexedAt);
+    } else {
+      const { reused, removed, ...stored } = record;
+      scan.walkedDirs++;
+      scan.records.push(stored);
+      scan.stale.push(...removed);
+    }
+
+    dirCount++;
+    if (progressCallback && dirCount % PROGRESS_INTERVAL === 0) {
+      progressCallback({ stage: 'scanning', dirsScanned: dirCount, currentPath: node.path });
+    }
+
+    let ownSize = record.filesSize;
+    let ownDiskSize = record.filesDiskSize;
+    let ownCount = record.fileCount;
+
+    // Linked files first seen in this directory
+    const firstLinks = new Set();
+    for (const file of record.linked) {
+      if (seenLinks.has(file.id)) continue;
+      seenLinks.add(file.id);
+      firstLinks.add(file.id);
+      ownSize += file.size;
+      ownDiskSize += file.diskSize;
+      ownCount++;
+    }
+
+    for (const file of record.largeFiles) {
+      const filePath = path.join(node.path, file.name);
+      if (file.nlink > 1 && !firstLinks.has(file.id)) continue;
+
+      // Large files get a node of their own; an excluded one leaves the tree
+      ownSize -= file.size;
+      ownDiskSize -= file.diskSize;
+      ownCount--;
+      if (isUnderRoots(filePath, excludePaths)) continue;
+
+      const fileNode = createNode(file.name, filePath, 'file', node);
+      fileNode.size = file.size;
+      fileNode.diskSize = file.diskSize;
+      fileNode.fileCount = 1;
+      fileNode.modified = file.mtimeMs;
+      node.children.push(fileNode);
+    }
+
+    if (ownCount > 0) {
+      const other = createNode(`${ownCount.toLocaleString()} smaller file${ownCount === 1 ? '' : 's'}`, node.path, 'other', node);
+      other.size = ownSize;
+      other.diskSize = ownDiskSize;
+      other.fileCount = ownCount;
+      node.children.push(other);
+    } else {
+      // The directory entry itself
+      node.ownDiskSize = ownDiskSize;
+    }
+
+    await Promise.all(record.subdirs.map(async (name) => {
+      const subPath = path.join(node.path, name);
+      if (isUnderRoots(subPath, skipped)) return;
+
+      try {
+        const stats = await scan.limit(() => fs.lstat(subPath));
+        if (!stats.isDirectory()) return;
+        // Mount points of other filesystems, like ncdu -x
+        if (oneFilesystem && stats.dev !== rootStats.dev) return;
+
+        const child = createNode(name, subPath, 'directory', node);
+        child.modified = stats.mtimeMs;
+        node.children.push(child);
+        await walk(child, stats);
+      } catch (err) {
+        if (err.message === 'Scan cancelled by user') throw err;
+        // Gone since it was listed
+      }
+    }));
+  }
+
+  const root = createNode(path.basename(rootPath) || rootPath, rootPath, 'directory', null);
+  root.modified = rootStats.mtimeMs;
+  await walk(root, rootStats);
+
+  sizeIndex.update(rootPath, scan.records, scan.stale);
+
+  return {
+    root,
+    indexStats: { reusedDirs: scan.reusedDirs, walkedDirs: scan.walkedDirs, indexedAt: scan.indexedAt }
+  };
+}
+
+// Totals of every directory from its children, bottom up
+function sumTree(node) {
+  if (node.type !== 'directory') return;
+
+  node.size = 0;
+  node.diskSize = node.ownDiskSize || 0;
+  node.fileCount = 0;
+  node.dirCount = 0;
+
+  for (const child of node.children) {
+    sumTree(child);
+    node.size += child.size;
+    node.diskSize += child.diskSize;
+    node.fileCount += child.fileCount;
+    node.dirCount += child.dirCount + (child.type === 'directory' ? 1 : 0);
+  }
+  node.children.sort((a, b) => b.diskSize - a.diskSize);
+}
+
+function indexTree(node) {
+  if (node.type === 'other') return;
+  nodesByPath.set(node.path, node);
+  node.children.forEach(indexTree);
+}
+
+/**
+ * A node for the renderer, with its children `depth` levels down. Beyond
+ * MAX_CHILDREN, the smallest children are merged into one node.
+ */
+function serializeNode(node, depth) {
+  const data = {
+    id: node.type === 'other' ? `${node.path}${path.sep}*` : node.path,
+    name: node.name,
+    path: node.path,
+    type: node.type,
+    size: node.size,
+    sizeFormatted: formatBytes(node.size),
+    diskSize: node.diskSize,
+    diskSizeFormatted: formatBytes(node.diskSize),
+    fileCount: node.fileCount,
+    dirCount: node.dirCount,
+    modified: node.modified,
+    ...(node.unreadable && { unreadable: true })
+  };
+
+  if (node.type !== 'directory' || depth <= 0) return data;
+
+  const listed = node.children.slice(0, MAX_CHILDREN).map(child => serializeNode(child, depth - 1));
+  const rest = node.children.slice(MAX_CHILDREN);
+  if (rest.length > 0) {
+    const size = rest.reduce((sum, child) => sum + child.size, 0);
+    const diskSize = rest.reduce((sum, child) => sum + child.diskSize, 0);
+    listed.push({
+      id: `${node.path}${path.sep}*more`,
+      name: `${rest.length.toLocaleString()} more items`,
+      path: node.path,
+      type: 'other',
+      size,
+      sizeFormatted: formatBytes(size),
+      diskSize,
+      diskSizeFormatted: formatBytes(diskSize),
+      fileCount: rest.reduce((sum, child) => sum + child.fileCount, 0),
+      dirCount: rest.reduce((sum, child) => sum + child.dirCount + (child.type === 'directory' ? 1 : 0), 0),
+      modified: null
+    });
+  }
+  data.children = listed;
+  return data;
+}
+
+function getSummary() {
+  const { root, rootPath, excludePaths, indexStats, scannedAt } = currentTree;
+  return {
+    rootPath,
+    totalSize: root.size,
+    totalSizeFormatted: formatBytes(root.size),
+    totalDiskSize: root.diskSize,
+    totalDiskSizeFormatted: formatBytes(root.diskSize),
+    fileCount: root.fileCount,
+    dirCount: root.dirCount,
+    excludePaths,
+    indexStats,
+    scannedAt
+  };
+}
+
+/**
+ * Take a node out of the tree and its size out of every parent
+ * @param {Object} node - Node to remove
+ * @param {number} diskFreed - Disk size the parents lose, less than the
+ *   node's own when blocks stay behind (a file with other hardlinks)
+ */
+function removeNode(node, diskFreed = node.diskSize) {
+  const { parent } = node;
+  parent.children = parent.children.filter(child => child !== node);
+
+  for (let ancestor = parent; ancestor; ancestor = ancestor.parent) {
+    ancestor.size -= node.size;
+    ancestor.diskSize -= diskFreed;
+    ancestor.fileCount -= node.fileCount;
+    ancestor.dirCount -= node.dirCount + (node.type === 'directory' ? 1 : 0);
+  }
+  parent.children.sort((a, b) => b.diskSize - a.diskSize);
+
+  for (const key of nodesByPath.keys()) {
+    if (isUnderRoots(key, [node.path])) nodesByPath.delete(key);
+  }
+}
+
+/**
+ * Scan a folder tree for the explorer
+ * @param {Object} options - { rootPath (default: home folder), excludePaths,
+ *   oneFilesystem (default true: don't descend into other mounts), fullRescan }
+ * @returns {Object} The root with its children, and a summary
+ */
+async function scanDiskUsage(options = {}, progressCallback, cancelToken) {
+  const rootPath = path.resolve(expandHome((options.rootPath || '').trim() || os.homedir()));
+  const excludePaths = (options.excludePaths || [])
+    .map(value => path.resolve(expandHome(value.trim())))
+    .filter(value => value !== rootPath);
+
+  progressCallback && progressCallback({ stage: 'scanning', dirsScanned: 0, currentPath: rootPath });
+
+  const { root, indexStats } = await buildTree(rootPath, {
+    excludePaths,
+    oneFilesystem: options.oneFilesystem !== false,
+    fullRescan: Boolean(options.fullRescan)
+  }, progressCallback, cancelToken);
+
+  sumTree(root);
+
+  currentTree = { root, rootPath, excludePaths, indexStats, scannedAt: Date.now() };
+  nodesByPath = new Map();
+  indexTree(root);
+
+  console.log(`[DISK USAGE] ${rootPath}: ${root.dirCount} folders, ${root.fileCount} files, ${formatBytes(root.diskSize)} on disk`);
+
+  progressCallback && progressCallback({ stage: 'complete', dirsScanned: root.dirCount + 1 });
+
+  return {
+    success: true,
+    data: {
+      node: serializeNode(root, 1),
+      summary: getSummary()
+    }
+  };
+}
+
+/**
+ * A directory of the last scan, for drilling down
+ * @param {string} nodePath - Directory path
+ * @param {number} depth - Levels of children to include
+ */
+function getDiskUsageNode(nodePath, depth = 1) {
+  if (!currentTree) {
+    throw new Error('No disk usage scan yet');
+  }
+  const node = nodesByPath.get(nodePath);
+  if (!node) {
+    throw new Error(`Not in the scanned tree: ${nodePath}`);
+  }
+
+  return {
+    success: true,
+    data: {
+      node: serializeNode(node, depth),
+      summary: getSummary()
+    }
+  };
+}
+
+/**
+ * Leave a folder or file out of the current tree. The renderer keeps the
+ * excluded paths and passes them to the next scan.
+ */
+function excludeDiskUsageNode(nodePath) {
+  const node = currentTree && nodesByPath.get(nodePath);
+  if (!node || node === currentTree.root) {
+    throw new Error(`Can't exclude ${nodePath}`);
+  }
+
+  removeNode(node);
+  currentTree.excludePaths = [...currentTree.excludePaths, nodePath];
+
+  return { success: true, data: { summary: getSummary() } };
+}
+
+/**
+ * Move folders or files of the last scan to quarantine
+ * @param {Array<string>} nodePaths - Paths of scanned nodes
+ * @param {Function} progressCallback - Progress callback
+ * @param {Object} options - Safety filters { minAgeHours, skipInUse } and
+ *   { dryRun }, which leaves the disk and the scanned tree untouched
+ */
+async function deleteDiskUsageNodes(nodePaths, progressCallback, options = {}) {
+  if (!currentTree) {
+    throw new Error('No disk usage scan yet');
+  }
+
+  const results = {
+    deleted: [],
+    failed: [],
+    skipped: [],
+    totalFreed: 0,
+    totalDiskFreed: 0
+  };
+
+  const home = os.homedir();
+  const candidates = [];
+
+  for (const nodePath of nodePaths) {
+    const node = nodesByPath.get(nodePath);
+    if (!node) {
+      results.skipped.push({ path: nodePath, reason: 'Not in the scanned tree (already removed?)' });
+      continue;
+    }
+
+    // The explorer works in the user's own folders, but never removes the
+    // scanned root or the home folder as a whole
+    if (node === currentTree.root || nodePath === home) {
+      results.skipped.push({ path: nodePath, reason: 'The scanned folder and the home folder are never removed' });
+      continue;
+    }
+
+    const protection = await evaluateTree(nodePath, { allowPersonalFolders: true });
+    if (protection.protected) {
+      results.skipped.push({
+        path: nodePath,
+        reason: protection.reason,
+        rule: protection.rule
+      });
+      continue;
+    }
+
+    candidates.push({ path: nodePath, node });
+  }
+
+  const { allowed, kept } = await applySafetyFilters(candidates, options);
+  results.skipped.push(...kept);
+
+  const batch = createBatch('disk-usage', 'Disk Usage', { dryRun: options.dryRun });
+
+  for (let i = 0; i < allowed.length; i++) {
+    const { path: nodePath, node } = allowed[i];
+
+    if (progressCallback) {
+      progressCallback({
+        current: i + 1,
+        total: allowed.length,
+        currentFile: nodePath
+      });
+    }
+
+    // A file with other hardlinks keeps its blocks after this link goes
+    const stats = await fs.lstat(nodePath).catch(() => null);
+    const diskFreed = stats && stats.isFile() && stats.nlink > 1 ? 0 : node.diskSize;
+
+    const result = await batch.add(nodePath);
+
+    if (result.success) {
+      results.deleted.push(nodePath);
+      results.totalFreed += node.size;
+      results.totalDiskFreed += diskFreed;
+      if (!batch.dryRun) {
+        removeNode(node, diskFreed);
+      }
+    } else {
+      results.failed.push({
+        path: nodePath,
+        error: result.error
+      });
+    }
+  }
+
+  results.freeSpace = await batch.commit();
+  results.quarantineBatchId = batch.getStoredBatchId();
+
+  results.totalFreedFormatted = formatBytes(results.totalFreed);
+  results.totalDiskFreedFormatted = formatBytes(results.totalDiskFreed);
+  results.summary = getSummary();
+  if (batch.dryRun) {
+    results.dryRun = true;
+    results.manifest = batch.getManifest({ skipped: results.skipped, failed: results.failed });
+  }
+
+  console.log(`[DISK USAGE] ${batch.dryRun ? 'Would remove' : 'Removed'} ${results.deleted.length} item(s), ${results.totalDiskFreedFormatted} on disk`);
+
+  return {
+    success: true,
+    data: results
+  };
+}
+
+module.exports = {
+  scanDiskUsage,
+  getDiskUsageNode,
+  excludeDiskUsageNode,
+  deleteDiskUsageNodes
+};
@@ -3,6 +3,13 @@ const fsSync = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const os = require('os');
+const { createBatch } = require('./quarantine');
+const { evaluatePath, evaluateTree } = require('./protectionRules');
+const { loadHashes, getCachedHashes, saveHashes } = require('./hashCache');
+const { createFreeSpaceMonitor } = require('./freeSpace');
+const { getDiskSize, QUARANTINE_STORE_NAME } = require('./scanWorker');
+const { globToRegExp, toPosix } = require('./pathGlob');
+const { getArchiveFormat, readArchiveEntries } = require('./archiveEntries');
 
 // Default directories to scan
 const DEFAULT_SCAN_PATHS = {
@@ -24,28 +31,71 @@ const DEFAULT_SCAN_PATHS = {
   ]
 };
 
-// System directories to skip
-const SKIP_PATTERNS = [
-  'node_modules',
-  '.git',
-  'System32',
-  'Windows',
-  'Program Files',
-  'Applications',
+// Standard user folders on Linux, by user-dirs.dirs key, with the names
+// used when the file or a key is missing
+const XDG_USER_FOLDERS = {
+  DOWNLOAD: 'Downloads',
+  DOCUMENTS: 'Documents',
+  DESKTOP: 'Desktop',
+  PICTURES: 'Pictures',
+  MUSIC: 'Music',
+  VIDEOS: 'Videos'
+};
+
+const XDG_CONFIG_HOME = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+
+// System directories that are never scanned, whatever the scope says
+const SKIP_GLOBS = [
+  '**/node_modules',
+  '**/.git',
+  '**/.cache',
+  '**/.npm',
+  '**/.yarn',
+  '**/.local/share/Trash',
+  '**/System32',
+  '?:/Windows',
+  '?:/Program Files*',
+  '**/AppData/Local/Temp',
+  '**/AppData/Local/Microsoft',
+  '/Applications',
+  '~/Applications',
   '/System',
   '/Library',
+  '~/Library',
   '/usr',
   '/bin',
   '/sbin',
-  'AppData/Local/Temp',
-  'AppData/Local/Microsoft',
-  'Library/Caches',
-  'Library/Application Support',
-  '.cache',
-  '.npm',
-  '.yarn'
+  '/proc',
+  '/sys',
+  '/dev',
+  '/run'
 ];
 
+// Files smaller than this are mostly config and cache entries
+const DEFAULT_MIN_FILE_SIZE = 1024;
+
+const CASE_INSENSITIVE = process.platform === 'win32' || process.platform === 'darwin';
+
+// Saved scan sessions (see validateScanSession)
+const SESSION_TYPE = 'duplicate-scan-session';
+const SESSION_VERSION = 1;
+
+// Extensions scanned for archives when their contents are compared
+const ARCHIVE_EXTENSIONS = ['.zip', '.tar', '.gz', '.tgz'];
+
+// Read size for full hashing and byte comparison
+const VERIFY_CHUNK_SIZE = 1024 * 1024;
+
+// Folders with fewer scanned files are left to the file-level groups
+const MIN_FOLDER_FILES = 2;
+
+// Partial overlaps are reported when at least this share (percent) of one
+// folder's bytes also exists in the other
+const DEFAULT_MIN_FOLDER_OVERLAP = 50;
+
+// Larger groups (icons, placeholders) would pair up thousands of folders
+const MAX_OVERLAP_GROUP_SIZE = 64;
+
 // File type filters
 const FILE_TYPE_FILTERS = {
   all: null,
@@ -56,14 +106,125 @@ const FILE_TYPE_FILTERS = {
   archives: ['.zip', '.rar', '.7z', '.tar', '.gz', '.bz2', '.xz']
 };
 
+function expandHome(value) {
+  if (value === '~' || value.startsWith('~/') || value.startsWith('~\\')) {
+    return path.join(os.homedir(), value.slice(1));
+  }
+  return value;
+}
+
 /**
- * Check if a path should be skipped
+ * Read the user folders from $XDG_CONFIG_HOME/user-dirs.dirs
+ * @param {Array<string>} keys - XDG_<KEY>_DIR names, e.g. ['PICTURES']
+ * @returns {Array<string>} Existing-or-not folder paths in key order; folders
+ *   the file points at the home directory (i.e. disabled) are left out
  */
-function shouldSkipPath(filePath) {
-  const normalizedPath = filePath.replace(/\\/g, '/');
-  return SKIP_PATTERNS.some(pattern =>
-    normalizedPath.includes(pattern)
-  );
+function getXdgUserDirs(keys = Object.keys(XDG_USER_FOLDERS)) {
+  const home = os.homedir();
+  const configured = {};
+
+  try {
+    const content = fsSync.readFileSync(path.join(XDG_CONFIG_HOME, 'user-dirs.dirs'), 'utf8');
+    for (const line of content.split('\n')) {
+      const match = line.match(/^\s*XDG_([A-Z]+)_DIR\s*=\s*"(.*)"\s*$/);
+      if (!match) continue;
+
+      // Values are "$HOME/relative" or absolute
+      const value = match[2].replace(/\\(.)/g, '$1');
+      if (value === '$HOME' || value.startsWith('$HOME/')) {
+        configured[match[1]] = path.join(home, value.slice('$HOME'.length));
+      } else if (path.isAbsolute(value)) {
+        configured[match[1]] = path.normalize(value);
+      }
+    }
+  } catch (err) {
+    // No user-dirs.dirs; xdg-user-dirs isn't set up
+  }
+
+  const folders = [];
+  for (const key of keys) {
+    const folder = configured[key] || path.join(home, XDG_USER_FOLDERS[key] || key);
+    if (path.resolve(folder) === path.resolve(home) || folders.includes(folder)) continue;
+    folders.push(folder);
+  }
+  return folders;
+}
+
+/**
+ * Folders scanned when the request doesn't name any
+ */
+function getDefaultScanPaths() {
+  if (process.platform === 'linux') {
+    return getXdgUserDirs();
+  }
+  return DEFAULT_SCAN_PATHS[process.platform] || DEFAULT_SCAN_PATHS.darwin;
+}
+
+/**
+ * Expand `~` in the requested folders and drop any inside another one, so no
+ * file is listed twice. No folders means the defaults.
+ */
+function resolveScanPaths(paths, defaults = getDefaultScanPaths()) {
+  const requested = (paths || []).map(p => p.trim()).filter(Boolean);
+  const resolved = (requested.length > 0 ? requested : defaults).map(p => path.resolve(expandHome(p)));
+
+  return resolved.filter((scanPath, index) => resolved.every((other, otherIndex) => {
+    if (otherIndex === index) return true;
+    if (other === scanPath) return otherIndex > index;
+    return !isInside(scanPath, other);
+  }));
+}
+
+/**
+ * Compile a user glob. Patterns that aren't anchored at `/`, `~` or a drive
+ * match at any depth, so `*.tmp` and `node_modules` work as expected.
+ */
+function compileScopeGlob(pattern) {
+  const trimmed = pattern.trim();
+  const anchored = trimmed.startsWith('/') || trimmed.startsWith('~') || /^[a-zA-Z]:[\\/]/.test(trimmed);
+  try {
+    return globToRegExp(anchored ? expandHome(trimmed) : `**/${trimmed}`, {
+      caseInsensitive: CASE_INSENSITIVE,
+      partial: true
+    });
+  } catch (err) {
+    throw new Error(`Invalid pattern "${trimmed}"`);
+  }
+}
+
+/**
+ * Build the filters scanDirectory applies
+ * @param {Object} options - { includeGlobs, excludeGlobs, minFileSize,
+ *   includeHidden }. Files must match an include glob when any are given;
+ *   exclude globs drop both files and whole folders.
+ */
+function createScanScope(options = {}) {
+  const {
+    includeGlobs = [],
+    excludeGlobs = [],
+    includeHidden = false
+  } = options;
+  const minFileSize = Math.max(1, Number(options.minFileSize ?? DEFAULT_MIN_FILE_SIZE) || 1);
+
+  const skip = SKIP_GLOBS.map(compileScopeGlob);
+  const include = includeGlobs.filter(glob => glob.trim()).map(compileScopeGlob);
+  const exclude = excludeGlobs.filter(glob => glob.trim()).map(compileScopeGlob);
+
+  return {
+    minFileSize,
+    skipDirectory(dirPath) {
+      const normalized = toPosix(dirPath);
+      return skip.some(regex => regex.test(normalized)) || exclude.some(regex => regex.test(normalized));
+    },
+    skipEntry(name) {
+      return !includeHidden && name.startsWith('.');
+    },
+    acceptFile(filePath) {
+      const normalized = toPosix(filePath);
+      if (exclude.some(regex => regex.test(normalized))) return false;
+      return include.length === 0 || include.some(regex => regex.test(normalized));
+    }
+  };
 }
 
 /**
@@ -142,10 +303,437 @@ async function calculateFileHash(filePath, fileSize) {
   });
 }
 
+/**
+ * SHA-256 of the whole file. Candidate groups from calculateFileHash are
+ * only trusted once every member has the same full hash.
+ */
+async function calculateFullHash(filePath) {
+  const hash = crypto.createHash('sha256');
+  const stream = fsSync.createReadStream(filePath, { highWaterMark: VERIFY_CHUNK_SIZE });
+  for await (const chunk of stream) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Stream two files side by side and compare them byte for byte
+ */
+async function filesAreIdentical(pathA, pathB) {
+  const handleA = await fs.open(pathA, 'r');
+  try {
+    const handleB = await fs.open(pathB, 'r');
+    try {
+      const [statsA, statsB] = await Promise.all([handleA.stat(), handleB.stat()]);
+      if (statsA.size !== statsB.size) return false;
+
+      const bufferA = Buffer.alloc(VERIFY_CHUNK_SIZE);
+      const bufferB = Buffer.alloc(VERIFY_CHUNK_SIZE);
+      let position = 0;
+
+      for (;;) {
+        const [readA, readB] = await Promise.all([
+          handleA.read(bufferA, 0, VERIFY_CHUNK_SIZE, position),
+          handleB.read(bufferB, 0, VERIFY_CHUNK_SIZE, position)
+        ]);
+        if (readA.bytesRead !== readB.bytesRead) return false;
+        if (readA.bytesRead === 0) return true;
+        if (!bufferA.subarray(0, readA.bytesRead).equals(bufferB.subarray(0, readB.bytesRead))) {
+          return false;
+        }
+        position += readA.bytesRead;
+      }
+    } finally {
+      await handleB.close();
+    }
+  } finally {
+    await handleA.close();
+  }
+}
+
+/**
+ * Whether two paths reach the same file or folder, as with a bind mount or a
+ * folder scanned under two roots. Removing one would remove the other.
+ */
+async function isSameEntry(pathA, pathB) {
+  const [statsA, statsB] = await Promise.all([fs.stat(pathA), fs.stat(pathB)]);
+  return statsA.dev === statsB.dev && statsA.ino === statsB.ino;
+}
+
+/**
+ * Shape a scanned file for the renderer
+ */
+function toFileEntry(file) {
+  return {
+    path: file.path,
+    name: file.name,
+    directory: path.dirname(file.path),
+    size: file.size,
+    sizeFormatted: formatBytes(file.size),
+    modified: file.modified.toISOString(),
+    extension: file.extension,
+    inode: `${file.device}:${file.inode}`,
+    ...(file.reference && { reference: true })
+  };
+}
+
+/**
+ * Walk two paths side by side: same entry names and types, symlinks with the
+ * same target and files that match byte for byte. Unlike the scan, this
+ * includes hidden, small and skipped files.
+ */
+async function treesAreIdentical(pathA, pathB) {
+  const [statsA, statsB] = await Promise.all([fs.lstat(pathA), fs.lstat(pathB)]);
+
+  if (statsA.isSymbolicLink() || statsB.isSymbolicLink()) {
+    return statsA.isSymbolicLink() && statsB.isSymbolicLink() &&
+      await fs.readlink(pathA) === await fs.readlink(pathB);
+  }
+
+  if (statsA.isDirectory() && statsB.isDirectory()) {
+    const [namesA, namesB] = await Promise.all([fs.readdir(pathA), fs.readdir(pathB)]);
+    if (namesA.length !== namesB.length) return false;
+
+    namesA.sort();
+    namesB.sort();
+    for (let i = 0; i < namesA.length; i++) {
+      if (namesA[i] !== namesB[i]) return false;
+      if (!await treesAreIdentical(path.join(pathA, namesA[i]), path.join(pathB, namesB[i]))) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  if (statsA.isFile() && statsB.isFile()) {
+    if (statsA.dev === statsB.dev && statsA.ino === statsB.ino) return true;
+    return statsA.size === statsB.size && filesAreIdentical(pathA, pathB);
+  }
+
+  return false;
+}
+
+function isInside(childPath, parentPath) {
+  const relative = path.relative(parentPath, childPath);
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+function isUnderRoots(filePath, roots) {
+  return roots.some(root => filePath === root || isInside(filePath, root));
+}
+
+/**
+ * Folders holding the scanned files, up to the scanned root each file was
+ * found under, with their recursive file counts and sizes
+ */
+function buildDirectoryTree(files) {
+  const directories = new Map();
+  const getDirectory = (dirPath) => {
+    if (!directories.has(dirPath)) {
+      directories.set(dirPath, { path: dirPath, files: [], children: new Set(), fileCount: 0, size: 0, modified: 0 });
+    }
+    return directories.get(dirPath);
+  };
+
+  for (const file of files) {
+    let current = path.dirname(file.path);
+    getDirectory(current).files.push(file);
+
+    for (;;) {
+      const directory = getDirectory(current);
+      directory.fileCount++;
+      directory.size += file.size;
+      directory.modified = Math.max(directory.modified, file.mtimeMs);
+
+      const parent = path.dirname(current);
+      if (current === file.root || parent === current) break;
+      getDirectory(parent).children.add(current);
+      current = parent;
+    }
+  }
+
+  return directories;
+}
+
+/**
+ * Merkle-style hash of a folder: its files' names and contents and its
+ * subfolders' names and hashes. Verified files are identified by their
+ * SHA-256; any other file by its inode, since nothing else can match it.
+ */
+function getTreeHash(directory, directories) {
+  if (directory.hash) return directory.hash;
+
+  const entries = [
+    ...directory.files.map(file =>
+      `f\0${path.basename(file.path)}\0${file.contentHash || `inode:${file.device}:${file.inode}`}`),
+    ...Array.from(directory.children, childPath =>
+      `d\0${path.basename(childPath)}\0${getTreeHash(directories.get(childPath), directories)}`)
+  ].sort();
+
+  directory.hash = crypto.createHash('sha256').update(entries.join('\n')).digest('hex');
+  return directory.hash;
+}
+
+function collectTreeFiles(directory, directories, files = []) {
+  files.push(...directory.files);
+  for (const childPath of directory.children) {
+    collectTreeFiles(directories.get(childPath), directories, files);
+  }
+  return files;
+}
+
+function toFolderEntry(directory) {
+  return {
+    path: directory.path,
+    name: path.basename(directory.path),
+    directory: path.dirname(directory.path),
+    fileCount: directory.fileCount,
+    size: directory.size,
+    sizeFormatted: formatBytes(directory.size),
+    modified: new Date(directory.modified).toISOString()
+  };
+}
+
+/**
+ * Report folders whose whole trees are duplicates, and pairs of folders that
+ * share part of their files. Only the outermost matching folders are
+ * reported; their subfolders match as a consequence.
+ * @param {Array<Object>} allFiles - Scanned files, hashed where they were candidates
+ * @param {Array<Object>} duplicateGroups - Verified file groups
+ * @param {number} minFolderOverlap - Percent, see DEFAULT_MIN_FOLDER_OVERLAP
+ */
+function findDuplicateFolders(allFiles, duplicateGroups, minFolderOverlap) {
+  const directories = buildDirectoryTree(allFiles);
+
+  // Identical trees
+  const treeGroups = new Map();
+  for (const directory of directories.values()) {
+    if (directory.fileCount < MIN_FOLDER_FILES) continue;
+    const hash = getTreeHash(directory, directories);
+    if (!treeGroups.has(hash)) treeGroups.set(hash, []);
+    treeGroups.get(hash).push(directory);
+  }
+
+  const duplicateSets = Array.from(treeGroups.entries()).filter(([, members]) => members.length > 1);
+  const duplicateDirectories = new Set(duplicateSets.flatMap(([, members]) => members.map(d => d.path)));
+
+  const folderGroups = [];
+  for (const [hash, members] of duplicateSets) {
+    // Implied when every member sits in its own duplicated parent
+    const parents = members.map(d => path.dirname(d.path));
+    if (parents.every(p => duplicateDirectories.has(p)) && new Set(parents).size === members.length) {
+      continue;
+    }
+
+    members.sort((a, b) => b.modified - a.modified);
+
+    // Hardlinked copies of the kept tree free nothing
+    const seenInodes = new Set();
+    let potentialSavings = 0;
+    members.forEach((member, index) => {
+      for (const file of collectTreeFiles(member, directories)) {
+        const key = `${file.device}:${file.inode}`;
+        if (seenInodes.has(key)) continue;
+        seenInodes.add(key);
+        if (index > 0) potentialSavings += file.size;
+      }
+    });
+    if (potentialSavings === 0) continue;
+
+    folderGroups.push({
+      id: `folder-${hash}`,
+      hash,
+      count: members.length,
+      fileCount: members[0].fileCount,
+      size: members[0].size,
+      sizeFormatted: formatBytes(members[0].size),
+      folders: members.map(toFolderEntry),
+      potentialSavings,
+      potentialSavingsFormatted: formatBytes(potentialSavings)
+    });
+  }
+  folderGroups.sort((a, b) => b.potentialSavings - a.potentialSavings);
+
+  // Partial overlaps: two copies of a file count for a pair of folders when
+  // the file has the same relative path below both
+  const pairs = new Map();
+  for (const group of duplicateGroups) {
+    if (group.files.length > MAX_OVERLAP_GROUP_SIZE) continue;
+
+    for (let i = 0; i < group.files.length; i++) {
+      for (let j = i + 1; j < group.files.length; j++) {
+        const [fileA, fileB] = [group.files[i], group.files[j]].sort((a, b) => (a.path < b.path ? -1 : 1));
+        let dirA = path.dirname(fileA.path);
+        let dirB = path.dirname(fileB.path);
+        let relativeA = path.basename(fileA.path);
+        let relativeB = path.basename(fileB.path);
+
+        while (relativeA === relativeB && dirA !== dirB && !isInside(dirA, dirB) && !isInside(dirB, dirA)) {
+          const key = `${dirA}\0${dirB}`;
+          if (!pairs.has(key)) pairs.set(key, { dirA, dirB, sharedA: new Map(), sharedB: new Map() });
+          pairs.get(key).sharedA.set(fileA.path, fileA.size);
+          pairs.get(key).sharedB.set(fileB.path, fileB.size);
+
+          const parentA = path.dirname(dirA);
+          const parentB = path.dirname(dirB);
+          if (!directories.has(parentA) || !directories.has(parentB)) break;
+          relativeA = path.join(path.basename(dirA), relativeA);
+          relativeB = path.join(path.basename(dirB), relativeB);
+          dirA = parentA;
+          dirB = parentB;
+        }
+      }
+    }
+  }
+
+  const sum = (shared) => Array.from(shared.values()).reduce((total, size) => total + size, 0);
+  const overlapping = new Map();
+  for (const [key, pair] of pairs) {
+    const directoryA = directories.get(pair.dirA);
+    const directoryB = directories.get(pair.dirB);
+    if (directoryA.hash && directoryA.hash === directoryB.hash) continue;
+    if (pair.sharedA.size < MIN_FOLDER_FILES) continue;
+
+    const sharedBytesA = sum(pair.sharedA);
+    const sharedBytesB = sum(pair.sharedB);
+    const percentA = directoryA.size > 0 ? (sharedBytesA / directoryA.size) * 100 : 0;
+    const percentB = directoryB.size > 0 ? (sharedBytesB / directoryB.size) * 100 : 0;
+    if (Math.max(percentA, percentB) < minFolderOverlap) continue;
+
+    overlapping.set(key, {
+      id: `overlap-${key}`,
+      overlap: Math.round(Math.max(percentA, percentB)),
+      sharedFiles: pair.sharedA.size,
+      sharedBytes: Math.min(sharedBytesA, sharedBytesB),
+      sharedBytesFormatted: formatBytes(Math.min(sharedBytesA, sharedBytesB)),
+      folders: [
+        { ...toFolderEntry(directoryA), sharedFiles: pair.sharedA.size, percent: Math.round(percentA) },
+        { ...toFolderEntry(directoryB), sharedFiles: pair.sharedB.size, percent: Math.round(percentB) }
+      ]
+    });
+  }
+
+  const partialOverlaps = Array.from(overlapping.entries())
+    .filter(([, overlap]) => {
+      const [a, b] = overlap.folders;
+      const parentA = path.dirname(a.path);
+      const parentB = path.dirname(b.path);
+      if (parentA === parentB) return true;
+      // Implied by an overlap or a duplicate pair one level up
+      const parentHashA = directories.has(parentA) && directories.get(parentA).hash;
+      return !overlapping.has(`${parentA}\0${parentB}`) && !(parentHashA && parentHashA === directories.get(parentB)?.hash);
+    })
+    .map(([, overlap]) => overlap)
+    .sort((a, b) => b.sharedBytes - a.sharedBytes);
+
+  return { folderGroups, partialOverlaps };
+}
+
+/**
+ * Compare the entries of zip, tar and tar.gz archives with the loose files.
+ * An archive whose entries all exist as loose files is redundant. Entries are
+ * only read when a loose file has the same size.
+ * @returns {Array<Object>} Archives with at least one matched entry,
+ *   redundant ones first
+ */
+async function findArchiveMatches(archives, looseFiles, cachedHashes, cache, progressCallback, cancelToken) {
+  const looseBySize = new Map();
+  for (const file of looseFiles) {
+    if (!looseBySize.has(file.size)) {
+      looseBySize.set(file.size, []);
+    }
+    looseBySize.get(file.size).push(file);
+  }
+
+  const getContentHash = async (file) => {
+    if (!file.contentHash) {
+      const cached = getCachedHashes(cachedHashes, file);
+      if (cached && cached.fullHash) {
+        file.contentHash = cached.fullHash;
+        cache.hits++;
+      } else {
+        file.contentHash = await calculateFullHash(file.path);
+        cache.misses++;
+      }
+    }
+    return file.contentHash;
+  };
+
+  const archiveMatches = [];
+
+  for (let i = 0; i < archives.length; i++) {
+    if (cancelToken && cancelToken.cancelled) {
+      throw new Error('Scan cancelled by user');
+    }
+
+    const archive = archives[i];
+    if (progressCallback) {
+      progressCallback({
+        stage: 'archives',
+        current: i + 1,
+        total: archives.length,
+        message: `Reading archives... ${i + 1}/${archives.length}`
+      });
+    }
+
+    let entries;
+    try {
+      entries = await readArchiveEntries(archive.path, size => looseBySize.has(size), cancelToken);
+    } catch (err) {
+      if (cancelToken && cancelToken.cancelled) throw err;
+      console.error(`[DUPLICATES] Could not read archive ${archive.path}:`, err.message);
+      continue;
+    }
+
+    const matched = [];
+    for (const entry of entries) {
+      if (!entry.hash) continue;
+
+      const copies = [];
+      for (const file of looseBySize.get(entry.size)) {
+        if (file === archive) continue;
+        try {
+          if (await getContentHash(file) === entry.hash) copies.push(file.path);
+        } catch (err) {
+          console.error(`Error verifying ${file.path}:`, err.message);
+        }
+      }
+
+      if (copies.length > 0) {
+        matched.push({
+          name: entry.name,
+          size: entry.size,
+          sizeFormatted: formatBytes(entry.size),
+          looseFiles: copies
+        });
+      }
+    }
+    if (matched.length === 0) continue;
+
+    const matchedBytes = matched.reduce((sum, entry) => sum + entry.size, 0);
+    archiveMatches.push({
+      ...toFileEntry(archive),
+      id: `archive-${archive.path}`,
+      format: getArchiveFormat(archive.name),
+      totalEntries: entries.length,
+      matchedEntries: matched.length,
+      unreadableEntries: entries.filter(entry => entry.error).length,
+      matchedBytes,
+      matchedBytesFormatted: formatBytes(matchedBytes),
+      redundant: matched.length === entries.length,
+      entries: matched
+    });
+  }
+
+  return archiveMatches.sort((a, b) => (b.redundant - a.redundant) || (b.matchedBytes - a.matchedBytes));
+}
+
 /**
  * Recursively scan directory for files
+ * @param {Object} scope - Filters from createScanScope; defaults skip hidden
+ *   entries and files under 1 KB
  */
-async function scanDirectory(dirPath, fileTypeFilter, progressCallback, cancelToken) {
+async function scanDirectory(dirPath, fileTypeFilter, progressCallback, cancelToken, scope = createScanScope()) {
   const files = [];
 
   async function scan(currentPath, depth = 0) {
@@ -157,8 +745,8 @@ async function scanDirectory(dirPath, fileTypeFilter, progressCallback, cancelTo
     // Limit recursion depth to prevent infinite loops and excessive scanning
     if (depth > 10) return;
 
-    // Skip system and hidden directories
-    if (shouldSkipPath(currentPath)) {
+    // Skip system and excluded directories
+    if (scope.skipDirectory(currentPath)) {
       return;
     }
 
@@ -173,8 +761,8 @@ async function scanDirectory(dirPath, fileTypeFilter, progressCallback, cancelTo
 
         const fullPath = path.join(currentPath, entry.name);
 
-        // Skip hidden files and system files
-        if (entry.name.startsWith('.')) continue;
+        // Skip hidden files and folders unless the scope includes them
+        if (scope.skipEntry(entry.name) || entry.name === QUARANTINE_STORE_NAME) continue;
 
         try {
           if (entry.isDirectory()) {
@@ -187,15 +775,22 @@ async function scanDirectory(dirPath, fileTypeFilter, progressCallback, cancelTo
               continue;
             }
 
+            if (!scope.acceptFile(fullPath)) {
+              continue;
+            }
+
             const stats = await fs.stat(fullPath);
 
-            // Only consider files >= 1KB to avoid tiny config files
-            if (stats.size >= 1024) {
+            // Tiny files are mostly config; the scope sets the threshold
+            if (stats.size >= scope.minFileSize) {
               files.push({
                 path: fullPath,
                 name: entry.name,
                 size: stats.size,
                 modified: stats.mtime,
+                mtimeMs: stats.mtimeMs,
+                device: stats.dev,
+                inode: stats.ino,
                 extension: ext
               });
 
@@ -228,10 +823,23 @@ async function scanDirectory(dirPath, fileTypeFilter, progressCallback, cancelTo
  */
 async function findDuplicates(options = {}, progressCallback, cancelToken) {
   const {
-    paths = DEFAULT_SCAN_PATHS[process.platform] || DEFAULT_SCAN_PATHS.darwin,
     fileType = 'all',
-    minFileSize = 1024 // 1KB minimum
+    minFolderOverlap = DEFAULT_MIN_FOLDER_OVERLAP,
+    scanArchives = false
   } = options;
+  const paths = resolveScanPaths(options.paths);
+  const scope = createScanScope(options);
+  const { minFileSize } = scope;
+
+  // Reference mode: `paths` are the targets, and only target files whose
+  // content also exists under a reference root are reported
+  const referencePaths = resolveScanPaths(options.referencePaths, []);
+  const isReferenceMode = referencePaths.length > 0;
+  const scanPaths = isReferenceMode ? resolveScanPaths([...referencePaths, ...paths]) : paths;
+  const nestedTarget = isReferenceMode && paths.find(p => isUnderRoots(p, referencePaths));
+  if (nestedTarget) {
+    throw new Error(`${nestedTarget} is inside a reference folder, so nothing in it can be removed`);
+  }
 
   const startTime = Date.now();
 
@@ -242,7 +850,13 @@ async function findDuplicates(options = {}, progressCallback, cancelToken) {
 
   let allFiles = [];
 
-  for (const scanPath of paths) {
+  // Archives are scanned whatever the file type, and compared with the
+  // loose files of that type
+  const fileTypeFilter = FILE_TYPE_FILTERS[fileType] || null;
+  const compareArchives = scanArchives && !isReferenceMode;
+  const scanFilter = compareArchives && fileTypeFilter ? [...fileTypeFilter, ...ARCHIVE_EXTENSIONS] : fileTypeFilter;
+
+  for (const scanPath of scanPaths) {
     try {
       const stats = await fs.stat(scanPath);
       if (!stats.isDirectory()) continue;
@@ -255,14 +869,23 @@ async function findDuplicates(options = {}, progressCallback, cancelToken) {
         });
       }
 
-      const fileTypeFilter = FILE_TYPE_FILTERS[fileType] || null;
-      const files = await scanDirectory(scanPath, fileTypeFilter, progressCallback, cancelToken);
+      const files = await scanDirectory(scanPath, scanFilter, progressCallback, cancelToken, scope);
+      // Folder trees are built up to the root each file was found under
+      files.forEach(file => {
+        file.root = scanPath;
+        file.reference = isReferenceMode && isUnderRoots(file.path, referencePaths);
+      });
       allFiles.push(...files);
     } catch (err) {
       console.error(`Error scanning ${scanPath}:`, err.message);
     }
   }
 
+  const archives = compareArchives ? allFiles.filter(file => getArchiveFormat(file.name)) : [];
+  if (scanFilter !== fileTypeFilter) {
+    allFiles = allFiles.filter(file => fileTypeFilter.includes(file.extension));
+  }
+
   if (progressCallback) {
     progressCallback({
       stage: 'analyzing',
@@ -283,12 +906,13 @@ async function findDuplicates(options = {}, progressCallback, cancelToken) {
     }
   }
 
-  // Filter out unique sizes
+  // Filter out unique sizes, and in reference mode sizes missing from
+  // either side
   const potentialDuplicates = [];
   for (const [size, files] of sizeGroups.entries()) {
-    if (files.length > 1) {
-      potentialDuplicates.push(...files);
-    }
+    if (files.length < 2) continue;
+    if (isReferenceMode && (files.every(f => f.reference) || !files.some(f => f.reference))) continue;
+    potentialDuplicates.push(...files);
   }
 
   if (progressCallback) {
@@ -300,149 +924,734 @@ async function findDuplicates(options = {}, progressCallback, cancelToken) {
     });
   }
 
-  // Step 3: Calculate hashes for potential duplicates
-  const hashGroups = new Map();
-  let hashedCount = 0;
+  // Hashes of unchanged files are reused from earlier scans
+  const cachedHashes = loadHashes(scanPaths);
+  const cache = { hits: 0, misses: 0 };
 
-  for (const file of potentialDuplicates) {
-    // Check cancellation
-    if (cancelToken && cancelToken.cancelled) {
-      throw new Error('Scan cancelled by user');
-    }
+  const duplicateGroups = [];
+  const nearMatches = [];
+  let archiveMatches = [];
+  let totalDuplicateSize = 0;
+  let totalDuplicateFiles = 0;
 
-    try {
-      const hash = await calculateFileHash(file.path, file.size);
-      const key = `${file.size}-${hash}`; // Combine size and hash for key
+  // Whatever was hashed is stored even when the scan is cancelled
+  try {
+    // Step 3: Calculate hashes for potential duplicates
+    const hashGroups = new Map();
+    let hashedCount = 0;
 
-      if (!hashGroups.has(key)) {
-        hashGroups.set(key, []);
+    for (const file of potentialDuplicates) {
+      // Check cancellation
+      if (cancelToken && cancelToken.cancelled) {
+        throw new Error('Scan cancelled by user');
       }
 
-      hashGroups.get(key).push({
-        ...file,
-        hash
-      });
+      try {
+        const cached = getCachedHashes(cachedHashes, file);
+        if (cached && cached.partialHash) {
+          file.hash = cached.partialHash;
+          cache.hits++;
+        } else {
+          file.hash = await calculateFileHash(file.path, file.size);
+          cache.misses++;
+        }
+        const key = `${file.size}-${file.hash}`; // Combine size and hash for key
+
+        if (!hashGroups.has(key)) {
+          hashGroups.set(key, []);
+        }
 
-      hashedCount++;
+        hashGroups.get(key).push(file);
 
-      if (progressCallback && hashedCount % 10 === 0) {
-        progressCallback({
-          stage: 'hashing',
-          current: hashedCount,
-          total: potentialDuplicates.length,
-          message: `Hashing files... ${hashedCount}/${potentialDuplicates.length}`
-        });
+        hashedCount++;
+
+        if (progressCallback && hashedCount % 10 === 0) {
+          progressCallback({
+            stage: 'hashing',
+            current: hashedCount,
+            total: potentialDuplicates.length,
+            cacheHits: cache.hits,
+            cacheMisses: cache.misses,
+            message: `Hashing files... ${hashedCount}/${potentialDuplicates.length}`
+          });
+        }
+      } catch (err) {
+        console.error(`Error hashing ${file.path}:`, err.message);
       }
-    } catch (err) {
-      console.error(`Error hashing ${file.path}:`, err.message);
     }
-  }
 
-  // Step 4: Build duplicate groups
-  const duplicateGroups = [];
-  let totalDuplicateSize = 0;
-  let totalDuplicateFiles = 0;
+    // Step 4: Verify candidate groups with a full SHA-256. The first pass only
+    // samples the ends of large files, so files that differ in the middle can
+    // share a candidate group; such groups are reported as near matches.
+    const candidateGroups = Array.from(hashGroups.values()).filter(files => files.length > 1);
+    const verifyTotal = candidateGroups.reduce((sum, files) => sum + files.length, 0);
+    let verifiedCount = 0;
 
-  for (const [key, files] of hashGroups.entries()) {
-    if (files.length > 1) {
-      // Sort by modified date (newest first by default)
-      files.sort((a, b) => b.modified - a.modified);
-
-      const groupSize = files[0].size * (files.length - 1); // Space that could be freed
-      totalDuplicateSize += groupSize;
-      totalDuplicateFiles += files.length - 1;
-
-      duplicateGroups.push({
-        id: key,
-        hash: files[0].hash,
-        size: files[0].size,
-        sizeFormatted: formatBytes(files[0].size),
-        count: files.length,
-        files: files.map(f => ({
-          path: f.path,
-          name: f.name,
-          directory: path.dirname(f.path),
-          size: f.size,
-          sizeFormatted: formatBytes(f.size),
-          modified: f.modified.toISOString(),
-          extension: f.extension
-        })),
-        potentialSavings: groupSize,
-        potentialSavingsFormatted: formatBytes(groupSize)
+    if (progressCallback) {
+      progressCallback({
+        stage: 'verifying',
+        message: `Verifying ${verifyTotal} candidate duplicates...`,
+        total: verifyTotal,
+        current: 0
       });
     }
+
+    for (const candidates of candidateGroups) {
+      const contentGroups = new Map();
+
+      for (const file of candidates) {
+        if (cancelToken && cancelToken.cancelled) {
+          throw new Error('Scan cancelled by user');
+        }
+
+        try {
+          const cached = getCachedHashes(cachedHashes, file);
+          if (cached && cached.fullHash) {
+            file.contentHash = cached.fullHash;
+            cache.hits++;
+          } else {
+            file.contentHash = await calculateFullHash(file.path);
+            cache.misses++;
+          }
+          if (!contentGroups.has(file.contentHash)) {
+            contentGroups.set(file.contentHash, []);
+          }
+          contentGroups.get(file.contentHash).push(file);
+        } catch (err) {
+          console.error(`Error verifying ${file.path}:`, err.message);
+        }
+
+        verifiedCount++;
+        if (progressCallback && (verifiedCount % 10 === 0 || verifiedCount === verifyTotal)) {
+          progressCallback({
+            stage: 'verifying',
+            current: verifiedCount,
+            total: verifyTotal,
+            cacheHits: cache.hits,
+            cacheMisses: cache.misses,
+            message: `Verifying duplicates... ${verifiedCount}/${verifyTotal}`
+          });
+        }
+      }
+
+      for (const [contentHash, files] of contentGroups.entries()) {
+        if (files.length < 2) continue;
+
+        // Hardlinks of one file (e.g. after deduplicateFiles) share their
+        // data, so only distinct inodes count as copies
+        const copies = new Set(files.map(f => `${f.device}:${f.inode}`)).size;
+        if (copies < 2) continue;
+
+        // In reference mode every target copy can go; none of the reference
+        // copies can. Target hardlinks of a reference file free nothing.
+        let removable = copies - 1;
+        if (isReferenceMode) {
+          const referenceInodes = new Set(files.filter(f => f.reference).map(f => `${f.device}:${f.inode}`));
+          if (referenceInodes.size === 0 || files.every(f => f.reference)) continue;
+          removable = copies - referenceInodes.size;
+        }
+
+        // Sort by modified date (newest first by default), reference copies first
+        files.sort((a, b) => (b.reference - a.reference) || (b.modified - a.modified));
+
+        const groupSize = files[0].size * removable; // Space that could be freed
+        totalDuplicateSize += groupSize;
+        totalDuplicateFiles += removable;
+
+        duplicateGroups.push({
+          id: `${files[0].size}-${contentHash}`,
+          hash: contentHash,
+          verified: true,
+          size: files[0].size,
+          sizeFormatted: formatBytes(files[0].size),
+          count: files.length,
+          copies,
+          files: files.map(toFileEntry),
+          potentialSavings: groupSize,
+          potentialSavingsFormatted: formatBytes(groupSize)
+        });
+      }
+
+      const comparesReference = !isReferenceMode ||
+        (candidates.some(f => f.reference) && candidates.some(f => !f.reference));
+      if (contentGroups.size > 1 && comparesReference) {
+        const variants = Array.from(contentGroups.keys());
+        candidates.sort((a, b) => (b.reference - a.reference) || (b.modified - a.modified));
+
+        nearMatches.push({
+          id: `near-${candidates[0].size}-${candidates[0].hash}`,
+          size: candidates[0].size,
+          sizeFormatted: formatBytes(candidates[0].size),
+          count: candidates.length,
+          variants: variants.length,
+          files: candidates.map(f => ({
+            ...toFileEntry(f),
+            variant: f.contentHash ? variants.indexOf(f.contentHash) + 1 : null
+          }))
+        });
+      }
+    }
+
+    // Step 4b: Archives whose entries already exist as loose files
+    if (archives.length > 0) {
+      archiveMatches = await findArchiveMatches(archives, allFiles, cachedHashes, cache, progressCallback, cancelToken);
+    }
+  } finally {
+    const { stored, pruned } = await saveHashes(cachedHashes, allFiles);
+    console.log(`[DUPLICATES] Hash cache: ${cache.hits} hits, ${cache.misses} misses, ${stored} stored, ${pruned} pruned`);
   }
 
   // Sort groups by potential savings (largest first)
   duplicateGroups.sort((a, b) => b.potentialSavings - a.potentialSavings);
 
+  // Step 5: Whole folders that are duplicates, and folders sharing most
+  // files. Reference mode compares files only.
+  let folderGroups = [];
+  let partialOverlaps = [];
+  if (!isReferenceMode) {
+    if (progressCallback) {
+      progressCallback({ stage: 'folders', message: 'Comparing folders...' });
+    }
+    ({ folderGroups, partialOverlaps } = findDuplicateFolders(allFiles, duplicateGroups, minFolderOverlap));
+  }
+
+  // File groups inside duplicate folders are listed with their folders
+  const duplicateFolderPaths = folderGroups.flatMap(group => group.folders.map(folder => folder.path));
+  for (const group of duplicateGroups) {
+    group.insideDuplicateFolders = group.files.every(file =>
+      duplicateFolderPaths.some(folderPath => isInside(file.path, folderPath)));
+  }
+
+  const redundantArchives = archiveMatches.filter(archive => archive.redundant);
+  const redundantArchiveSize = redundantArchives.reduce((sum, archive) => sum + archive.size, 0);
+
   const scanDuration = Date.now() - startTime;
 
   return {
     success: true,
     groups: duplicateGroups,
+    nearMatches,
+    folderGroups,
+    partialOverlaps,
+    archiveMatches,
     summary: {
       totalFiles: allFiles.length,
       totalDuplicateGroups: duplicateGroups.length,
+      totalNearMatchGroups: nearMatches.length,
+      totalFolderGroups: folderGroups.length,
+      totalPartialOverlaps: partialOverlaps.length,
+      totalArchiveMatches: archiveMatches.length,
+      totalRedundantArchives: redundantArchives.length,
+      redundantArchiveSize,
+      redundantArchiveSizeFormatted: formatBytes(redundantArchiveSize),
+      cacheHits: cache.hits,
+      cacheMisses: cache.misses,
       totalDuplicateFiles,
       totalPotentialSavings: totalDuplicateSize,
       totalPotentialSavingsFormatted: formatBytes(totalDuplicateSize),
       scanDuration: `${(scanDuration / 1000).toFixed(2)}s`,
-      scannedPaths: paths
+      scannedPaths: isReferenceMode ? scanPaths.filter(p => !isUnderRoots(p, referencePaths)) : paths,
+      referencePaths
     }
   };
 }
 
 /**
- * Delete selected duplicate files
+ * Delete selected duplicate files. Each file names the copy that stays and is
+ * only removed when the two still match byte for byte.
+ * @param {Array<{path: string, keepPath: string}>} removals - Files to delete
+ * @param {Object} options - { dryRun } returns a manifest without touching the
+ *   disk; { referencePaths } are never deleted from
  */
-async function deleteDuplicates(filePaths, progressCallback) {
+async function deleteDuplicates(removals, progressCallback, options = {}) {
   const results = {
     deleted: [],
     failed: [],
+    skipped: [],
     totalFreed: 0
   };
 
-  for (let i = 0; i < filePaths.length; i++) {
-    const filePath = filePaths[i];
+  const batch = createBatch('duplicate-finder', 'Duplicate Files', { dryRun: options.dryRun });
+
+  const removing = new Set(removals.map(removal => removal.path));
+  const referencePaths = resolveScanPaths(options.referencePaths, []);
+
+  for (let i = 0; i < removals.length; i++) {
+    const { path: filePath, keepPath } = removals[i];
 
     if (progressCallback) {
       progressCallback({
         current: i + 1,
-        total: filePaths.length,
+        total: removals.length,
         path: filePath
       });
     }
 
+    if (!keepPath || keepPath === filePath || removing.has(keepPath)) {
+      results.skipped.push({
+        path: filePath,
+        reason: 'No copy of this file is kept',
+        filter: 'verification'
+      });
+      continue;
+    }
+
+    if (isUnderRoots(filePath, referencePaths)) {
+      results.skipped.push({
+        path: filePath,
+        reason: 'In a reference folder',
+        filter: 'reference'
+      });
+      continue;
+    }
+
+    // Duplicates live in personal folders, so only the other rules apply
+    const protection = evaluatePath(filePath, { allowPersonalFolders: true });
+    if (protection.protected) {
+      results.skipped.push({
+        path: filePath,
+        reason: `Protected: ${protection.rule.description}`,
+        filter: 'protection',
+        rule: protection.rule
+      });
+      continue;
+    }
+
+    let sameFile;
+    let identical;
     try {
-      // Verify file still exists
-      const stats = await fs.stat(filePath);
-      const fileSize = stats.size;
+      sameFile = await isSameEntry(filePath, keepPath);
+      identical = sameFile || await filesAreIdentical(filePath, keepPath);
+    } catch (err) {
+      results.skipped.push({
+        path: filePath,
+        reason: `Could not compare with ${keepPath}: ${err.message}`,
+        filter: 'verification'
+      });
+      continue;
+    }
+    if (sameFile) {
+      results.skipped.push({
+        path: filePath,
+        reason: `Same file as ${keepPath}`,
+        filter: 'verification'
+      });
+      continue;
+    }
+    if (!identical) {
+      results.skipped.push({
+        path: filePath,
+        reason: `Contents differ from ${keepPath}`,
+        filter: 'verification'
+      });
+      continue;
+    }
 
-      // Delete the file
-      await fs.unlink(filePath);
+    // Move the file into quarantine (fails if it no longer exists)
+    const result = await batch.add(filePath);
 
+    if (result.success) {
       results.deleted.push(filePath);
-      results.totalFreed += fileSize;
+      results.totalFreed += result.size;
+    } else {
+      results.failed.push({
+        path: filePath,
+        error: result.error
+      });
+    }
+  }
+
+  results.freeSpace = await batch.commit();
+  results.quarantineBatchId = batch.getStoredBatchId();
+
+  results.totalFreedFormatted = formatBytes(results.totalFreed);
+
+  if (batch.dryRun) {
+    results.dryRun = true;
+    results.manifest = batch.getManifest({ skipped: results.skipped, failed: results.failed });
+  }
+
+  return {
+    success: true,
+    data: results
+  };
+}
+
+/**
+ * Delete selected duplicate folders. Each folder names the copy that stays
+ * and is only removed when the two trees still match entry for entry,
+ * including the hidden and small files the scan leaves out.
+ * @param {Array<{path: string, keepPath: string}>} removals - Folders to delete
+ * @param {Object} options - { dryRun } returns a manifest without touching the disk
+ */
+async function deleteDuplicateFolders(removals, progressCallback, options = {}) {
+  const results = {
+    deleted: [],
+    failed: [],
+    skipped: [],
+    totalFreed: 0
+  };
+
+  const batch = createBatch('duplicate-finder', 'Duplicate Folders', { dryRun: options.dryRun });
+
+  const removing = removals.map(removal => removal.path);
+
+  for (let i = 0; i < removals.length; i++) {
+    const { path: folderPath, keepPath } = removals[i];
+
+    if (progressCallback) {
+      progressCallback({
+        current: i + 1,
+        total: removals.length,
+        path: folderPath
+      });
+    }
+
+    const skip = (reason) => {
+      results.skipped.push({ path: folderPath, reason, filter: 'verification' });
+    };
+
+    if (!keepPath || removing.some(p => p === keepPath || isInside(keepPath, p))) {
+      skip('No copy of this folder is kept');
+      continue;
+    }
+    if (keepPath === folderPath || isInside(keepPath, folderPath) || isInside(folderPath, keepPath)) {
+      skip(`Contains or is inside the kept folder ${keepPath}`);
+      continue;
+    }
+
+    const protection = await evaluateTree(folderPath, { allowPersonalFolders: true });
+    if (protection.protected) {
+      results.skipped.push({
+        path: folderPath,
+        reason: protection.reason,
+        filter: 'protection',
+        rule: protection.rule
+      });
+      continue;
+    }
+
+    let sameFolder;
+    let identical;
+    try {
+      sameFolder = await isSameEntry(folderPath, keepPath);
+      identical = sameFolder || await treesAreIdentical(folderPath, keepPath);
     } catch (err) {
+      skip(`Could not compare with ${keepPath}: ${err.message}`);
+      continue;
+    }
+    if (sameFolder) {
+      skip(`Same folder as ${keepPath}`);
+      continue;
+    }
+    if (!identical) {
+      skip(`Contents differ from ${keepPath}`);
+      continue;
+    }
+
+    const result = await batch.add(folderPath);
+
+    if (result.success) {
+      results.deleted.push(folderPath);
+      results.totalFreed += result.size;
+    } else {
       results.failed.push({
+        path: folderPath,
+        error: result.error
+      });
+    }
+  }
+
+  results.freeSpace = await batch.commit();
+  results.quarantineBatchId = batch.getStoredBatchId();
+
+  results.totalFreedFormatted = formatBytes(results.totalFreed);
+
+  if (batch.dryRun) {
+    results.dryRun = true;
+    results.manifest = batch.getManifest({ skipped: results.skipped, failed: results.failed });
+  }
+
+  return {
+    success: true,
+    data: results
+  };
+}
+
+/**
+ * Put a link to keepPath in place of filePath: a reflink clone where the
+ * filesystem supports copy-on-write, otherwise a hardlink. The link is built
+ * under a temporary name next to the copy and renamed over it, so the path
+ * never disappears.
+ * @returns {Promise<string>} 'reflink' or 'hardlink'
+ */
+async function replaceWithLink(filePath, keepPath, copyStats, keepStats, method) {
+  const tempPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.dedupe-${crypto.randomBytes(4).toString('hex')}`
+  );
+
+  let used = null;
+  try {
+    if (method !== 'hardlink') {
+      try {
+        await fs.copyFile(keepPath, tempPath, fsSync.constants.COPYFILE_FICLONE_FORCE);
+        // A clone is a separate inode: give it the copy's permissions and times
+        await fs.chmod(tempPath, copyStats.mode & 0o7777);
+        try {
+          await fs.chown(tempPath, copyStats.uid, copyStats.gid);
+        } catch (err) {
+          // Only root can give files away; the owner stays the current user
+        }
+        await fs.utimes(tempPath, copyStats.atime, copyStats.mtime);
+        used = 'reflink';
+      } catch (err) {
+        await fs.rm(tempPath, { force: true });
+        if (method === 'reflink') {
+          throw new Error(`Reflinks are not supported here (${err.code || err.message})`);
+        }
+      }
+    }
+
+    if (!used) {
+      // A hardlink shares the kept file's inode, so it can only keep the
+      // copy's permissions and modification time when they are the same
+      const differs = [
+        (copyStats.mode & 0o7777) !== (keepStats.mode & 0o7777) && 'permissions',
+        (copyStats.uid !== keepStats.uid || copyStats.gid !== keepStats.gid) && 'owner',
+        copyStats.mtimeMs !== keepStats.mtimeMs && 'modification time'
+      ].filter(Boolean);
+      if (differs.length > 0) {
+        const verb = differs.length === 1 ? 'differs' : 'differ';
+        const error = new Error(`Not hardlinked: ${differs.join(', ')} ${verb} from ${keepPath}, and a hardlink would take on the kept file's`);
+        error.code = 'LINK_METADATA_MISMATCH';
+        throw error;
+      }
+      await fs.link(keepPath, tempPath);
+      used = 'hardlink';
+    }
+
+    // The copy must not have changed since it was compared
+    const current = await fs.lstat(filePath);
+    if (current.ino !== copyStats.ino || current.size !== copyStats.size || current.mtimeMs !== copyStats.mtimeMs) {
+      throw new Error('File changed while it was being replaced');
+    }
+
+    await fs.rename(tempPath, filePath);
+    return used;
+  } catch (err) {
+    await fs.rm(tempPath, { force: true });
+    throw err;
+  }
+}
+
+/**
+ * Replace selected duplicates with links to the copy that stays, so every
+ * path keeps working while the data is stored once. Each file is compared
+ * byte for byte with its kept copy first.
+ * @param {Array<{path: string, keepPath: string}>} replacements - Files to replace
+ * @param {Object} options - { method: 'auto' | 'reflink' | 'hardlink' }; auto
+ *   tries a reflink clone and falls back to a hardlink. A file whose
+ *   permissions, owner or mtime differ from the kept copy is skipped rather
+ *   than hardlinked. Files under { referencePaths } are never replaced.
+ */
+async function deduplicateFiles(replacements, progressCallback, options = {}) {
+  const method = options.method || 'auto';
+  const results = {
+    replaced: [],
+    failed: [],
+    skipped: [],
+    totalFreed: 0
+  };
+
+  const monitor = createFreeSpaceMonitor();
+  const replacing = new Set(replacements.map(replacement => replacement.path));
+  const referencePaths = resolveScanPaths(options.referencePaths, []);
+
+  for (let i = 0; i < replacements.length; i++) {
+    const { path: filePath, keepPath } = replacements[i];
+
+    if (progressCallback) {
+      progressCallback({
+        current: i + 1,
+        total: replacements.length,
+        path: filePath
+      });
+    }
+
+    const skip = (reason, filter = 'verification') => {
+      results.skipped.push({ path: filePath, reason, filter });
+    };
+
+    if (!keepPath || keepPath === filePath || replacing.has(keepPath)) {
+      skip('No copy of this file is kept');
+      continue;
+    }
+
+    if (isUnderRoots(filePath, referencePaths)) {
+      skip('In a reference folder', 'reference');
+      continue;
+    }
+
+    const protection = evaluatePath(filePath, { allowPersonalFolders: true });
+    if (protection.protected) {
+      results.skipped.push({
         path: filePath,
-        error: err.message
+        reason: `Protected: ${protection.rule.description}`,
+        filter: 'protection',
+        rule: protection.rule
       });
+      continue;
+    }
+
+    try {
+      const [copyStats, keepStats] = await Promise.all([fs.lstat(filePath), fs.lstat(keepPath)]);
+      if (!copyStats.isFile() || !keepStats.isFile()) {
+        skip('Only regular files can be linked');
+        continue;
+      }
+      if (copyStats.dev !== keepStats.dev) {
+        skip(`On a different filesystem than ${keepPath}`);
+        continue;
+      }
+      if (copyStats.ino === keepStats.ino) {
+        skip(`Already a hardlink of ${keepPath}`);
+        continue;
+      }
+      if (!await filesAreIdentical(filePath, keepPath)) {
+        skip(`Contents differ from ${keepPath}`);
+        continue;
+      }
+
+      await monitor.track(filePath);
+      const used = await replaceWithLink(filePath, keepPath, copyStats, keepStats, method);
+
+      // The copy's blocks are released unless another hardlink still holds them
+      const freed = copyStats.nlink > 1 ? 0 : getDiskSize(copyStats);
+      results.replaced.push({ path: filePath, keepPath, method: used, freed });
+      results.totalFreed += freed;
+    } catch (err) {
+      if (err.code === 'LINK_METADATA_MISMATCH') {
+        skip(err.message, 'metadata');
+      } else {
+        results.failed.push({ path: filePath, error: err.message });
+      }
     }
   }
 
+  results.freeSpace = await monitor.measure();
   results.totalFreedFormatted = formatBytes(results.totalFreed);
 
+  const byMethod = method => results.replaced.filter(item => item.method === method).length;
+  console.log(`[DUPLICATES] Replaced ${results.replaced.length} duplicates with links (${byMethod('reflink')} reflinks, ${byMethod('hardlink')} hardlinks), ${results.totalFreedFormatted} freed`);
+
   return {
     success: true,
     data: results
   };
 }
 
+/**
+ * Re-check a saved scan session against the disk, so its selection can be
+ * reviewed later or on another machine. Files whose size or modification
+ * time differ from the scan, or that are gone, are marked `stale` with a
+ * `staleReason`; folders only need to still exist. Everything else is kept
+ * as saved: deletion compares every file with its kept copy again anyway.
+ * @param {Object} session - { type: 'duplicate-scan-session', version,
+ *   results, selection, ... } as saved by the Duplicate File Finder
+ * @param {Function} progressCallback - Receives { stage: 'validating', current, total }
+ * @param {Object} cancelToken - { cancelled }
+ */
+async function validateScanSession(session, progressCallback, cancelToken) {
+  if (!session || session.type !== SESSION_TYPE || !session.results || !Array.isArray(session.results.groups)) {
+    throw new Error('Not a duplicate scan session');
+  }
+  if (session.version > SESSION_VERSION) {
+    throw new Error('This session was saved by a newer version of the app');
+  }
+
+  const { results } = session;
+  const files = [
+    ...(results.groups || []).flatMap(group => group.files),
+    ...(results.nearMatches || []).flatMap(group => group.files),
+    ...(results.archiveMatches || [])
+  ];
+  const folders = [
+    ...(results.folderGroups || []).flatMap(group => group.folders),
+    ...(results.partialOverlaps || []).flatMap(overlap => overlap.folders)
+  ];
+
+  // A path can be listed more than once (e.g. in a group and a near match)
+  const stats = new Map();
+  const getStats = async (entryPath) => {
+    if (!stats.has(entryPath)) {
+      stats.set(entryPath, await fs.stat(entryPath).catch(() => null));
+    }
+    return stats.get(entryPath);
+  };
+
+  const entries = [...files, ...folders];
+  let staleCount = 0;
+
+  for (let i = 0; i < entries.length; i++) {
+    if (cancelToken && cancelToken.cancelled) {
+      throw new Error('Validation cancelled by user');
+    }
+
+    const entry = entries[i];
+    const isFolder = i >= files.length;
+    const current = await getStats(entry.path);
+
+    let staleReason = null;
+    if (!current) {
+      staleReason = 'No longer exists';
+    } else if (isFolder ? !current.isDirectory() : !current.isFile()) {
+      staleReason = isFolder ? 'No longer a folder' : 'No longer a file';
+    } else if (!isFolder && current.size !== entry.size) {
+      staleReason = 'Size changed since the scan';
+    } else if (!isFolder && current.mtime.toISOString() !== entry.modified) {
+      staleReason = 'Modified since the scan';
+    }
+
+    if (staleReason) {
+      entry.stale = true;
+      entry.staleReason = staleReason;
+      staleCount++;
+    } else {
+      delete entry.stale;
+      delete entry.staleReason;
+    }
+
+    if (progressCallback && ((i + 1) % 100 === 0 || i + 1 === entries.length)) {
+      progressCallback({ stage: 'validating', current: i + 1, total: entries.length });
+    }
+  }
+
+  return {
+    success: true,
+    data: {
+      ...session,
+      validation: {
+        validatedAt: new Date().toISOString(),
+        checked: entries.length,
+        stale: staleCount
+      }
+    }
+  };
+}
+
 module.exports = {
   findDuplicates,
+  validateScanSession,
+  getDefaultScanPaths,
+  getXdgUserDirs,
+  resolveScanPaths,
+  createScanScope,
   deleteDuplicates,
+  deleteDuplicateFolders,
+  deduplicateFiles,
+  scanDirectory,
+  toFileEntry,
   FILE_TYPE_FILTERS,
   formatBytes
 };
@@ -16,6 +16,9 @@ const {
   readBraveExtensions,
   readOperaExtensions
 } = require('./browserDatabaseReaders');
+const { createBatch } = require('./quarantine');
+const { evaluateTree } = require('./protectionRules');
+const { createLimiter, measureTree } = require('./scanWorker');
 
 class ExtensionRemnantCleaner {
   constructor() {
@@ -296,7 +299,9 @@ class ExtensionRemnantCleaner {
           };
 
           // Calculate size
-          remnant.size = await this.calculateFolderSize(remnant.path);
+          const { size, diskSize } = await this.calculateFolderSize(remnant.path);
+          remnant.size = size;
+          remnant.diskSize = diskSize;
 
           // Get last modified date
           remnant.lastModified = await this.getLastModified(remnant.path);
@@ -441,31 +446,17 @@ class ExtensionRemnantCleaner {
   }
 
   /**
-   * Calculate total size of a folder
+   * Calculate the apparent and on-disk size of a folder. Symlinks are not
+   * followed and a hardlinked file counts once.
    */
   async calculateFolderSize(folderPath) {
-    let totalSize = 0;
-
     try {
-      const stat = await fs.stat(folderPath);
-
-      if (stat.isFile()) {
-        return stat.size;
-      }
-
-      if (stat.isDirectory()) {
-        const entries = await fs.readdir(folderPath, { withFileTypes: true });
-
-        for (const entry of entries) {
-          const entryPath = path.join(folderPath, entry.name);
-          totalSize += await this.calculateFolderSize(entryPath);
-        }
-      }
+      const { size, diskSize } = await measureTree(folderPath, createLimiter(32));
+      return { size, diskSize };
     } catch (error) {
       // Ignore errors for inaccessible files
+      return { size: 0, diskSize: 0 };
     }
-
-    return totalSize;
   }
 
   /**
@@ -551,6 +542,7 @@ class ExtensionRemnantCleaner {
           author: remnant.metadata.author,
           browser: remnant.browser,
           totalSize: 0,
+          totalDiskSize: 0,
           lastModified: remnant.lastModified,
           dataLocations: [],
           paths: []
@@ -559,6 +551,7 @@ class ExtensionRemnantCleaner {
 
       const group = grouped.get(remnant.id);
       group.totalSize += remnant.size;
+      group.totalDiskSize += remnant.diskSize;
       group.dataLocations.push(remnant.dataType);
       group.paths.push(remnant.path);
 
@@ -573,47 +566,74 @@ class ExtensionRemnantCleaner {
 
   /**
    * Clean a single extension remnant
+   * @param {Array<string>} remnantPaths - Data folders of the extension
+   * @param {Object} sharedBatch - Quarantine batch shared by a multi-remnant clean
    */
-  async cleanRemnant(remnantPaths) {
+  async cleanRemnant(remnantPaths, sharedBatch = null) {
     let totalSpaceRecovered = 0;
+    let freeSpace = null;
+    const skipped = [];
+    const batch = sharedBatch || createBatch('extension-remnant-cleaner', 'Extension Remnants');
 
-    for (const remnantPath of remnantPaths) {
-      try {
-        // Calculate size before deletion
-        const size = await this.calculateFolderSize(remnantPath);
+    try {
+      for (const remnantPath of remnantPaths) {
+        const protection = await evaluateTree(remnantPath);
+        if (protection.protected) {
+          skipped.push({
+            path: remnantPath,
+            reason: protection.reason,
+            filter: 'protection',
+            rule: protection.rule
+          });
+          continue;
+        }
 
-        // Move to trash instead of permanent delete (safer)
-        const { shell } = require('electron');
-        await shell.trashItem(remnantPath);
+        // Move to quarantine instead of permanent delete (safer)
+        const result = await batch.add(remnantPath);
 
-        totalSpaceRecovered += size;
-        console.log(`[ExtensionCleaner] Cleaned remnant: ${remnantPath} (${size} bytes)`);
-      } catch (error) {
-        console.error(`[ExtensionCleaner] Error cleaning ${remnantPath}:`, error);
-        throw error;
+        if (!result.success) {
+          console.error(`[ExtensionCleaner] Error cleaning ${remnantPath}:`, result.error);
+          throw new Error(result.error);
+        }
+
+        totalSpaceRecovered += result.size;
+        console.log(`[ExtensionCleaner] ${batch.dryRun ? 'Would clean' : 'Cleaned'} remnant: ${remnantPath} (${result.size} bytes)`);
+      }
+    } finally {
+      if (!sharedBatch) {
+        freeSpace = await batch.commit();
       }
     }
 
     return {
       success: true,
-      spaceRecovered: totalSpaceRecovered
+      spaceRecovered: totalSpaceRecovered,
+      freeSpace,
+      quarantineBatchId: sharedBatch ? null : batch.getStoredBatchId(),
+      skipped
     };
   }
 
   /**
    * Clean multiple extension remnants
+   * @param {Object} options - { dryRun } returns a manifest without touching the disk
    */
-  async cleanMultipleRemnants(remnantsList, progressCallback) {
+  async cleanMultipleRemnants(remnantsList, progressCallback, options = {}) {
     let totalSpaceRecovered = 0;
     let cleanedCount = 0;
     let failedCount = 0;
+    const skipped = [];
+    const failed = [];
+
+    const batch = createBatch('extension-remnant-cleaner', 'Extension Remnants', { dryRun: options.dryRun });
 
     for (let i = 0; i < remnantsList.length; i++) {
       const remnant = remnantsList[i];
 
       try {
-        const result = await this.cleanRemnant(remnant.paths);
+        const result = await this.cleanRemnant(remnant.paths, batch);
         totalSpaceRecovered += result.spaceRecovered;
+        skipped.push(...result.skipped);
         cleanedCount++;
 
         if (progressCallback) {
@@ -627,16 +647,29 @@ class ExtensionRemnantCleaner {
         }
       } catch (error) {
         failedCount++;
+        failed.push({ path: remnant.id, error: error.message });
         console.error(`[ExtensionCleaner] Failed to clean extension ${remnant.id}:`, error);
       }
     }
 
-    return {
+    const freeSpace = await batch.commit();
+
+    const results = {
       success: true,
       totalCleaned: cleanedCount,
       totalFailed: failedCount,
-      totalSpaceRecovered: totalSpaceRecovered
+      totalSpaceRecovered: totalSpaceRecovered,
+      freeSpace,
+      quarantineBatchId: batch.getStoredBatchId(),
+      skipped
     };
+
+    if (batch.dryRun) {
+      results.dryRun = true;
+      results.manifest = batch.getManifest({ skipped, failed });
+    }
+
+    return results;
   }
 
   /**
@@ -0,0 +1,133 @@
+/**
+ * Free Space Monitor
+ *
+ * Clean results add up the sizes of the items they removed, which misses
+ * preserved files, partial failures and filesystem overhead. A monitor
+ * samples free space with statfs on every volume a clean touches, once
+ * before the first change and once after the last, so the result can report
+ * what the disk actually gained next to the estimate.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+function formatBytes(bytes) {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
+}
+
+/**
+ * Signed variant for deltas: free space can shrink while a clean runs,
+ * e.g. when the quarantine store sits on another volume
+ */
+function formatDelta(bytes) {
+  return bytes < 0 ? `-${formatBytes(-bytes)}` : formatBytes(bytes);
+}
+
+/**
+ * Closest existing directory at or above dirPath. Volumes are sampled
+ * through the parent of each item, which a later item may remove.
+ */
+async function findExistingDirectory(dirPath) {
+  let current = dirPath;
+  for (;;) {
+    try {
+      const stats = await fs.stat(current);
+      if (stats.isDirectory()) return { dirPath: current, device: stats.dev };
+    } catch (err) {
+      // Keep walking up
+    }
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+/**
+ * Bytes available to the current user on the volume holding dirPath
+ */
+async function getFreeSpace(dirPath) {
+  const stats = await fs.statfs(dirPath);
+  return stats.bavail * stats.bsize;
+}
+
+/**
+ * Create a monitor for one clean operation
+ * @returns {{ track: Function, measure: Function }}
+ */
+function createFreeSpaceMonitor() {
+  const volumes = new Map();
+  const seenDirectories = new Set();
+  const supported = typeof fs.statfs === 'function';
+
+  return {
+    /**
+     * Sample the volume holding targetPath unless it was already sampled.
+     * Call before the path is changed.
+     */
+    async track(targetPath) {
+      if (!supported) return;
+
+      const parentPath = path.dirname(path.resolve(targetPath));
+      if (seenDirectories.has(parentPath)) return;
+      seenDirectories.add(parentPath);
+
+      try {
+        const location = await findExistingDirectory(parentPath);
+        if (!location || volumes.has(location.device)) return;
+
+        volumes.set(location.device, {
+          device: location.device,
+          path: location.dirPath,
+          before: await getFreeSpace(location.dirPath)
+        });
+      } catch (err) {
+        console.warn(`[FreeSpace] Could not sample ${targetPath}:`, err.message);
+      }
+    },
+
+    /**
+     * Sample every tracked volume again
+     * @returns {Promise<Object|null>} { volumes: [{ device, path, before,
+     *   after, freed }], measuredFreed } and formatted sizes, or null when
+     *   statfs is unavailable
+     */
+    async measure() {
+      if (!supported) return null;
+
+      const measured = [];
+      for (const volume of volumes.values()) {
+        try {
+          const location = await findExistingDirectory(volume.path);
+          if (!location || location.device !== volume.device) continue;
+
+          const after = await getFreeSpace(location.dirPath);
+          const freed = after - volume.before;
+          measured.push({
+            ...volume,
+            after,
+            freed,
+            freedFormatted: formatDelta(freed)
+          });
+        } catch (err) {
+          console.warn(`[FreeSpace] Could not sample ${volume.path}:`, err.message);
+        }
+      }
+
+      const measuredFreed = measured.reduce((sum, volume) => sum + volume.freed, 0);
+      return {
+        volumes: measured,
+        measuredFreed,
+        measuredFreedFormatted: formatDelta(measuredFreed)
+      };
+    }
+  };
+}
+
+module.exports = {
+  createFreeSpaceMonitor,
+  formatDelta
+};
@@ -0,0 +1,189 @@
+/**
+ * Duplicate Hash Cache
+ *
+ * Persists the partial and full hashes the duplicate finder computes, one row
+ * per file keyed by device and inode. A row is only reused while the file's
+ * size and mtime match, so rescans of an unchanged archive skip the reads.
+ * Rows for files that no longer exist are pruned after every scan.
+ */
+
+const Database = require('better-sqlite3');
+const fs = require('fs').promises;
+const path = require('path');
+const { app } = require('electron');
+
+// Rows are a cache: a database with an older layout or hash scheme is dropped
+const SCHEMA_VERSION = 1;
+
+let db = null;
+let unavailable = false;
+
+function getDatabase() {
+  if (db || unavailable) return db;
+
+  try {
+    const dbPath = path.join(app.getPath('userData'), 'hash-cache.db');
+    db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+
+    if (db.pragma('user_version', { simple: true }) < SCHEMA_VERSION) {
+      db.exec('DROP TABLE IF EXISTS hashes');
+      db.pragma(`user_version = ${SCHEMA_VERSION}`);
+    }
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS hashes (
+        device INTEGER NOT NULL,
+        inode INTEGER NOT NULL,
+        size INTEGER NOT NULL,
+        mtime_ms REAL NOT NULL,
+        path TEXT NOT NULL,
+        partial_hash TEXT,
+        full_hash TEXT,
+        checked_at INTEGER NOT NULL,
+        PRIMARY KEY (device, inode)
+      );
+      CREATE INDEX IF NOT EXISTS idx_hashes_path ON hashes(path);
+    `);
+
+    console.log('[DUPLICATES] Hash cache at:', dbPath);
+  } catch (error) {
+    // Scans still work without the cache, they just hash everything
+    console.error('[DUPLICATES] Hash cache unavailable:', error.message);
+    unavailable = true;
+    db = null;
+  }
+
+  return db;
+}
+
+// Rows for rootPath and everything below it, as an index range scan
+function subtreeBounds(rootPath) {
+  const separator = path.sep;
+  const lower = rootPath.endsWith(separator) ? rootPath : rootPath + separator;
+  const upper = lower.slice(0, -1) + String.fromCharCode(separator.charCodeAt(0) + 1);
+  return [lower, upper];
+}
+
+function getKey(device, inode) {
+  return `${device}:${inode}`;
+}
+
+/**
+ * Load the cached hashes for files below the scanned folders
+ * @param {Array<string>} rootPaths - Folders being scanned
+ * @returns {Map<string, Object>} Rows keyed by `${device}:${inode}`
+ */
+function loadHashes(rootPaths) {
+  const entries = new Map();
+  const database = getDatabase();
+  if (!database) return entries;
+
+  const select = database.prepare('SELECT * FROM hashes WHERE path >= ? AND path < ?');
+  for (const rootPath of rootPaths) {
+    for (const row of select.all(...subtreeBounds(rootPath))) {
+      entries.set(getKey(row.device, row.inode), {
+        device: row.device,
+        inode: row.inode,
+        size: row.size,
+        mtimeMs: row.mtime_ms,
+        path: row.path,
+        partialHash: row.partial_hash,
+        fullHash: row.full_hash
+      });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Cached hashes for a scanned file, or null when the file changed since
+ * @param {Map<string, Object>} entries - From loadHashes
+ * @param {Object} file - { device, inode, size, mtimeMs }
+ */
+function getCachedHashes(entries, file) {
+  const entry = entries.get(getKey(file.device, file.inode));
+  if (!entry || entry.size !== file.size || entry.mtimeMs !== file.mtimeMs) {
+    return null;
+  }
+  return entry;
+}
+
+/**
+ * Store the hashes of a scan and prune rows of files that are gone. A row
+ * below the scanned folders that the scan didn't see is only dropped once
+ * its path is confirmed missing or replaced, since type filters and skipped
+ * folders hide files that still exist.
+ * @param {Map<string, Object>} entries - Rows loaded before the scan
+ * @param {Array<Object>} files - Scanned files; `hash` is the partial hash and
+ *   `contentHash` the full SHA-256, where computed
+ */
+async function saveHashes(entries, files) {
+  const database = getDatabase();
+  if (!database) return { stored: 0, pruned: 0 };
+
+  const seen = new Set();
+  const rows = [];
+  for (const file of files) {
+    const key = getKey(file.device, file.inode);
+    seen.add(key);
+    if (!file.hash && !file.contentHash) continue;
+
+    const cached = getCachedHashes(entries, file);
+    const partialHash = file.hash || (cached && cached.partialHash) || null;
+    const fullHash = file.contentHash || (cached && cached.fullHash) || null;
+    if (cached && cached.path === file.path && cached.partialHash === partialHash && cached.fullHash === fullHash) {
+      continue;
+    }
+    rows.push([file.device, file.inode, file.size, file.mtimeMs, file.path, partialHash, fullHash, Date.now()]);
+  }
+
+  const gone = [];
+  for (const [key, entry] of entries) {
+    if (seen.has(key)) continue;
+    try {
+      const stats = await fs.lstat(entry.path);
+      if (stats.dev !== entry.device || stats.ino !== entry.inode) gone.push(entry);
+    } catch (err) {
+      if (err.code === 'ENOENT' || err.code === 'ENOTDIR') gone.push(entry);
+    }
+  }
+
+  const upsert = database.prepare(`
+    INSERT OR REPLACE INTO hashes (
+      device, inode, size, mtime_ms, path, partial_hash, full_hash, checked_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const remove = database.prepare('DELETE FROM hashes WHERE device = ? AND inode = ?');
+
+  try {
+    database.transaction(() => {
+      for (const entry of gone) {
+        remove.run(entry.device, entry.inode);
+      }
+      for (const row of rows) {
+        upsert.run(...row);
+      }
+    })();
+  } catch (error) {
+    console.error('[DUPLICATES] Failed to update hash cache:', error.message);
+    return { stored: 0, pruned: 0 };
+  }
+
+  return { stored: rows.length, pruned: gone.length };
+}
+
+function closeHashCache() {
+  if (db) {
+    db.close();
+    db = null;
+  }
+}
+
+module.exports = {
+  loadHashes,
+  getCachedHashes,
+  saveHashes,
+  closeHashCache
+};
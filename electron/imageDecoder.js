@@ -0,0 +1,152 @@
+/**
+ * Image Decoder
+ *
+ * Decodes JPEG, PNG and WebP files with Chromium's image decoders, which
+ * nativeImage lacks for WebP. A hidden, sandboxed window without Node runs
+ * imageDecoderPreload.js; the main process reads each file and sends its
+ * bytes over IPC, and gets back grayscale samples for perceptual hashing
+ * and, on request, a JPEG thumbnail. The window is closed when idle.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { BrowserWindow, ipcMain } = require('electron');
+
+// Files larger than this are not decoded (the bytes travel over IPC)
+const MAX_IMAGE_BYTES = 64 * 1024 * 1024;
+const DECODE_TIMEOUT_MS = 30 * 1000;
+const IDLE_CLOSE_MS = 60 * 1000;
+
+let decoderWindow = null;
+let ready = null;
+let idleTimer = null;
+const pending = new Map();
+
+function rejectPending(error) {
+  for (const { reject, timer } of pending.values()) {
+    clearTimeout(timer);
+    reject(error);
+  }
+  pending.clear();
+}
+
+ipcMain.on('image-decoded', (event, result) => {
+  if (!decoderWindow || event.sender !== decoderWindow.webContents) return;
+
+  const request = pending.get(result.id);
+  if (!request) return;
+  pending.delete(result.id);
+  clearTimeout(request.timer);
+
+  if (result.error) {
+    request.reject(new Error(result.error));
+  } else {
+    request.resolve(result);
+  }
+});
+
+function getDecoderWindow() {
+  if (ready) return ready;
+
+  const window = new BrowserWindow({
+    show: false,
+    width: 64,
+    height: 64,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true,
+      preload: path.join(__dirname, 'imageDecoderPreload.js')
+    }
+  });
+
+  decoderWindow = window;
+
+  window.on('closed', () => {
+    if (decoderWindow !== window) return;
+    decoderWindow = null;
+    ready = null;
+    rejectPending(new Error('Image decoder closed'));
+  });
+
+  window.webContents.on('render-process-gone', (event, details) => {
+    console.error('[DUPLICATES] Image decoder exited:', details.reason);
+    closeImageDecoder();
+  });
+
+  ready = window.loadFile(path.join(__dirname, 'imageDecoder.html'))
+    .then(() => window)
+    .catch((error) => {
+      closeImageDecoder();
+      throw error;
+    });
+
+  return ready;
+}
+
+function scheduleIdleClose() {
+  clearTimeout(idleTimer);
+  idleTimer = setTimeout(() => {
+    if (pending.size === 0) closeImageDecoder();
+  }, IDLE_CLOSE_MS);
+}
+
+/**
+ * Decode an image file
+ * @param {string} filePath - JPEG, PNG or WebP file
+ * @param {Object} options - { thumbnailSize } also renders a thumbnail that
+ *   fits in a square of that many pixels
+ * @returns {Promise<Object>} { width, height, dhashPixels (9x8),
+ *   phashPixels (32x32) } with luminance values 0-255, plus `thumbnail` as
+ *   a data URL when requested
+ */
+async function decodeImage(filePath, options = {}) {
+  const stats = await fs.stat(filePath);
+  if (stats.size > MAX_IMAGE_BYTES) {
+    throw new Error('Image is too large to decode');
+  }
+  const data = await fs.readFile(filePath);
+
+  const decoder = await getDecoderWindow();
+  const id = crypto.randomUUID();
+
+  const result = await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      pending.delete(id);
+      reject(new Error('Timed out decoding image'));
+    }, DECODE_TIMEOUT_MS);
+
+    pending.set(id, { resolve, reject, timer });
+    decoder.webContents.send('decode-image', {
+      id,
+      data,
+      thumbnailSize: options.thumbnailSize || 0
+    });
+  }).finally(scheduleIdleClose);
+
+  return {
+    width: result.width,
+    height: result.height,
+    dhashPixels: result.dhashPixels,
+    phashPixels: result.phashPixels,
+    thumbnail: result.thumbnail
+      ? `data:image/jpeg;base64,${Buffer.from(result.thumbnail).toString('base64')}`
+      : null
+  };
+}
+
+function closeImageDecoder() {
+  clearTimeout(idleTimer);
+  if (decoderWindow && !decoderWindow.isDestroyed()) {
+    decoderWindow.destroy();
+  }
+  decoderWindow = null;
+  ready = null;
+  rejectPending(new Error('Image decoder closed'));
+}
+
+module.exports = {
+  decodeImage,
+  closeImageDecoder
+};
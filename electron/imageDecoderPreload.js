@@ -0,0 +1,79 @@
+/**
+ * Image Decoder Preload
+ *
+ * Runs in the hidden decoder window (see imageDecoder.js). Decodes the bytes
+ * it is sent with createImageBitmap, which covers JPEG, PNG and WebP and
+ * applies EXIF orientation, and answers with downscaled grayscale samples
+ * and an optional thumbnail.
+ */
+
+const { ipcRenderer } = require('electron');
+
+const DHASH_WIDTH = 9;
+const DHASH_HEIGHT = 8;
+const PHASH_SIZE = 32;
+
+/**
+ * Luminance of each pixel after scaling the image to width x height.
+ * Transparent pixels are treated as white.
+ */
+async function sampleGrayscale(bitmap, width, height) {
+  const scaled = await createImageBitmap(bitmap, {
+    resizeWidth: width,
+    resizeHeight: height,
+    resizeQuality: 'high'
+  });
+
+  const canvas = new OffscreenCanvas(width, height);
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(scaled, 0, 0);
+  scaled.close();
+
+  const { data } = context.getImageData(0, 0, width, height);
+  const pixels = new Array(width * height);
+  for (let i = 0; i < pixels.length; i++) {
+    const alpha = data[i * 4 + 3] / 255;
+    const luminance = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    pixels[i] = luminance * alpha + 255 * (1 - alpha);
+  }
+  return pixels;
+}
+
+/**
+ * JPEG bytes of the image scaled to fit in a size x size square
+ */
+async function renderThumbnail(bitmap, size) {
+  const scale = Math.min(1, size / Math.max(bitmap.width, bitmap.height));
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+
+  const canvas = new OffscreenCanvas(width, height);
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, width, height);
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(bitmap, 0, 0, width, height);
+
+  const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.8 });
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+ipcRenderer.on('decode-image', async (event, { id, data, thumbnailSize }) => {
+  let bitmap = null;
+  try {
+    bitmap = await createImageBitmap(new Blob([data]));
+
+    ipcRenderer.send('image-decoded', {
+      id,
+      width: bitmap.width,
+      height: bitmap.height,
+      dhashPixels: await sampleGrayscale(bitmap, DHASH_WIDTH, DHASH_HEIGHT),
+      phashPixels: await sampleGrayscale(bitmap, PHASH_SIZE, PHASH_SIZE),
+      thumbnail: thumbnailSize > 0 ? await renderThumbnail(bitmap, thumbnailSize) : null
+    });
+  } catch (error) {
+    ipcRenderer.send('image-decoded', { id, error: `Could not decode image: ${error.message}` });
+  } finally {
+    if (bitmap) bitmap.close();
+  }
+});
@@ -3,6 +3,9 @@ const fsSync = require('fs');
 const path = require('path');
 const os = require('os');
 const { shell } = require('electron');
+const { createBatch } = require('./quarantine');
+const { createLimiter, readDirectory, getDiskSize } = require('./scanWorker');
+const sizeIndex = require('./sizeIndex');
 
 // File type definitions
 const FILE_TYPES = {
@@ -122,7 +125,27 @@ class LargeFileFinder {
     return true;
   }
 
-  async scanDirectory(dirPath, filters, progressCallback, depth = 0, maxDepth = 10) {
+  /**
+   * Scan state for one search path: the size index rows below it, and the
+   * directories listed or reused while walking it. `seenFiles` is shared by
+   * all search paths so a hardlinked file is listed once.
+   */
+  createScan(scanPath, fullRescan, seenFiles = new Set()) {
+    const known = sizeIndex.getSubtree(scanPath);
+    return {
+      limit: createLimiter(64),
+      index: new Map(known.map(entry => [entry.path, entry])),
+      fullRescan,
+      seenFiles,
+      records: [],
+      stale: [],
+      reusedDirs: 0,
+      walkedDirs: 0,
+      indexedAt: Date.now()
+    };
+  }
+
+  async scanDirectory(dirPath, filters, progressCallback, scan, depth = 0, maxDepth = 10) {
     if (this.cancelToken.cancelled) {
       throw new Error('Scan cancelled');
     }
@@ -134,8 +157,8 @@ class LargeFileFinder {
     const results = [];
 
     try {
-      // Check if we have permission to read directory
-      const stats = await fs.stat(dirPath);
+      // Check if we have permission to read directory; symlinks are not followed
+      const stats = await fs.lstat(dirPath);
       if (!stats.isDirectory()) {
         return results;
       }
@@ -145,60 +168,76 @@ class LargeFileFinder {
         return results;
       }
 
-      const entries = await fs.readdir(dirPath, { withFileTypes: true });
+      // Unchanged directories come from the size index without being listed
+      const record = await readDirectory(dirPath, stats, scan.limit, scan);
+      if (record.reused) {
+        scan.reusedDirs++;
+        scan.indexedAt = Math.min(scan.indexedAt, record.indexedAt);
+      } else {
+        const { reused, removed, ...stored } = record;
+        scan.walkedDirs++;
+        scan.records.push(stored);
+        scan.stale.push(...removed);
+      }
+
+      for (const file of record.largeFiles) {
+        // Other hardlinks to a file already listed take no extra space
+        if (scan.seenFiles.has(file.id)) continue;
+        scan.seenFiles.add(file.id);
+
+        const fullPath = path.join(dirPath, file.name);
+        const modified = new Date(file.mtimeMs);
+
+        const fileInfo = {
+          name: file.name,
+          path: fullPath,
+          directory: dirPath,
+          size: file.size,
+          sizeFormatted: this.formatBytes(file.size),
+          diskSize: file.diskSize,
+          diskSizeFormatted: this.formatBytes(file.diskSize),
+          links: file.nlink,
+          modified: modified.getTime(),
+          modifiedDate: modified.toISOString(),
+          indexedAt: record.indexedAt,
+          type: this.getFileType(file.name)
+        };
+
+        // Check if file matches filters
+        if (this.matchesFilter(fileInfo, filters)) {
+          results.push(fileInfo);
+
+          // Send progress update
+          if (progressCallback && results.length % 10 === 0) {
+            progressCallback({
+              stage: 'scanning',
+              filesFound: results.length,
+              currentPath: dirPath
+            });
+          }
+        }
+      }
 
-      for (const entry of entries) {
+      for (const name of record.subdirs) {
         if (this.cancelToken.cancelled) {
           throw new Error('Scan cancelled');
         }
 
-        const fullPath = path.join(dirPath, entry.name);
-
-        try {
-          if (entry.isDirectory()) {
-            // Recursively scan subdirectory
-            const subResults = await this.scanDirectory(
-              fullPath,
-              filters,
-              progressCallback,
-              depth + 1,
-              maxDepth
-            );
-            results.push(...subResults);
-          } else if (entry.isFile()) {
-            const stats = await fs.stat(fullPath);
-
-            const fileInfo = {
-              name: entry.name,
-              path: fullPath,
-              directory: path.dirname(fullPath),
-              size: stats.size,
-              sizeFormatted: this.formatBytes(stats.size),
-              modified: stats.mtime.getTime(),
-              modifiedDate: stats.mtime.toISOString(),
-              type: this.getFileType(entry.name)
-            };
-
-            // Check if file matches filters
-            if (this.matchesFilter(fileInfo, filters)) {
-              results.push(fileInfo);
-
-              // Send progress update
-              if (progressCallback && results.length % 10 === 0) {
-                progressCallback({
-                  stage: 'scanning',
-                  filesFound: results.length,
-                  currentPath: dirPath
-                });
-              }
-            }
-          }
-        } catch (error) {
-          // Skip files/directories we can't access
-          console.error(`Error accessing ${fullPath}:`, error.message);
-        }
+        // Recursively scan subdirectory
+        const subResults = await this.scanDirectory(
+          path.join(dirPath, name),
+          filters,
+          progressCallback,
+          scan,
+          depth + 1,
+          maxDepth
+        );
+        results.push(...subResults);
       }
     } catch (error) {
+      if (error.message === 'Scan cancelled') {
+        throw error;
+      }
       // Skip directories we can't read
       console.error(`Error reading directory ${dirPath}:`, error.message);
     }
@@ -215,7 +254,8 @@ class LargeFileFinder {
         maxAge = null,
         fileTypes = 'all',
         searchPath = null,
-        excludeSystem = true
+        excludeSystem = true,
+        fullRescan = false
       } = options;
 
       progressCallback({
@@ -275,6 +315,8 @@ class LargeFileFinder {
       };
 
       let allResults = [];
+      const indexStats = { reusedDirs: 0, walkedDirs: 0, indexedAt: Date.now() };
+      const seenFiles = new Set();
 
       // Scan each path
       for (const scanPath of searchPaths) {
@@ -289,8 +331,14 @@ class LargeFileFinder {
           filesFound: allResults.length
         });
 
-        const results = await this.scanDirectory(scanPath, filters, progressCallback);
+        const scan = this.createScan(scanPath, fullRescan, seenFiles);
+        const results = await this.scanDirectory(scanPath, filters, progressCallback, scan);
+        sizeIndex.update(scanPath, scan.records, scan.stale);
         allResults.push(...results);
+
+        indexStats.reusedDirs += scan.reusedDirs;
+        indexStats.walkedDirs += scan.walkedDirs;
+        indexStats.indexedAt = Math.min(indexStats.indexedAt, scan.indexedAt);
       }
 
       // Sort by size (largest first)
@@ -299,6 +347,7 @@ class LargeFileFinder {
       // Calculate totals
       const totalSize = allResults.reduce((sum, file) => sum + file.size, 0);
       const totalSizeFormatted = this.formatBytes(totalSize);
+      const totalDiskSize = allResults.reduce((sum, file) => sum + file.diskSize, 0);
 
       progressCallback({
         stage: 'complete',
@@ -312,7 +361,10 @@ class LargeFileFinder {
           totalFiles: allResults.length,
           totalSize,
           totalSizeFormatted,
-          searchPaths: searchPaths.length
+          totalDiskSize,
+          totalDiskSizeFormatted: this.formatBytes(totalDiskSize),
+          searchPaths: searchPaths.length,
+          indexStats
         }
       };
     } catch (error) {
@@ -335,9 +387,12 @@ class LargeFileFinder {
     const results = {
       deleted: [],
       failed: [],
-      totalFreed: 0
+      totalFreed: 0,
+      totalDiskFreed: 0
     };
 
+    const batch = createBatch('large-file-finder', 'Large Files');
+
     for (let i = 0; i < filePaths.length; i++) {
       const filePath = filePaths[i];
 
@@ -349,25 +404,30 @@ class LargeFileFinder {
         });
       }
 
-      try {
-        // Get file size before deletion
-        const stats = await fs.stat(filePath);
-        const fileSize = stats.size;
+      // A file with other hardlinks keeps its blocks after this link goes
+      const stats = await fs.lstat(filePath).catch(() => null);
+      const diskFreed = stats && stats.nlink <= 1 ? getDiskSize(stats) : 0;
 
-        // Move to trash instead of permanent deletion
-        await shell.trashItem(filePath);
+      // Move to quarantine instead of permanent deletion
+      const result = await batch.add(filePath);
 
+      if (result.success) {
         results.deleted.push(filePath);
-        results.totalFreed += fileSize;
-      } catch (error) {
+        results.totalFreed += result.size;
+        results.totalDiskFreed += diskFreed;
+      } else {
         results.failed.push({
           path: filePath,
-          error: error.message
+          error: result.error
         });
       }
     }
 
+    results.freeSpace = await batch.commit();
+    results.quarantineBatchId = batch.getStoredBatchId();
+
     results.totalFreedFormatted = this.formatBytes(results.totalFreed);
+    results.totalDiskFreedFormatted = this.formatBytes(results.totalDiskFreed);
 
     return {
       success: true,
@@ -385,11 +445,12 @@ class LargeFileFinder {
   }
 
   exportToCSV(files) {
-    const headers = ['Name', 'Size (Bytes)', 'Size (Formatted)', 'Modified Date', 'Type', 'Path'];
+    const headers = ['Name', 'Size (Bytes)', 'Size (Formatted)', 'Size on Disk (Bytes)', 'Modified Date', 'Type', 'Path'];
     const rows = files.map(file => [
       file.name,
       file.size,
       file.sizeFormatted,
+      file.diskSize,
       new Date(file.modified).toLocaleString(),
       file.type,
       file.path
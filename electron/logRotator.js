@@ -0,0 +1,284 @@
+/**
+ * Log Rotator
+ *
+ * Alternative to deleting log folders: plain-text logs older than N days are
+ * gzipped in place, and each log family (app.log, app.log.1, app.log.2.gz,
+ * app-2024-01-31.log, ...) keeps only its newest M files. Space saved by
+ * compression and by deletion is reported separately.
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const { Writable } = require('stream');
+const { createBatch } = require('./quarantine');
+const { evaluatePath } = require('./protectionRules');
+const { applySafetyFilters } = require('./safetyFilters');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const COMPRESSED_EXTENSION = /\.(gz|bz2|xz|zst|lz4|zip)$/i;
+
+// Bytes read to decide whether a file is plain text
+const TEXT_SNIFF_BYTES = 8192;
+
+function formatBytes(bytes) {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
+}
+
+/**
+ * Name shared by all rotations of a log: compression extensions, rotation
+ * counters and date stamps are stripped.
+ *   app.log.2.gz, app.1.log, app-2024-01-31.log, app.log-20240131 -> app.log
+ */
+function getLogFamily(name) {
+  return name
+    .replace(COMPRESSED_EXTENSION, '')
+    .replace(/\.\d+$/, '')
+    .replace(/[-_.]\d{4}-?\d{2}-?\d{2}(?:[-_T.]?\d{2}[-:.]?\d{2}(?:[-:.]?\d{2})?)?(?=\.|$)/, '')
+    .replace(/\.\d+(\.[a-z]+)$/i, '$1');
+}
+
+/**
+ * Plain text means uncompressed and no NUL bytes at the start of the file,
+ * which rules out binary journals and databases
+ */
+async function isPlainText(filePath) {
+  if (COMPRESSED_EXTENSION.test(filePath)) return false;
+
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(TEXT_SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, TEXT_SNIFF_BYTES, 0);
+    return bytesRead > 0 && !buffer.subarray(0, bytesRead).includes(0);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Collect regular files below the given paths without following symlinks
+ */
+async function collectFiles(rootPath, files) {
+  let stats;
+  try {
+    stats = await fs.lstat(rootPath);
+  } catch (err) {
+    return;
+  }
+
+  if (stats.isFile()) {
+    files.push({ path: rootPath, size: stats.size, mtimeMs: stats.mtimeMs });
+    return;
+  }
+  if (!stats.isDirectory()) return;
+
+  let names;
+  try {
+    names = await fs.readdir(rootPath);
+  } catch (err) {
+    return;
+  }
+  for (const name of names) {
+    await collectFiles(path.join(rootPath, name), files);
+  }
+}
+
+/**
+ * Count the bytes a gzip of the file would take, without writing anything
+ */
+async function measureCompressed(filePath) {
+  let size = 0;
+  await pipeline(
+    fsSync.createReadStream(filePath),
+    zlib.createGzip(),
+    new Writable({
+      write(chunk, encoding, callback) {
+        size += chunk.length;
+        callback();
+      }
+    })
+  );
+  return size;
+}
+
+/**
+ * Gzip a file next to itself (file -> file.gz), keeping its mode and times,
+ * then remove the original. The .gz is written under a temporary name first
+ * so an interrupted run never leaves a truncated archive behind.
+ */
+async function compressFile(filePath) {
+  const gzPath = `${filePath}.gz`;
+  const tempPath = `${gzPath}.partial`;
+
+  try {
+    await fs.access(gzPath);
+    throw new Error(`${path.basename(gzPath)} already exists`);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  const stats = await fs.stat(filePath);
+  try {
+    await pipeline(
+      fsSync.createReadStream(filePath),
+      zlib.createGzip(),
+      fsSync.createWriteStream(tempPath, { mode: stats.mode & 0o777, flags: 'wx' })
+    );
+    await fs.utimes(tempPath, stats.atime, stats.mtime);
+    await fs.rename(tempPath, gzPath);
+  } catch (err) {
+    await fs.rm(tempPath, { force: true });
+    throw err;
+  }
+
+  await fs.unlink(filePath);
+  const { size } = await fs.stat(gzPath);
+  return { gzPath, compressedSize: size };
+}
+
+/**
+ * Compress and rotate the logs below the given paths
+ *
+ * @param {string[]} logPaths - Log files or folders
+ * @param {Function} progressCallback - Receives { current, total, path, action }
+ * @param {Object} options - { compressAfterDays, keepRotations } plus dryRun
+ *   and the safety filters. `batch` lets a caller share its quarantine batch.
+ * @returns {Promise<Object>} { compressed, cleaned, skipped, failed,
+ *   compressionSaved, deletionSaved, totalFreed } and formatted sizes
+ */
+async function rotateLogs(logPaths, progressCallback, options = {}) {
+  const compressAfterDays = options.compressAfterDays ?? 7;
+  const keepRotations = Math.max(1, options.keepRotations ?? 5);
+  const cutoff = Date.now() - compressAfterDays * DAY_MS;
+
+  const results = {
+    compressed: [],
+    cleaned: [],
+    failed: [],
+    skipped: [],
+    compressionSaved: 0,
+    deletionSaved: 0
+  };
+
+  const files = [];
+  for (const logPath of logPaths) {
+    await collectFiles(logPath, files);
+  }
+
+  // Group rotations by folder and family name, newest first
+  const families = new Map();
+  for (const file of files) {
+    const key = path.join(path.dirname(file.path), getLogFamily(path.basename(file.path)));
+    if (!families.has(key)) families.set(key, []);
+    families.get(key).push(file);
+  }
+
+  const toCompress = [];
+  const toDelete = [];
+  for (const members of families.values()) {
+    members.sort((a, b) => b.mtimeMs - a.mtimeMs);
+    members.forEach((file, index) => {
+      if (index >= keepRotations) {
+        toDelete.push(file);
+      } else if (file.mtimeMs < cutoff && file.size > 0 && !COMPRESSED_EXTENSION.test(file.path)) {
+        toCompress.push(file);
+      }
+    });
+  }
+
+  const checkProtection = (items) => items.filter(item => {
+    const protection = evaluatePath(item.path);
+    if (protection.protected) {
+      results.skipped.push({
+        path: item.path,
+        reason: `Protected: ${protection.rule.description}`,
+        filter: 'protection',
+        rule: protection.rule
+      });
+    }
+    return !protection.protected;
+  });
+
+  const compressFilter = await applySafetyFilters(checkProtection(toCompress), options);
+  const deleteFilter = await applySafetyFilters(checkProtection(toDelete), options);
+  results.skipped.push(...compressFilter.kept, ...deleteFilter.kept);
+
+  const batch = options.batch || createBatch('log-rotation', 'Log Rotation', { dryRun: options.dryRun });
+  const total = compressFilter.allowed.length + deleteFilter.allowed.length;
+  let current = 0;
+
+  for (const file of compressFilter.allowed) {
+    current++;
+    if (progressCallback) {
+      progressCallback({ current, total, path: file.path, action: 'compress' });
+    }
+
+    try {
+      if (!await isPlainText(file.path)) continue;
+
+      if (batch.dryRun) {
+        const compressedSize = await measureCompressed(file.path);
+        results.compressed.push({ path: file.path, gzPath: `${file.path}.gz`, originalSize: file.size, compressedSize });
+        results.compressionSaved += Math.max(0, file.size - compressedSize);
+      } else {
+        await batch.trackVolume(file.path);
+        const { gzPath, compressedSize } = await compressFile(file.path);
+        results.compressed.push({ path: file.path, gzPath, originalSize: file.size, compressedSize });
+        results.compressionSaved += Math.max(0, file.size - compressedSize);
+      }
+    } catch (err) {
+      results.failed.push({ path: file.path, error: err.message });
+    }
+  }
+
+  for (const file of deleteFilter.allowed) {
+    current++;
+    if (progressCallback) {
+      progressCallback({ current, total, path: file.path, action: 'delete' });
+    }
+
+    const result = await batch.add(file.path);
+    if (result.success) {
+      results.cleaned.push(file.path);
+      results.deletionSaved += result.size;
+    } else {
+      results.failed.push({ path: file.path, error: result.error });
+    }
+  }
+
+  if (!options.batch) {
+    results.freeSpace = await batch.commit();
+    results.quarantineBatchId = batch.getStoredBatchId();
+  }
+
+  results.totalFreed = results.compressionSaved + results.deletionSaved;
+  results.compressionSavedFormatted = formatBytes(results.compressionSaved);
+  results.deletionSavedFormatted = formatBytes(results.deletionSaved);
+  results.totalFreedFormatted = formatBytes(results.totalFreed);
+
+  if (batch.dryRun && !options.batch) {
+    results.dryRun = true;
+    results.manifest = batch.getManifest({
+      skipped: results.skipped,
+      failed: results.failed,
+      compressed: results.compressed,
+      compressionSaved: results.compressionSaved,
+      compressionSavedFormatted: results.compressionSavedFormatted
+    });
+  }
+
+  console.log(`[LogRotation] ${batch.dryRun ? 'Would compress' : 'Compressed'} ${results.compressed.length} logs (${results.compressionSavedFormatted} saved), ${batch.dryRun ? 'would remove' : 'removed'} ${results.cleaned.length} old rotations (${results.deletionSavedFormatted})`);
+  return results;
+}
+
+module.exports = {
+  getLogFamily,
+  rotateLogs
+};
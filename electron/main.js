@@ -1,6 +1,9 @@
 const { app, BrowserWindow, ipcMain } = require('electron');
 const path = require('path');
 const { scanSystem, cleanFiles } = require('./cleaner');
+const { closeSizeIndex } = require('./sizeIndex');
+const { closeHashCache } = require('./hashCache');
+const { getRules: getProtectionRules, addRule: addProtectionRule, deleteRule: deleteProtectionRule } = require('./protectionRules');
 const {
   checkDriverUpdates,
   updateDrivers,
@@ -11,14 +14,28 @@ const {
   detectProblemDevices
 } = require('./driverUpdater');
 const { checkSystemUpdates, installSystemUpdates } = require('./systemUpdater');
-const { findDuplicates, deleteDuplicates } = require('./duplicateFinder');
+const {
+  findDuplicates,
+  deleteDuplicates,
+  deleteDuplicateFolders,
+  deduplicateFiles,
+  getDefaultScanPaths,
+  validateScanSession
+} = require('./duplicateFinder');
+const { findSimilarImages, deleteSimilarImages, DEFAULT_SCAN_PATHS: DEFAULT_IMAGE_PATHS } = require('./similarImages');
+const { closeImageDecoder } = require('./imageDecoder');
 const { detectBrowsers, analyzeBrowserData, cleanBrowserData } = require('./browserCleaner');
 const { scanLargeFiles, cancelLargeFileScan, deleteFiles, openFileLocation, exportToCSV } = require('./largeFileFinder');
+const { scanDiskUsage, getDiskUsageNode, excludeDiskUsageNode, deleteDiskUsageNodes } = require('./diskUsage');
 const ProcessManager = require('./processManager');
 const { scanAppCaches, cleanAppCache, cleanMultipleCaches, checkAppRunning, quitApplication } = require('./appCacheManager');
+const { scanBuildArtifacts, cleanBuildArtifacts } = require('./buildArtifactCleaner');
+const { listTrash, restoreItems: restoreTrashItems, emptyTrash } = require('./trashManager');
+const { scanCrashDumps, cleanCrashDumps } = require('./crashDumpCleaner');
 const {
   initDatabase,
   addCleaningEvent,
+  settleQuarantineBatch,
   getCleaningHistory,
   getCleaningStats,
   deleteCleaningEvent,
@@ -33,6 +50,16 @@ const StartupManager = require('./startupManager');
 const BootTimeTracker = require('./bootTimeTracker');
 const { getOptimizationRecommendations } = require('./startupProgramDatabase');
 const ExtensionRemnantCleaner = require('./extensionRemnantCleaner');
+const {
+  initQuarantine,
+  closeQuarantine,
+  listQuarantine,
+  restoreEntries,
+  purgeBatch,
+  onBatchPurged,
+  getQuarantineSettings,
+  updateQuarantineSettings
+} = require('./quarantine');
 
 let mainWindow;
 let profileManager;
@@ -89,6 +116,8 @@ function createWindow() {
 
   mainWindow.on('closed', () => {
     mainWindow = null;
+    // The hidden decoder window would otherwise keep the app running
+    closeImageDecoder();
   });
 }
 
@@ -100,14 +129,37 @@ app.whenReady().then(() => {
     console.error('[MAIN] Failed to initialize database:', error);
   }
 
+  // Open the schedule log before the quarantine store, which settles it
+  try {
+    scheduleDb = new ScheduleDatabase();
+  } catch (error) {
+    console.error('[MAIN] Failed to initialize schedule database:', error);
+  }
+
+  // Initialize quarantine store (purges expired batches). History events and
+  // schedule logs keep their estimate until the batches they moved items into
+  // are purged.
+  try {
+    onBatchPurged(({ batchId, freed }) => {
+      settleQuarantineBatch(batchId, freed);
+      if (scheduleDb) {
+        scheduleDb.settleQuarantineBatch(batchId, freed);
+      }
+    });
+    initQuarantine();
+  } catch (error) {
+    console.error('[MAIN] Failed to initialize quarantine:', error);
+  }
+
   // Initialize scheduler components
   try {
     profileManager = new ProfileManager();
-    scheduleDb = new ScheduleDatabase();
-    schedulerService = new SchedulerService(scheduleDb, profileManager);
 
     // Start scheduler service
-    schedulerService.start();
+    if (scheduleDb) {
+      schedulerService = new SchedulerService(scheduleDb, profileManager);
+      schedulerService.start();
+    }
   } catch (error) {
     console.error('[MAIN] Failed to initialize scheduler:', error);
   }
@@ -142,6 +194,10 @@ app.whenReady().then(() => {
 
 app.on('window-all-closed', () => {
   closeDatabase();
+  closeQuarantine();
+  closeSizeIndex();
+  closeHashCache();
+  closeImageDecoder();
 
   // Stop scheduler and close schedule database
   if (schedulerService) {
@@ -176,22 +232,22 @@ ipcMain.handle('get-system-info', async () => {
   };
 });
 
-ipcMain.handle('scan-system', async (event) => {
+ipcMain.handle('scan-system', async (event, options = {}) => {
   try {
     const results = await scanSystem((progress) => {
       event.sender.send('scan-progress', progress);
-    });
+    }, options);
     return { success: true, data: results };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('clean-files', async (event, filesToClean) => {
+ipcMain.handle('clean-files', async (event, { files, options }) => {
   try {
-    const results = await cleanFiles(filesToClean, (progress) => {
+    const results = await cleanFiles(files, (progress) => {
       event.sender.send('clean-progress', progress);
-    });
+    }, options);
     return { success: true, data: results };
   } catch (error) {
     return { success: false, error: error.message };
@@ -292,6 +348,18 @@ ipcMain.handle('install-system-updates', async (event) => {
 // Duplicate Finder Handlers
 let duplicateScanCancelToken = null;
 
+// Folders scanned when a scope lists none, per scan mode
+ipcMain.handle('get-duplicate-scan-defaults', async () => {
+  try {
+    return {
+      success: true,
+      data: { paths: getDefaultScanPaths(), imagePaths: DEFAULT_IMAGE_PATHS }
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('scan-duplicates', async (event, options) => {
   try {
     // Create a new cancel token
@@ -317,11 +385,76 @@ ipcMain.handle('cancel-duplicate-scan', async () => {
   return { success: false, message: 'No active scan to cancel' };
 });
 
-ipcMain.handle('delete-duplicates', async (event, filePaths) => {
+ipcMain.handle('delete-duplicates', async (event, { removals, options }) => {
   try {
-    const results = await deleteDuplicates(filePaths, (progress) => {
+    const results = await deleteDuplicates(removals, (progress) => {
       event.sender.send('duplicate-delete-progress', progress);
-    });
+    }, options);
+    return results;
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('validate-duplicate-session', async (event, session) => {
+  try {
+    // Shares the scan's cancel token and progress channel
+    duplicateScanCancelToken = { cancelled: false };
+
+    return await validateScanSession(session, (progress) => {
+      event.sender.send('duplicate-scan-progress', progress);
+    }, duplicateScanCancelToken);
+  } catch (error) {
+    return { success: false, error: error.message };
+  } finally {
+    duplicateScanCancelToken = null;
+  }
+});
+
+ipcMain.handle('delete-duplicate-folders', async (event, { removals, options }) => {
+  try {
+    const results = await deleteDuplicateFolders(removals, (progress) => {
+      event.sender.send('duplicate-delete-progress', progress);
+    }, options);
+    return results;
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('deduplicate-files', async (event, { replacements, options }) => {
+  try {
+    const results = await deduplicateFiles(replacements, (progress) => {
+      event.sender.send('duplicate-dedupe-progress', progress);
+    }, options);
+    return results;
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('scan-similar-images', async (event, options) => {
+  try {
+    // Shares the duplicate scan's cancel token and progress channel
+    duplicateScanCancelToken = { cancelled: false };
+
+    const results = await findSimilarImages(options, (progress) => {
+      event.sender.send('duplicate-scan-progress', progress);
+    }, duplicateScanCancelToken);
+
+    return results;
+  } catch (error) {
+    return { success: false, error: error.message };
+  } finally {
+    duplicateScanCancelToken = null;
+  }
+});
+
+ipcMain.handle('delete-similar-images', async (event, { removals, options }) => {
+  try {
+    const results = await deleteSimilarImages(removals, (progress) => {
+      event.sender.send('duplicate-delete-progress', progress);
+    }, options);
     return results;
   } catch (error) {
     return { success: false, error: error.message };
@@ -492,10 +625,61 @@ ipcMain.handle('export-large-files-csv', async (event, files) => {
   }
 });
 
+// Disk Usage Explorer Handlers
+let diskUsageCancelToken = null;
+
+ipcMain.handle('scan-disk-usage', async (event, options) => {
+  try {
+    diskUsageCancelToken = { cancelled: false };
+
+    const results = await scanDiskUsage(options, (progress) => {
+      event.sender.send('disk-usage-progress', progress);
+    }, diskUsageCancelToken);
+
+    return results;
+  } catch (error) {
+    return { success: false, error: error.message };
+  } finally {
+    diskUsageCancelToken = null;
+  }
+});
+
+ipcMain.handle('cancel-disk-usage-scan', async () => {
+  if (diskUsageCancelToken) {
+    diskUsageCancelToken.cancelled = true;
+    return { success: true, message: 'Scan cancelled' };
+  }
+  return { success: false, message: 'No active scan to cancel' };
+});
+
+ipcMain.handle('get-disk-usage-node', async (event, { nodePath, depth }) => {
+  try {
+    return getDiskUsageNode(nodePath, depth);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('exclude-disk-usage-node', async (event, nodePath) => {
+  try {
+    return excludeDiskUsageNode(nodePath);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('delete-disk-usage-nodes', async (event, { nodePaths, options }) => {
+  try {
+    return await deleteDiskUsageNodes(nodePaths, null, options);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
 // Application Cache Manager Handlers
-ipcMain.handle('scan-app-caches', async () => {
+ipcMain.handle('scan-app-caches', async (event, options = {}) => {
   try {
-    const results = await scanAppCaches();
+    const results = await scanAppCaches(options);
     return results;
   } catch (error) {
     return { success: false, error: error.message };
@@ -511,11 +695,11 @@ ipcMain.handle('clean-app-cache', async (event, appId) => {
   }
 });
 
-ipcMain.handle('clean-multiple-caches', async (event, appIds) => {
+ipcMain.handle('clean-multiple-caches', async (event, { appIds, options }) => {
   try {
     const results = await cleanMultipleCaches(appIds, (progress) => {
       event.sender.send('app-cache-clean-progress', progress);
-    });
+    }, options);
     return results;
   } catch (error) {
     return { success: false, error: error.message };
@@ -1008,7 +1192,7 @@ ipcMain.handle('clean-extension-remnant', async (event, remnantPaths) => {
   }
 });
 
-ipcMain.handle('clean-multiple-extension-remnants', async (event, remnantsList) => {
+ipcMain.handle('clean-multiple-extension-remnants', async (event, { remnantsList, options }) => {
   try {
     if (!extensionCleaner) {
       return { success: false, error: 'Extension cleaner not initialized' };
@@ -1016,7 +1200,7 @@ ipcMain.handle('clean-multiple-extension-remnants', async (event, remnantsList)
 
     const result = await extensionCleaner.cleanMultipleRemnants(remnantsList, (progress) => {
       event.sender.send('extension-clean-progress', progress);
-    });
+    }, options);
 
     return { success: true, data: result };
   } catch (error) {
@@ -1038,3 +1222,154 @@ ipcMain.handle('get-extension-stats', async () => {
     return { success: false, error: error.message };
   }
 });
+
+// ==================== Quarantine (Recently Cleaned) Handlers ====================
+
+ipcMain.handle('get-quarantine-entries', async () => {
+  try {
+    const batches = await listQuarantine();
+    return { success: true, data: batches };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('restore-quarantine-entries', async (event, { batchId, entryIds }) => {
+  try {
+    const result = await restoreEntries(batchId, entryIds);
+    return { success: true, data: result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('purge-quarantine-batch', async (event, batchId) => {
+  try {
+    const result = await purgeBatch(batchId);
+    return result;
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-quarantine-settings', async () => {
+  try {
+    const settings = getQuarantineSettings();
+    return { success: true, data: settings };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('update-quarantine-settings', async (event, updates) => {
+  try {
+    const result = updateQuarantineSettings(updates);
+    return result;
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// ==================== Protection Rule Handlers ====================
+
+ipcMain.handle('get-protection-rules', async () => {
+  try {
+    const rules = getProtectionRules();
+    return { success: true, data: rules };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('add-protection-rule', async (event, rule) => {
+  try {
+    return addProtectionRule(rule);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('delete-protection-rule', async (event, ruleId) => {
+  try {
+    return deleteProtectionRule(ruleId);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// ==================== Build Artifact Handlers ====================
+
+ipcMain.handle('scan-build-artifacts', async (event, options = {}) => {
+  try {
+    const results = await scanBuildArtifacts((progress) => {
+      event.sender.send('build-artifact-scan-progress', progress);
+    }, options);
+    return { success: true, data: results };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('clean-build-artifacts', async (event, { artifactPaths, options }) => {
+  try {
+    const results = await cleanBuildArtifacts(artifactPaths, (progress) => {
+      event.sender.send('build-artifact-clean-progress', progress);
+    }, options);
+    return { success: true, data: results };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// ==================== Trash Handlers ====================
+
+ipcMain.handle('list-trash', async () => {
+  try {
+    const trash = await listTrash();
+    return { success: true, data: trash };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('restore-trash-items', async (event, ids) => {
+  try {
+    const results = await restoreTrashItems(ids);
+    return { success: true, data: results };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('empty-trash', async (event, options = {}) => {
+  try {
+    const results = await emptyTrash((progress) => {
+      event.sender.send('trash-empty-progress', progress);
+    }, options);
+    return { success: true, data: results };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// ==================== Crash Dump Handlers ====================
+
+ipcMain.handle('scan-crash-dumps', async (event, options = {}) => {
+  try {
+    const results = await scanCrashDumps(options);
+    return { success: true, data: results };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('clean-crash-dumps', async (event, { dumpPaths, options = {} }) => {
+  try {
+    const results = await cleanCrashDumps(dumpPaths, (progress) => {
+      event.sender.send('crash-dump-clean-progress', progress);
+    }, options);
+    return { success: true, data: results };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
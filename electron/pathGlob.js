@@ -0,0 +1,243 @@
+/**
+ * Path Glob Utilities
+ *
+ * Minimal glob support for scan targets and path rules: `*`, `?`, `**`,
+ * character classes (`[abc]`) and brace sets (`{a,b}`). Both `/` and `\`
+ * are treated as separators so Windows targets work unchanged.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { QUARANTINE_STORE_NAME } = require('./scanWorker');
+
+const GLOB_CHARS = /[*?[{]/;
+
+/**
+ * Check whether a pattern contains glob syntax
+ */
+function hasGlob(pattern) {
+  return GLOB_CHARS.test(pattern);
+}
+
+/**
+ * Expand brace sets into every alternative: a/{b,c}/d -> [a/b/d, a/c/d]
+ */
+function expandBraces(pattern) {
+  const start = pattern.indexOf('{');
+  if (start === -1) return [pattern];
+
+  // Find the matching closing brace, honouring nesting
+  let depth = 0;
+  let end = -1;
+  for (let i = start; i < pattern.length; i++) {
+    if (pattern[i] === '{') depth++;
+    if (pattern[i] === '}') {
+      depth--;
+      if (depth === 0) {
+        end = i;
+        break;
+      }
+    }
+  }
+  if (end === -1) return [pattern];
+
+  // Split the body on top-level commas
+  const body = pattern.slice(start + 1, end);
+  const options = [];
+  let current = '';
+  depth = 0;
+  for (const char of body) {
+    if (char === '{') depth++;
+    if (char === '}') depth--;
+    if (char === ',' && depth === 0) {
+      options.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  options.push(current);
+
+  const prefix = pattern.slice(0, start);
+  const suffix = pattern.slice(end + 1);
+  const results = [];
+  for (const option of options) {
+    results.push(...expandBraces(prefix + option + suffix));
+  }
+  return results;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.+^${}()|\\]/g, '\\$&');
+}
+
+/**
+ * Convert a single path segment (no separators, no braces) to a RegExp source
+ */
+function segmentToSource(segment) {
+  let source = '';
+  for (let i = 0; i < segment.length; i++) {
+    const char = segment[i];
+    if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const close = segment.indexOf(']', i + 1);
+      if (close === -1) {
+        source += '\\[';
+      } else {
+        let set = segment.slice(i + 1, close);
+        if (set.startsWith('!')) set = '^' + set.slice(1);
+        source += '[' + set.replace(/\\/g, '\\\\') + ']';
+        i = close;
+      }
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return source;
+}
+
+/**
+ * Convert a full glob pattern to a RegExp matching `/`-separated paths
+ * @param {string} pattern - Glob pattern
+ * @param {Object} options - { caseInsensitive, partial } where partial also
+ *   matches anything below a matched path
+ */
+function globToRegExp(pattern, options = {}) {
+  const alternatives = expandBraces(toPosix(pattern)).map(expanded => {
+    const segments = expanded.split('/');
+    let source = '';
+
+    segments.forEach((segment, index) => {
+      const isLast = index === segments.length - 1;
+      if (segment === '**') {
+        // Zero or more whole segments; a leading `**/` also matches the
+        // root `/` of an absolute path
+        if (isLast) {
+          source += '.*';
+        } else {
+          source += index === 0 ? '/?(?:[^/]+/)*' : '(?:[^/]+/)*';
+        }
+      } else {
+        source += segmentToSource(segment) + (isLast ? '' : '/');
+      }
+    });
+
+    return source;
+  });
+
+  const tail = options.partial ? '(?:/.*)?' : '';
+  return new RegExp(`^(?:${alternatives.join('|')})${tail}$`, options.caseInsensitive ? 'i' : '');
+}
+
+/**
+ * Normalize separators to `/`
+ */
+function toPosix(filePath) {
+  return filePath.replace(/\\/g, '/');
+}
+
+/**
+ * Expand one brace-free pattern against the filesystem
+ */
+async function expandSingle(pattern, maxDepth) {
+  const normalized = toPosix(pattern);
+  const root = toPosix(path.parse(pattern).root) || '';
+  const segments = normalized.slice(root.length).split('/').filter(Boolean);
+  const results = [];
+
+  async function walk(currentPath, index, globstarDepth) {
+    if (index === segments.length) {
+      results.push(currentPath);
+      return;
+    }
+
+    const segment = segments[index];
+
+    if (segment === '**') {
+      // Zero segments
+      await walk(currentPath, index + 1, globstarDepth);
+
+      if (globstarDepth >= maxDepth) return;
+
+      // One or more segments; symlinked directories are not followed
+      let entries;
+      try {
+        entries = await fs.readdir(currentPath, { withFileTypes: true });
+      } catch (err) {
+        return;
+      }
+      for (const entry of entries) {
+        if (entry.isDirectory() && entry.name !== QUARANTINE_STORE_NAME) {
+          await walk(path.join(currentPath, entry.name), index, globstarDepth + 1);
+        }
+      }
+      return;
+    }
+
+    if (!hasGlob(segment)) {
+      const nextPath = path.join(currentPath, segment);
+      try {
+        await fs.lstat(nextPath);
+        await walk(nextPath, index + 1, globstarDepth);
+      } catch (err) {
+        // Literal segment doesn't exist
+      }
+      return;
+    }
+
+    const regex = new RegExp(`^${segmentToSource(segment)}$`);
+    const isLast = index === segments.length - 1;
+    let entries;
+    try {
+      entries = await fs.readdir(currentPath, { withFileTypes: true });
+    } catch (err) {
+      return;
+    }
+    for (const entry of entries) {
+      if (!regex.test(entry.name) || entry.name === QUARANTINE_STORE_NAME) continue;
+      if (!isLast && !entry.isDirectory()) continue;
+      await walk(path.join(currentPath, entry.name), index + 1, globstarDepth);
+    }
+  }
+
+  await walk(path.parse(pattern).root || '.', 0, 0);
+  return results;
+}
+
+/**
+ * Expand a glob pattern to the existing paths it matches
+ * @param {string} pattern - Absolute glob pattern
+ * @param {Object} options - { maxDepth } limits how deep `**` descends
+ * @returns {Promise<Array<string>>} Sorted, de-duplicated concrete paths
+ */
+async function expandGlob(pattern, options = {}) {
+  const { maxDepth = 8 } = options;
+
+  if (!hasGlob(pattern)) {
+    try {
+      await fs.lstat(pattern);
+      return [pattern];
+    } catch (err) {
+      return [];
+    }
+  }
+
+  const matches = new Set();
+  for (const expanded of expandBraces(pattern)) {
+    const paths = await expandSingle(expanded, maxDepth);
+    paths.forEach(p => matches.add(p));
+  }
+
+  return Array.from(matches).sort();
+}
+
+module.exports = {
+  hasGlob,
+  expandBraces,
+  expandGlob,
+  globToRegExp,
+  toPosix
+};
@@ -6,8 +6,8 @@ console.log('[PRELOAD] ipcRenderer available:', typeof ipcRenderer);
 
 contextBridge.exposeInMainWorld('electronAPI', {
   getSystemInfo: () => ipcRenderer.invoke('get-system-info'),
-  scanSystem: () => ipcRenderer.invoke('scan-system'),
-  cleanFiles: (files) => ipcRenderer.invoke('clean-files', files),
+  scanSystem: (options) => ipcRenderer.invoke('scan-system', options),
+  cleanFiles: (files, options) => ipcRenderer.invoke('clean-files', { files, options }),
   onScanProgress: (callback) => ipcRenderer.on('scan-progress', (_, data) => callback(data)),
   onCleanProgress: (callback) => ipcRenderer.on('clean-progress', (_, data) => callback(data)),
   removeScanProgressListener: () => ipcRenderer.removeAllListeners('scan-progress'),
@@ -36,12 +36,20 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
   // Duplicate finder APIs
   scanDuplicates: (options) => ipcRenderer.invoke('scan-duplicates', options),
+  getDuplicateScanDefaults: () => ipcRenderer.invoke('get-duplicate-scan-defaults'),
   cancelDuplicateScan: () => ipcRenderer.invoke('cancel-duplicate-scan'),
-  deleteDuplicates: (filePaths) => ipcRenderer.invoke('delete-duplicates', filePaths),
+  deleteDuplicates: (removals, options) => ipcRenderer.invoke('delete-duplicates', { removals, options }),
+  deleteDuplicateFolders: (removals, options) => ipcRenderer.invoke('delete-duplicate-folders', { removals, options }),
+  validateDuplicateSession: (session) => ipcRenderer.invoke('validate-duplicate-session', session),
   onDuplicateScanProgress: (callback) => ipcRenderer.on('duplicate-scan-progress', (_, data) => callback(data)),
+  deduplicateFiles: (replacements, options) => ipcRenderer.invoke('deduplicate-files', { replacements, options }),
+  scanSimilarImages: (options) => ipcRenderer.invoke('scan-similar-images', options),
+  deleteSimilarImages: (removals, options) => ipcRenderer.invoke('delete-similar-images', { removals, options }),
   onDuplicateDeleteProgress: (callback) => ipcRenderer.on('duplicate-delete-progress', (_, data) => callback(data)),
+  onDuplicateDedupeProgress: (callback) => ipcRenderer.on('duplicate-dedupe-progress', (_, data) => callback(data)),
   removeDuplicateScanProgressListener: () => ipcRenderer.removeAllListeners('duplicate-scan-progress'),
   removeDuplicateDeleteProgressListener: () => ipcRenderer.removeAllListeners('duplicate-delete-progress'),
+  removeDuplicateDedupeProgressListener: () => ipcRenderer.removeAllListeners('duplicate-dedupe-progress'),
 
   // Browser cleaner APIs
   detectBrowsers: () => ipcRenderer.invoke('detect-browsers'),
@@ -71,15 +79,45 @@ contextBridge.exposeInMainWorld('electronAPI', {
   removeLargeFileScanProgressListener: () => ipcRenderer.removeAllListeners('large-file-scan-progress'),
   removeLargeFileDeleteProgressListener: () => ipcRenderer.removeAllListeners('large-file-delete-progress'),
 
+  // Disk usage explorer APIs
+  scanDiskUsage: (options) => ipcRenderer.invoke('scan-disk-usage', options),
+  cancelDiskUsageScan: () => ipcRenderer.invoke('cancel-disk-usage-scan'),
+  getDiskUsageNode: (nodePath, depth) => ipcRenderer.invoke('get-disk-usage-node', { nodePath, depth }),
+  excludeDiskUsageNode: (nodePath) => ipcRenderer.invoke('exclude-disk-usage-node', nodePath),
+  deleteDiskUsageNodes: (nodePaths, options) => ipcRenderer.invoke('delete-disk-usage-nodes', { nodePaths, options }),
+  onDiskUsageProgress: (callback) => ipcRenderer.on('disk-usage-progress', (_, data) => callback(data)),
+  removeDiskUsageProgressListener: () => ipcRenderer.removeAllListeners('disk-usage-progress'),
+
   // Application Cache Manager APIs
-  scanAppCaches: () => ipcRenderer.invoke('scan-app-caches'),
+  scanAppCaches: (options) => ipcRenderer.invoke('scan-app-caches', options),
   cleanAppCache: (appId) => ipcRenderer.invoke('clean-app-cache', appId),
-  cleanMultipleCaches: (appIds) => ipcRenderer.invoke('clean-multiple-caches', appIds),
+  cleanMultipleCaches: (appIds, options) => ipcRenderer.invoke('clean-multiple-caches', { appIds, options }),
   isAppRunning: (appId) => ipcRenderer.invoke('is-app-running', appId),
   quitApp: (appId) => ipcRenderer.invoke('quit-app', appId),
   onAppCacheCleanProgress: (callback) => ipcRenderer.on('app-cache-clean-progress', (_, data) => callback(data)),
   removeAppCacheCleanProgressListener: () => ipcRenderer.removeAllListeners('app-cache-clean-progress'),
 
+  // Build Artifact Cleaner APIs
+  scanBuildArtifacts: (options) => ipcRenderer.invoke('scan-build-artifacts', options),
+  cleanBuildArtifacts: (artifactPaths, options) => ipcRenderer.invoke('clean-build-artifacts', { artifactPaths, options }),
+  onBuildArtifactScanProgress: (callback) => ipcRenderer.on('build-artifact-scan-progress', (_, data) => callback(data)),
+  onBuildArtifactCleanProgress: (callback) => ipcRenderer.on('build-artifact-clean-progress', (_, data) => callback(data)),
+  removeBuildArtifactScanProgressListener: () => ipcRenderer.removeAllListeners('build-artifact-scan-progress'),
+  removeBuildArtifactCleanProgressListener: () => ipcRenderer.removeAllListeners('build-artifact-clean-progress'),
+
+  // Trash APIs
+  listTrash: () => ipcRenderer.invoke('list-trash'),
+  restoreTrashItems: (ids) => ipcRenderer.invoke('restore-trash-items', ids),
+  emptyTrash: (options) => ipcRenderer.invoke('empty-trash', options),
+  onTrashEmptyProgress: (callback) => ipcRenderer.on('trash-empty-progress', (_, data) => callback(data)),
+  removeTrashEmptyProgressListener: () => ipcRenderer.removeAllListeners('trash-empty-progress'),
+
+  // Crash Dump Cleaner APIs
+  scanCrashDumps: (options) => ipcRenderer.invoke('scan-crash-dumps', options),
+  cleanCrashDumps: (dumpPaths, options) => ipcRenderer.invoke('clean-crash-dumps', { dumpPaths, options }),
+  onCrashDumpCleanProgress: (callback) => ipcRenderer.on('crash-dump-clean-progress', (_, data) => callback(data)),
+  removeCrashDumpCleanProgressListener: () => ipcRenderer.removeAllListeners('crash-dump-clean-progress'),
+
   // Cleaning Profiles APIs
   getCleaningProfiles: () => ipcRenderer.invoke('get-cleaning-profiles'),
   getCleaningProfile: (profileId) => ipcRenderer.invoke('get-cleaning-profile', profileId),
@@ -128,10 +166,22 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Extension Remnant Cleaner APIs
   scanExtensionRemnants: (browserName) => ipcRenderer.invoke('scan-extension-remnants', browserName),
   cleanExtensionRemnant: (remnantPaths) => ipcRenderer.invoke('clean-extension-remnant', remnantPaths),
-  cleanMultipleExtensionRemnants: (remnantsList) => ipcRenderer.invoke('clean-multiple-extension-remnants', remnantsList),
+  cleanMultipleExtensionRemnants: (remnantsList, options) => ipcRenderer.invoke('clean-multiple-extension-remnants', { remnantsList, options }),
   getExtensionStats: () => ipcRenderer.invoke('get-extension-stats'),
   onExtensionCleanProgress: (callback) => ipcRenderer.on('extension-clean-progress', (_, data) => callback(data)),
-  removeExtensionCleanProgressListener: () => ipcRenderer.removeAllListeners('extension-clean-progress')
+  removeExtensionCleanProgressListener: () => ipcRenderer.removeAllListeners('extension-clean-progress'),
+
+  // Quarantine (Recently Cleaned) APIs
+  getQuarantineEntries: () => ipcRenderer.invoke('get-quarantine-entries'),
+  restoreQuarantineEntries: (batchId, entryIds) => ipcRenderer.invoke('restore-quarantine-entries', { batchId, entryIds }),
+  purgeQuarantineBatch: (batchId) => ipcRenderer.invoke('purge-quarantine-batch', batchId),
+  getQuarantineSettings: () => ipcRenderer.invoke('get-quarantine-settings'),
+  updateQuarantineSettings: (updates) => ipcRenderer.invoke('update-quarantine-settings', updates),
+
+  // Protection Rule APIs
+  getProtectionRules: () => ipcRenderer.invoke('get-protection-rules'),
+  addProtectionRule: (rule) => ipcRenderer.invoke('add-protection-rule', rule),
+  deleteProtectionRule: (ruleId) => ipcRenderer.invoke('delete-protection-rule', ruleId)
 });
 
 console.log('[PRELOAD] electronAPI exposed to window');
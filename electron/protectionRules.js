@@ -0,0 +1,378 @@
+/**
+ * Protection Rule Engine
+ *
+ * Decides whether a path may be cleaned. Rules match whole path segments,
+ * absolute prefixes, globs or regular expressions. Built-in rules are always
+ * present; user-defined allow/deny rules are stored in userData.
+ *
+ * Evaluation order:
+ *   1. User deny rules
+ *   2. Locked built-in rules (credentials, OS directories) - cannot be allowed
+ *   3. User allow rules
+ *   4. Remaining built-in rules
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const os = require('os');
+const { app } = require('electron');
+const { globToRegExp, toPosix } = require('./pathGlob');
+const { QUARANTINE_STORE_NAME } = require('./scanWorker');
+
+const RULE_TYPES = ['segment', 'prefix', 'glob', 'regex'];
+const RULE_ACTIONS = ['allow', 'deny'];
+
+const HOME = os.homedir();
+
+// macOS and Windows filesystems are case-insensitive by default
+const CASE_INSENSITIVE = process.platform === 'win32' || process.platform === 'darwin';
+
+const SYSTEM_PREFIXES = {
+  darwin: ['/System', '/Applications', '/usr', '/bin', '/sbin', '/private/etc'],
+  win32: [
+    path.join(process.env.WINDIR || 'C:\\Windows', 'System32'),
+    process.env.ProgramFiles || 'C:\\Program Files',
+    process.env['ProgramFiles(x86)'] || 'C:\\Program Files (x86)'
+  ],
+  linux: ['/usr', '/bin', '/sbin', '/lib', '/lib64', '/etc', '/boot']
+};
+
+/**
+ * Built-in rules, always evaluated
+ */
+function getBuiltInRules() {
+  const rules = [
+    { id: 'builtin-ssh', type: 'segment', value: '.ssh', description: 'SSH keys and configuration', locked: true },
+    { id: 'builtin-gnupg', type: 'segment', value: '.gnupg', description: 'GPG keyring', locked: true },
+    { id: 'builtin-quarantine', type: 'segment', value: QUARANTINE_STORE_NAME, description: 'Quarantined items', locked: true },
+    { id: 'builtin-quarantine-store', type: 'prefix', value: path.join(app.getPath('userData'), 'quarantine'), description: 'Quarantined items', locked: true },
+    { id: 'builtin-git', type: 'segment', value: '.git', description: 'Git repository data' },
+    { id: 'builtin-node-modules', type: 'segment', value: 'node_modules', description: 'Project dependencies (scanned but never auto-cleaned)', artifact: true }
+  ];
+
+  for (const folder of ['Documents', 'Desktop', 'Downloads', 'Pictures', 'Videos', 'Movies', 'Music']) {
+    rules.push({
+      id: `builtin-home-${folder.toLowerCase()}`,
+      type: 'prefix',
+      value: path.join(HOME, folder),
+      description: `Personal ${folder} folder`,
+      personal: true
+    });
+  }
+
+  rules.push({
+    id: 'builtin-home-applications',
+    type: 'prefix',
+    value: path.join(HOME, 'Applications'),
+    description: 'User applications'
+  });
+
+  for (const prefix of SYSTEM_PREFIXES[process.platform] || []) {
+    rules.push({
+      id: `builtin-system-${toPosix(prefix).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`,
+      type: 'prefix',
+      value: prefix,
+      description: 'Operating system directory',
+      locked: true
+    });
+  }
+
+  return rules.map(rule => ({ ...rule, action: 'deny', source: 'built-in' }));
+}
+
+let rulesPath = null;
+let userRules = null;
+let compiledRules = null;
+
+function getRulesPath() {
+  if (!rulesPath) {
+    rulesPath = path.join(app.getPath('userData'), 'protection-rules.json');
+  }
+  return rulesPath;
+}
+
+function loadUserRules() {
+  if (userRules) return userRules;
+
+  try {
+    if (fsSync.existsSync(getRulesPath())) {
+      userRules = JSON.parse(fsSync.readFileSync(getRulesPath(), 'utf8'));
+      return userRules;
+    }
+  } catch (error) {
+    console.error('[PROTECTION] Error loading rules:', error);
+  }
+
+  userRules = [];
+  return userRules;
+}
+
+function saveUserRules() {
+  fsSync.writeFileSync(getRulesPath(), JSON.stringify(userRules, null, 2), 'utf8');
+  compiledRules = null;
+}
+
+function expandHome(value) {
+  if (value === '~' || value.startsWith('~/') || value.startsWith('~\\')) {
+    return path.join(HOME, value.slice(1));
+  }
+  return value;
+}
+
+function normalize(filePath) {
+  const posix = toPosix(path.normalize(filePath)).replace(/\/+$/, '');
+  return CASE_INSENSITIVE ? posix.toLowerCase() : posix;
+}
+
+/**
+ * Compile a rule into a predicate over normalized paths
+ */
+function compileRule(rule) {
+  switch (rule.type) {
+    case 'segment': {
+      const segment = CASE_INSENSITIVE ? rule.value.toLowerCase() : rule.value;
+      return (normalizedPath) => normalizedPath.split('/').includes(segment);
+    }
+    case 'prefix': {
+      const prefix = normalize(expandHome(rule.value));
+      return (normalizedPath) =>
+        normalizedPath === prefix || normalizedPath.startsWith(prefix + '/');
+    }
+    case 'glob': {
+      const regex = globToRegExp(expandHome(rule.value), {
+        caseInsensitive: CASE_INSENSITIVE,
+        partial: true
+      });
+      return (normalizedPath) => regex.test(normalizedPath);
+    }
+    case 'regex': {
+      const regex = new RegExp(rule.value, CASE_INSENSITIVE ? 'i' : '');
+      return (normalizedPath, rawPath) => regex.test(rawPath);
+    }
+    default:
+      return () => false;
+  }
+}
+
+/**
+ * Validate a user rule, returning an error message or null
+ */
+function validateRule(rule) {
+  if (!rule || !RULE_ACTIONS.includes(rule.action)) {
+    return 'Rule action must be "allow" or "deny"';
+  }
+  if (!RULE_TYPES.includes(rule.type)) {
+    return `Rule type must be one of: ${RULE_TYPES.join(', ')}`;
+  }
+  if (!rule.value || typeof rule.value !== 'string') {
+    return 'Rule value is required';
+  }
+  if (rule.type === 'prefix' && !path.isAbsolute(expandHome(rule.value))) {
+    return 'Prefix rules must be absolute paths';
+  }
+  if (rule.type === 'segment' && /[\\/]/.test(rule.value)) {
+    return 'Segment rules must be a single path segment';
+  }
+  if (rule.type === 'regex') {
+    try {
+      new RegExp(rule.value);
+    } catch (error) {
+      return error.message;
+    }
+  }
+  return null;
+}
+
+function describeRule(rule) {
+  return {
+    id: rule.id,
+    action: rule.action,
+    type: rule.type,
+    value: rule.value,
+    description: rule.description || `${rule.type} rule: ${rule.value}`,
+    source: rule.source
+  };
+}
+
+/**
+ * Compile all rules in evaluation order (cached until rules change)
+ */
+function getCompiledRules() {
+  if (compiledRules) return compiledRules;
+
+  const builtIn = getBuiltInRules();
+  const user = loadUserRules().map(rule => ({ ...rule, source: 'user' }));
+
+  const ordered = [
+    ...user.filter(rule => rule.action === 'deny'),
+    ...builtIn.filter(rule => rule.locked),
+    ...user.filter(rule => rule.action === 'allow'),
+    ...builtIn.filter(rule => !rule.locked)
+  ];
+
+  compiledRules = [];
+  for (const rule of ordered) {
+    try {
+      compiledRules.push({
+        test: compileRule(rule),
+        rule: describeRule(rule),
+        personal: !!rule.personal,
+        artifact: !!rule.artifact,
+        // User deny rules and locked built-ins can't be overridden, so they
+        // also apply to everything inside a folder about to be removed
+        strict: rule.action === 'deny' && (rule.source === 'user' || !!rule.locked)
+      });
+    } catch (error) {
+      console.warn(`[PROTECTION] Skipping invalid rule ${rule.id}:`, error.message);
+    }
+  }
+  return compiledRules;
+}
+
+/**
+ * Decide whether a path is protected
+ * @param {string} filePath - Absolute path
+ * @param {Object} options - { allowPersonalFolders } skips the personal folder
+ *   rules, for tools that work on the user's own files (e.g. duplicates);
+ *   { allowBuildArtifacts } skips the node_modules rule for the build artifact cleaner
+ * @returns {{ protected: boolean, rule: Object|null }} The first matching rule
+ */
+function evaluatePath(filePath, options = {}) {
+  const normalizedPath = normalize(filePath);
+
+  for (const { test, rule, personal, artifact } of getCompiledRules()) {
+    if (personal && options.allowPersonalFolders) continue;
+    if (artifact && options.allowBuildArtifacts) continue;
+    if (test(normalizedPath, filePath)) {
+      return { protected: rule.action === 'deny', rule };
+    }
+  }
+
+  return { protected: false, rule: null };
+}
+
+/**
+ * The first user deny or locked built-in rule matching a path
+ */
+function findStrictRule(filePath) {
+  const normalizedPath = normalize(filePath);
+  const match = getCompiledRules().find(({ test, strict }) => strict && test(normalizedPath, filePath));
+  return match ? match.rule : null;
+}
+
+/**
+ * Decide whether a path and everything below it may be cleaned. Directories
+ * are walked without following symlinks, so a file nested in a cache or log
+ * folder that a user deny rule or a locked rule (credentials, OS directories)
+ * protects keeps the whole folder from being removed. Other built-in rules
+ * only apply to the path itself: a cache holding a `.git` folder, or a
+ * trashed project, can still be removed.
+ * @param {string} itemPath - Absolute path
+ * @param {Object} options - Same as evaluatePath
+ * @returns {Promise<{ protected: boolean, rule: Object|null, path: string|null, reason: string|null }>}
+ *   `path` is the protected item itself or the first protected descendant
+ */
+async function evaluateTree(itemPath, options = {}) {
+  const own = evaluatePath(itemPath, options);
+  if (own.protected) {
+    return { ...own, path: itemPath, reason: `Protected: ${own.rule.description}` };
+  }
+
+  const clean = { protected: false, rule: own.rule, path: null, reason: null };
+  try {
+    if (!(await fs.lstat(itemPath)).isDirectory()) return clean;
+  } catch {
+    return clean;
+  }
+
+  const pending = [itemPath];
+  while (pending.length > 0) {
+    const dirPath = pending.pop();
+    let entries;
+    try {
+      entries = await fs.readdir(dirPath, { withFileTypes: true });
+    } catch {
+      // Unreadable directories are left to the delete itself to report
+      continue;
+    }
+
+    for (const entry of entries) {
+      const childPath = path.join(dirPath, entry.name);
+      const rule = findStrictRule(childPath);
+      if (rule) {
+        return {
+          protected: true,
+          rule,
+          path: childPath,
+          reason: `Contains protected item ${childPath} (${rule.description})`
+        };
+      }
+      if (entry.isDirectory()) {
+        pending.push(childPath);
+      }
+    }
+  }
+
+  return clean;
+}
+
+/**
+ * List built-in and user rules
+ */
+function getRules() {
+  return {
+    builtIn: getBuiltInRules().map(rule => ({ ...describeRule(rule), locked: !!rule.locked })),
+    user: loadUserRules().map(rule => describeRule({ ...rule, source: 'user' }))
+  };
+}
+
+/**
+ * Add a user-defined rule
+ */
+function addRule(rule) {
+  const error = validateRule(rule);
+  if (error) {
+    return { success: false, error };
+  }
+
+  const newRule = {
+    id: `user-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+    action: rule.action,
+    type: rule.type,
+    value: rule.value,
+    description: rule.description || ''
+  };
+
+  loadUserRules().push(newRule);
+  saveUserRules();
+
+  return { success: true, rule: describeRule({ ...newRule, source: 'user' }) };
+}
+
+/**
+ * Delete a user-defined rule
+ */
+function deleteRule(id) {
+  const rules = loadUserRules();
+  const index = rules.findIndex(rule => rule.id === id);
+
+  if (index === -1) {
+    return { success: false, error: 'Rule not found' };
+  }
+
+  rules.splice(index, 1);
+  saveUserRules();
+  return { success: true };
+}
+
+module.exports = {
+  RULE_TYPES,
+  compileRule,
+  evaluatePath,
+  evaluateTree,
+  getRules,
+  addRule,
+  deleteRule
+};
@@ -0,0 +1,793 @@
+/**
+ * Quarantine Store
+ *
+ * Every clean operation moves items here instead of deleting them. Each
+ * operation becomes a batch directory under userData/quarantine holding the
+ * moved payloads and a manifest.json with original paths, permissions and
+ * timestamps, so items can be restored until the retention window expires.
+ *
+ * Each entry is appended to entries.jsonl before its item is moved, and the
+ * full manifest is written when the batch is committed. A batch that never
+ * got committed (the app quit mid-clean) keeps its journal and is not purged
+ * automatically.
+ *
+ * Items on another volume than userData are renamed into a
+ * .system-cleaner-quarantine directory on their own volume. Only items on a
+ * volatile filesystem (tmpfs, ramfs), which is emptied on reboot, are copied
+ * into userData instead. Scans and cleaners leave these directories out.
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { app } = require('electron');
+const { createFreeSpaceMonitor, formatDelta } = require('./freeSpace');
+const { QUARANTINE_STORE_NAME } = require('./scanWorker');
+
+const DEFAULT_SETTINGS = {
+  retentionDays: 7
+};
+
+const PURGE_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+const MANIFEST_FILE = 'manifest.json';
+const JOURNAL_FILE = 'entries.jsonl';
+// statfs types of filesystems that lose their contents on reboot
+const VOLATILE_FS_TYPES = new Set([
+  0x01021994, // tmpfs
+  0x858458f6 // ramfs
+]);
+
+let storeRoot = null;
+let settings = { ...DEFAULT_SETTINGS };
+let purgeTimer = null;
+const purgeListeners = [];
+
+/**
+ * Format bytes to human-readable string
+ */
+function formatBytes(bytes) {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
+}
+
+function getSettingsPath() {
+  return path.join(storeRoot, 'settings.json');
+}
+
+function loadSettings() {
+  try {
+    if (fsSync.existsSync(getSettingsPath())) {
+      const data = JSON.parse(fsSync.readFileSync(getSettingsPath(), 'utf8'));
+      return { ...DEFAULT_SETTINGS, ...data };
+    }
+  } catch (error) {
+    console.error('[QUARANTINE] Error loading settings:', error);
+  }
+  return { ...DEFAULT_SETTINGS };
+}
+
+/**
+ * Initialize the quarantine store and start the retention purge timer
+ */
+function initQuarantine() {
+  if (storeRoot) return storeRoot;
+
+  storeRoot = path.join(app.getPath('userData'), 'quarantine');
+  fsSync.mkdirSync(storeRoot, { recursive: true });
+  settings = loadSettings();
+
+  purgeExpired().catch(error => {
+    console.error('[QUARANTINE] Initial purge failed:', error);
+  });
+
+  purgeTimer = setInterval(() => {
+    purgeExpired().catch(error => {
+      console.error('[QUARANTINE] Scheduled purge failed:', error);
+    });
+  }, PURGE_INTERVAL);
+
+  console.log('[QUARANTINE] Initialized at:', storeRoot);
+  return storeRoot;
+}
+
+/**
+ * Stop the purge timer
+ */
+function closeQuarantine() {
+  if (purgeTimer) {
+    clearInterval(purgeTimer);
+    purgeTimer = null;
+  }
+}
+
+function getStoreRoot() {
+  return storeRoot || initQuarantine();
+}
+
+/**
+ * Record permissions and timestamps of everything below a directory so they
+ * can be reapplied after a restore
+ */
+async function collectChildren(rootPath) {
+  const children = [];
+
+  async function walk(dirPath) {
+    let entries;
+    try {
+      entries = await fs.readdir(dirPath, { withFileTypes: true });
+    } catch (err) {
+      return;
+    }
+
+    for (const entry of entries) {
+      const fullPath = path.join(dirPath, entry.name);
+      try {
+        const stats = await fs.lstat(fullPath);
+        children.push({
+          relativePath: path.relative(rootPath, fullPath),
+          type: stats.isDirectory() ? 'directory' : stats.isSymbolicLink() ? 'symlink' : 'file',
+          size: stats.isDirectory() ? 0 : stats.size,
+          mode: stats.mode,
+          mtimeMs: stats.mtimeMs,
+          atimeMs: stats.atimeMs
+        });
+
+        if (stats.isDirectory()) {
+          await walk(fullPath);
+        }
+      } catch (err) {
+        // Skip entries we can't access
+      }
+    }
+  }
+
+  await walk(rootPath);
+  return children;
+}
+
+/**
+ * Move a path, falling back to copy + remove across filesystems
+ */
+async function movePath(source, destination) {
+  try {
+    await fs.rename(source, destination);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+
+    await fs.cp(source, destination, {
+      recursive: true,
+      preserveTimestamps: true,
+      verbatimSymlinks: true
+    });
+    await fs.rm(source, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Whether a path is on a filesystem kept in memory, such as a tmpfs /tmp
+ */
+async function isVolatile(itemPath) {
+  if (typeof fs.statfs !== 'function') return false;
+  try {
+    const { type } = await fs.statfs(path.dirname(itemPath));
+    return VOLATILE_FS_TYPES.has(type);
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Quarantine directory for items on a volume other than the main store: the
+ * topmost writable directory on that volume, so /home/user when /home is a
+ * separate mount owned by root. Null when nothing on the volume is writable.
+ */
+async function getVolumeStore(itemPath) {
+  const { dev } = await fs.lstat(itemPath);
+  let store = null;
+  let current = path.dirname(itemPath);
+
+  while (true) {
+    const stats = await fs.stat(current).catch(() => null);
+    if (!stats || stats.dev !== dev) break;
+
+    const writable = await fs.access(current, fsSync.constants.W_OK).then(() => true, () => false);
+    if (writable) store = path.join(current, QUARANTINE_STORE_NAME);
+
+    const parent = path.dirname(current);
+    if (parent === current) break;
+    current = parent;
+  }
+
+  return store;
+}
+
+/**
+ * Write a manifest through a temporary file so a crash never leaves a
+ * half-written manifest.json behind
+ */
+async function writeManifestFile(batchDir, manifest) {
+  const manifestPath = path.join(batchDir, MANIFEST_FILE);
+  await fs.writeFile(`${manifestPath}.tmp`, JSON.stringify(manifest, null, 2), 'utf8');
+  await fs.rename(`${manifestPath}.tmp`, manifestPath);
+}
+
+/**
+ * Batch directories on other volumes that hold items of a batch
+ */
+function getVolumeBatchDirs(manifest, batchDir) {
+  const dirs = new Set();
+  for (const entry of manifest.entries) {
+    if (entry.storedPath && !entry.storedPath.startsWith(batchDir + path.sep)) {
+      dirs.add(path.dirname(path.dirname(entry.storedPath)));
+    }
+  }
+  return [...dirs];
+}
+
+async function removeBatchDirs(batchDir, manifest) {
+  for (const dir of getVolumeBatchDirs(manifest, batchDir)) {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+  await fs.rm(batchDir, { recursive: true, force: true });
+}
+
+/**
+ * Reapply the recorded mode and timestamps to a restored path
+ */
+async function applyMetadata(targetPath, meta) {
+  try {
+    if (meta.type === 'symlink') {
+      await fs.lutimes(targetPath, meta.atimeMs / 1000, meta.mtimeMs / 1000);
+      return;
+    }
+    await fs.chmod(targetPath, meta.mode & 0o7777);
+    await fs.utimes(targetPath, meta.atimeMs / 1000, meta.mtimeMs / 1000);
+  } catch (err) {
+    console.warn(`[QUARANTINE] Could not restore metadata for ${targetPath}:`, err.message);
+  }
+}
+
+/**
+ * A batch groups the items removed by one clean operation
+ */
+class QuarantineBatch {
+  constructor(source, label) {
+    this.id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    this.dir = path.join(getStoreRoot(), this.id);
+    this.manifest = {
+      id: this.id,
+      source,
+      label: label || source,
+      createdAt: Date.now(),
+      complete: false,
+      entries: []
+    };
+    this.dryRun = false;
+    this.nextIndex = 0;
+    this.initialized = null;
+    this.storeDevice = null;
+    this.volumeDirs = new Set();
+    this.freeSpace = createFreeSpaceMonitor();
+  }
+
+  async ensureDirectory() {
+    if (!this.initialized) {
+      this.initialized = (async () => {
+        await this.freeSpace.track(this.dir);
+        await fs.mkdir(path.join(this.dir, 'items'), { recursive: true });
+        this.storeDevice = (await fs.stat(this.dir)).dev;
+        await this.writeManifest();
+      })();
+    }
+    return this.initialized;
+  }
+
+  async writeManifest() {
+    await writeManifestFile(this.dir, this.manifest);
+  }
+
+  async appendJournal(record) {
+    await fs.appendFile(path.join(this.dir, JOURNAL_FILE), JSON.stringify(record) + '\n', 'utf8');
+  }
+
+  /**
+   * Where an item is stored: in the batch directory, or in the batch's
+   * directory on the item's own volume when the two differ. Items on a
+   * volatile filesystem are copied into the batch directory instead, since a
+   * store on their volume would not survive a reboot.
+   */
+  async getStoredPath(itemPath, device, storedName) {
+    if (device === this.storeDevice || await isVolatile(itemPath)) {
+      return path.join(this.dir, 'items', storedName);
+    }
+    return this.getVolumeStoredPath(itemPath, storedName);
+  }
+
+  async getVolumeStoredPath(itemPath, storedName) {
+    const volumeStore = await getVolumeStore(itemPath);
+    if (!volumeStore) {
+      throw new Error('The item is on another volume with no writable folder to quarantine into; it was left in place');
+    }
+    const volumeDir = path.join(volumeStore, this.id);
+    this.volumeDirs.add(volumeDir);
+    return path.join(volumeDir, 'items', storedName);
+  }
+
+  /**
+   * Rename an item to its stored path, recording it in the journal first.
+   * A rename that still crosses devices (bind mounts share a device number)
+   * is retried on the item's own volume, or copied when that is volatile.
+   */
+  async moveEntry(entry) {
+    await this.appendJournal(entry);
+    try {
+      await fs.mkdir(path.dirname(entry.storedPath), { recursive: true });
+      await fs.rename(entry.originalPath, entry.storedPath);
+    } catch (err) {
+      if (err.code !== 'EXDEV' || !entry.storedPath.startsWith(this.dir + path.sep)) throw err;
+
+      if (await isVolatile(entry.originalPath)) {
+        try {
+          await fs.cp(entry.originalPath, entry.storedPath, {
+            recursive: true,
+            preserveTimestamps: true,
+            verbatimSymlinks: true
+          });
+        } catch (copyErr) {
+          // A partial copy must not be mistaken for the item later
+          await fs.rm(entry.storedPath, { recursive: true, force: true });
+          throw copyErr;
+        }
+        await fs.rm(entry.originalPath, { recursive: true, force: true });
+        return;
+      }
+
+      entry.storedPath = await this.getVolumeStoredPath(entry.originalPath, entry.storedName);
+      await this.appendJournal(entry);
+      await fs.mkdir(path.dirname(entry.storedPath), { recursive: true });
+      await fs.rename(entry.originalPath, entry.storedPath);
+    }
+  }
+
+  /**
+   * Sample free space on the volume holding a path the caller is about to
+   * change outside the batch, such as a log compressed in place
+   */
+  async trackVolume(itemPath) {
+    await this.freeSpace.track(itemPath);
+  }
+
+  /**
+   * Move one file or directory into the batch
+   */
+  async add(itemPath) {
+    const storedName = String(this.nextIndex++);
+    let entry = null;
+
+    try {
+      await this.ensureDirectory();
+      await this.freeSpace.track(itemPath);
+
+      const stats = await fs.lstat(itemPath);
+      const isDirectory = stats.isDirectory();
+      const children = isDirectory ? await collectChildren(itemPath) : [];
+      const size = isDirectory
+        ? children.reduce((sum, child) => sum + child.size, 0)
+        : stats.size;
+
+      entry = {
+        id: storedName,
+        originalPath: itemPath,
+        storedName,
+        storedPath: await this.getStoredPath(itemPath, stats.dev, storedName),
+        type: isDirectory ? 'directory' : stats.isSymbolicLink() ? 'symlink' : 'file',
+        size,
+        mode: stats.mode,
+        uid: stats.uid,
+        gid: stats.gid,
+        mtimeMs: stats.mtimeMs,
+        atimeMs: stats.atimeMs,
+        children,
+        restoredAt: null
+      };
+
+      await this.moveEntry(entry);
+      this.manifest.entries.push(entry);
+      return { success: true, path: itemPath, size };
+    } catch (err) {
+      if (entry) {
+        await this.appendJournal({ id: entry.id, removed: true }).catch(() => {});
+      }
+      return { success: false, path: itemPath, error: err.message };
+    }
+  }
+
+  /**
+   * Write the final manifest and drop the journal; empty batches are removed
+   * @returns {Promise<Object|null>} Free space measured on the volumes the
+   *   batch touched, see freeSpace.createFreeSpaceMonitor
+   */
+  async commit() {
+    if (this.initialized) {
+      try {
+        await this.initialized;
+        if (this.manifest.entries.length === 0) {
+          for (const dir of this.volumeDirs) {
+            await fs.rm(dir, { recursive: true, force: true });
+          }
+          await fs.rm(this.dir, { recursive: true, force: true });
+        } else {
+          this.manifest.complete = true;
+          await this.writeManifest();
+          await fs.rm(path.join(this.dir, JOURNAL_FILE), { force: true });
+        }
+      } catch (err) {
+        console.error(`[QUARANTINE] Failed to commit batch ${this.id}:`, err.message);
+      }
+    }
+
+    return this.freeSpace.measure();
+  }
+
+  /**
+   * Id to look the batch up in the store later, null when nothing was moved
+   */
+  getStoredBatchId() {
+    return this.manifest.entries.length > 0 ? this.id : null;
+  }
+}
+
+/**
+ * Stand-in for a batch that only records what would be removed. Walks the
+ * real tree but never touches the disk. Callers run the same protection
+ * checks (protectionRules.evaluateTree) before add() in both modes, so every
+ * file listed here is one a real run would move.
+ */
+class DryRunBatch {
+  constructor(source, label) {
+    this.dryRun = true;
+    this.manifest = {
+      source,
+      label: label || source,
+      dryRun: true,
+      createdAt: Date.now(),
+      entries: []
+    };
+  }
+
+  async add(itemPath) {
+    try {
+      const stats = await fs.lstat(itemPath);
+      const isDirectory = stats.isDirectory();
+      const children = isDirectory ? await collectChildren(itemPath) : [];
+      const files = isDirectory
+        ? children
+            .filter(child => child.type !== 'directory')
+            .map(child => ({ path: path.join(itemPath, child.relativePath), size: child.size }))
+        : [{ path: itemPath, size: stats.size }];
+      const size = files.reduce((sum, file) => sum + file.size, 0);
+
+      this.manifest.entries.push({
+        path: itemPath,
+        type: isDirectory ? 'directory' : stats.isSymbolicLink() ? 'symlink' : 'file',
+        size,
+        sizeFormatted: formatBytes(size),
+        fileCount: files.length,
+        files
+      });
+
+      return { success: true, path: itemPath, size };
+    } catch (err) {
+      return { success: false, path: itemPath, error: err.message };
+    }
+  }
+
+  async trackVolume() {}
+
+  async commit() {
+    return null;
+  }
+
+  getStoredBatchId() {
+    return null;
+  }
+
+  /**
+   * Final manifest with totals; `extra` carries caller results such as skipped items
+   */
+  getManifest(extra = {}) {
+    const totalSize = this.manifest.entries.reduce((sum, entry) => sum + entry.size, 0);
+    return {
+      ...this.manifest,
+      totalSize,
+      totalSizeFormatted: formatBytes(totalSize),
+      totalFiles: this.manifest.entries.reduce((sum, entry) => sum + entry.fileCount, 0),
+      ...extra
+    };
+  }
+}
+
+/**
+ * Start a new batch for a clean operation
+ * @param {string} source - Module performing the clean (e.g. 'cleaner')
+ * @param {string} label - Human-readable description shown in the UI
+ * @param {Object} options - { dryRun } returns a batch that only records a manifest
+ */
+function createBatch(source, label, options = {}) {
+  if (options.dryRun) {
+    return new DryRunBatch(source, label);
+  }
+  return new QuarantineBatch(source, label);
+}
+
+/**
+ * Quarantine a single item in its own batch
+ */
+async function quarantineItem(itemPath, source, label) {
+  const batch = createBatch(source, label);
+  const result = await batch.add(itemPath);
+  await batch.commit();
+  return result;
+}
+
+/**
+ * Read a batch manifest. The entries of a batch that was never committed
+ * are rebuilt from its journal; the last record of an entry wins.
+ */
+async function readManifest(batchId) {
+  const batchDir = path.join(getStoreRoot(), batchId);
+  const manifest = JSON.parse(await fs.readFile(path.join(batchDir, MANIFEST_FILE), 'utf8'));
+  if (manifest.complete !== false) return manifest;
+
+  const journal = await fs.readFile(path.join(batchDir, JOURNAL_FILE), 'utf8').catch(() => '');
+  const journaled = new Map();
+  for (const line of journal.split('\n')) {
+    if (!line) continue;
+    try {
+      const record = JSON.parse(line);
+      if (record.removed) {
+        journaled.delete(record.id);
+      } else {
+        journaled.set(record.id, record);
+      }
+    } catch {
+      // The last line is torn when the app quit mid-write
+    }
+  }
+
+  const known = new Set(manifest.entries.map(e => e.id));
+  for (const entry of journaled.values()) {
+    if (!known.has(entry.id)) manifest.entries.push(entry);
+  }
+  return manifest;
+}
+
+function getStoredPath(batchDir, entry) {
+  return entry.storedPath || path.join(batchDir, 'items', entry.storedName);
+}
+
+function getExpiry(manifest) {
+  return manifest.createdAt + settings.retentionDays * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * List quarantined batches, newest first
+ */
+async function listQuarantine() {
+  const root = getStoreRoot();
+  const batches = [];
+
+  const entries = await fs.readdir(root, { withFileTypes: true });
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+
+    try {
+      const manifest = await readManifest(entry.name);
+      const pending = manifest.entries.filter(e => !e.restoredAt);
+      const totalSize = pending.reduce((sum, e) => sum + e.size, 0);
+
+      batches.push({
+        id: manifest.id,
+        source: manifest.source,
+        label: manifest.label,
+        createdAt: manifest.createdAt,
+        expiresAt: getExpiry(manifest),
+        incomplete: manifest.complete === false,
+        totalSize,
+        totalSizeFormatted: formatBytes(totalSize),
+        entries: manifest.entries.map(e => ({
+          id: e.id,
+          originalPath: e.originalPath,
+          type: e.type,
+          size: e.size,
+          sizeFormatted: formatBytes(e.size),
+          modified: e.mtimeMs,
+          restoredAt: e.restoredAt
+        }))
+      });
+    } catch (err) {
+      console.warn(`[QUARANTINE] Skipping unreadable batch ${entry.name}:`, err.message);
+    }
+  }
+
+  batches.sort((a, b) => b.createdAt - a.createdAt);
+  return batches;
+}
+
+/**
+ * Restore entries of a batch to their original locations
+ * @param {string} batchId - Batch to restore from
+ * @param {Array<string>} entryIds - Entries to restore (all pending when omitted)
+ */
+async function restoreEntries(batchId, entryIds = null) {
+  const manifest = await readManifest(batchId);
+  const batchDir = path.join(getStoreRoot(), batchId);
+  const results = { restored: [], failed: [] };
+
+  const targets = manifest.entries.filter(e =>
+    !e.restoredAt && (!entryIds || entryIds.includes(e.id))
+  );
+
+  for (const entry of targets) {
+    try {
+      if (fsSync.existsSync(entry.originalPath)) {
+        throw new Error('A file already exists at the original location');
+      }
+
+      await fs.mkdir(path.dirname(entry.originalPath), { recursive: true });
+      await movePath(getStoredPath(batchDir, entry), entry.originalPath);
+
+      // Deepest entries first so directory mtimes are not bumped afterwards
+      const children = [...entry.children].sort((a, b) =>
+        b.relativePath.split(path.sep).length - a.relativePath.split(path.sep).length
+      );
+      for (const child of children) {
+        await applyMetadata(path.join(entry.originalPath, child.relativePath), child);
+      }
+      await applyMetadata(entry.originalPath, entry);
+
+      entry.restoredAt = Date.now();
+      results.restored.push(entry.originalPath);
+    } catch (err) {
+      results.failed.push({ path: entry.originalPath, error: err.message });
+    }
+  }
+
+  if (manifest.entries.every(e => e.restoredAt)) {
+    await removeBatchDirs(batchDir, manifest);
+    notifyPurged({ batchId, freed: 0, restored: true });
+  } else {
+    await writeManifestFile(batchDir, manifest);
+  }
+
+  return results;
+}
+
+/**
+ * Register a listener called when a batch leaves the store, either purged
+ * or fully restored, with { batchId, freed, restored }. freed is the free
+ * space measured around the purge, or the summed item sizes when statfs is
+ * unavailable.
+ */
+function onBatchPurged(listener) {
+  purgeListeners.push(listener);
+}
+
+function notifyPurged(event) {
+  for (const listener of purgeListeners) {
+    try {
+      listener(event);
+    } catch (err) {
+      console.error(`[QUARANTINE] Purge listener failed for batch ${event.batchId}:`, err.message);
+    }
+  }
+}
+
+/**
+ * Permanently delete a batch
+ */
+async function purgeBatch(batchId) {
+  const manifest = await readManifest(batchId);
+  const batchDir = path.join(getStoreRoot(), batchId);
+  const estimated = manifest.entries
+    .filter(e => !e.restoredAt)
+    .reduce((sum, e) => sum + e.size, 0);
+
+  const monitor = createFreeSpaceMonitor();
+  for (const dir of [batchDir, ...getVolumeBatchDirs(manifest, batchDir)]) {
+    await monitor.track(dir);
+  }
+  await removeBatchDirs(batchDir, manifest);
+  const freeSpace = await monitor.measure();
+  const freed = freeSpace ? freeSpace.measuredFreed : estimated;
+
+  notifyPurged({ batchId, freed, restored: false });
+  return { success: true, freed, freedFormatted: formatDelta(freed), estimated, freeSpace };
+}
+
+/**
+ * Permanently delete batches older than the retention window. Batches that
+ * were never committed are kept for the user to restore or delete.
+ */
+async function purgeExpired() {
+  const root = getStoreRoot();
+  const now = Date.now();
+  let purged = 0;
+  let freed = 0;
+
+  const entries = await fs.readdir(root, { withFileTypes: true });
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+
+    try {
+      const manifest = await readManifest(entry.name);
+      if (manifest.complete !== false && getExpiry(manifest) <= now) {
+        const result = await purgeBatch(entry.name);
+        freed += result.freed;
+        purged++;
+      }
+    } catch (err) {
+      // Without a manifest the batch was created but nothing was moved yet;
+      // anything found in it is left alone
+      const items = await fs.readdir(path.join(root, entry.name, 'items')).catch(() => []);
+      if (items.length > 0) {
+        console.warn(`[QUARANTINE] Keeping batch ${entry.name} without a manifest`);
+        continue;
+      }
+      const stats = await fs.stat(path.join(root, entry.name)).catch(() => null);
+      if (stats && stats.mtimeMs + settings.retentionDays * 24 * 60 * 60 * 1000 <= now) {
+        await fs.rm(path.join(root, entry.name), { recursive: true, force: true });
+        purged++;
+      }
+    }
+  }
+
+  if (purged > 0) {
+    console.log(`[QUARANTINE] Purged ${purged} expired batches (${formatDelta(freed)})`);
+  }
+
+  return { purged, freed, freedFormatted: formatDelta(freed) };
+}
+
+function getQuarantineSettings() {
+  getStoreRoot();
+  return { ...settings };
+}
+
+function updateQuarantineSettings(updates) {
+  getStoreRoot();
+
+  const retentionDays = parseInt(updates.retentionDays, 10);
+  if (updates.retentionDays !== undefined && (!Number.isFinite(retentionDays) || retentionDays < 1)) {
+    return { success: false, error: 'Retention must be at least 1 day' };
+  }
+
+  settings = {
+    ...settings,
+    ...(updates.retentionDays !== undefined ? { retentionDays } : {})
+  };
+
+  fsSync.writeFileSync(getSettingsPath(), JSON.stringify(settings, null, 2), 'utf8');
+  return { success: true, settings: { ...settings } };
+}
+
+module.exports = {
+  initQuarantine,
+  closeQuarantine,
+  createBatch,
+  getVolumeStore,
+  movePath,
+  quarantineItem,
+  listQuarantine,
+  restoreEntries,
+  purgeBatch,
+  purgeExpired,
+  onBatchPurged,
+  getQuarantineSettings,
+  updateQuarantineSettings
+};
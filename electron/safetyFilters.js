@@ -0,0 +1,269 @@
+/**
+ * Safety Filters
+ *
+ * Optional checks run just before deletion:
+ * - Age: keep anything modified within the last N hours
+ * - In use: keep anything a live process holds open (via /proc/<pid>/fd on
+ *   Linux, lsof elsewhere), plus sockets and FIFOs, at any depth. When open
+ *   files can't be listed, every item is kept.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { exec } = require('child_process');
+const { promisify } = require('util');
+
+const execAsync = promisify(exec);
+
+/**
+ * Paths of the Unix sockets with the given inodes, from /proc/net/unix
+ */
+async function getUnixSocketPaths(inodes) {
+  const paths = [];
+  if (inodes.size === 0) return paths;
+
+  let table;
+  try {
+    table = await fs.readFile('/proc/net/unix', 'utf8');
+  } catch (err) {
+    return paths;
+  }
+
+  for (const line of table.split('\n').slice(1)) {
+    // Num RefCount Protocol Flags Type St Inode Path
+    const fields = line.trim().split(/\s+/);
+    if (fields.length >= 8 && inodes.has(fields[6]) && fields[7].startsWith('/')) {
+      paths.push(fields.slice(7).join(' '));
+    }
+  }
+  return paths;
+}
+
+/**
+ * Collect open file paths from /proc/<pid>/fd (Linux)
+ */
+async function getOpenFilesFromProc() {
+  const openFiles = new Set();
+  const socketInodes = new Set();
+  const entries = await fs.readdir('/proc');
+
+  for (const pid of entries) {
+    if (!/^\d+$/.test(pid)) continue;
+
+    let fds;
+    try {
+      fds = await fs.readdir(`/proc/${pid}/fd`);
+    } catch (err) {
+      // Process exited or belongs to another user
+      continue;
+    }
+
+    for (const fd of fds) {
+      try {
+        const target = await fs.readlink(`/proc/${pid}/fd/${fd}`);
+        if (target.startsWith('/')) {
+          openFiles.add(target.replace(/ \(deleted\)$/, ''));
+        } else {
+          // Sockets read as socket:[<inode>]; anonymous pipes are skipped
+          const socket = /^socket:\[(\d+)\]$/.exec(target);
+          if (socket) socketInodes.add(socket[1]);
+        }
+      } catch (err) {
+        // fd closed while reading
+      }
+    }
+  }
+
+  for (const socketPath of await getUnixSocketPaths(socketInodes)) {
+    openFiles.add(socketPath);
+  }
+
+  return openFiles;
+}
+
+/**
+ * Collect open file paths from lsof (macOS and other Unix systems)
+ */
+async function getOpenFilesFromLsof() {
+  const openFiles = new Set();
+  const { stdout } = await execAsync('lsof -w -F n', {
+    maxBuffer: 64 * 1024 * 1024,
+    timeout: 30000
+  });
+
+  for (const line of stdout.split('\n')) {
+    // Field output: lines starting with "n" carry the file name
+    if (line.startsWith('n/')) {
+      openFiles.add(line.slice(1));
+    }
+  }
+
+  return openFiles;
+}
+
+/**
+ * Get the set of paths currently held open by any process
+ * @returns {Promise<Set<string>|null>} null when detection isn't available
+ */
+async function getOpenFiles() {
+  try {
+    if (process.platform === 'linux') {
+      return await getOpenFilesFromProc();
+    }
+    if (process.platform !== 'win32') {
+      return await getOpenFilesFromLsof();
+    }
+  } catch (error) {
+    console.error('[SAFETY] Open file detection failed:', error.message);
+  }
+  return null;
+}
+
+/**
+ * Find the newest mtime in a tree, stopping early once it passes `cutoff`
+ */
+async function getNewestMtime(itemPath, cutoff) {
+  const stats = await fs.lstat(itemPath);
+  let newest = stats.mtimeMs;
+
+  if (newest >= cutoff || !stats.isDirectory()) {
+    return newest;
+  }
+
+  let entries;
+  try {
+    entries = await fs.readdir(itemPath);
+  } catch (err) {
+    return newest;
+  }
+
+  for (const entry of entries) {
+    try {
+      newest = Math.max(newest, await getNewestMtime(path.join(itemPath, entry), cutoff));
+      if (newest >= cutoff) break;
+    } catch (err) {
+      // Entry vanished or is unreadable
+    }
+  }
+
+  return newest;
+}
+
+/**
+ * First socket or named pipe below a directory, without following symlinks
+ */
+async function findSpecialFile(dirPath) {
+  const pending = [dirPath];
+  while (pending.length > 0) {
+    const current = pending.pop();
+    let entries;
+    try {
+      entries = await fs.readdir(current, { withFileTypes: true });
+    } catch (err) {
+      continue;
+    }
+
+    for (const entry of entries) {
+      const entryPath = path.join(current, entry.name);
+      if (entry.isSocket() || entry.isFIFO()) {
+        return { path: entryPath, socket: entry.isSocket() };
+      }
+      if (entry.isDirectory()) {
+        pending.push(entryPath);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether an item (or anything under it) is open, or is a socket/FIFO
+ * @param {Set<string>|null} openFiles - From getOpenFiles; null keeps the item
+ */
+async function findInUse(itemPath, stats, openFiles) {
+  if (stats.isSocket()) return 'Socket in use by a running process';
+  if (stats.isFIFO()) return 'Named pipe in use by a running process';
+
+  if (!openFiles) return 'In-use detection unavailable';
+
+  if (openFiles.has(itemPath)) {
+    return 'Open in a running process';
+  }
+
+  if (stats.isDirectory()) {
+    const prefix = itemPath.endsWith(path.sep) ? itemPath : itemPath + path.sep;
+    for (const openPath of openFiles) {
+      if (openPath.startsWith(prefix)) {
+        return `Contains a file open in a running process (${path.basename(openPath)})`;
+      }
+    }
+
+    const special = await findSpecialFile(itemPath);
+    if (special) {
+      return special.socket
+        ? `Contains a socket (${path.basename(special.path)})`
+        : `Contains a named pipe (${path.basename(special.path)})`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Split items into those safe to delete and those kept back
+ * @param {Array<{path: string}>} items - Items about to be deleted
+ * @param {Object} options - { minAgeHours, skipInUse }
+ * @returns {Promise<{allowed: Array, kept: Array<{path, reason, filter}>}>}
+ */
+async function applySafetyFilters(items, options = {}) {
+  const { minAgeHours = 0, skipInUse = false } = options;
+  const allowed = [];
+  const kept = [];
+
+  if (!minAgeHours && !skipInUse) {
+    return { allowed: [...items], kept };
+  }
+
+  const openFiles = skipInUse ? await getOpenFiles() : null;
+  const cutoff = Date.now() - minAgeHours * 60 * 60 * 1000;
+
+  for (const item of items) {
+    let stats;
+    try {
+      stats = await fs.lstat(item.path);
+    } catch (err) {
+      // Missing items fall through so the caller reports the real error
+      allowed.push(item);
+      continue;
+    }
+
+    if (skipInUse) {
+      const reason = await findInUse(item.path, stats, openFiles);
+      if (reason) {
+        kept.push({ path: item.path, reason, filter: 'in-use' });
+        continue;
+      }
+    }
+
+    if (minAgeHours > 0) {
+      const newest = await getNewestMtime(item.path, cutoff).catch(() => 0);
+      if (newest >= cutoff) {
+        kept.push({
+          path: item.path,
+          reason: `Modified within the last ${minAgeHours} hour${minAgeHours !== 1 ? 's' : ''}`,
+          filter: 'age'
+        });
+        continue;
+      }
+    }
+
+    allowed.push(item);
+  }
+
+  return { allowed, kept };
+}
+
+module.exports = {
+  getOpenFiles,
+  applySafetyFilters
+};
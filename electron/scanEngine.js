@@ -0,0 +1,268 @@
+/**
+ * Scan Engine
+ *
+ * Shared engine for measuring many paths without blocking the main process.
+ * Paths are spread over a pool of worker threads (scanWorker.js) under a
+ * concurrency budget (paths measured at once) and a file-descriptor budget
+ * (filesystem calls in flight), both split evenly between workers.
+ *
+ * With an `index` (sizeIndex.js) each path's known directory records go to the
+ * worker with it, and the records it lists come back to be stored here: the
+ * database stays on the main thread.
+ */
+
+const path = require('path');
+const os = require('os');
+const { Worker } = require('worker_threads');
+const { createLimiter, measureTree } = require('./scanWorker');
+
+const DEFAULT_OPTIONS = {
+  workers: Math.max(1, Math.min(4, os.cpus().length - 1)),
+  concurrency: 8,
+  maxOpenFiles: 128
+};
+
+// Workers can't be loaded from inside app.asar; the file is unpacked at build time
+function getWorkerPath() {
+  return path.join(__dirname, 'scanWorker.js').replace('app.asar', 'app.asar.unpacked');
+}
+
+// Known records for a path, or null when the index is off
+function loadIndex(options, targetPath) {
+  return options.index ? options.index.getSubtree(targetPath) : null;
+}
+
+// Store what the walk listed and strip it from the result
+function saveIndex(options, targetPath, result) {
+  if (!options.index || !result.records) return result;
+
+  const { records, stale, ...measured } = result;
+  options.index.update(targetPath, records, stale);
+  return measured;
+}
+
+/**
+ * Count a file hardlinked into several measured paths toward the first path
+ * that reports it, and strip the link list from the result
+ */
+function claimLinks(claimed, result) {
+  const { linked = [], ...measured } = result;
+  for (const file of linked) {
+    if (!claimed.has(file.id)) {
+      claimed.add(file.id);
+      continue;
+    }
+    measured.size -= file.size;
+    measured.diskSize -= file.diskSize;
+    measured.fileCount--;
+  }
+  return measured;
+}
+
+/**
+ * Fallback when worker threads can't be started: same budgets, one thread
+ */
+async function measureInProcess(paths, options, handleResult) {
+  const limit = createLimiter(options.maxOpenFiles);
+  const slots = createLimiter(options.concurrency);
+
+  await Promise.all(paths.map(targetPath => slots(async () => {
+    try {
+      const index = loadIndex(options, targetPath);
+      const known = index ? new Map(index.map(entry => [entry.path, entry])) : null;
+      const result = await measureTree(targetPath, limit, { index: known, fullRescan: options.fullRescan });
+      handleResult({ path: targetPath, result: saveIndex(options, targetPath, result) });
+    } catch (error) {
+      handleResult({ path: targetPath, error: error.message });
+    }
+  })));
+}
+
+/**
+ * Measure paths on worker threads
+ * @param {Array<string>} paths - Paths to measure
+ * @param {Object} options - { workers, concurrency, maxOpenFiles, index, fullRescan, onResult }
+ *   index is an object with getSubtree/update (sizeIndex.js); fullRescan
+ *   lists every directory again instead of reusing unchanged ones.
+ *   onResult receives { path, result } or { path, error } as each path finishes;
+ *   result.size is the apparent size and result.diskSize the allocated size,
+ *   with hardlinked files counted once across all paths
+ * @returns {Promise<Array>} Results in completion order
+ */
+async function measurePaths(paths, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const results = [];
+  const claimed = new Set();
+
+  const handleResult = (entry) => {
+    if (entry.result) {
+      entry = { ...entry, result: claimLinks(claimed, entry.result) };
+    }
+    results.push(entry);
+    if (settings.onResult) {
+      settings.onResult(entry);
+    }
+  };
+
+  if (paths.length === 0) return results;
+
+  const workerCount = Math.max(1, Math.min(settings.workers, paths.length));
+  const perWorkerConcurrency = Math.max(1, Math.floor(settings.concurrency / workerCount));
+  const perWorkerFiles = Math.max(4, Math.floor(settings.maxOpenFiles / workerCount));
+
+  const startWorker = (slot) => {
+    slot.worker = new Worker(getWorkerPath(), { workerData: { maxOpenFiles: perWorkerFiles } });
+    return slot;
+  };
+
+  let pool;
+  try {
+    pool = Array.from({ length: workerCount }, () => startWorker({ worker: null, inFlight: new Map() }));
+  } catch (error) {
+    console.warn('[SCAN] Worker threads unavailable, scanning in-process:', error.message);
+    await measureInProcess(paths, settings, handleResult);
+    return results;
+  }
+
+  await new Promise((resolve, reject) => {
+    let nextIndex = 0;
+    let completed = 0;
+    let finished = false;
+    const requeued = [];
+    const retried = new Set();
+
+    const finish = (error) => {
+      if (finished) return;
+      finished = true;
+      pool.forEach(({ worker }) => worker.terminate());
+      if (error) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    };
+
+    const complete = (slot, entry) => {
+      completed++;
+      handleResult(entry);
+      if (completed === paths.length) {
+        finish();
+      } else {
+        dispatch(slot);
+      }
+    };
+
+    const takeTask = () => {
+      if (requeued.length > 0) return requeued.shift();
+      return nextIndex < paths.length ? nextIndex++ : null;
+    };
+
+    const dispatch = (slot) => {
+      while (slot.inFlight.size < perWorkerConcurrency) {
+        const id = takeTask();
+        if (id === null) break;
+        slot.inFlight.set(id, paths[id]);
+        slot.worker.postMessage({
+          id,
+          path: paths[id],
+          index: loadIndex(settings, paths[id]),
+          fullRescan: Boolean(settings.fullRescan)
+        });
+      }
+    };
+
+    const attach = (slot) => {
+      const { worker } = slot;
+
+      worker.on('message', ({ id, result, error }) => {
+        const targetPath = slot.inFlight.get(id);
+        slot.inFlight.delete(id);
+
+        complete(slot, error
+          ? { path: targetPath, error }
+          : { path: targetPath, result: saveIndex(settings, targetPath, result) });
+      });
+
+      worker.on('error', (error) => {
+        // Always followed by 'exit', which replaces the worker
+        console.error('[SCAN] Worker failed:', error);
+      });
+
+      // A worker that dies (crash, out of memory) takes its in-flight paths
+      // with it. Each is retried once on a fresh worker, then reported as
+      // failed, so one bad path can't stall or crash-loop the scan.
+      worker.on('exit', (code) => {
+        if (finished || slot.worker !== worker) return;
+        console.error(`[SCAN] Worker exited with code ${code}, starting a new one`);
+
+        const failed = [];
+        for (const [id, targetPath] of slot.inFlight) {
+          if (retried.has(id)) {
+            failed.push(targetPath);
+          } else {
+            retried.add(id);
+            requeued.push(id);
+          }
+        }
+        slot.inFlight.clear();
+
+        try {
+          attach(startWorker(slot));
+        } catch (error) {
+          finish(error);
+          return;
+        }
+
+        for (const targetPath of failed) {
+          complete(slot, { path: targetPath, error: `Scan worker exited with code ${code}` });
+        }
+        if (!finished) dispatch(slot);
+      });
+    };
+
+    pool.forEach(slot => {
+      attach(slot);
+      dispatch(slot);
+    });
+  });
+
+  return results;
+}
+
+/**
+ * Collect items and hand them to `onBatch` in groups, either when `size`
+ * items are waiting or `interval` ms after the first one arrived
+ */
+function createBatcher(onBatch, { size = 25, interval = 250 } = {}) {
+  let pending = [];
+  let timer = null;
+
+  const flush = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (pending.length === 0) return;
+    const batch = pending;
+    pending = [];
+    onBatch(batch);
+  };
+
+  return {
+    push(item) {
+      pending.push(item);
+      if (pending.length >= size) {
+        flush();
+      } else if (!timer) {
+        timer = setTimeout(flush, interval);
+      }
+    },
+    flush
+  };
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  measurePaths,
+  createBatcher
+};
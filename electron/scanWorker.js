@@ -0,0 +1,259 @@
+/**
+ * Scan Worker
+ *
+ * Measures directory trees off the Electron main thread. scanEngine.js loads
+ * this file as a worker thread; the same functions are used in-process when
+ * workers are unavailable. Only Node built-ins are required here so the file
+ * can be unpacked from the asar archive on its own.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parentPort, workerData, isMainThread } = require('worker_threads');
+
+/**
+ * Limit how many async operations run at once (used as a file-descriptor budget)
+ */
+function createLimiter(max) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= max || queue.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    fn()
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (fn) => new Promise((resolve, reject) => {
+    queue.push({ fn, resolve, reject });
+    next();
+  });
+}
+
+// Files at least this big are listed in directory records for LargeFileFinder
+const LARGE_FILE_FLOOR = 1024 * 1024;
+
+// Quarantine directory kept on each volume (see quarantine.js). Defined here
+// because this file may only require Node built-ins; every scan leaves it out.
+const QUARANTINE_STORE_NAME = '.system-cleaner-quarantine';
+
+// A directory changed within this window of being listed may have changed again
+// without its mtime moving, so such records are never reused
+const RACY_WINDOW_MS = 2000;
+
+/**
+ * Space a file takes on disk: allocated 512-byte blocks, so sparse files count
+ * less and small files count a whole block. Windows reports no block count.
+ */
+function getDiskSize(stats) {
+  return typeof stats.blocks === 'number' ? stats.blocks * 512 : stats.size;
+}
+
+// Identity shared by every hardlink to the same file
+function getFileId(stats) {
+  return `${stats.dev}:${stats.ino}`;
+}
+
+/**
+ * List one directory into a record: the apparent and on-disk size and count
+ * of the files directly inside it, its subdirectory names and its large files.
+ * Files with more than one hardlink are kept apart in `linked` so a walk can
+ * count each of them once. The on-disk size includes the directory itself.
+ * When `index` holds a record for the directory with the same mtime, that
+ * record is returned instead (marked `reused`) without reading the directory.
+ * @param {string} dirPath - Directory to list
+ * @param {fs.Stats} dirStats - Stats of the directory
+ * @param {Function} limit - Limiter from createLimiter
+ * @param {Object} options - { index: known records by path, fullRescan: list
+ *   every directory but still compare with `index` to find removed ones }
+ */
+async function readDirectory(dirPath, dirStats, limit, options = {}) {
+  const { index = null, fullRescan = false } = options;
+  const cached = index && index.get(dirPath);
+  if (cached && !fullRescan &&
+      cached.mtimeMs === dirStats.mtimeMs &&
+      cached.indexedAt - cached.mtimeMs > RACY_WINDOW_MS) {
+    return { ...cached, reused: true };
+  }
+
+  const entries = await limit(() => fs.readdir(dirPath, { withFileTypes: true }));
+  const record = {
+    path: dirPath,
+    mtimeMs: dirStats.mtimeMs,
+    filesSize: 0,
+    filesDiskSize: getDiskSize(dirStats),
+    fileCount: 0,
+    subdirs: [],
+    linked: [],
+    largeFiles: [],
+    indexedAt: Date.now(),
+    reused: false,
+    removed: []
+  };
+
+  await Promise.all(entries.map(async (entry) => {
+    if (entry.name === QUARANTINE_STORE_NAME) return;
+
+    if (entry.isDirectory()) {
+      record.subdirs.push(entry.name);
+      return;
+    }
+
+    try {
+      // lstat: a symlink counts as the link itself, never its target
+      const stats = await limit(() => fs.lstat(path.join(dirPath, entry.name)));
+      const diskSize = getDiskSize(stats);
+      if (stats.isFile() && stats.nlink > 1) {
+        record.linked.push({ id: getFileId(stats), size: stats.size, diskSize });
+      } else {
+        record.filesSize += stats.size;
+        record.filesDiskSize += diskSize;
+        record.fileCount++;
+      }
+      if (stats.isFile() && stats.size >= LARGE_FILE_FLOOR) {
+        record.largeFiles.push({
+          name: entry.name,
+          size: stats.size,
+          diskSize,
+          mtimeMs: stats.mtimeMs,
+          id: getFileId(stats),
+          nlink: stats.nlink
+        });
+      }
+    } catch (err) {
+      // Skip files we can't access
+    }
+  }));
+
+  if (cached) {
+    record.removed = cached.subdirs
+      .filter(name => !record.subdirs.includes(name))
+      .map(name => path.join(dirPath, name));
+  }
+
+  return record;
+}
+
+/**
+ * Measure one path: apparent size, on-disk size and file count of everything
+ * below it. Symlinks are counted but never followed, and a file hardlinked
+ * several times inside the tree counts once. `linked` lists those files so
+ * callers measuring several paths can count them once overall.
+ * @param {string} rootPath - File or directory to measure
+ * @param {Function} limit - Limiter from createLimiter
+ * @param {Object} options - { index, fullRescan } as for readDirectory. With an
+ *   index the result also carries the new `records`, the `stale` subtrees,
+ *   and `indexedAt`: when the oldest reused record was listed
+ */
+async function measureTree(rootPath, limit, options = {}) {
+  const rootStats = await limit(() => fs.lstat(rootPath));
+  const isDirectory = rootStats.isDirectory();
+
+  const result = {
+    path: rootPath,
+    isDirectory,
+    size: isDirectory ? 0 : rootStats.size,
+    diskSize: isDirectory ? 0 : getDiskSize(rootStats),
+    fileCount: isDirectory ? 0 : 1,
+    mtimeMs: rootStats.mtimeMs,
+    uid: rootStats.uid,
+    linked: rootStats.isFile() && rootStats.nlink > 1
+      ? [{ id: getFileId(rootStats), size: rootStats.size, diskSize: getDiskSize(rootStats) }]
+      : []
+  };
+
+  if (!isDirectory) return result;
+
+  const seenLinks = new Set();
+
+  const tracking = Boolean(options.index);
+  if (tracking) {
+    Object.assign(result, {
+      indexedAt: Date.now(),
+      reusedDirs: 0,
+      walkedDirs: 0,
+      records: [],
+      stale: []
+    });
+  }
+
+  async function walk(dirPath, dirStats) {
+    let record;
+    try {
+      record = await readDirectory(dirPath, dirStats, limit, options);
+    } catch (err) {
+      // Skip directories we can't access
+      return;
+    }
+
+    result.size += record.filesSize;
+    result.diskSize += record.filesDiskSize;
+    result.fileCount += record.fileCount;
+
+    for (const file of record.linked) {
+      if (seenLinks.has(file.id)) continue;
+      seenLinks.add(file.id);
+      result.size += file.size;
+      result.diskSize += file.diskSize;
+      result.fileCount++;
+      result.linked.push(file);
+    }
+
+    if (tracking) {
+      if (record.reused) {
+        result.reusedDirs++;
+        result.indexedAt = Math.min(result.indexedAt, record.indexedAt);
+      } else {
+        const { reused, removed, ...stored } = record;
+        result.walkedDirs++;
+        result.records.push(stored);
+        result.stale.push(...removed);
+      }
+    }
+
+    await Promise.all(record.subdirs.map(async (name) => {
+      const subPath = path.join(dirPath, name);
+      try {
+        const stats = await limit(() => fs.lstat(subPath));
+        if (stats.isDirectory()) {
+          await walk(subPath, stats);
+        }
+      } catch (err) {
+        // Gone since it was listed
+      }
+    }));
+  }
+
+  await walk(rootPath, rootStats);
+  return result;
+}
+
+if (!isMainThread && parentPort) {
+  const limit = createLimiter(workerData.maxOpenFiles);
+
+  parentPort.on('message', async ({ id, path: targetPath, index, fullRescan }) => {
+    try {
+      const known = index ? new Map(index.map(entry => [entry.path, entry])) : null;
+      const result = await measureTree(targetPath, limit, { index: known, fullRescan });
+      parentPort.postMessage({ id, result });
+    } catch (error) {
+      parentPort.postMessage({ id, error: error.message });
+    }
+  });
+}
+
+module.exports = {
+  LARGE_FILE_FLOOR,
+  QUARANTINE_STORE_NAME,
+  createLimiter,
+  getDiskSize,
+  getFileId,
+  readDirectory,
+  measureTree
+};
@@ -52,6 +52,10 @@ class ScheduleDatabase {
         duration_seconds INTEGER,
         error_message TEXT,
         details TEXT,
+        clean_freed_bytes INTEGER DEFAULT 0,
+        quarantine_batch_ids TEXT,
+        pending_purge INTEGER DEFAULT 0,
+        purge_freed_bytes INTEGER DEFAULT 0,
         FOREIGN KEY (schedule_id) REFERENCES schedules(id)
       );
     `;
@@ -66,6 +70,7 @@ class ScheduleDatabase {
     try {
       this.db.exec(createSchedulesTable);
       this.db.exec(createScheduleLogsTable);
+      this.migrateTables();
       this.db.exec(createIndexes);
       console.log('[SCHEDULE_DB] Tables created successfully');
     } catch (error) {
@@ -74,6 +79,26 @@ class ScheduleDatabase {
     }
   }
 
+  /**
+   * Add columns introduced after the first release to existing databases
+   */
+  migrateTables() {
+    const columns = this.db.prepare('PRAGMA table_info(schedule_logs)').all().map(column => column.name);
+
+    if (!columns.includes('clean_freed_bytes')) {
+      this.db.exec('ALTER TABLE schedule_logs ADD COLUMN clean_freed_bytes INTEGER DEFAULT 0');
+    }
+    if (!columns.includes('quarantine_batch_ids')) {
+      this.db.exec('ALTER TABLE schedule_logs ADD COLUMN quarantine_batch_ids TEXT');
+    }
+    if (!columns.includes('pending_purge')) {
+      this.db.exec('ALTER TABLE schedule_logs ADD COLUMN pending_purge INTEGER DEFAULT 0');
+    }
+    if (!columns.includes('purge_freed_bytes')) {
+      this.db.exec('ALTER TABLE schedule_logs ADD COLUMN purge_freed_bytes INTEGER DEFAULT 0');
+    }
+  }
+
   /**
    * Add new schedule
    */
@@ -351,16 +376,23 @@ class ScheduleDatabase {
   }
 
   /**
-   * Log schedule execution
+   * Log schedule execution.
+   * spaceSavedBytes counts quarantined items at their estimated size, since
+   * moving them frees nothing; cleanFreedBytes is the free space measured
+   * during the run. Logs with quarantineBatchIds stay pending until
+   * settleQuarantineBatch has seen all of their batches leave the store.
    */
   logExecution(log) {
     try {
+      const quarantineBatchIds = (log.quarantineBatchIds || []).filter(Boolean);
+
       const stmt = this.db.prepare(`
         INSERT INTO schedule_logs (
           schedule_id, profile_id, executed_at, success,
           space_saved_bytes, items_cleaned, duration_seconds,
-          error_message, details
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+          error_message, details, clean_freed_bytes,
+          quarantine_batch_ids, pending_purge
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
 
       const result = stmt.run(
@@ -372,7 +404,10 @@ class ScheduleDatabase {
         log.itemsCleaned || 0,
         log.durationSeconds || 0,
         log.errorMessage || null,
-        log.details ? JSON.stringify(log.details) : null
+        log.details ? JSON.stringify(log.details) : null,
+        log.cleanFreedBytes ?? log.spaceSavedBytes ?? 0,
+        quarantineBatchIds.length > 0 ? JSON.stringify(quarantineBatchIds) : null,
+        quarantineBatchIds.length > 0 ? 1 : 0
       );
 
       return {
@@ -388,6 +423,59 @@ class ScheduleDatabase {
     }
   }
 
+  /**
+   * Record that a quarantine batch left the store. Pending logs of runs that
+   * moved items into it add the free space measured around the purge; once all
+   * of a log's batches are gone its saved space becomes the free space
+   * measured during the run plus during the purges.
+   * @param {string} batchId - Purged or fully restored batch
+   * @param {number} freed - Free space gained by the purge, 0 for a restore
+   */
+  settleQuarantineBatch(batchId, freed) {
+    try {
+      const rows = this.db.prepare(`
+        SELECT id, quarantine_batch_ids, clean_freed_bytes, purge_freed_bytes
+        FROM schedule_logs
+        WHERE pending_purge = 1 AND quarantine_batch_ids LIKE ?
+      `).all(`%"${batchId}"%`);
+
+      const updatePending = this.db.prepare(`
+        UPDATE schedule_logs SET quarantine_batch_ids = ?, purge_freed_bytes = ? WHERE id = ?
+      `);
+      const updateSettled = this.db.prepare(`
+        UPDATE schedule_logs
+        SET pending_purge = 0, purge_freed_bytes = ?, space_saved_bytes = ?
+        WHERE id = ?
+      `);
+
+      let updated = 0;
+      for (const row of rows) {
+        const batchIds = JSON.parse(row.quarantine_batch_ids);
+        if (!batchIds.includes(batchId)) continue;
+
+        const pending = batchIds.filter(id => id !== batchId);
+        const purgeFreed = (row.purge_freed_bytes || 0) + freed;
+        if (pending.length > 0) {
+          updatePending.run(JSON.stringify(pending), purgeFreed, row.id);
+        } else {
+          updateSettled.run(purgeFreed, (row.clean_freed_bytes || 0) + purgeFreed, row.id);
+        }
+        updated++;
+      }
+
+      return {
+        success: true,
+        updated
+      };
+    } catch (error) {
+      console.error('[SCHEDULE_DB] Error settling quarantine batch:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Get schedule logs
    */
@@ -412,7 +500,8 @@ class ScheduleDatabase {
         itemsCleaned: row.items_cleaned,
         durationSeconds: row.duration_seconds,
         errorMessage: row.error_message,
-        details: row.details ? JSON.parse(row.details) : null
+        details: row.details ? JSON.parse(row.details) : null,
+        pendingPurge: row.pending_purge === 1
       }));
     } catch (error) {
       console.error('[SCHEDULE_DB] Error getting logs:', error);
@@ -443,7 +532,8 @@ class ScheduleDatabase {
         itemsCleaned: row.items_cleaned,
         durationSeconds: row.duration_seconds,
         errorMessage: row.error_message,
-        details: row.details ? JSON.parse(row.details) : null
+        details: row.details ? JSON.parse(row.details) : null,
+        pendingPurge: row.pending_purge === 1
       }));
     } catch (error) {
       console.error('[SCHEDULE_DB] Error getting recent logs:', error);
@@ -1,6 +1,9 @@
 const { Notification, powerMonitor, app } = require('electron');
 const path = require('path');
 const os = require('os');
+const { scanBuildArtifacts, cleanBuildArtifacts } = require('./buildArtifactCleaner');
+const { emptyTrash } = require('./trashManager');
+const { scanCrashDumps, cleanCrashDumps } = require('./crashDumpCleaner');
 
 /**
  * Scheduler Service
@@ -226,13 +229,16 @@ class SchedulerService {
 
       const duration = Math.floor((Date.now() - startTime) / 1000);
 
-      // Log execution
+      // Log execution. Runs that quarantined items stay pending until their
+      // batches are purged (see main.js)
       this.scheduleDb.logExecution({
         scheduleId: schedule.id,
         profileId: profile.id,
         executedAt: startTime,
         success: true,
         spaceSavedBytes: results.totalSpaceSaved || 0,
+        cleanFreedBytes: results.tasks.reduce((sum, task) => sum + (task.spaceMeasured ?? task.spaceSaved ?? 0), 0),
+        quarantineBatchIds: results.tasks.map(task => task.quarantineBatchId),
         itemsCleaned: results.totalItemsCleaned || 0,
         durationSeconds: duration,
         details: results
@@ -249,9 +255,12 @@ class SchedulerService {
 
       // Show completion notification
       if (profile.options.showNotifications) {
+        const pending = results.totalItemsPending
+          ? `. ${results.totalItemsPending} items (${this.formatBytes(results.totalSpacePending)}) are waiting for you to confirm the delete`
+          : '';
         this.showNotification(
           'Scheduled Cleaning Complete',
-          `${profile.name} cleaned ${results.totalItemsCleaned || 0} items (${this.formatBytes(results.totalSpaceSaved || 0)})`
+          `${profile.name} cleaned ${results.totalItemsCleaned || 0} items (${this.formatBytes(results.totalSpaceSaved || 0)})${pending}`
         );
       }
 
@@ -290,6 +299,8 @@ class SchedulerService {
     const results = {
       totalSpaceSaved: 0,
       totalItemsCleaned: 0,
+      totalItemsPending: 0,
+      totalSpacePending: 0,
       tasks: []
     };
 
@@ -354,9 +365,187 @@ class SchedulerService {
       });
     }
 
+    // Trash items deleted more than olderThanDays ago
+    if (profile.cleaningTasks.trash?.enabled) {
+      const task = await this.runTrashTask(profile.cleaningTasks.trash, profile.options);
+      results.tasks.push(task);
+      results.totalSpaceSaved += task.spaceSaved;
+      results.totalItemsCleaned += task.itemsCleaned;
+      this.addPending(results, task);
+    }
+
+    // Crash reports beyond the newest keepPerProgram of each program
+    if (profile.cleaningTasks.crashDumps?.enabled) {
+      const task = await this.runCrashDumpsTask(profile.cleaningTasks.crashDumps, profile.options);
+      results.tasks.push(task);
+      results.totalSpaceSaved += task.spaceSaved;
+      results.totalItemsCleaned += task.itemsCleaned;
+      this.addPending(results, task);
+    }
+
+    // Build artifacts of projects untouched for minAgeDays
+    if (profile.cleaningTasks.buildArtifacts?.enabled) {
+      const task = await this.runBuildArtifactsTask(profile.cleaningTasks.buildArtifacts, profile.options);
+      results.tasks.push(task);
+      results.totalSpaceSaved += task.spaceSaved;
+      results.totalItemsCleaned += task.itemsCleaned;
+      this.addPending(results, task);
+    }
+
     return results;
   }
 
+  /**
+   * Free space a clean measured on disk, or its estimate when statfs is
+   * unavailable. The measured value is what the execution log records.
+   */
+  getMeasuredFreed(result) {
+    return result.freeSpace ? result.freeSpace.measuredFreed : result.totalFreed;
+  }
+
+  /**
+   * Summary of a deleting task. With askBeforeDelete the task ran as a dry
+   * run: nothing was removed, and its items are reported as pending so the
+   * user can review and clean them from the app. Items moved to quarantine
+   * free nothing until their batch is purged, so such a task reports the
+   * estimate as saved and keeps the batch id for the execution log.
+   */
+  summarizeTask(name, result) {
+    if (result.dryRun) {
+      return {
+        name,
+        success: true,
+        skipped: true,
+        reason: 'Ask before delete is on: nothing was deleted',
+        itemsCleaned: 0,
+        spaceSaved: 0,
+        itemsPending: result.cleaned.length,
+        spacePending: result.totalFreed
+      };
+    }
+    if (result.quarantineBatchId) {
+      return {
+        name,
+        success: true,
+        itemsCleaned: result.cleaned.length,
+        spaceSaved: result.totalFreed,
+        spaceMeasured: result.freeSpace ? result.freeSpace.measuredFreed : 0,
+        spaceEstimated: result.totalFreed,
+        quarantineBatchId: result.quarantineBatchId
+      };
+    }
+    return {
+      name,
+      success: true,
+      itemsCleaned: result.cleaned.length,
+      spaceSaved: this.getMeasuredFreed(result),
+      spaceEstimated: result.totalFreed
+    };
+  }
+
+  addPending(results, task) {
+    results.totalItemsPending += task.itemsPending || 0;
+    results.totalSpacePending += task.spacePending || 0;
+  }
+
+  /**
+   * Empty old items from the trash. Emptying deletes permanently, so the task
+   * only runs with an explicit olderThanDays; profiles saved before the trash
+   * manager existed have none.
+   */
+  async runTrashTask(task, options = {}) {
+    if (!Number.isFinite(task.olderThanDays)) {
+      return {
+        name: 'Trash',
+        success: true,
+        skipped: true,
+        reason: 'No trash age set in the profile: nothing was deleted',
+        itemsCleaned: 0,
+        spaceSaved: 0
+      };
+    }
+
+    try {
+      const emptied = await emptyTrash(null, {
+        olderThanDays: task.olderThanDays,
+        dryRun: !!options.askBeforeDelete
+      });
+      return this.summarizeTask('Trash', emptied);
+    } catch (error) {
+      console.error('[SCHEDULER] Trash task failed:', error);
+      return {
+        name: 'Trash',
+        success: false,
+        itemsCleaned: 0,
+        spaceSaved: 0,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Remove all but the newest crash reports of each program
+   */
+  async runCrashDumpsTask(task, options = {}) {
+    try {
+      const scan = await scanCrashDumps({ keepPerProgram: task.keepPerProgram ?? 3 });
+
+      const dumpPaths = scan.programs
+        .flatMap(program => program.dumps)
+        .filter(dump => dump.excess && dump.removable)
+        .map(dump => dump.path);
+
+      const cleaned = await cleanCrashDumps(dumpPaths, null, {
+        skipInUse: true,
+        dryRun: !!options.askBeforeDelete
+      });
+
+      return this.summarizeTask('Crash Reports', cleaned);
+    } catch (error) {
+      console.error('[SCHEDULER] Crash report task failed:', error);
+      return {
+        name: 'Crash Reports',
+        success: false,
+        itemsCleaned: 0,
+        spaceSaved: 0,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Clean the artifacts of stale projects
+   */
+  async runBuildArtifactsTask(task, options = {}) {
+    try {
+      const scan = await scanBuildArtifacts(null, {
+        searchPaths: task.searchPaths,
+        minAgeDays: task.minAgeDays ?? 90
+      });
+
+      const artifactPaths = scan.projects
+        .filter(project => project.stale)
+        .flatMap(project => project.artifacts.filter(artifact => !artifact.protected))
+        .map(artifact => artifact.path);
+
+      const cleaned = await cleanBuildArtifacts(artifactPaths, null, {
+        skipInUse: true,
+        dryRun: !!options.askBeforeDelete
+      });
+
+      return this.summarizeTask('Build Artifacts', cleaned);
+    } catch (error) {
+      console.error('[SCHEDULER] Build artifact task failed:', error);
+      return {
+        name: 'Build Artifacts',
+        success: false,
+        itemsCleaned: 0,
+        spaceSaved: 0,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Calculate next run time for a schedule
    */
@@ -468,6 +657,8 @@ class SchedulerService {
    */
   formatBytes(bytes) {
     if (bytes === 0) return '0 Bytes';
+    // Measured free space can shrink while a task runs
+    if (bytes < 0) return '-' + this.formatBytes(-bytes);
 
     const k = 1024;
     const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
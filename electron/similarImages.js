@@ -0,0 +1,532 @@
+/**
+ * Similar Image Finder
+ *
+ * Finds photos that look alike but differ in bytes: resized, re-encoded or
+ * re-saved copies that findDuplicates cannot match. JPEG, PNG and WebP files
+ * are decoded (imageDecoder.js) and reduced to 64-bit perceptual hashes;
+ * each group is led by its best-quality image and holds the images whose
+ * hashes are within a Hamming distance of that one.
+ *
+ * dHash compares neighbouring pixels of a 9x8 grayscale sample. pHash keeps
+ * the signs of the lowest 8x8 DCT frequencies of a 32x32 sample relative to
+ * their median, which is more tolerant of compression and colour changes.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createBatch } = require('./quarantine');
+const { evaluatePath } = require('./protectionRules');
+const { decodeImage } = require('./imageDecoder');
+const {
+  scanDirectory,
+  toFileEntry,
+  formatBytes,
+  getXdgUserDirs,
+  resolveScanPaths,
+  createScanScope
+} = require('./duplicateFinder');
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+const DEFAULT_SCAN_PATHS = process.platform === 'linux'
+  ? getXdgUserDirs(['PICTURES', 'DOWNLOAD', 'DOCUMENTS', 'DESKTOP'])
+  : [
+    path.join(os.homedir(), 'Pictures'),
+    path.join(os.homedir(), 'Downloads'),
+    path.join(os.homedir(), 'Documents'),
+    path.join(os.homedir(), 'Desktop')
+  ];
+
+// Up to 10 of 64 bits apart catches re-encodes and resizes of the same photo
+const DEFAULT_MAX_DISTANCE = 10;
+const MAX_DISTANCE_LIMIT = 32;
+
+const THUMBNAIL_SIZE = 160;
+
+const PHASH_SIZE = 32;
+const PHASH_FREQUENCIES = 8;
+
+// cos((2x + 1) u pi / 64) for the frequencies pHash keeps
+const DCT_COSINES = Array.from({ length: PHASH_FREQUENCIES }, (_, u) =>
+  Array.from({ length: PHASH_SIZE }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * PHASH_SIZE)))
+);
+
+/**
+ * Pack 64 booleans into a hash: two unsigned 32-bit halves for comparison
+ * and a hex string for display
+ */
+function packBits(bits) {
+  let high = 0;
+  let low = 0;
+  for (let i = 0; i < 32; i++) {
+    high = ((high << 1) | (bits[i] ? 1 : 0)) >>> 0;
+    low = ((low << 1) | (bits[i + 32] ? 1 : 0)) >>> 0;
+  }
+  return {
+    high,
+    low,
+    hex: high.toString(16).padStart(8, '0') + low.toString(16).padStart(8, '0')
+  };
+}
+
+/**
+ * Difference hash of a 9x8 grayscale sample: one bit per horizontal
+ * neighbour pair, set when the left pixel is brighter
+ */
+function computeDHash(pixels) {
+  const bits = [];
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      bits.push(pixels[y * 9 + x] > pixels[y * 9 + x + 1]);
+    }
+  }
+  return packBits(bits);
+}
+
+/**
+ * Perceptual hash of a 32x32 grayscale sample: the 8x8 lowest DCT
+ * coefficients, each set when above the median (the DC term is left out of
+ * the median, as it only reflects overall brightness)
+ */
+function computePHash(pixels) {
+  // Separable DCT-II, rows first, computing only the kept frequencies
+  const rows = [];
+  for (let y = 0; y < PHASH_SIZE; y++) {
+    const row = [];
+    for (let u = 0; u < PHASH_FREQUENCIES; u++) {
+      let sum = 0;
+      for (let x = 0; x < PHASH_SIZE; x++) {
+        sum += pixels[y * PHASH_SIZE + x] * DCT_COSINES[u][x];
+      }
+      row.push(sum);
+    }
+    rows.push(row);
+  }
+
+  const coefficients = [];
+  for (let v = 0; v < PHASH_FREQUENCIES; v++) {
+    for (let u = 0; u < PHASH_FREQUENCIES; u++) {
+      let sum = 0;
+      for (let y = 0; y < PHASH_SIZE; y++) {
+        sum += rows[y][u] * DCT_COSINES[v][y];
+      }
+      coefficients.push(sum);
+    }
+  }
+
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = (sorted[31] + sorted[32]) / 2;
+  return packBits(coefficients.map(value => value > median));
+}
+
+function popcount(value) {
+  value -= (value >>> 1) & 0x55555555;
+  value = (value & 0x33333333) + ((value >>> 2) & 0x33333333);
+  return (((value + (value >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+/**
+ * Number of differing bits between two hashes from packBits
+ */
+function hammingDistance(a, b) {
+  return popcount((a.high ^ b.high) >>> 0) + popcount((a.low ^ b.low) >>> 0);
+}
+
+/**
+ * BK-tree over image hashes. Hamming distance is a metric, so a search only
+ * descends into children whose edge distance is within `radius` of the
+ * query's distance to the node, instead of comparing every pair.
+ */
+class HashTree {
+  constructor() {
+    this.root = null;
+  }
+
+  add(image) {
+    const node = { image, children: new Map() };
+    if (!this.root) {
+      this.root = node;
+      return;
+    }
+
+    let current = this.root;
+    while (true) {
+      const distance = hammingDistance(image.hash, current.image.hash);
+      const child = current.children.get(distance);
+      if (!child) {
+        current.children.set(distance, node);
+        return;
+      }
+      current = child;
+    }
+  }
+
+  /**
+   * Images within `radius` bits of `hash`
+   */
+  search(hash, radius) {
+    const found = [];
+    const pending = this.root ? [this.root] : [];
+    while (pending.length > 0) {
+      const node = pending.pop();
+      const distance = hammingDistance(hash, node.image.hash);
+      if (distance <= radius) found.push(node.image);
+
+      for (const [edge, child] of node.children) {
+        if (edge >= distance - radius && edge <= distance + radius) {
+          pending.push(child);
+        }
+      }
+    }
+    return found;
+  }
+}
+
+/**
+ * Let IPC and progress events through during long synchronous loops
+ */
+function yieldToEventLoop() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Best quality first: more pixels, then the larger file (less compression),
+ * then the newest
+ */
+function compareQuality(a, b) {
+  return (b.width * b.height) - (a.width * a.height) ||
+    b.size - a.size ||
+    b.modified - a.modified;
+}
+
+/**
+ * Find groups of visually similar images
+ * @param {Object} options - { paths, algorithm: 'phash' | 'dhash',
+ *   maxDistance } where maxDistance is the largest Hamming distance (of 64
+ *   bits) between an image and the kept image of its group, plus the
+ *   createScanScope filters
+ * @param {Function} progressCallback - Receives { stage, current, total }
+ * @param {Object} cancelToken - { cancelled }
+ */
+async function findSimilarImages(options = {}, progressCallback, cancelToken) {
+  const { algorithm = 'phash' } = options;
+  const paths = resolveScanPaths(options.paths, DEFAULT_SCAN_PATHS);
+  const scope = createScanScope(options);
+  const maxDistance = Math.min(MAX_DISTANCE_LIMIT, Math.max(0, Number(options.maxDistance ?? DEFAULT_MAX_DISTANCE)));
+
+  const startTime = Date.now();
+  const checkCancelled = () => {
+    if (cancelToken && cancelToken.cancelled) {
+      throw new Error('Scan cancelled by user');
+    }
+  };
+
+  if (progressCallback) {
+    progressCallback({ stage: 'initializing', message: 'Starting scan...' });
+  }
+
+  // Step 1: Collect images, one path per inode (hardlinks share the image)
+  const allFiles = [];
+  const seenInodes = new Set();
+  for (const scanPath of paths) {
+    try {
+      const stats = await fs.stat(scanPath);
+      if (!stats.isDirectory()) continue;
+
+      const files = await scanDirectory(scanPath, IMAGE_EXTENSIONS, progressCallback, cancelToken, scope);
+      for (const file of files) {
+        const key = `${file.device}:${file.inode}`;
+        if (seenInodes.has(key)) continue;
+        seenInodes.add(key);
+        allFiles.push(file);
+      }
+    } catch (err) {
+      if (cancelToken && cancelToken.cancelled) throw err;
+      console.error(`Error scanning ${scanPath}:`, err.message);
+    }
+  }
+
+  // Step 2: Decode and hash every image
+  const images = [];
+  const undecodable = [];
+  for (let i = 0; i < allFiles.length; i++) {
+    checkCancelled();
+    const file = allFiles[i];
+
+    try {
+      const decoded = await decodeImage(file.path);
+      images.push({
+        ...file,
+        width: decoded.width,
+        height: decoded.height,
+        hash: algorithm === 'dhash' ? computeDHash(decoded.dhashPixels) : computePHash(decoded.phashPixels)
+      });
+    } catch (err) {
+      undecodable.push({ path: file.path, error: err.message });
+    }
+
+    if (progressCallback && ((i + 1) % 10 === 0 || i + 1 === allFiles.length)) {
+      progressCallback({
+        stage: 'decoding',
+        current: i + 1,
+        total: allFiles.length,
+        message: `Hashing images... ${i + 1}/${allFiles.length}`
+      });
+    }
+  }
+
+  // Step 3: Best images first, each one keeps every image not yet grouped
+  // within maxDistance of it. Members are matched against the kept image
+  // only, so a chain of small differences never joins unrelated photos.
+  const ordered = [...images].sort(compareQuality);
+  const tree = new HashTree();
+  for (let i = 0; i < ordered.length; i++) {
+    tree.add(ordered[i]);
+    if (i % 1000 === 999) {
+      checkCancelled();
+      await yieldToEventLoop();
+    }
+  }
+
+  const grouped = new Set();
+  const similarSets = [];
+  for (let i = 0; i < ordered.length; i++) {
+    if (i % 200 === 0) {
+      checkCancelled();
+      if (progressCallback) {
+        progressCallback({
+          stage: 'grouping',
+          current: i,
+          total: ordered.length,
+          message: `Comparing images... ${i}/${ordered.length}`
+        });
+      }
+      await yieldToEventLoop();
+    }
+
+    const best = ordered[i];
+    if (grouped.has(best)) continue;
+
+    const members = tree.search(best.hash, maxDistance)
+      .filter(image => image !== best && !grouped.has(image));
+    if (members.length === 0) continue;
+
+    grouped.add(best);
+    members.forEach(image => grouped.add(image));
+    similarSets.push([best, ...members]);
+  }
+
+  // Step 4: Thumbnails, only for images that ended up in a group
+  const thumbnailTotal = similarSets.reduce((sum, members) => sum + members.length, 0);
+  let thumbnailCount = 0;
+  const groups = [];
+  let totalSimilarFiles = 0;
+  let totalPotentialSavings = 0;
+
+  for (const members of similarSets) {
+    members.sort(compareQuality);
+    const best = members[0];
+
+    const files = [];
+    for (const image of members) {
+      checkCancelled();
+
+      let thumbnail = null;
+      try {
+        ({ thumbnail } = await decodeImage(image.path, { thumbnailSize: THUMBNAIL_SIZE }));
+      } catch (err) {
+        console.error(`[DUPLICATES] No thumbnail for ${image.path}:`, err.message);
+      }
+
+      files.push({
+        ...toFileEntry(image),
+        width: image.width,
+        height: image.height,
+        hash: image.hash.hex,
+        distance: hammingDistance(image.hash, best.hash),
+        thumbnail
+      });
+
+      thumbnailCount++;
+      if (progressCallback && (thumbnailCount % 10 === 0 || thumbnailCount === thumbnailTotal)) {
+        progressCallback({
+          stage: 'thumbnails',
+          current: thumbnailCount,
+          total: thumbnailTotal,
+          message: `Creating thumbnails... ${thumbnailCount}/${thumbnailTotal}`
+        });
+      }
+    }
+
+    const potentialSavings = members.slice(1).reduce((sum, image) => sum + image.size, 0);
+    totalSimilarFiles += members.length - 1;
+    totalPotentialSavings += potentialSavings;
+
+    groups.push({
+      id: `similar-${best.device}-${best.inode}`,
+      count: members.length,
+      maxDistance: Math.max(...files.map(file => file.distance)),
+      files,
+      potentialSavings,
+      potentialSavingsFormatted: formatBytes(potentialSavings)
+    });
+  }
+
+  groups.sort((a, b) => b.potentialSavings - a.potentialSavings);
+
+  const scanDuration = Date.now() - startTime;
+  console.log(`[DUPLICATES] ${groups.length} similar image groups among ${images.length} images (${algorithm}, distance <= ${maxDistance}), ${undecodable.length} undecodable`);
+
+  return {
+    success: true,
+    groups,
+    undecodable,
+    summary: {
+      totalImages: allFiles.length,
+      decodedImages: images.length,
+      totalSimilarGroups: groups.length,
+      totalSimilarFiles,
+      totalPotentialSavings,
+      totalPotentialSavingsFormatted: formatBytes(totalPotentialSavings),
+      algorithm,
+      maxDistance,
+      scanDuration: `${(scanDuration / 1000).toFixed(2)}s`,
+      scannedPaths: paths
+    }
+  };
+}
+
+/**
+ * Hash one image for delete-time verification
+ */
+async function hashImage(filePath, algorithm) {
+  const decoded = await decodeImage(filePath);
+  return algorithm === 'dhash' ? computeDHash(decoded.dhashPixels) : computePHash(decoded.phashPixels);
+}
+
+/**
+ * Delete selected similar images. Similar images differ in bytes, so there
+ * is no byte comparison; each file names the image that stays and is only
+ * removed while that image still exists. With `maxDistance`, both images are
+ * hashed again and the file is kept when it is further from the kept image
+ * than that, which happens when another member of the group is kept.
+ * @param {Array<{path: string, keepPath: string}>} removals - Files to delete
+ * @param {Object} options - { dryRun } returns a manifest without touching
+ *   the disk; { algorithm, maxDistance } from the scan summary
+ */
+async function deleteSimilarImages(removals, progressCallback, options = {}) {
+  const results = {
+    deleted: [],
+    failed: [],
+    skipped: [],
+    totalFreed: 0
+  };
+
+  const batch = createBatch('similar-images', 'Similar Images', { dryRun: options.dryRun });
+
+  const removing = new Set(removals.map(removal => removal.path));
+  const verifyDistance = options.maxDistance !== undefined && options.maxDistance !== null;
+  const keptHashes = new Map();
+
+  for (let i = 0; i < removals.length; i++) {
+    const { path: filePath, keepPath } = removals[i];
+
+    if (progressCallback) {
+      progressCallback({
+        current: i + 1,
+        total: removals.length,
+        path: filePath
+      });
+    }
+
+    if (!keepPath || keepPath === filePath || removing.has(keepPath)) {
+      results.skipped.push({
+        path: filePath,
+        reason: 'No image of this group is kept',
+        filter: 'verification'
+      });
+      continue;
+    }
+
+    const protection = evaluatePath(filePath, { allowPersonalFolders: true });
+    if (protection.protected) {
+      results.skipped.push({
+        path: filePath,
+        reason: `Protected: ${protection.rule.description}`,
+        filter: 'protection',
+        rule: protection.rule
+      });
+      continue;
+    }
+
+    try {
+      const keepStats = await fs.stat(keepPath);
+      if (!keepStats.isFile()) throw new Error('not a file');
+    } catch (err) {
+      results.skipped.push({
+        path: filePath,
+        reason: `Kept image ${keepPath} is no longer available`,
+        filter: 'verification'
+      });
+      continue;
+    }
+
+    if (verifyDistance) {
+      let distance;
+      try {
+        if (!keptHashes.has(keepPath)) {
+          keptHashes.set(keepPath, await hashImage(keepPath, options.algorithm));
+        }
+        distance = hammingDistance(await hashImage(filePath, options.algorithm), keptHashes.get(keepPath));
+      } catch (err) {
+        results.skipped.push({ path: filePath, reason: `Could not compare with ${keepPath}: ${err.message}`, filter: 'verification' });
+        continue;
+      }
+      if (distance > options.maxDistance) {
+        results.skipped.push({
+          path: filePath,
+          reason: `Differs from the kept image ${keepPath} by ${distance} bits (more than ${options.maxDistance})`,
+          filter: 'verification'
+        });
+        continue;
+      }
+    }
+
+    const result = await batch.add(filePath);
+
+    if (result.success) {
+      results.deleted.push(filePath);
+      results.totalFreed += result.size;
+    } else {
+      results.failed.push({
+        path: filePath,
+        error: result.error
+      });
+    }
+  }
+
+  results.freeSpace = await batch.commit();
+  results.quarantineBatchId = batch.getStoredBatchId();
+
+  results.totalFreedFormatted = formatBytes(results.totalFreed);
+
+  if (batch.dryRun) {
+    results.dryRun = true;
+    results.manifest = batch.getManifest({ skipped: results.skipped, failed: results.failed });
+  }
+
+  return {
+    success: true,
+    data: results
+  };
+}
+
+module.exports = {
+  DEFAULT_SCAN_PATHS,
+  findSimilarImages,
+  deleteSimilarImages,
+  computeDHash,
+  computePHash,
+  hammingDistance
+};
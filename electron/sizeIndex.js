@@ -0,0 +1,156 @@
+/**
+ * Directory Size Index
+ *
+ * Persists one row per scanned directory: its mtime, the apparent and on-disk
+ * size and count of the files directly inside it, its hardlinked files, its
+ * subdirectory names and its large files. Scanners pass a subtree of rows to
+ * scanWorker.readDirectory, which reuses a row instead of listing the
+ * directory again while the directory's mtime is unchanged. Subdirectories
+ * are still checked one by one, so a change deep in the tree is picked up.
+ * Editing a file in place doesn't touch the directory mtime; a full rescan
+ * rebuilds the rows for that case.
+ */
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const { app } = require('electron');
+
+// Rows are a cache: a database with an older layout is dropped and rebuilt
+const SCHEMA_VERSION = 2;
+
+let db = null;
+let unavailable = false;
+
+function getDatabase() {
+  if (db || unavailable) return db;
+
+  try {
+    const dbPath = path.join(app.getPath('userData'), 'scan-index.db');
+    db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+
+    if (db.pragma('user_version', { simple: true }) < SCHEMA_VERSION) {
+      db.exec('DROP TABLE IF EXISTS directories');
+      db.pragma(`user_version = ${SCHEMA_VERSION}`);
+    }
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS directories (
+        path TEXT PRIMARY KEY,
+        mtime_ms REAL NOT NULL,
+        files_size INTEGER NOT NULL,
+        files_disk_size INTEGER NOT NULL,
+        file_count INTEGER NOT NULL,
+        subdirs TEXT NOT NULL,
+        linked TEXT NOT NULL,
+        large_files TEXT NOT NULL,
+        indexed_at INTEGER NOT NULL
+      );
+    `);
+
+    console.log('[SCAN] Size index at:', dbPath);
+  } catch (error) {
+    // Scans still work without the index, they just walk everything
+    console.error('[SCAN] Size index unavailable:', error.message);
+    unavailable = true;
+    db = null;
+  }
+
+  return db;
+}
+
+// Rows for rootPath and everything below it, as a PRIMARY KEY range scan
+function subtreeBounds(rootPath) {
+  const separator = path.sep;
+  const lower = rootPath.endsWith(separator) ? rootPath : rootPath + separator;
+  const upper = lower.slice(0, -1) + String.fromCharCode(separator.charCodeAt(0) + 1);
+  return [rootPath, lower, upper];
+}
+
+function toEntry(row) {
+  return {
+    path: row.path,
+    mtimeMs: row.mtime_ms,
+    filesSize: row.files_size,
+    filesDiskSize: row.files_disk_size,
+    fileCount: row.file_count,
+    subdirs: JSON.parse(row.subdirs),
+    linked: JSON.parse(row.linked),
+    largeFiles: JSON.parse(row.large_files),
+    indexedAt: row.indexed_at
+  };
+}
+
+/**
+ * Load the index rows for a directory tree
+ * @param {string} rootPath - Top of the tree
+ * @returns {Array<Object>} Directory records
+ */
+function getSubtree(rootPath) {
+  const database = getDatabase();
+  if (!database) return [];
+
+  const rows = database.prepare(`
+    SELECT * FROM directories
+    WHERE path = ? OR (path >= ? AND path < ?)
+  `).all(...subtreeBounds(rootPath));
+
+  return rows.map(toEntry);
+}
+
+/**
+ * Store the directories a scan listed and drop the ones that disappeared
+ * @param {string} rootPath - Top of the scanned tree
+ * @param {Array<Object>} records - Records from scanWorker.readDirectory
+ * @param {Array<string>} stale - Directories that no longer exist
+ */
+function update(rootPath, records, stale = []) {
+  const database = getDatabase();
+  if (!database) return;
+
+  const removeTree = database.prepare(`
+    DELETE FROM directories
+    WHERE path = ? OR (path >= ? AND path < ?)
+  `);
+  const upsert = database.prepare(`
+    INSERT OR REPLACE INTO directories (
+      path, mtime_ms, files_size, files_disk_size, file_count, subdirs, linked, large_files, indexed_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  try {
+    database.transaction(() => {
+      for (const stalePath of stale) {
+        removeTree.run(...subtreeBounds(stalePath));
+      }
+      for (const record of records) {
+        upsert.run(
+          record.path,
+          record.mtimeMs,
+          record.filesSize,
+          record.filesDiskSize,
+          record.fileCount,
+          JSON.stringify(record.subdirs),
+          JSON.stringify(record.linked),
+          JSON.stringify(record.largeFiles),
+          record.indexedAt
+        );
+      }
+    })();
+  } catch (error) {
+    console.error(`[SCAN] Failed to update size index for ${rootPath}:`, error.message);
+  }
+}
+
+function closeSizeIndex() {
+  if (db) {
+    db.close();
+    db = null;
+  }
+}
+
+module.exports = {
+  getSubtree,
+  update,
+  closeSizeIndex
+};
@@ -0,0 +1,522 @@
+/**
+ * Trash Manager
+ *
+ * Lists, restores and empties the desktop trash:
+ * - Linux: the freedesktop.org trash spec. The home trash in $XDG_DATA_HOME/Trash
+ *   and per-volume $topdir/.Trash/$uid and $topdir/.Trash-$uid directories, each
+ *   with files/ and info/<name>.trashinfo
+ * - macOS: ~/.Trash and /Volumes/<volume>/.Trashes/$uid. The original location
+ *   is kept in a private format, so these items can't be restored from here
+ * - Windows: <drive>:\$Recycle.Bin\<SID>, with $I metadata files next to $R items
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const os = require('os');
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const { createBatch, movePath } = require('./quarantine');
+const { createFreeSpaceMonitor } = require('./freeSpace');
+const { evaluateTree } = require('./protectionRules');
+const { measurePaths } = require('./scanEngine');
+const sizeIndex = require('./sizeIndex');
+
+const execAsync = promisify(exec);
+
+const HOME = os.homedir();
+const XDG_DATA_HOME = process.env.XDG_DATA_HOME || path.join(HOME, '.local/share');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Mount points that never hold a trash directory
+const PSEUDO_MOUNT_PREFIXES = ['/proc', '/sys', '/dev', '/run'];
+
+function formatBytes(bytes) {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
+}
+
+function getUid() {
+  return process.getuid ? process.getuid() : null;
+}
+
+// ==================== Locating trash directories ====================
+
+/**
+ * Mount points from /proc/mounts (octal escapes such as \040 decoded)
+ */
+function getMountPoints() {
+  try {
+    return fsSync.readFileSync('/proc/mounts', 'utf8')
+      .split('\n')
+      .map(line => line.split(' ')[1])
+      .filter(Boolean)
+      .map(mount => mount.replace(/\\([0-7]{3})/g, (_, code) => String.fromCharCode(parseInt(code, 8))))
+      .filter(mount => !PSEUDO_MOUNT_PREFIXES.some(prefix => mount === prefix || mount.startsWith(prefix + '/')));
+  } catch (err) {
+    return ['/'];
+  }
+}
+
+/**
+ * $topdir/.Trash/$uid is only valid when .Trash is a real directory with
+ * the sticky bit set (trash spec, "Administrator-created" trash)
+ */
+function isValidSharedTrash(topdir) {
+  try {
+    const stats = fsSync.lstatSync(path.join(topdir, '.Trash'));
+    return stats.isDirectory() && (stats.mode & 0o1000) !== 0;
+  } catch (err) {
+    return false;
+  }
+}
+
+function isDirectory(dirPath) {
+  try {
+    return fsSync.lstatSync(dirPath).isDirectory();
+  } catch (err) {
+    return false;
+  }
+}
+
+function getLinuxTrashDirs() {
+  const uid = getUid();
+  const homeTrash = path.join(XDG_DATA_HOME, 'Trash');
+  const dirs = [{ kind: 'freedesktop', root: homeTrash, topdir: null, label: 'Home' }];
+
+  if (uid === null) return dirs;
+
+  for (const topdir of getMountPoints()) {
+    const candidates = [];
+    if (isValidSharedTrash(topdir)) {
+      candidates.push(path.join(topdir, '.Trash', String(uid)));
+    }
+    candidates.push(path.join(topdir, `.Trash-${uid}`));
+
+    for (const root of candidates) {
+      if (root !== homeTrash && isDirectory(root) && !dirs.some(dir => dir.root === root)) {
+        dirs.push({ kind: 'freedesktop', root, topdir, label: topdir });
+      }
+    }
+  }
+
+  return dirs;
+}
+
+function getMacTrashDirs() {
+  const dirs = [{ kind: 'macos', root: path.join(HOME, '.Trash'), label: 'Home' }];
+  const uid = getUid();
+
+  try {
+    for (const volume of fsSync.readdirSync('/Volumes')) {
+      const root = path.join('/Volumes', volume, '.Trashes', String(uid));
+      if (isDirectory(root)) {
+        dirs.push({ kind: 'macos', root, label: path.join('/Volumes', volume) });
+      }
+    }
+  } catch (err) {
+    // No mounted volumes
+  }
+
+  return dirs;
+}
+
+async function getWindowsSid() {
+  const { stdout } = await execAsync('whoami /user /fo csv /nh');
+  const fields = stdout.trim().split('","');
+  return fields[fields.length - 1].replace(/"/g, '');
+}
+
+async function getWindowsTrashDirs() {
+  let sid;
+  try {
+    sid = await getWindowsSid();
+  } catch (err) {
+    console.error('[TRASH] Could not determine user SID:', err.message);
+    return [];
+  }
+
+  const dirs = [];
+  for (const letter of 'CDEFGHIJKLMNOPQRSTUVWXYZ') {
+    const root = `${letter}:\\$Recycle.Bin\\${sid}`;
+    if (isDirectory(root)) {
+      dirs.push({ kind: 'windows', root, label: `${letter}:` });
+    }
+  }
+  return dirs;
+}
+
+async function getTrashDirs() {
+  if (process.platform === 'win32') return getWindowsTrashDirs();
+  if (process.platform === 'darwin') return getMacTrashDirs();
+  return getLinuxTrashDirs();
+}
+
+// ==================== Reading items ====================
+
+/**
+ * Parse a .trashinfo file: Path is percent-encoded and, in a volume trash,
+ * may be relative to the volume; DeletionDate is local time
+ */
+function parseTrashInfo(content, topdir) {
+  const info = {};
+  let inSection = false;
+
+  for (const rawLine of content.split('\n')) {
+    const line = rawLine.trim();
+    if (line.startsWith('[')) {
+      inSection = line === '[Trash Info]';
+      continue;
+    }
+    if (!inSection) continue;
+
+    const separator = line.indexOf('=');
+    if (separator > 0) {
+      info[line.slice(0, separator)] = line.slice(separator + 1);
+    }
+  }
+
+  let originalPath = null;
+  if (info.Path) {
+    try {
+      const decoded = decodeURIComponent(info.Path);
+      originalPath = path.isAbsolute(decoded) || !topdir ? decoded : path.join(topdir, decoded);
+    } catch (err) {
+      originalPath = null;
+    }
+  }
+
+  let deletedAt = null;
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})/.exec(info.DeletionDate || '');
+  if (match) {
+    const [, year, month, day, hour, minute, second] = match.map(Number);
+    deletedAt = new Date(year, month - 1, day, hour, minute, second).getTime();
+  }
+
+  return { originalPath, deletedAt };
+}
+
+async function readFreedesktopItems(dir) {
+  const filesDir = path.join(dir.root, 'files');
+  const infoDir = path.join(dir.root, 'info');
+  const names = await fs.readdir(filesDir);
+
+  return Promise.all(names.map(async (name) => {
+    const dataPath = path.join(filesDir, name);
+    const infoPath = path.join(infoDir, `${name}.trashinfo`);
+
+    let info = { originalPath: null, deletedAt: null };
+    let hasInfo = false;
+    try {
+      info = parseTrashInfo(await fs.readFile(infoPath, 'utf8'), dir.topdir);
+      hasInfo = true;
+    } catch (err) {
+      // Orphaned entry without metadata
+    }
+
+    return { name, dataPath, infoPath: hasInfo ? infoPath : null, ...info };
+  }));
+}
+
+async function readMacItems(dir) {
+  const names = await fs.readdir(dir.root);
+
+  return Promise.all(names
+    .filter(name => name !== '.DS_Store' && name !== '.localized')
+    .map(async (name) => {
+      const dataPath = path.join(dir.root, name);
+      let deletedAt = null;
+      try {
+        // Moving an item into the trash updates its ctime
+        deletedAt = (await fs.lstat(dataPath)).ctimeMs;
+      } catch (err) {
+        // Keep the item without a date
+      }
+      return { name, dataPath, infoPath: null, originalPath: null, deletedAt };
+    }));
+}
+
+/**
+ * Parse a $I file: version, size, FILETIME deletion date, then the original
+ * path (fixed 520 bytes in version 1, length-prefixed in version 2)
+ */
+function parseRecycleInfo(buffer) {
+  const version = Number(buffer.readBigInt64LE(0));
+  const fileTime = buffer.readBigInt64LE(16);
+  const deletedAt = Number(fileTime / 10000n) - 11644473600000;
+
+  let originalPath;
+  if (version >= 2) {
+    const length = buffer.readInt32LE(24);
+    originalPath = buffer.toString('utf16le', 28, 28 + length * 2);
+  } else {
+    originalPath = buffer.toString('utf16le', 24, 24 + 520);
+  }
+
+  return { originalPath: originalPath.replace(/\0.*$/, ''), deletedAt };
+}
+
+async function readWindowsItems(dir) {
+  const names = await fs.readdir(dir.root);
+  const items = [];
+
+  for (const name of names.filter(n => n.startsWith('$I'))) {
+    const infoPath = path.join(dir.root, name);
+    const dataPath = path.join(dir.root, '$R' + name.slice(2));
+    if (!fsSync.existsSync(dataPath)) continue;
+
+    try {
+      const info = parseRecycleInfo(await fs.readFile(infoPath));
+      items.push({ name: path.win32.basename(info.originalPath), dataPath, infoPath, ...info });
+    } catch (err) {
+      console.warn(`[TRASH] Unreadable recycle bin entry ${infoPath}:`, err.message);
+    }
+  }
+
+  return items;
+}
+
+const READERS = {
+  freedesktop: readFreedesktopItems,
+  macos: readMacItems,
+  windows: readWindowsItems
+};
+
+/**
+ * List everything in the trash
+ * @returns {Object} { items, locations, totalSize, totalSizeFormatted }
+ */
+async function listTrash() {
+  const dirs = await getTrashDirs();
+  const items = [];
+  const locations = [];
+
+  for (const dir of dirs) {
+    const location = { root: dir.root, label: dir.label, itemCount: 0, size: 0, error: null };
+    locations.push(location);
+
+    try {
+      const found = await READERS[dir.kind](dir);
+      for (const item of found) {
+        items.push({
+          ...item,
+          id: item.dataPath,
+          trashRoot: dir.root,
+          location: dir.label,
+          canRestore: Boolean(item.originalPath && item.infoPath)
+        });
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        // macOS denies ~/.Trash without Full Disk Access
+        location.error = err.code === 'EPERM' || err.code === 'EACCES'
+          ? 'Permission denied'
+          : err.message;
+      }
+    }
+  }
+
+  const measured = new Map();
+  await measurePaths(items.map(item => item.dataPath), {
+    index: sizeIndex,
+    onResult: ({ path: dataPath, result }) => {
+      if (result) measured.set(dataPath, result);
+    }
+  });
+
+  for (const item of items) {
+    const result = measured.get(item.dataPath);
+    item.size = result ? result.size : 0;
+    item.sizeFormatted = formatBytes(item.size);
+    item.type = result && result.isDirectory ? 'directory' : 'file';
+
+    const location = locations.find(l => l.root === item.trashRoot);
+    location.itemCount++;
+    location.size += item.size;
+  }
+
+  locations.forEach(location => {
+    location.sizeFormatted = formatBytes(location.size);
+  });
+
+  items.sort((a, b) => (b.deletedAt || 0) - (a.deletedAt || 0));
+  const totalSize = items.reduce((sum, item) => sum + item.size, 0);
+
+  return {
+    items,
+    locations,
+    totalSize,
+    totalSizeFormatted: formatBytes(totalSize)
+  };
+}
+
+// ==================== Changing the trash ====================
+
+/**
+ * Drop entries from a freedesktop trash's directorysizes cache
+ */
+async function forgetDirectorySizes(trashRoot, names) {
+  const cachePath = path.join(trashRoot, 'directorysizes');
+  try {
+    const lines = (await fs.readFile(cachePath, 'utf8')).split('\n');
+    const removed = new Set(names.map(name => encodeURIComponent(name)));
+    const kept = lines.filter(line => !removed.has(line.split(' ')[2]));
+    if (kept.length !== lines.length) {
+      await fs.writeFile(cachePath, kept.join('\n'), 'utf8');
+    }
+  } catch (err) {
+    // The cache is optional
+  }
+}
+
+async function findItems(ids) {
+  const { items } = await listTrash();
+  const byId = new Map(items.map(item => [item.id, item]));
+  return ids.map(id => byId.get(id) || { id, missing: true });
+}
+
+/**
+ * Move items back to where they were trashed from
+ * @param {Array<string>} ids - Item ids from listTrash
+ */
+async function restoreItems(ids) {
+  const results = { restored: [], failed: [] };
+  const touched = new Map();
+
+  for (const item of await findItems(ids)) {
+    if (item.missing) {
+      results.failed.push({ id: item.id, path: item.id, error: 'No longer in the trash' });
+      continue;
+    }
+    if (!item.canRestore) {
+      results.failed.push({ id: item.id, path: item.dataPath, error: 'Original location is unknown' });
+      continue;
+    }
+
+    try {
+      if (fsSync.existsSync(item.originalPath)) {
+        throw new Error('Something already exists at the original location');
+      }
+      await fs.mkdir(path.dirname(item.originalPath), { recursive: true });
+      await movePath(item.dataPath, item.originalPath);
+      await fs.rm(item.infoPath, { force: true });
+
+      results.restored.push({ id: item.id, path: item.originalPath });
+      if (!touched.has(item.trashRoot)) touched.set(item.trashRoot, []);
+      touched.get(item.trashRoot).push(item.name);
+    } catch (err) {
+      results.failed.push({ id: item.id, path: item.originalPath, error: err.message });
+    }
+  }
+
+  for (const [trashRoot, names] of touched) {
+    await forgetDirectorySizes(trashRoot, names);
+  }
+
+  console.log(`[TRASH] Restored ${results.restored.length} item(s)`);
+  return results;
+}
+
+/**
+ * Permanently delete a trashed item and its metadata. Emptying the trash is
+ * an explicit request to delete, so unlike the cleaners nothing goes to
+ * quarantine, where it would keep taking up the same space.
+ */
+async function deleteItem(item, freeSpace) {
+  try {
+    await freeSpace.track(item.dataPath);
+    await fs.rm(item.dataPath, { recursive: true, force: true });
+    if (item.infoPath) {
+      await fs.rm(item.infoPath, { force: true });
+    }
+    return { success: true, size: item.size };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Permanently delete items from the trash, metadata included
+ * @param {Function} progressCallback - Progress updates
+ * @param {Object} options - { ids } to pick items, or { olderThanDays } for
+ *   everything deleted longer ago than that; { dryRun } lists what would be
+ *   deleted in a manifest instead
+ */
+async function emptyTrash(progressCallback, options = {}) {
+  const { ids = null, olderThanDays = null, dryRun = false } = options;
+  const results = { cleaned: [], failed: [], skipped: [], totalFreed: 0 };
+
+  let targets;
+  if (ids) {
+    targets = (await findItems(ids)).filter(item => !item.missing);
+  } else {
+    const { items } = await listTrash();
+    const cutoff = olderThanDays !== null ? Date.now() - olderThanDays * DAY_MS : null;
+    targets = items.filter(item => {
+      if (cutoff === null) return true;
+      if (item.deletedAt === null) {
+        results.skipped.push({ path: item.dataPath, reason: 'Deletion date unknown', filter: 'age' });
+        return false;
+      }
+      return item.deletedAt < cutoff;
+    });
+  }
+
+  const preview = dryRun ? createBatch('trash', 'Trash', { dryRun: true }) : null;
+  const freeSpace = createFreeSpaceMonitor();
+  const touched = new Map();
+
+  for (let i = 0; i < targets.length; i++) {
+    const item = targets[i];
+
+    if (progressCallback) {
+      progressCallback({ current: i + 1, total: targets.length, path: item.originalPath || item.dataPath });
+    }
+
+    const protection = await evaluateTree(item.dataPath);
+    if (protection.protected) {
+      results.skipped.push({
+        path: item.dataPath,
+        reason: protection.reason,
+        filter: 'protection',
+        rule: protection.rule
+      });
+      continue;
+    }
+
+    const result = preview ? await preview.add(item.dataPath) : await deleteItem(item, freeSpace);
+    if (!result.success) {
+      results.failed.push({ path: item.dataPath, error: result.error });
+      continue;
+    }
+
+    results.cleaned.push(item.originalPath || item.dataPath);
+    results.totalFreed += result.size;
+    if (!touched.has(item.trashRoot)) touched.set(item.trashRoot, []);
+    touched.get(item.trashRoot).push(item.name);
+  }
+
+  results.totalFreedFormatted = formatBytes(results.totalFreed);
+  if (preview) {
+    results.dryRun = true;
+    results.freeSpace = null;
+    results.manifest = preview.getManifest({ skipped: results.skipped, failed: results.failed });
+  } else {
+    results.freeSpace = await freeSpace.measure();
+    for (const [trashRoot, names] of touched) {
+      await forgetDirectorySizes(trashRoot, names);
+    }
+  }
+
+  console.log(`[TRASH] ${preview ? 'Would empty' : 'Emptied'} ${results.cleaned.length} item(s) (${results.totalFreedFormatted})`);
+  return results;
+}
+
+module.exports = {
+  listTrash,
+  restoreItems,
+  emptyTrash
+};
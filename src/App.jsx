@@ -14,6 +14,10 @@ import AppCacheManagerPage from './pages/AppCacheManagerPage';
 import ScheduledCleaningPage from './pages/ScheduledCleaningPage';
 import StartupManagerPage from './pages/StartupManagerPage';
 import ExtensionRemnantCleanerPage from './pages/ExtensionRemnantCleanerPage';
+import RecentlyCleanedPage from './pages/RecentlyCleanedPage';
+import BuildArtifactsPage from './pages/BuildArtifactsPage';
+import TrashPage from './pages/TrashPage';
+import CrashDumpsPage from './pages/CrashDumpsPage';
 
 function App() {
   const [systemInfo, setSystemInfo] = useState(null);
@@ -66,6 +70,14 @@ function App() {
         return <StartupManagerPage onBack={handleBack} />;
       case 'extension-remnant-cleaner':
         return <ExtensionRemnantCleanerPage onBack={handleBack} />;
+      case 'recently-cleaned':
+        return <RecentlyCleanedPage onBack={handleBack} />;
+      case 'build-artifacts':
+        return <BuildArtifactsPage onBack={handleBack} />;
+      case 'trash':
+        return <TrashPage onBack={handleBack} />;
+      case 'crash-dumps':
+        return <CrashDumpsPage onBack={handleBack} />;
       case 'driver-updater':
         return <DriverUpdaterPage systemInfo={systemInfo} onBack={handleBack} />;
       case 'system-updater':
@@ -93,7 +93,10 @@ function AppCacheCard({ app, onClean, onSelect, selected }) {
         ) : (
           <>
             <div className="app-cache-size">
-              <span className={`cache-size ${app.cacheSize === 0 ? 'zero' : app.cacheSize > 1024 * 1024 * 1024 * 5 ? 'large' : ''}`}>
+              <span
+                className={`cache-size ${app.cacheSize === 0 ? 'zero' : app.cacheSize > 1024 * 1024 * 1024 * 5 ? 'large' : ''}`}
+                title={app.cacheDiskSize ? `${formatSize(app.cacheDiskSize)} on disk` : undefined}
+              >
                 {formatSize(app.cacheSize)}
               </span>
               {app.cacheAge && (
@@ -101,6 +104,11 @@ function AppCacheCard({ app, onClean, onSelect, selected }) {
                   Last modified: {formatDate(app.cacheAge)}
                 </span>
               )}
+              {app.indexedAt && (
+                <span className="cache-age" title="Oldest size index data used for this app">
+                  Indexed: {formatDate(app.indexedAt)}
+                </span>
+              )}
             </div>
 
             {app.cacheSize > 0 && (
@@ -2,6 +2,7 @@ import React, { useState, useEffect, useCallback } from 'react';
 import './AppCacheManager.css';
 import AppCacheCard from './AppCacheCard';
 import Message from './Message';
+import CleanPreview from './CleanPreview';
 
 function AppCacheManager() {
   const [apps, setApps] = useState([]);
@@ -14,6 +15,8 @@ function AppCacheManager() {
   const [message, setMessage] = useState(null);
   const [cleaning, setCleaning] = useState(false);
   const [cleanProgress, setCleanProgress] = useState(null);
+  const [previewManifest, setPreviewManifest] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
 
   // Calculate statistics
   const stats = {
@@ -30,13 +33,20 @@ function AppCacheManager() {
     return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
   };
 
+  // Free space measured before and after a clean, or the estimate when the
+  // platform can't measure it
+  const getMeasured = (freeSpace, estimate) => {
+    const bytes = freeSpace ? freeSpace.measuredFreed : estimate;
+    return { bytes, formatted: (bytes < 0 ? '-' : '') + formatSize(Math.abs(bytes)) };
+  };
+
   // Scan for applications
-  const handleScan = useCallback(async () => {
+  const handleScan = useCallback(async (fullRescan = false) => {
     setLoading(true);
     setMessage(null);
 
     try {
-      const result = await window.electronAPI.scanAppCaches();
+      const result = await window.electronAPI.scanAppCaches({ fullRescan });
 
       if (result.success) {
         setApps(result.apps);
@@ -159,9 +169,10 @@ function AppCacheManager() {
       const result = await window.electronAPI.cleanAppCache(appId);
 
       if (result.success) {
+        const measured = getMeasured(result.freeSpace, result.spaceRecovered);
         setMessage({
           type: 'success',
-          text: `Cleaned ${app.name}: ${formatSize(result.spaceRecovered)} recovered`
+          text: `Cleaned ${app.name}: ${formatSize(result.spaceRecovered)} recovered (${measured.formatted} free space gained on disk)`
         });
 
         // Refresh the app list
@@ -170,9 +181,14 @@ function AppCacheManager() {
         // Log cleaning event
         try {
           await window.electronAPI.addCleaningEvent({
-            category: 'App Cache',
-            description: `Cleaned ${app.name} cache`,
-            spaceRecovered: result.spaceRecovered
+            dataTypes: ['App Cache'],
+            spaceSavedBytes: measured.bytes,
+            spaceSavedFormatted: measured.formatted,
+            spaceEstimatedBytes: result.spaceRecovered,
+            freeSpaceVolumes: result.freeSpace ? result.freeSpace.volumes : null,
+            quarantineBatchIds: [result.quarantineBatchId],
+            itemsCleaned: result.filesDeleted,
+            notes: `Cleaned ${app.name} cache`
           });
         } catch (err) {
           console.error('Failed to log cleaning event:', err);
@@ -244,17 +260,23 @@ function AppCacheManager() {
       const result = await window.electronAPI.cleanMultipleCaches(appsToClean);
 
       if (result.success) {
+        const measured = getMeasured(result.freeSpace, result.totalSpaceRecovered);
         setMessage({
           type: 'success',
-          text: `Cleaned ${result.successCount} apps: ${formatSize(result.totalSpaceRecovered)} recovered`
+          text: `Cleaned ${result.successCount} apps: ${formatSize(result.totalSpaceRecovered)} recovered (${measured.formatted} free space gained on disk)`
         });
 
         // Log cleaning event
         try {
           await window.electronAPI.addCleaningEvent({
-            category: 'App Cache',
-            description: `Cleaned ${result.successCount} application caches`,
-            spaceRecovered: result.totalSpaceRecovered
+            dataTypes: ['App Cache'],
+            spaceSavedBytes: measured.bytes,
+            spaceSavedFormatted: measured.formatted,
+            spaceEstimatedBytes: result.totalSpaceRecovered,
+            freeSpaceVolumes: result.freeSpace ? result.freeSpace.volumes : null,
+            quarantineBatchIds: [result.quarantineBatchId],
+            itemsCleaned: result.results.reduce((sum, app) => sum + (app.filesDeleted || 0), 0),
+            notes: `Cleaned ${result.successCount} application caches`
           });
         } catch (err) {
           console.error('Failed to log cleaning event:', err);
@@ -283,6 +305,31 @@ function AppCacheManager() {
     }
   };
 
+  // Dry run for the selected apps
+  const handlePreviewSelected = async () => {
+    if (selectedApps.size === 0) return;
+
+    setPreviewing(true);
+    try {
+      const result = await window.electronAPI.cleanMultipleCaches(Array.from(selectedApps), { dryRun: true });
+      if (result.success) {
+        setPreviewManifest(result.manifest);
+      } else {
+        setMessage({
+          type: 'error',
+          text: `Preview failed: ${result.error}`
+        });
+      }
+    } catch (error) {
+      setMessage({
+        type: 'error',
+        text: `Preview error: ${error.message}`
+      });
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
   // Clean all apps
   const handleCleanAll = async () => {
     const cleanableApps = apps.filter(app => app.installed && app.cacheSize > 0);
@@ -374,7 +421,7 @@ function AppCacheManager() {
 
           <button
             className="refresh-button"
-            onClick={handleScan}
+            onClick={() => handleScan()}
             disabled={loading}
           >
             <svg className={loading ? 'spinning' : ''} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -382,6 +429,15 @@ function AppCacheManager() {
             </svg>
             {loading ? 'Scanning...' : 'Refresh'}
           </button>
+
+          <button
+            className="refresh-button"
+            onClick={() => handleScan(true)}
+            disabled={loading}
+            title="Ignore the size index and list every directory again"
+          >
+            Full Rescan
+          </button>
         </div>
 
         <div className="action-row">
@@ -401,6 +457,14 @@ function AppCacheManager() {
           </div>
 
           <div className="action-buttons">
+            <button
+              className="preview-selected-button"
+              onClick={handlePreviewSelected}
+              disabled={selectedApps.size === 0 || cleaning || previewing}
+            >
+              {previewing ? 'Preparing...' : 'Preview'}
+            </button>
+
             <button
               className="clean-selected-button"
               onClick={handleCleanSelected}
@@ -511,6 +575,8 @@ function AppCacheManager() {
           )}
         </div>
       )}
+
+      <CleanPreview manifest={previewManifest} onClose={() => setPreviewManifest(null)} />
     </div>
   );
 }
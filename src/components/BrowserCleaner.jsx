@@ -9,6 +9,7 @@ import StepIndicator from './StepIndicator';
 import PrivacyScore from './PrivacyScore';
 import StorageVisualization from './StorageVisualization';
 import CleaningHistory from './CleaningHistory';
+import CleanPreview from './CleanPreview';
 
 const BROWSER_ICONS = {
   chrome: <SiGooglechrome />,
@@ -47,6 +48,8 @@ function BrowserCleaner({ onBack }) {
   const [analyzing, setAnalyzing] = useState(false);
   const [cleaning, setCleaning] = useState(false);
   const [cleanResults, setCleanResults] = useState(null);
+  const [previewManifest, setPreviewManifest] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
 
   // New state for UX improvements
   const [showTutorial, setShowTutorial] = useState(false);
@@ -229,6 +232,58 @@ function BrowserCleaner({ onBack }) {
     }
   };
 
+  // Run the clean as a dry run for every selected browser and combine the manifests
+  const handlePreview = async () => {
+    if (!analysis || analysis.length === 0 || dataTypesToClean.size === 0) {
+      alert('Please analyze and select at least one data type first');
+      return;
+    }
+
+    setPreviewing(true);
+    try {
+      const manifests = [];
+
+      for (const browserId of selectedBrowsers) {
+        const result = await window.electronAPI.cleanBrowserData(
+          browserId,
+          Array.from(dataTypesToClean),
+          {
+            preserveCookies: preserveCookies && dataTypesToClean.has('cookies'),
+            cookieWhitelist: cookieWhitelist.split(',').map(s => s.trim()).filter(Boolean),
+            dryRun: true
+          }
+        );
+
+        if (result.success) {
+          manifests.push(result.data.manifest);
+        } else {
+          alert(`Failed to preview ${browserId}: ${result.error}`);
+        }
+      }
+
+      if (manifests.length === 0) return;
+
+      const totalSize = manifests.reduce((sum, m) => sum + m.totalSize, 0);
+      setPreviewManifest({
+        source: 'browser-cleaner',
+        label: manifests.map(m => m.label).join(', '),
+        dryRun: true,
+        createdAt: Date.now(),
+        entries: manifests.flatMap(m => m.entries),
+        skipped: manifests.flatMap(m => m.skipped || []),
+        failed: manifests.flatMap(m => m.failed || []),
+        warnings: manifests.flatMap(m => m.warnings || []),
+        totalSize,
+        totalSizeFormatted: formatBytes(totalSize),
+        totalFiles: manifests.reduce((sum, m) => sum + m.totalFiles, 0)
+      });
+    } catch (error) {
+      alert('Preview error: ' + error.message);
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
   const handleClean = async () => {
     if (!analysis || analysis.length === 0) {
       alert('Please analyze first to see what will be cleaned');
@@ -277,7 +332,7 @@ function BrowserCleaner({ onBack }) {
       (dataTypesToClean.has('cookies') && !preserveCookies
         ? `WARNING: This will delete ALL cookies and you'll be logged out of websites.\n\n`
         : '') +
-      `This action cannot be undone. Continue?`
+      `Items can be restored from Recently Cleaned. Continue?`
     )) {
       return;
     }
@@ -313,6 +368,14 @@ function BrowserCleaner({ onBack }) {
       const totalCleaned = results.reduce((sum, r) => sum + r.cleaned.length, 0);
       const totalFailed = results.reduce((sum, r) => sum + r.failed.length, 0);
 
+      // Free space sampled before and after each clean; falls back to the
+      // summed item sizes when the platform can't measure it
+      const freeSpaceVolumes = results.flatMap(r => (r.freeSpace ? r.freeSpace.volumes : []));
+      const measuredFreed = results.every(r => r.freeSpace)
+        ? results.reduce((sum, r) => sum + r.freeSpace.measuredFreed, 0)
+        : totalFreed;
+      const measuredFreedFormatted = (measuredFreed < 0 ? '-' : '') + formatBytes(Math.abs(measuredFreed));
+
       // Save cleaning event to history
       try {
         const browsersСleaned = Array.from(selectedBrowsers).map(id => {
@@ -327,8 +390,11 @@ function BrowserCleaner({ onBack }) {
           timestamp: Date.now(),
           browsersСleaned: browsersСleaned,
           dataTypes: Array.from(dataTypesToClean),
-          spaceSavedBytes: totalFreed,
-          spaceSavedFormatted: formatBytes(totalFreed),
+          spaceSavedBytes: measuredFreed,
+          spaceSavedFormatted: measuredFreedFormatted,
+          spaceEstimatedBytes: totalFreed,
+          freeSpaceVolumes,
+          quarantineBatchIds: results.map(r => r.quarantineBatchId),
           itemsCleaned: totalCleaned,
           itemsFailed: totalFailed,
           privacyScoreBefore: privacyScoreBefore,
@@ -342,7 +408,8 @@ function BrowserCleaner({ onBack }) {
       alert(
         `Cleaning completed!\n\n` +
         `Items cleaned: ${totalCleaned}\n` +
-        `Space freed: ${formatBytes(totalFreed)}` +
+        `Space freed (estimated): ${formatBytes(totalFreed)}\n` +
+        `Free space gained on disk: ${measuredFreedFormatted}` +
         (totalFailed > 0 ? `\n\nFailed items: ${totalFailed}` : '')
       );
 
@@ -713,6 +780,14 @@ function BrowserCleaner({ onBack }) {
             )}
           </button>
 
+          <button
+            onClick={handlePreview}
+            disabled={previewing || cleaning || !analysis || analysis.length === 0}
+            className="preview-button"
+          >
+            {previewing ? 'Preparing...' : 'Preview'}
+          </button>
+
           <button
             onClick={handleClean}
             disabled={cleaning || !analysis || analysis.length === 0}
@@ -736,6 +811,8 @@ function BrowserCleaner({ onBack }) {
           </button>
         </div>
       </div>
+
+      <CleanPreview manifest={previewManifest} onClose={() => setPreviewManifest(null)} />
     </div>
   );
 }
@@ -0,0 +1,375 @@
+import React, { useState, useEffect } from 'react';
+import { FiChevronDown, FiChevronRight, FiEye, FiRefreshCw, FiSearch, FiTrash2 } from 'react-icons/fi';
+import CleanPreview from './CleanPreview';
+import './BuildArtifactCleaner.css';
+
+function BuildArtifactCleaner() {
+  const [scanResults, setScanResults] = useState(null);
+  const [isScanning, setIsScanning] = useState(false);
+  const [scanProgress, setScanProgress] = useState(null);
+  const [searchPath, setSearchPath] = useState('');
+  const [minAgeDays, setMinAgeDays] = useState(90);
+  const [selected, setSelected] = useState(new Set());
+  const [expanded, setExpanded] = useState(new Set());
+  const [isCleaning, setIsCleaning] = useState(false);
+  const [cleanProgress, setCleanProgress] = useState(null);
+  const [previewManifest, setPreviewManifest] = useState(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+
+  useEffect(() => {
+    if (!window.electronAPI) return;
+
+    window.electronAPI.onBuildArtifactScanProgress(setScanProgress);
+    window.electronAPI.onBuildArtifactCleanProgress(setCleanProgress);
+
+    return () => {
+      window.electronAPI.removeBuildArtifactScanProgressListener();
+      window.electronAPI.removeBuildArtifactCleanProgressListener();
+    };
+  }, []);
+
+  const formatBytes = (bytes) => {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
+  };
+
+  const formatAge = (days) => {
+    if (days === null) return 'unknown';
+    if (days === 0) return 'today';
+    if (days === 1) return 'yesterday';
+    if (days < 60) return `${days} days ago`;
+    if (days < 730) return `${Math.floor(days / 30)} months ago`;
+    return `${Math.floor(days / 365)} years ago`;
+  };
+
+  // Staleness follows the age setting without a rescan
+  const isStale = (project) => project.ageDays !== null && project.ageDays >= minAgeDays;
+
+  const selectableArtifacts = (project) => project.artifacts.filter(artifact => !artifact.protected);
+
+  const selectStale = (projects) => {
+    setSelected(new Set(
+      projects
+        .filter(isStale)
+        .flatMap(selectableArtifacts)
+        .map(artifact => artifact.path)
+    ));
+  };
+
+  const handleScan = async (fullRescan = false) => {
+    if (!window.electronAPI) {
+      alert('This feature requires the desktop application. Please run the app with "npm run dev"');
+      return;
+    }
+
+    setIsScanning(true);
+    setScanProgress(null);
+    setScanResults(null);
+    setSelected(new Set());
+
+    try {
+      const result = await window.electronAPI.scanBuildArtifacts({
+        searchPaths: searchPath.trim() ? [searchPath.trim()] : undefined,
+        minAgeDays,
+        fullRescan
+      });
+      if (result.success) {
+        setScanResults(result.data);
+        selectStale(result.data.projects);
+      } else {
+        alert('Scan failed: ' + result.error);
+      }
+    } catch (error) {
+      alert('Scan error: ' + error.message);
+    } finally {
+      setIsScanning(false);
+      setScanProgress(null);
+    }
+  };
+
+  const handleClean = async () => {
+    if (selected.size === 0) return;
+
+    if (!confirm(`Remove ${selected.size} artifact folder(s) (${formatBytes(getSelectedSize())})? They can be rebuilt, and restored from Recently Cleaned.`)) {
+      return;
+    }
+
+    setIsCleaning(true);
+    setCleanProgress(null);
+    try {
+      const result = await window.electronAPI.cleanBuildArtifacts([...selected], { skipInUse: true });
+      if (result.success) {
+        const { cleaned, failed, skipped, totalFreedFormatted, freeSpace } = result.data;
+        let message = `Removed ${cleaned.length} folder(s) and freed ${totalFreedFormatted}.`;
+        if (freeSpace) {
+          message += ` Free space gained on disk: ${freeSpace.measuredFreedFormatted}.`;
+        }
+        if (skipped.length > 0) {
+          message += `\n\nKept back ${skipped.length} folder(s):\n` +
+            skipped.map(s => `${s.path}: ${s.reason}`).join('\n');
+        }
+        if (failed.length > 0) {
+          message += `\n\nFailed to remove ${failed.length} folder(s):\n` +
+            failed.map(f => `${f.path}: ${f.error}`).join('\n');
+        }
+        alert(message);
+        handleScan();
+      } else {
+        alert('Clean failed: ' + result.error);
+      }
+    } catch (error) {
+      alert('Clean error: ' + error.message);
+    } finally {
+      setIsCleaning(false);
+      setCleanProgress(null);
+    }
+  };
+
+  const handlePreview = async () => {
+    if (selected.size === 0) return;
+
+    setIsPreviewing(true);
+    try {
+      const result = await window.electronAPI.cleanBuildArtifacts([...selected], { skipInUse: true, dryRun: true });
+      if (result.success) {
+        setPreviewManifest(result.data.manifest);
+      } else {
+        alert('Preview failed: ' + result.error);
+      }
+    } catch (error) {
+      alert('Preview error: ' + error.message);
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  const toggleArtifact = (artifactPath) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(artifactPath)) {
+        next.delete(artifactPath);
+      } else {
+        next.add(artifactPath);
+      }
+      return next;
+    });
+  };
+
+  const toggleProject = (project) => {
+    const paths = selectableArtifacts(project).map(artifact => artifact.path);
+    const allSelected = paths.every(p => selected.has(p));
+    setSelected(prev => {
+      const next = new Set(prev);
+      paths.forEach(p => (allSelected ? next.delete(p) : next.add(p)));
+      return next;
+    });
+  };
+
+  const toggleExpanded = (root) => {
+    setExpanded(prev => {
+      const next = new Set(prev);
+      if (next.has(root)) {
+        next.delete(root);
+      } else {
+        next.add(root);
+      }
+      return next;
+    });
+  };
+
+  const getSelectedSize = () => {
+    if (!scanResults) return 0;
+    return scanResults.projects
+      .flatMap(project => project.artifacts)
+      .filter(artifact => selected.has(artifact.path))
+      .reduce((sum, artifact) => sum + artifact.size, 0);
+  };
+
+  const projects = scanResults ? scanResults.projects : [];
+  const staleProjects = projects.filter(isStale);
+  const staleSize = staleProjects.reduce((sum, project) => sum + project.totalSize, 0);
+  const busy = isScanning || isCleaning;
+
+  return (
+    <div className="build-artifacts">
+      <div className="ba-toolbar">
+        <div className="ba-field">
+          <label htmlFor="ba-search-path">Search in</label>
+          <input
+            id="ba-search-path"
+            type="text"
+            placeholder="Home folder"
+            value={searchPath}
+            onChange={(e) => setSearchPath(e.target.value)}
+            disabled={busy}
+          />
+        </div>
+        <div className="ba-field">
+          <label htmlFor="ba-min-age">Untouched for</label>
+          <input
+            id="ba-min-age"
+            type="number"
+            min="0"
+            max="3650"
+            value={minAgeDays}
+            onChange={(e) => setMinAgeDays(Math.max(0, parseInt(e.target.value) || 0))}
+            disabled={busy}
+          />
+          <span>days</span>
+        </div>
+        <div className="ba-toolbar-actions">
+          <button className="ba-btn primary" onClick={() => handleScan()} disabled={busy}>
+            <FiSearch />
+            {isScanning ? 'Scanning...' : 'Find Projects'}
+          </button>
+          <button
+            className="ba-btn secondary"
+            onClick={() => handleScan(true)}
+            disabled={busy}
+            title="Ignore the size index and list every directory again"
+          >
+            <FiRefreshCw />
+            Full Rescan
+          </button>
+        </div>
+      </div>
+
+      {isScanning && scanProgress && (
+        <div className="ba-progress">
+          {scanProgress.stage === 'measuring'
+            ? `Measuring artifacts of ${scanProgress.projectsFound} projects...`
+            : `Found ${scanProgress.projectsFound} projects - ${scanProgress.currentPath}`}
+        </div>
+      )}
+
+      {isCleaning && cleanProgress && (
+        <div className="ba-progress">
+          Removing {cleanProgress.current} of {cleanProgress.total} - {cleanProgress.currentPath}
+        </div>
+      )}
+
+      {scanResults && (
+        <>
+          <div className="ba-summary">
+            <div className="ba-summary-item">
+              <span className="ba-summary-label">Projects</span>
+              <span className="ba-summary-value">{projects.length}</span>
+            </div>
+            <div className="ba-summary-item">
+              <span className="ba-summary-label">All artifacts</span>
+              <span className="ba-summary-value">{scanResults.totalSizeFormatted}</span>
+            </div>
+            <div className="ba-summary-item">
+              <span className="ba-summary-label">Untouched for {minAgeDays}+ days</span>
+              <span className="ba-summary-value highlight">
+                {formatBytes(staleSize)} in {staleProjects.length} projects
+              </span>
+            </div>
+            <div className="ba-summary-item">
+              <span className="ba-summary-label">Selected</span>
+              <span className="ba-summary-value">{selected.size} folders, {formatBytes(getSelectedSize())}</span>
+            </div>
+          </div>
+
+          <div className="ba-actions">
+            <button className="ba-btn secondary" onClick={() => selectStale(projects)} disabled={busy}>
+              Select Untouched Projects
+            </button>
+            <button className="ba-btn secondary" onClick={() => setSelected(new Set())} disabled={busy || selected.size === 0}>
+              Deselect All
+            </button>
+            <button className="ba-btn secondary" onClick={handlePreview} disabled={busy || isPreviewing || selected.size === 0}>
+              <FiEye />
+              {isPreviewing ? 'Preparing...' : 'Preview'}
+            </button>
+            <button className="ba-btn danger" onClick={handleClean} disabled={busy || selected.size === 0}>
+              <FiTrash2 />
+              {isCleaning ? 'Removing...' : 'Remove Selected'}
+            </button>
+          </div>
+
+          {projects.length === 0 ? (
+            <div className="ba-empty">
+              <h3>No build artifacts found</h3>
+              <p>No projects with node_modules, target, build or similar folders were found here.</p>
+            </div>
+          ) : (
+            <div className="ba-projects">
+              {projects.map(project => {
+                const selectable = selectableArtifacts(project);
+                const selectedCount = selectable.filter(artifact => selected.has(artifact.path)).length;
+                const isExpanded = expanded.has(project.root);
+
+                return (
+                  <div key={project.root} className={`ba-project ${isStale(project) ? 'stale' : ''}`}>
+                    <div className="ba-project-header" onClick={() => toggleExpanded(project.root)}>
+                      <span className="ba-expand">
+                        {isExpanded ? <FiChevronDown /> : <FiChevronRight />}
+                      </span>
+                      <input
+                        type="checkbox"
+                        checked={selectable.length > 0 && selectedCount === selectable.length}
+                        disabled={selectable.length === 0}
+                        onClick={(e) => e.stopPropagation()}
+                        onChange={() => toggleProject(project)}
+                      />
+                      <div className="ba-project-info">
+                        <span className="ba-project-name">
+                          {project.name}
+                          <span className="ba-project-types">{project.types.join(', ')}</span>
+                        </span>
+                        <span className="ba-project-meta">
+                          {project.root} - last source change {formatAge(project.ageDays)}
+                        </span>
+                      </div>
+                      <span className="ba-project-size">{project.totalSizeFormatted}</span>
+                    </div>
+
+                    {isExpanded && (
+                      <div className="ba-artifacts">
+                        {project.artifacts.map(artifact => (
+                          <label
+                            key={artifact.path}
+                            className={`ba-artifact ${artifact.protected ? 'protected' : ''}`}
+                            title={artifact.protected ? `Protected by ${artifact.protectionRule.source} rule: ${artifact.protectionRule.description}` : artifact.path}
+                          >
+                            <input
+                              type="checkbox"
+                              checked={selected.has(artifact.path)}
+                              disabled={artifact.protected}
+                              onChange={() => toggleArtifact(artifact.path)}
+                            />
+                            <span className="ba-artifact-name">{artifact.name}</span>
+                            {artifact.protected && <span className="ba-artifact-protected">Protected</span>}
+                            <span className="ba-artifact-size">{artifact.sizeFormatted}</span>
+                          </label>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </>
+      )}
+
+      {!scanResults && !isScanning && (
+        <div className="ba-empty">
+          <h3>Find old build output</h3>
+          <p>
+            Looks for projects by their package.json, Cargo.toml, pom.xml, build.gradle or
+            pyproject.toml and lists folders that a build or install can recreate.
+          </p>
+        </div>
+      )}
+
+      <CleanPreview manifest={previewManifest} onClose={() => setPreviewManifest(null)} />
+    </div>
+  );
+}
+
+export default BuildArtifactCleaner;
@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { FiDownload, FiX } from 'react-icons/fi';
+import './CleanPreview.css';
+
+const MAX_FILES_SHOWN = 200;
+
+/**
+ * Shows the manifest returned by a dry-run clean and lets the user export it
+ */
+function CleanPreview({ manifest, onClose }) {
+  const [expandedEntries, setExpandedEntries] = useState(new Set());
+
+  if (!manifest) return null;
+
+  const skipped = manifest.skipped || [];
+  const failed = manifest.failed || [];
+  const warnings = manifest.warnings || [];
+  const compressed = manifest.compressed || [];
+
+  const toggleEntry = (entryPath) => {
+    setExpandedEntries(prev => {
+      const newSet = new Set(prev);
+      if (newSet.has(entryPath)) {
+        newSet.delete(entryPath);
+      } else {
+        newSet.add(entryPath);
+      }
+      return newSet;
+    });
+  };
+
+  const formatBytes = (bytes) => {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([JSON.stringify(manifest, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${manifest.source}-preview-${manifest.createdAt}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="preview-modal-overlay" onClick={onClose}>
+      <div className="preview-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="preview-header">
+          <div>
+            <h2>Preview: {manifest.label}</h2>
+            <p className="preview-summary">
+              Would remove {manifest.totalFiles} file{manifest.totalFiles !== 1 ? 's' : ''} ({manifest.totalSizeFormatted})
+              {compressed.length > 0 && ` • would compress ${compressed.length} log${compressed.length !== 1 ? 's' : ''} (saves ${manifest.compressionSavedFormatted})`}
+              {skipped.length > 0 && ` • ${skipped.length} kept back`}
+              {failed.length > 0 && ` • ${failed.length} unavailable`}
+            </p>
+          </div>
+          <div className="preview-actions">
+            <button className="preview-export" onClick={handleExport}>
+              <FiDownload />
+              Export JSON
+            </button>
+            <button className="preview-close" onClick={onClose} title="Close">
+              <FiX />
+            </button>
+          </div>
+        </div>
+
+        <div className="preview-content">
+          {warnings.length > 0 && (
+            <div className="preview-warnings">
+              {warnings.map(warning => (
+                <div key={warning}>{warning}</div>
+              ))}
+            </div>
+          )}
+
+          {manifest.entries.length === 0 ? (
+            <div className="preview-empty">Nothing would be removed.</div>
+          ) : (
+            <div className="preview-entries">
+              {manifest.entries.map(entry => (
+                <div key={entry.path} className="preview-entry">
+                  <div
+                    className="preview-entry-row"
+                    onClick={() => entry.fileCount > 1 && toggleEntry(entry.path)}
+                  >
+                    <span className="preview-entry-type">
+                      {entry.type === 'directory' ? 'DIR' : 'FILE'}
+                    </span>
+                    <span className="preview-entry-path">{entry.path}</span>
+                    <span className="preview-entry-meta">
+                      {entry.type === 'directory' && `${entry.fileCount} files • `}
+                      {entry.sizeFormatted}
+                    </span>
+                  </div>
+                  {expandedEntries.has(entry.path) && (
+                    <ul className="preview-files">
+                      {entry.files.slice(0, MAX_FILES_SHOWN).map(file => (
+                        <li key={file.path}>
+                          <span>{file.path}</span>
+                          <span>{formatBytes(file.size)}</span>
+                        </li>
+                      ))}
+                      {entry.files.length > MAX_FILES_SHOWN && (
+                        <li className="preview-files-more">
+                          {entry.files.length - MAX_FILES_SHOWN} more - export the manifest for the full list
+                        </li>
+                      )}
+                    </ul>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {compressed.length > 0 && (
+            <div className="preview-section">
+              <h3>Compressed in place</h3>
+              {compressed.map(item => (
+                <div key={item.path} className="preview-skipped">
+                  <span className="preview-entry-path">{item.path}</span>
+                  <span className="preview-reason">
+                    {formatBytes(item.originalSize)} to {formatBytes(item.compressedSize)}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {skipped.length > 0 && (
+            <div className="preview-section">
+              <h3>Kept back</h3>
+              {skipped.map(item => (
+                <div key={item.path} className="preview-skipped">
+                  <span className="preview-entry-path">{item.path}</span>
+                  <span className="preview-reason">{item.reason}</span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {failed.length > 0 && (
+            <div className="preview-section">
+              <h3>Unavailable</h3>
+              {failed.map(item => (
+                <div key={item.path} className="preview-skipped">
+                  <span className="preview-entry-path">{item.path}</span>
+                  <span className="preview-reason">{item.error}</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CleanPreview;
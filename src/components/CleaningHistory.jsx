@@ -169,7 +169,17 @@ function CleaningHistory({ isOpen, onClose }) {
                       <div className="timeline-content">
                         <div className="timeline-header">
                           <span className="timeline-date">{formatDate(event.date)}</span>
-                          <span className="timeline-space">{event.space_saved_formatted}</span>
+                          <span
+                            className="timeline-space"
+                            title={event.pendingPurge
+                              ? 'Estimated from item sizes. The measured change in free space replaces it once the quarantined items are purged.'
+                              : event.space_estimated_bytes != null
+                                ? `Measured change in free space. Estimated from item sizes: ${formatBytes(event.space_estimated_bytes)}`
+                                : undefined}
+                          >
+                            {event.space_saved_formatted}
+                            {event.pendingPurge && ' (pending purge)'}
+                          </span>
                         </div>
                         <div className="timeline-details">
                           <div className="timeline-meta">
@@ -0,0 +1,333 @@
+import React, { useState, useEffect } from 'react';
+import { FiChevronDown, FiChevronRight, FiEye, FiRefreshCw, FiTrash2 } from 'react-icons/fi';
+import CleanPreview from './CleanPreview';
+import './CrashDumpCleaner.css';
+
+function CrashDumpCleaner() {
+  const [scanResults, setScanResults] = useState(null);
+  const [isScanning, setIsScanning] = useState(false);
+  const [keepPerProgram, setKeepPerProgram] = useState(3);
+  const [selected, setSelected] = useState(new Set());
+  const [expanded, setExpanded] = useState(new Set());
+  const [isCleaning, setIsCleaning] = useState(false);
+  const [cleanProgress, setCleanProgress] = useState(null);
+  const [previewManifest, setPreviewManifest] = useState(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+
+  useEffect(() => {
+    handleScan();
+
+    if (!window.electronAPI) return;
+    window.electronAPI.onCrashDumpCleanProgress(setCleanProgress);
+    return () => {
+      window.electronAPI.removeCrashDumpCleanProgressListener();
+    };
+  }, []);
+
+  const formatBytes = (bytes) => {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
+  };
+
+  const formatDate = (timestamp) => {
+    return new Date(timestamp).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  // Dumps arrive newest first, so the keep setting applies without a rescan
+  const getExcess = (program, keep = keepPerProgram) =>
+    program.dumps.filter((dump, index) => index >= keep && dump.removable);
+
+  const selectExcess = (programs, keep = keepPerProgram) => {
+    setSelected(new Set(programs.flatMap(program => getExcess(program, keep)).map(dump => dump.path)));
+  };
+
+  const handleScan = async () => {
+    if (!window.electronAPI) return;
+
+    setIsScanning(true);
+    try {
+      const result = await window.electronAPI.scanCrashDumps({ keepPerProgram });
+      if (result.success) {
+        setScanResults(result.data);
+        selectExcess(result.data.programs);
+      } else {
+        alert('Scan failed: ' + result.error);
+      }
+    } catch (error) {
+      alert('Scan error: ' + error.message);
+    } finally {
+      setIsScanning(false);
+    }
+  };
+
+  const handleKeepChange = (value) => {
+    const keep = Math.max(0, parseInt(value) || 0);
+    setKeepPerProgram(keep);
+    if (scanResults) {
+      selectExcess(scanResults.programs, keep);
+    }
+  };
+
+  const handleClean = async () => {
+    if (selected.size === 0) return;
+
+    if (!confirm(`Remove ${selected.size} crash report(s) (${formatBytes(getSelectedSize())})? They can be restored from Recently Cleaned.`)) {
+      return;
+    }
+
+    setIsCleaning(true);
+    setCleanProgress(null);
+    try {
+      const result = await window.electronAPI.cleanCrashDumps([...selected], { skipInUse: true });
+      if (result.success) {
+        const { cleaned, failed, skipped, totalFreedFormatted, freeSpace } = result.data;
+        let message = `Removed ${cleaned.length} crash report(s) and freed ${totalFreedFormatted}.`;
+        if (freeSpace) {
+          message += ` Free space gained on disk: ${freeSpace.measuredFreedFormatted}.`;
+        }
+        if (skipped.length > 0) {
+          message += `\n\nKept back ${skipped.length} report(s):\n` +
+            skipped.map(s => `${s.path}: ${s.reason}`).join('\n');
+        }
+        if (failed.length > 0) {
+          message += `\n\nFailed to remove ${failed.length} report(s):\n` +
+            failed.map(f => `${f.path}: ${f.error}`).join('\n');
+        }
+        alert(message);
+        handleScan();
+      } else {
+        alert('Clean failed: ' + result.error);
+      }
+    } catch (error) {
+      alert('Clean error: ' + error.message);
+    } finally {
+      setIsCleaning(false);
+      setCleanProgress(null);
+    }
+  };
+
+  const handlePreview = async () => {
+    if (selected.size === 0) return;
+
+    setIsPreviewing(true);
+    try {
+      const result = await window.electronAPI.cleanCrashDumps([...selected], { skipInUse: true, dryRun: true });
+      if (result.success) {
+        setPreviewManifest(result.data.manifest);
+      } else {
+        alert('Preview failed: ' + result.error);
+      }
+    } catch (error) {
+      alert('Preview error: ' + error.message);
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  const toggleDump = (dumpPath) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(dumpPath)) {
+        next.delete(dumpPath);
+      } else {
+        next.add(dumpPath);
+      }
+      return next;
+    });
+  };
+
+  const toggleProgram = (program) => {
+    const paths = program.dumps.filter(dump => dump.removable).map(dump => dump.path);
+    const allSelected = paths.every(p => selected.has(p));
+    setSelected(prev => {
+      const next = new Set(prev);
+      paths.forEach(p => (allSelected ? next.delete(p) : next.add(p)));
+      return next;
+    });
+  };
+
+  const toggleExpanded = (name) => {
+    setExpanded(prev => {
+      const next = new Set(prev);
+      if (next.has(name)) {
+        next.delete(name);
+      } else {
+        next.add(name);
+      }
+      return next;
+    });
+  };
+
+  const getSelectedSize = () => {
+    if (!scanResults) return 0;
+    return scanResults.programs
+      .flatMap(program => program.dumps)
+      .filter(dump => selected.has(dump.path))
+      .reduce((sum, dump) => sum + dump.size, 0);
+  };
+
+  const programs = scanResults ? scanResults.programs : [];
+  const excessSize = programs
+    .flatMap(program => getExcess(program))
+    .reduce((sum, dump) => sum + dump.size, 0);
+  const busy = isScanning || isCleaning;
+
+  return (
+    <div className="crash-dumps">
+      <div className="cd-toolbar">
+        <div className="cd-field">
+          <label htmlFor="cd-keep">Keep the newest</label>
+          <input
+            id="cd-keep"
+            type="number"
+            min="0"
+            max="100"
+            value={keepPerProgram}
+            onChange={(e) => handleKeepChange(e.target.value)}
+            disabled={busy}
+          />
+          <span>reports per program</span>
+        </div>
+        <button className="cd-btn secondary" onClick={handleScan} disabled={busy}>
+          <FiRefreshCw />
+          {isScanning ? 'Scanning...' : 'Rescan'}
+        </button>
+      </div>
+
+      {isCleaning && cleanProgress && (
+        <div className="cd-progress">
+          Removing {cleanProgress.current} of {cleanProgress.total} - {cleanProgress.currentPath}
+        </div>
+      )}
+
+      {scanResults && (
+        <>
+          <div className="cd-summary">
+            <div className="cd-summary-item">
+              <span className="cd-summary-label">Crash reports</span>
+              <span className="cd-summary-value">{scanResults.totalCount} from {programs.length} programs</span>
+            </div>
+            <div className="cd-summary-item">
+              <span className="cd-summary-label">Total size</span>
+              <span className="cd-summary-value">{scanResults.totalSizeFormatted}</span>
+            </div>
+            <div className="cd-summary-item">
+              <span className="cd-summary-label">Beyond newest {keepPerProgram}</span>
+              <span className="cd-summary-value highlight">{formatBytes(excessSize)}</span>
+            </div>
+            <div className="cd-summary-item">
+              <span className="cd-summary-label">Selected</span>
+              <span className="cd-summary-value">{selected.size} reports, {formatBytes(getSelectedSize())}</span>
+            </div>
+          </div>
+
+          <div className="cd-locations">
+            {scanResults.locations.map(location => (
+              <span key={location.root} className="cd-location" title={location.root}>
+                {location.label}:{' '}
+                {location.error
+                  ? <span className="cd-location-error">{location.error}</span>
+                  : `${location.itemCount} - ${location.sizeFormatted}`}
+              </span>
+            ))}
+          </div>
+
+          <div className="cd-actions">
+            <button className="cd-btn secondary" onClick={() => selectExcess(programs)} disabled={busy}>
+              Select Older Reports
+            </button>
+            <button className="cd-btn secondary" onClick={() => setSelected(new Set())} disabled={busy || selected.size === 0}>
+              Deselect All
+            </button>
+            <button className="cd-btn secondary" onClick={handlePreview} disabled={busy || isPreviewing || selected.size === 0}>
+              <FiEye />
+              {isPreviewing ? 'Preparing...' : 'Preview'}
+            </button>
+            <button className="cd-btn danger" onClick={handleClean} disabled={busy || selected.size === 0}>
+              <FiTrash2 />
+              {isCleaning ? 'Removing...' : 'Remove Selected'}
+            </button>
+          </div>
+
+          {programs.length === 0 ? (
+            <div className="cd-empty">
+              <h3>No crash reports found</h3>
+              <p>Nothing has crashed recently, or the reports were already removed.</p>
+            </div>
+          ) : (
+            <div className="cd-programs">
+              {programs.map(program => {
+                const removable = program.dumps.filter(dump => dump.removable);
+                const selectedCount = removable.filter(dump => selected.has(dump.path)).length;
+                const isExpanded = expanded.has(program.program);
+
+                return (
+                  <div key={program.program} className="cd-program">
+                    <div className="cd-program-header" onClick={() => toggleExpanded(program.program)}>
+                      <span className="cd-expand">
+                        {isExpanded ? <FiChevronDown /> : <FiChevronRight />}
+                      </span>
+                      <input
+                        type="checkbox"
+                        checked={removable.length > 0 && selectedCount === removable.length}
+                        disabled={removable.length === 0}
+                        onClick={(e) => e.stopPropagation()}
+                        onChange={() => toggleProgram(program)}
+                      />
+                      <div className="cd-program-info">
+                        <span className="cd-program-name">{program.program}</span>
+                        <span className="cd-program-meta">
+                          {program.dumps.length} report(s) - latest {formatDate(program.latest)}
+                        </span>
+                      </div>
+                      <span className="cd-program-size">{program.totalSizeFormatted}</span>
+                    </div>
+
+                    {isExpanded && (
+                      <div className="cd-dumps">
+                        {program.dumps.map((dump, index) => (
+                          <label
+                            key={dump.path}
+                            className={`cd-dump ${dump.removable ? '' : 'locked'} ${index < keepPerProgram ? 'kept' : ''}`}
+                            title={dump.reason || dump.path}
+                          >
+                            <input
+                              type="checkbox"
+                              checked={selected.has(dump.path)}
+                              disabled={!dump.removable}
+                              onChange={() => toggleDump(dump.path)}
+                            />
+                            <span className="cd-dump-name">{dump.name}</span>
+                            <span className="cd-dump-source">{dump.source}</span>
+                            <span className="cd-dump-date">{formatDate(dump.date)}</span>
+                            {dump.reason && <span className="cd-dump-locked">{dump.reason}</span>}
+                            <span className="cd-dump-size">{dump.sizeFormatted}</span>
+                          </label>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </>
+      )}
+
+      {!scanResults && isScanning && <div className="cd-empty">Scanning...</div>}
+
+      <CleanPreview manifest={previewManifest} onClose={() => setPreviewManifest(null)} />
+    </div>
+  );
+}
+
+export default CrashDumpCleaner;
@@ -0,0 +1,472 @@
+import React, { useState, useEffect } from 'react';
+import { StorageTreemap, getDataTypeColor } from './StorageVisualization';
+import CleanPreview from './CleanPreview';
+import './DiskUsageExplorer.css';
+
+const EXCLUDES_KEY = 'diskUsageExcludes';
+
+// Folders take the palette; single files and merged cells stay grey
+const TYPE_COLORS = {
+  file: '#8E8E93',
+  other: '#636366'
+};
+
+const MEASURES = {
+  diskSize: 'On Disk',
+  size: 'Apparent Size'
+};
+
+function loadExcludes() {
+  try {
+    return JSON.parse(localStorage.getItem(EXCLUDES_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function describeNode(node) {
+  if (node.type === 'directory') {
+    return `${node.fileCount.toLocaleString()} files, ${node.dirCount.toLocaleString()} folders`;
+  }
+  if (node.type === 'file') {
+    return 'File';
+  }
+  return 'Smaller files, not listed one by one';
+}
+
+// ncdu-style folder sizes below a root, drilled into one folder at a time
+function DiskUsageExplorer() {
+  const [rootPath, setRootPath] = useState('');
+  const [excludes, setExcludes] = useState(loadExcludes);
+  const [oneFilesystem, setOneFilesystem] = useState(true);
+  const [fullRescan, setFullRescan] = useState(false);
+  const [measure, setMeasure] = useState('diskSize');
+  const [isScanning, setIsScanning] = useState(false);
+  const [scanProgress, setScanProgress] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [node, setNode] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const [previewManifest, setPreviewManifest] = useState(null);
+
+  useEffect(() => {
+    if (window.electronAPI) {
+      window.electronAPI.onDiskUsageProgress((data) => {
+        setScanProgress(data);
+      });
+
+      return () => {
+        if (window.electronAPI?.removeDiskUsageProgressListener) {
+          window.electronAPI.removeDiskUsageProgressListener();
+        }
+      };
+    }
+  }, []);
+
+  const storeExcludes = (next) => {
+    setExcludes(next);
+    localStorage.setItem(EXCLUDES_KEY, JSON.stringify(next));
+  };
+
+  const handleScan = async () => {
+    if (!window.electronAPI) {
+      alert('This feature requires the desktop application. Please run the app with "npm run dev"');
+      return;
+    }
+
+    setIsScanning(true);
+    setScanProgress(null);
+    setSelected(null);
+
+    try {
+      const result = await window.electronAPI.scanDiskUsage({
+        rootPath,
+        excludePaths: excludes,
+        oneFilesystem,
+        fullRescan
+      });
+
+      if (result.success) {
+        setNode(result.data.node);
+        setSummary(result.data.summary);
+      } else if (result.error !== 'Scan cancelled by user') {
+        alert('Scan failed: ' + result.error);
+      }
+    } catch (error) {
+      alert('Scan error: ' + error.message);
+    } finally {
+      setIsScanning(false);
+      setScanProgress(null);
+    }
+  };
+
+  const handleCancelScan = async () => {
+    if (window.electronAPI) {
+      await window.electronAPI.cancelDiskUsageScan();
+    }
+  };
+
+  const openNode = async (nodePath) => {
+    try {
+      const result = await window.electronAPI.getDiskUsageNode(nodePath);
+      if (result.success) {
+        setNode(result.data.node);
+        setSummary(result.data.summary);
+        setSelected(null);
+      } else {
+        alert('Could not open the folder: ' + result.error);
+      }
+    } catch (error) {
+      alert('Error: ' + error.message);
+    }
+  };
+
+  const handleReveal = async (nodePath) => {
+    if (window.electronAPI) {
+      await window.electronAPI.openFileLocation(nodePath);
+    }
+  };
+
+  // Leaves the node out of this tree now and out of every later scan
+  const handleExclude = async (target) => {
+    setIsBusy(true);
+    try {
+      const result = await window.electronAPI.excludeDiskUsageNode(target.path);
+      if (result.success) {
+        if (!excludes.includes(target.path)) {
+          storeExcludes([...excludes, target.path]);
+        }
+        await openNode(node.path);
+      } else {
+        alert('Could not exclude: ' + result.error);
+      }
+    } catch (error) {
+      alert('Exclude error: ' + error.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleDelete = async (target) => {
+    const kind = target.type === 'directory' ? 'folder' : 'file';
+    if (!confirm(
+      `Are you sure you want to delete the ${kind} "${target.name}"?\n\n` +
+      (target.type === 'directory' ? `It holds ${describeNode(target)}.\n` : '') +
+      `This will free up about ${target.diskSizeFormatted} of space.\n\n` +
+      `It can be restored from Recently Cleaned until the retention period ends.`
+    )) {
+      return;
+    }
+
+    setIsBusy(true);
+    try {
+      const result = await window.electronAPI.deleteDiskUsageNodes([target.path], { skipInUse: true });
+
+      if (result.success) {
+        const { deleted, skipped, failed } = result.data;
+        if (deleted.length > 0) {
+          alert(
+            `Deleted "${target.name}".\n` +
+            `Freed ${result.data.totalDiskFreedFormatted} on disk.` +
+            (result.data.freeSpace ? `\nFree space gained on disk: ${result.data.freeSpace.measuredFreedFormatted}.` : '')
+          );
+        } else if (skipped.length > 0) {
+          alert(`Skipped "${target.name}": ${skipped[0].reason}`);
+        } else if (failed.length > 0) {
+          alert(`Failed to delete "${target.name}": ${failed[0].error}`);
+        }
+        await openNode(node.path);
+      } else {
+        alert('Delete failed: ' + result.error);
+      }
+    } catch (error) {
+      alert('Delete error: ' + error.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handlePreview = async (target) => {
+    setIsBusy(true);
+    try {
+      const result = await window.electronAPI.deleteDiskUsageNodes([target.path], { skipInUse: true, dryRun: true });
+      if (result.success) {
+        setPreviewManifest(result.data.manifest);
+      } else {
+        alert('Preview failed: ' + result.error);
+      }
+    } catch (error) {
+      alert('Preview error: ' + error.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const getBreadcrumbs = () => {
+    const separator = summary.rootPath.includes('\\') ? '\\' : '/';
+    const crumbs = [{ name: summary.rootPath, path: summary.rootPath }];
+    let current = summary.rootPath;
+
+    node.path.slice(summary.rootPath.length).split(/[\\/]/).filter(Boolean).forEach(segment => {
+      current = current.replace(/[\\/]+$/, '') + separator + segment;
+      crumbs.push({ name: segment, path: current });
+    });
+    return crumbs;
+  };
+
+  const getProgressMessage = () => {
+    if (!scanProgress) return 'Starting scan...';
+    if (scanProgress.stage === 'complete') return 'Scan complete!';
+    return `Scanning folders... ${scanProgress.dirsScanned.toLocaleString()} scanned`;
+  };
+
+  const children = node
+    ? node.children.filter(child => child[measure] > 0).sort((a, b) => b[measure] - a[measure])
+    : [];
+  const largest = children.length > 0 ? children[0][measure] : 0;
+  const treemapData = children.map(child => ({
+    ...child,
+    sizeFormatted: child[`${measure}Formatted`],
+    detail: describeNode(child),
+    color: TYPE_COLORS[child.type]
+  }));
+
+  return (
+    <div className="disk-usage-explorer">
+      <div className="filter-panel">
+        <div className="filter-section">
+          <h3>Disk Usage</h3>
+          <div className="filter-controls">
+            <div className="filter-group disk-usage-root">
+              <label htmlFor="disk-usage-root">Folder:</label>
+              <input
+                id="disk-usage-root"
+                type="text"
+                value={rootPath}
+                placeholder="Home folder (e.g. ~/Projects or /)"
+                onChange={(e) => setRootPath(e.target.value)}
+                disabled={isScanning || isBusy}
+              />
+            </div>
+
+            <div className="filter-group">
+              <label className="full-rescan-option" title="Don't descend into other mounted drives, like ncdu -x">
+                <input
+                  type="checkbox"
+                  checked={oneFilesystem}
+                  onChange={(e) => setOneFilesystem(e.target.checked)}
+                  disabled={isScanning || isBusy}
+                />
+                Stay on this drive
+              </label>
+            </div>
+
+            <div className="filter-group">
+              <label className="full-rescan-option" title="Ignore the size index and list every directory again">
+                <input
+                  type="checkbox"
+                  checked={fullRescan}
+                  onChange={(e) => setFullRescan(e.target.checked)}
+                  disabled={isScanning || isBusy}
+                />
+                Full rescan
+              </label>
+            </div>
+
+            <button
+              className="scan-button"
+              onClick={handleScan}
+              disabled={isScanning || isBusy}
+            >
+              {isScanning ? 'Scanning...' : 'Start Scan'}
+            </button>
+
+            {isScanning && (
+              <button className="cancel-button" onClick={handleCancelScan}>
+                Cancel
+              </button>
+            )}
+          </div>
+
+          {excludes.length > 0 && (
+            <div className="disk-usage-excludes">
+              <span className="summary-label">Excluded ({excludes.length}), applied on every scan:</span>
+              {excludes.map(excluded => (
+                <span key={excluded} className="exclude-chip">
+                  {excluded}
+                  <button
+                    onClick={() => storeExcludes(excludes.filter(p => p !== excluded))}
+                    disabled={isScanning}
+                    title="Include again from the next scan"
+                  >
+                    ×
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {isScanning && (
+          <div className="progress-info">
+            <div className="progress-message">{getProgressMessage()}</div>
+            {scanProgress?.currentPath && (
+              <div className="progress-path">{scanProgress.currentPath}</div>
+            )}
+            <div className="progress-bar">
+              <div className="progress-fill scanning" />
+            </div>
+          </div>
+        )}
+      </div>
+
+      {summary && node && !isScanning && (
+        <>
+          <div className="results-summary">
+            <div className="summary-cards">
+              <div className="summary-card highlight">
+                <div className="summary-label">On Disk</div>
+                <div className="summary-value">{summary.totalDiskSizeFormatted}</div>
+                <div className="summary-detail">{summary.totalSizeFormatted} apparent size</div>
+              </div>
+              <div className="summary-card">
+                <div className="summary-label">Files</div>
+                <div className="summary-value">{summary.fileCount.toLocaleString()}</div>
+              </div>
+              <div className="summary-card">
+                <div className="summary-label">Folders</div>
+                <div className="summary-value">{summary.dirCount.toLocaleString()}</div>
+              </div>
+              <div className="summary-card" title={`${summary.indexStats.reusedDirs} directories unchanged since last index, ${summary.indexStats.walkedDirs} listed`}>
+                <div className="summary-label">Indexed</div>
+                <div className="summary-value">{new Date(summary.indexStats.indexedAt).toLocaleString()}</div>
+              </div>
+            </div>
+          </div>
+
+          <div className="storage-visualization">
+            <div className="viz-header">
+              <div className="disk-usage-breadcrumbs">
+                {getBreadcrumbs().map((crumb, index, crumbs) => (
+                  <React.Fragment key={crumb.path}>
+                    {index > 0 && <span className="crumb-separator">/</span>}
+                    {index === crumbs.length - 1 ? (
+                      <span className="crumb current">{crumb.name}</span>
+                    ) : (
+                      <button className="crumb" onClick={() => openNode(crumb.path)} disabled={isBusy}>
+                        {crumb.name}
+                      </button>
+                    )}
+                  </React.Fragment>
+                ))}
+                <span className="crumb-size">{node[`${measure}Formatted`]}</span>
+              </div>
+              <div className="view-toggle">
+                {Object.entries(MEASURES).map(([key, label]) => (
+                  <button key={key} className={measure === key ? 'active' : ''} onClick={() => setMeasure(key)}>
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {children.length === 0 ? (
+              <div className="no-results">
+                <h3>Empty Folder</h3>
+                <p>{node.unreadable ? 'This folder could not be read.' : 'Nothing in this folder takes up space.'}</p>
+              </div>
+            ) : (
+              <>
+                <StorageTreemap
+                  data={treemapData}
+                  dataKey={measure}
+                  height={360}
+                  animate={false}
+                  selectedId={selected?.id}
+                  onCellClick={(cell) => setSelected(children.find(child => child.id === cell.id) || null)}
+                  hint="Click a box to select it; open a folder to drill down. Files under 1 MB are grouped per folder."
+                />
+
+                {selected && (
+                  <div className="disk-usage-actions">
+                    <div className="disk-usage-selected">
+                      <div className="hog-name">
+                        <span className="hog-type">{selected.name}</span>
+                        <span className="hog-browser">{describeNode(selected)}</span>
+                      </div>
+                      <div className="disk-usage-path">{selected.path}</div>
+                      <div className="summary-detail">
+                        {selected.diskSizeFormatted} on disk • {selected.sizeFormatted} apparent size
+                      </div>
+                    </div>
+                    {selected.type === 'other' ? (
+                      <p className="viz-hint">Use Large Files to list the files of this folder one by one.</p>
+                    ) : (
+                      <div className="disk-usage-buttons">
+                        {selected.type === 'directory' && (
+                          <button className="disk-usage-btn" onClick={() => openNode(selected.path)} disabled={isBusy}>
+                            Open
+                          </button>
+                        )}
+                        <button className="disk-usage-btn" onClick={() => handleReveal(selected.path)}>
+                          Reveal
+                        </button>
+                        <button
+                          className="disk-usage-btn"
+                          onClick={() => handleExclude(selected)}
+                          disabled={isBusy}
+                          title="Leave this out of the totals, now and on every later scan"
+                        >
+                          Exclude
+                        </button>
+                        <button className="disk-usage-btn" onClick={() => handlePreview(selected)} disabled={isBusy}>
+                          Preview
+                        </button>
+                        <button className="disk-usage-btn danger" onClick={() => handleDelete(selected)} disabled={isBusy}>
+                          Move to Trash
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                <div className="space-hogs-list">
+                  {children.map((child, index) => (
+                    <div
+                      key={child.id}
+                      className={`space-hog-item ${selected?.id === child.id ? 'selected' : ''}`}
+                      onClick={() => setSelected(child)}
+                      onDoubleClick={() => child.type === 'directory' && openNode(child.path)}
+                    >
+                      <div className="disk-usage-kind">{child.type === 'directory' ? 'DIR' : child.type === 'file' ? 'FILE' : '...'}</div>
+                      <div className="hog-info">
+                        <div className="hog-name">
+                          <span className="hog-type">{child.name}</span>
+                          <span className="hog-browser">{describeNode(child)}</span>
+                        </div>
+                        <div className="hog-bar">
+                          <div
+                            className="hog-bar-fill"
+                            style={{
+                              width: `${largest > 0 ? (child[measure] / largest) * 100 : 0}%`,
+                              background: TYPE_COLORS[child.type] || getDataTypeColor(index)
+                            }}
+                          />
+                        </div>
+                      </div>
+                      <div className="hog-size">{child[`${measure}Formatted`]}</div>
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+          </div>
+        </>
+      )}
+
+      <CleanPreview manifest={previewManifest} onClose={() => setPreviewManifest(null)} />
+    </div>
+  );
+}
+
+export default DiskUsageExplorer;
@@ -0,0 +1,97 @@
+import React from 'react';
+
+// Entries listed per archive; large archives can match thousands of files
+const MAX_LISTED_ENTRIES = 100;
+
+// Archives whose entries exist as loose files, from findDuplicates with scanArchives
+function DuplicateArchiveMatches({ archiveMatches, expandedGroups, onToggleGroup }) {
+  if (archiveMatches.length === 0) {
+    return (
+      <div className="no-duplicates">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+          <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14" />
+          <polyline points="22 4 12 14.01 9 11.01" />
+        </svg>
+        <h3>No Archive Copies Found</h3>
+        <p>No archive holds files that also exist as loose files.</p>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <div className="hidden-groups-note">
+        Archives are listed for review only. A redundant archive has every entry present as a loose file; hidden
+        files and files below the minimum size are not scanned, so they count as missing.
+      </div>
+
+      {archiveMatches.map(archive => {
+        const isExpanded = expandedGroups.has(archive.id);
+        const hiddenEntries = archive.entries.length - MAX_LISTED_ENTRIES;
+
+        return (
+          <div key={archive.id} className={`duplicate-group ${archive.redundant ? '' : 'near-match'}`}>
+            <div className="group-header" onClick={() => onToggleGroup(archive.id)}>
+              <div className="group-info">
+                <svg
+                  className={`expand-icon ${isExpanded ? 'expanded' : ''}`}
+                  viewBox="0 0 24 24"
+                  fill="none"
+                  stroke="currentColor"
+                  strokeWidth="2"
+                >
+                  <polyline points="9 18 15 12 9 6" />
+                </svg>
+                <div className="group-details">
+                  <span className="group-name">
+                    {archive.name}
+                    {archive.redundant
+                      ? <span className="badge">Redundant</span>
+                      : <span className="badge near">Partly extracted</span>}
+                    {archive.stale && <span className="badge near" title={archive.staleReason}>Changed</span>}
+                  </span>
+                  <span className="group-meta">
+                    {archive.matchedEntries} of {archive.totalEntries} entries found as loose files
+                    {' '}• {archive.matchedBytesFormatted} matched • {archive.sizeFormatted} archive
+                    {archive.unreadableEntries > 0 ? ` • ${archive.unreadableEntries} unreadable entries` : ''}
+                  </span>
+                </div>
+              </div>
+            </div>
+
+            {isExpanded && (
+              <div className="group-files">
+                <div className="file-item original">
+                  <div className="file-info">
+                    <div className="file-name">{archive.name}</div>
+                    <div className="file-path">{archive.directory}</div>
+                    <div className="file-meta">
+                      {archive.format} • {archive.sizeFormatted} • Last modified: {new Date(archive.modified).toLocaleDateString()}
+                    </div>
+                  </div>
+                </div>
+
+                {archive.entries.slice(0, MAX_LISTED_ENTRIES).map(entry => (
+                  <div key={entry.name} className="file-item">
+                    <div className="file-info">
+                      <div className="file-name">{entry.name}</div>
+                      {entry.looseFiles.map(looseFile => (
+                        <div key={looseFile} className="file-path">{looseFile}</div>
+                      ))}
+                      <div className="file-meta">{entry.sizeFormatted}</div>
+                    </div>
+                  </div>
+                ))}
+                {hiddenEntries > 0 && (
+                  <div className="file-meta">...and {hiddenEntries} more matched entries</div>
+                )}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </>
+  );
+}
+
+export default DuplicateArchiveMatches;
@@ -1,6 +1,19 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import CleanPreview from './CleanPreview';
+import SimilarImageGroups from './SimilarImageGroups';
+import DuplicateFolderGroups from './DuplicateFolderGroups';
+import DuplicateArchiveMatches from './DuplicateArchiveMatches';
+import DuplicateRuleBuilder, { applySelectionRules } from './DuplicateRuleBuilder';
+import DuplicateScanScope, { DEFAULT_SCOPE, toScanOptions, fromScanOptions } from './DuplicateScanScope';
 import './DuplicateFileFinder.css';
 
+// Saved sessions are checked against the disk by validateScanSession
+const SESSION_TYPE = 'duplicate-scan-session';
+const SESSION_VERSION = 1;
+
+// Reference files, and files changed since a saved session was scanned, stay put
+const isSelectable = (entry) => !entry.reference && !entry.stale;
+
 function DuplicateFileFinder({ onBack }) {
   const [isScanning, setIsScanning] = useState(false);
   const [scanProgress, setScanProgress] = useState(null);
@@ -10,9 +23,51 @@ function DuplicateFileFinder({ onBack }) {
   const [deleteProgress, setDeleteProgress] = useState(null);
   const [expandedGroups, setExpandedGroups] = useState(new Set());
   const [fileTypeFilter, setFileTypeFilter] = useState('all');
+  const [previewManifest, setPreviewManifest] = useState(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [isLinking, setIsLinking] = useState(false);
+  const [linkMethod, setLinkMethod] = useState('auto');
+  const [scanMode, setScanMode] = useState('exact');
+  const [hashAlgorithm, setHashAlgorithm] = useState('phash');
+  const [maxDistance, setMaxDistance] = useState(10);
+  const [resultView, setResultView] = useState('files');
+  const [selectedFolders, setSelectedFolders] = useState(new Set());
+  const [showFolderFiles, setShowFolderFiles] = useState(false);
+  const [showRuleBuilder, setShowRuleBuilder] = useState(false);
+  const [scanArchives, setScanArchives] = useState(false);
+  const sessionInputRef = useRef(null);
+  const [scanScope, setScanScope] = useState(DEFAULT_SCOPE);
+  const [scanDefaults, setScanDefaults] = useState({ paths: [], imagePaths: [] });
+
+  const isSimilarMode = scanResults?.mode === 'similar';
+  const isReferenceMode = scanResults?.mode === 'reference';
+  const isFolderView = !isSimilarMode && resultView === 'folders';
+  const isArchiveView = !isSimilarMode && resultView === 'archives';
+
+  // File groups inside duplicate folders are handled at folder level
+  const visibleGroups = !scanResults
+    ? []
+    : isSimilarMode || showFolderFiles
+      ? scanResults.groups
+      : scanResults.groups.filter(group => !group.insideDuplicateFolders);
+  const hiddenGroupCount = scanResults ? scanResults.groups.length - visibleGroups.length : 0;
+  const hasFolderResults = !isSimilarMode && scanResults &&
+    (scanResults.folderGroups.length > 0 || scanResults.partialOverlaps.length > 0);
+  const selectedCount = isFolderView ? selectedFolders.size : selectedFiles.size;
+
+  // Passed along so the main process also refuses to touch reference files
+  const referenceOptions = isReferenceMode ? { referencePaths: scanResults.summary.referencePaths } : {};
+  // Lets the main process re-check that each image is close to the one kept
+  const similarOptions = isSimilarMode
+    ? { algorithm: scanResults.summary.algorithm, maxDistance: scanResults.summary.maxDistance }
+    : {};
 
   useEffect(() => {
     if (window.electronAPI) {
+      window.electronAPI.getDuplicateScanDefaults().then((result) => {
+        if (result.success) setScanDefaults(result.data);
+      });
+
       window.electronAPI.onDuplicateScanProgress((data) => {
         setScanProgress(data);
       });
@@ -21,6 +76,10 @@ function DuplicateFileFinder({ onBack }) {
         setDeleteProgress(data);
       });
 
+      window.electronAPI.onDuplicateDedupeProgress((data) => {
+        setDeleteProgress(data);
+      });
+
       return () => {
         if (window.electronAPI?.removeDuplicateScanProgressListener) {
           window.electronAPI.removeDuplicateScanProgressListener();
@@ -28,6 +87,9 @@ function DuplicateFileFinder({ onBack }) {
         if (window.electronAPI?.removeDuplicateDeleteProgressListener) {
           window.electronAPI.removeDuplicateDeleteProgressListener();
         }
+        if (window.electronAPI?.removeDuplicateDedupeProgressListener) {
+          window.electronAPI.removeDuplicateDedupeProgressListener();
+        }
       };
     }
   }, []);
@@ -38,19 +100,34 @@ function DuplicateFileFinder({ onBack }) {
       return;
     }
 
+    const { referencePaths, ...scopeOptions } = toScanOptions(scanScope);
+    if (scanMode === 'reference' && referencePaths.length === 0) {
+      alert('Add at least one reference folder under Edit Scope.');
+      return;
+    }
+
     setIsScanning(true);
     setScanProgress(null);
     setScanResults(null);
     setSelectedFiles(new Set());
+    setSelectedFolders(new Set());
     setExpandedGroups(new Set());
+    setResultView('files');
 
     try {
-      const result = await window.electronAPI.scanDuplicates({
-        fileType: fileTypeFilter
-      });
+      const options = scanMode === 'similar'
+        ? { ...scopeOptions, algorithm: hashAlgorithm, maxDistance }
+        : {
+          ...scopeOptions,
+          fileType: fileTypeFilter,
+          ...(scanMode === 'reference' ? { referencePaths } : { scanArchives })
+        };
+      const result = scanMode === 'similar'
+        ? await window.electronAPI.scanSimilarImages(options)
+        : await window.electronAPI.scanDuplicates(options);
 
       if (result.success) {
-        setScanResults(result);
+        setScanResults({ ...result, mode: scanMode, options, scannedAt: new Date().toISOString() });
       } else {
         alert('Scan failed: ' + result.error);
       }
@@ -62,6 +139,93 @@ function DuplicateFileFinder({ onBack }) {
     }
   };
 
+  // Results, hashes, scope and selection in one JSON file, for review later
+  const handleSaveSession = () => {
+    if (!scanResults) return;
+
+    const { mode, options, scannedAt, validation, success, ...results } = scanResults;
+    const session = {
+      type: SESSION_TYPE,
+      version: SESSION_VERSION,
+      savedAt: new Date().toISOString(),
+      scannedAt,
+      mode,
+      options,
+      results,
+      selection: {
+        files: Array.from(selectedFiles),
+        folders: Array.from(selectedFolders)
+      }
+    };
+
+    const blob = new Blob([JSON.stringify(session, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `duplicate-scan-${scannedAt.split('T')[0]}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  const handleLoadSession = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file || !window.electronAPI) return;
+
+    let session;
+    try {
+      session = JSON.parse(await file.text());
+    } catch (error) {
+      alert('Could not read the session file: ' + error.message);
+      return;
+    }
+
+    setIsScanning(true);
+    setScanProgress(null);
+    setScanResults(null);
+    setSelectedFiles(new Set());
+    setSelectedFolders(new Set());
+    setExpandedGroups(new Set());
+    setResultView('files');
+
+    try {
+      // The main process marks files that changed since the scan as stale
+      const result = await window.electronAPI.validateDuplicateSession(session);
+      if (!result.success) {
+        alert('Could not load the session: ' + result.error);
+        return;
+      }
+
+      const { mode, options, scannedAt, results, selection, validation } = result.data;
+
+      // Restore the controls, so a rescan covers the same scope
+      setScanMode(mode);
+      if (options?.paths) {
+        setScanScope(fromScanOptions(options));
+        if (options.fileType) setFileTypeFilter(options.fileType);
+        setScanArchives(Boolean(options.scanArchives));
+        if (options.algorithm) setHashAlgorithm(options.algorithm);
+        if (options.maxDistance !== undefined) setMaxDistance(options.maxDistance);
+      }
+
+      const stalePaths = new Set([
+        ...results.groups.flatMap(group => group.files),
+        ...(results.folderGroups || []).flatMap(group => group.folders)
+      ].filter(entry => entry.stale).map(entry => entry.path));
+
+      setScanResults({ ...results, mode, options, scannedAt, validation });
+      setSelectedFiles(new Set((selection?.files || []).filter(p => !stalePaths.has(p))));
+      setSelectedFolders(new Set((selection?.folders || []).filter(p => !stalePaths.has(p))));
+    } catch (error) {
+      alert('Session error: ' + error.message);
+    } finally {
+      setIsScanning(false);
+      setScanProgress(null);
+    }
+  };
+
   const handleCancelScan = async () => {
     if (window.electronAPI) {
       await window.electronAPI.cancelDuplicateScan();
@@ -79,21 +243,18 @@ function DuplicateFileFinder({ onBack }) {
       return;
     }
 
-    const filesToDelete = Array.from(selectedFiles);
-    const totalSize = filesToDelete.reduce((sum, filePath) => {
-      for (const group of scanResults.groups) {
-        const file = group.files.find(f => f.path === filePath);
-        if (file) return sum + file.size;
-      }
-      return sum;
-    }, 0);
-
-    const formattedSize = formatBytes(totalSize);
+    const removals = getRemovals();
+    const unkept = removals.filter(removal => !removal.keepPath).length;
+    const formattedSize = formatBytes(getTotalSelectedSize());
 
     if (!confirm(
-      `Are you sure you want to delete ${filesToDelete.length} duplicate file(s)?\n\n` +
+      `Are you sure you want to delete ${removals.length} ${isSimilarMode ? 'similar image' : 'duplicate file'}(s)?\n\n` +
       `This will free up ${formattedSize} of space.\n\n` +
-      `This action cannot be undone.`
+      (unkept > 0 ? `${unkept} file(s) have every copy selected and will be kept.\n\n` : '') +
+      (isSimilarMode
+        ? `Similar images are not identical: each one is removed only while an image of its group is kept. `
+        : `Each file is compared byte for byte with the copy that stays before it is removed. `) +
+      `Files can be restored from Recently Cleaned until the retention period ends.`
     )) {
       return;
     }
@@ -102,12 +263,19 @@ function DuplicateFileFinder({ onBack }) {
     setDeleteProgress(null);
 
     try {
-      const result = await window.electronAPI.deleteDuplicates(filesToDelete);
+      const result = isSimilarMode
+        ? await window.electronAPI.deleteSimilarImages(removals, similarOptions)
+        : await window.electronAPI.deleteDuplicates(removals, referenceOptions);
 
       if (result.success) {
+        const { skipped } = result.data;
         alert(
           `Successfully deleted ${result.data.deleted.length} file(s)!\n` +
           `Freed ${result.data.totalFreedFormatted} of space.` +
+          (result.data.freeSpace ? `\nFree space gained on disk: ${result.data.freeSpace.measuredFreedFormatted}.` : '') +
+          (skipped.length > 0
+            ? `\n\nKept ${skipped.length} file(s):\n` + skipped.map(s => `${s.path}: ${s.reason}`).join('\n')
+            : '') +
           (result.data.failed.length > 0 ? `\n\nFailed to delete ${result.data.failed.length} file(s).` : '')
         );
 
@@ -124,6 +292,122 @@ function DuplicateFileFinder({ onBack }) {
     }
   };
 
+  const handleLink = async () => {
+    if (!window.electronAPI || selectedFiles.size === 0) return;
+
+    const replacements = getRemovals();
+    if (!confirm(
+      `Replace ${replacements.length} selected file(s) with links to the copy that stays?\n\n` +
+      `Every path keeps working, but the data is stored once. Each file is compared byte for byte first. ` +
+      `A hardlinked path shares the kept file's timestamps, and editing one path changes all of them.`
+    )) {
+      return;
+    }
+
+    setIsLinking(true);
+    setDeleteProgress(null);
+
+    try {
+      const result = await window.electronAPI.deduplicateFiles(replacements, { ...referenceOptions, method: linkMethod });
+
+      if (result.success) {
+        const { replaced, skipped, failed } = result.data;
+        const count = method => replaced.filter(item => item.method === method).length;
+        alert(
+          `Replaced ${replaced.length} file(s) with links ` +
+          `(${count('reflink')} reflink clones, ${count('hardlink')} hardlinks).\n` +
+          `Freed ${result.data.totalFreedFormatted} of space.` +
+          (result.data.freeSpace ? `\nFree space gained on disk: ${result.data.freeSpace.measuredFreedFormatted}.` : '') +
+          (skipped.length > 0
+            ? `\n\nKept ${skipped.length} file(s):\n` + skipped.map(s => `${s.path}: ${s.reason}`).join('\n')
+            : '') +
+          (failed.length > 0
+            ? `\n\nFailed to link ${failed.length} file(s):\n` + failed.map(f => `${f.path}: ${f.error}`).join('\n')
+            : '')
+        );
+
+        handleScan();
+      } else {
+        alert('Link failed: ' + result.error);
+      }
+    } catch (error) {
+      alert('Link error: ' + error.message);
+    } finally {
+      setIsLinking(false);
+      setDeleteProgress(null);
+    }
+  };
+
+  const handleDeleteFolders = async () => {
+    if (!window.electronAPI || selectedFolders.size === 0) return;
+
+    const removals = getFolderRemovals();
+    const unkept = removals.filter(removal => !removal.keepPath).length;
+
+    if (!confirm(
+      `Are you sure you want to delete ${removals.length} duplicate folder(s)?\n\n` +
+      `This will free up ${formatBytes(getSelectedFolderSize())} of space.\n\n` +
+      (unkept > 0 ? `${unkept} folder(s) have every copy selected and will be kept.\n\n` : '') +
+      `Each folder is compared entry by entry with the copy that stays, including hidden and small files. ` +
+      `Folders can be restored from Recently Cleaned until the retention period ends.`
+    )) {
+      return;
+    }
+
+    setIsDeleting(true);
+    setDeleteProgress(null);
+
+    try {
+      const result = await window.electronAPI.deleteDuplicateFolders(removals);
+
+      if (result.success) {
+        const { deleted, skipped, failed } = result.data;
+        alert(
+          `Successfully deleted ${deleted.length} folder(s)!\n` +
+          `Freed ${result.data.totalFreedFormatted} of space.` +
+          (result.data.freeSpace ? `\nFree space gained on disk: ${result.data.freeSpace.measuredFreedFormatted}.` : '') +
+          (skipped.length > 0
+            ? `\n\nKept ${skipped.length} folder(s):\n` + skipped.map(s => `${s.path}: ${s.reason}`).join('\n')
+            : '') +
+          (failed.length > 0
+            ? `\n\nFailed to delete ${failed.length} folder(s):\n` + failed.map(f => `${f.path}: ${f.error}`).join('\n')
+            : '')
+        );
+
+        handleScan();
+      } else {
+        alert('Delete failed: ' + result.error);
+      }
+    } catch (error) {
+      alert('Delete error: ' + error.message);
+    } finally {
+      setIsDeleting(false);
+      setDeleteProgress(null);
+    }
+  };
+
+  const handlePreview = async () => {
+    if (!window.electronAPI || (isFolderView ? selectedFolders : selectedFiles).size === 0) return;
+
+    setIsPreviewing(true);
+    try {
+      const result = isFolderView
+        ? await window.electronAPI.deleteDuplicateFolders(getFolderRemovals(), { dryRun: true })
+        : isSimilarMode
+          ? await window.electronAPI.deleteSimilarImages(getRemovals(), { ...similarOptions, dryRun: true })
+          : await window.electronAPI.deleteDuplicates(getRemovals(), { ...referenceOptions, dryRun: true });
+      if (result.success) {
+        setPreviewManifest(result.data.manifest);
+      } else {
+        alert('Preview failed: ' + result.error);
+      }
+    } catch (error) {
+      alert('Preview error: ' + error.message);
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
   const toggleGroup = (groupId) => {
     setExpandedGroups(prev => {
       const newSet = new Set(prev);
@@ -148,11 +432,13 @@ function DuplicateFileFinder({ onBack }) {
     });
   };
 
+  // Reference files are listed first in their group; neither they nor
+  // files changed since a saved session are ever selected
   const selectAllInGroup = (group, keepFirst = true) => {
     setSelectedFiles(prev => {
       const newSet = new Set(prev);
       const filesToSelect = keepFirst ? group.files.slice(1) : group.files;
-      filesToSelect.forEach(file => newSet.add(file.path));
+      filesToSelect.filter(isSelectable).forEach(file => newSet.add(file.path));
       return newSet;
     });
   };
@@ -168,15 +454,90 @@ function DuplicateFileFinder({ onBack }) {
   const selectAllDuplicates = (keepNewest = true) => {
     if (!scanResults) return;
 
+    if (isFolderView) {
+      const folderSet = new Set();
+      scanResults.folderGroups.forEach(group => {
+        const foldersToSelect = keepNewest ? group.folders.slice(1) : group.folders.slice(0, -1);
+        foldersToSelect.filter(isSelectable).forEach(folder => folderSet.add(folder.path));
+      });
+      setSelectedFolders(folderSet);
+      return;
+    }
+
+    // Similar image groups are sorted best quality first, so keeping the
+    // first file keeps the best copy
     const newSet = new Set();
-    scanResults.groups.forEach(group => {
+    visibleGroups.forEach(group => {
       const filesToSelect = keepNewest ? group.files.slice(1) : group.files.slice(0, -1);
-      filesToSelect.forEach(file => newSet.add(file.path));
+      filesToSelect.filter(isSelectable).forEach(file => newSet.add(file.path));
     });
 
     setSelectedFiles(newSet);
   };
 
+  const applyRules = (rules) => {
+    const groups = visibleGroups.map(group => ({ ...group, files: group.files.filter(isSelectable) }));
+    const result = applySelectionRules(groups.filter(group => group.files.length > 1), rules);
+    setSelectedFiles(result.selected);
+    return result;
+  };
+
+  const toggleFolderSelection = (folderPath) => {
+    setSelectedFolders(prev => {
+      const newSet = new Set(prev);
+      if (newSet.has(folderPath)) {
+        newSet.delete(folderPath);
+      } else {
+        newSet.add(folderPath);
+      }
+      return newSet;
+    });
+  };
+
+  const selectFolderGroup = (group) => {
+    setSelectedFolders(prev => {
+      const newSet = new Set(prev);
+      group.folders.slice(1).filter(isSelectable).forEach(folder => newSet.add(folder.path));
+      return newSet;
+    });
+  };
+
+  const deselectFolderGroup = (group) => {
+    setSelectedFolders(prev => {
+      const newSet = new Set(prev);
+      group.folders.forEach(folder => newSet.delete(folder.path));
+      return newSet;
+    });
+  };
+
+  // Each selected file is paired with a copy that stays in its group; the
+  // main process compares the two byte for byte before removing anything
+  const getRemovals = () => scanResults.groups.flatMap(group => {
+    const kept = group.files.find(f => !selectedFiles.has(f.path) && !f.stale);
+    return group.files
+      .filter(f => selectedFiles.has(f.path))
+      .map(f => ({ path: f.path, keepPath: kept ? kept.path : null }));
+  });
+
+  const getFolderRemovals = () => scanResults.folderGroups.flatMap(group => {
+    const kept = group.folders.find(f => !selectedFolders.has(f.path) && !f.stale);
+    return group.folders
+      .filter(f => selectedFolders.has(f.path))
+      .map(f => ({ path: f.path, keepPath: kept ? kept.path : null }));
+  });
+
+  // A folder can sit in more than one group (e.g. as a subfolder), so sizes
+  // are counted once per path
+  const getSelectedFolderSize = () => {
+    if (!scanResults) return 0;
+
+    const sizes = new Map();
+    scanResults.folderGroups.forEach(group => group.folders.forEach(folder => {
+      if (selectedFolders.has(folder.path)) sizes.set(folder.path, folder.size);
+    }));
+    return Array.from(sizes.values()).reduce((sum, size) => sum + size, 0);
+  };
+
   const getTotalSelectedSize = () => {
     if (!scanResults) return 0;
 
@@ -204,6 +565,10 @@ function DuplicateFileFinder({ onBack }) {
   const getProgressMessage = () => {
     if (!scanProgress) return '';
 
+    const cached = scanProgress.cacheHits !== undefined
+      ? ` - ${scanProgress.cacheHits} from cache, ${scanProgress.cacheMisses} read`
+      : '';
+
     if (scanProgress.stage === 'scanning') {
       return `Scanning files... Found ${scanProgress.filesFound || 0} files`;
     } else if (scanProgress.stage === 'analyzing') {
@@ -212,7 +577,25 @@ function DuplicateFileFinder({ onBack }) {
       const progress = scanProgress.current && scanProgress.total
         ? ` (${scanProgress.current}/${scanProgress.total})`
         : '';
-      return `Calculating file hashes${progress}...`;
+      return `Calculating file hashes${progress}...${cached}`;
+    } else if (scanProgress.stage === 'verifying') {
+      const progress = scanProgress.current && scanProgress.total
+        ? ` (${scanProgress.current}/${scanProgress.total})`
+        : '';
+      return `Verifying full contents${progress}...${cached}`;
+    } else if (scanProgress.stage === 'decoding' || scanProgress.stage === 'thumbnails') {
+      const progress = scanProgress.current && scanProgress.total
+        ? ` (${scanProgress.current}/${scanProgress.total})`
+        : '';
+      return `${scanProgress.stage === 'decoding' ? 'Hashing images' : 'Creating thumbnails'}${progress}...`;
+    } else if (scanProgress.stage === 'validating') {
+      return `Checking saved files (${scanProgress.current}/${scanProgress.total})...`;
+    } else if (scanProgress.stage === 'archives') {
+      return scanProgress.message || 'Reading archives...';
+    } else if (scanProgress.stage === 'folders') {
+      return scanProgress.message || 'Comparing folders...';
+    } else if (scanProgress.stage === 'grouping') {
+      return scanProgress.message || 'Comparing images...';
     } else if (scanProgress.stage === 'initializing') {
       return 'Starting scan...';
     }
@@ -234,28 +617,89 @@ function DuplicateFileFinder({ onBack }) {
         <div className="scan-controls">
           <div className="control-row">
             <div className="filter-group">
-              <label htmlFor="file-type">File Type:</label>
+              <label htmlFor="scan-mode">Find:</label>
               <select
-                id="file-type"
-                value={fileTypeFilter}
-                onChange={(e) => setFileTypeFilter(e.target.value)}
+                id="scan-mode"
+                value={scanMode}
+                onChange={(e) => setScanMode(e.target.value)}
                 disabled={isScanning || isDeleting}
               >
-                <option value="all">All Files</option>
-                <option value="images">Images</option>
-                <option value="videos">Videos</option>
-                <option value="documents">Documents</option>
-                <option value="audio">Audio</option>
-                <option value="archives">Archives</option>
+                <option value="exact">Exact Duplicates</option>
+                <option value="reference">Copies of Reference Folders</option>
+                <option value="similar">Similar Images</option>
               </select>
             </div>
 
+            {scanMode !== 'similar' ? (
+              <div className="filter-group">
+                <label htmlFor="file-type">File Type:</label>
+                <select
+                  id="file-type"
+                  value={fileTypeFilter}
+                  onChange={(e) => setFileTypeFilter(e.target.value)}
+                  disabled={isScanning || isDeleting}
+                >
+                  <option value="all">All Files</option>
+                  <option value="images">Images</option>
+                  <option value="videos">Videos</option>
+                  <option value="documents">Documents</option>
+                  <option value="audio">Audio</option>
+                  <option value="archives">Archives</option>
+                </select>
+                {scanMode === 'exact' && (
+                  <label className="scope-checkbox" title="Compare the files inside zip, tar and tar.gz archives with loose files">
+                    <input
+                      type="checkbox"
+                      checked={scanArchives}
+                      onChange={(e) => setScanArchives(e.target.checked)}
+                      disabled={isScanning || isDeleting}
+                    />
+                    Look inside archives
+                  </label>
+                )}
+              </div>
+            ) : (
+              <>
+                <div className="filter-group">
+                  <label htmlFor="hash-algorithm">Hash:</label>
+                  <select
+                    id="hash-algorithm"
+                    value={hashAlgorithm}
+                    onChange={(e) => setHashAlgorithm(e.target.value)}
+                    disabled={isScanning || isDeleting}
+                    title="pHash tolerates re-encoding and colour changes better; dHash is stricter"
+                  >
+                    <option value="phash">pHash (DCT)</option>
+                    <option value="dhash">dHash (gradient)</option>
+                  </select>
+                </div>
+                <div className="filter-group">
+                  <label htmlFor="max-distance">Max distance:</label>
+                  <input
+                    id="max-distance"
+                    type="range"
+                    min="0"
+                    max="24"
+                    value={maxDistance}
+                    onChange={(e) => setMaxDistance(parseInt(e.target.value))}
+                    disabled={isScanning || isDeleting}
+                    title="Largest number of differing hash bits (of 64) between images of a group"
+                  />
+                  <span className="distance-value">{maxDistance} bits</span>
+                </div>
+              </>
+            )}
+
             <button
               className="scan-button"
               onClick={handleScan}
               disabled={isScanning || isDeleting}
             >
-              {isScanning ? 'Scanning...' : 'Scan for Duplicates'}
+              {isScanning
+                ? 'Scanning...'
+                : scanMode === 'similar'
+                  ? 'Scan for Similar Images'
+                  : scanMode === 'reference' ? 'Scan for Copies' : 'Scan for Duplicates'}
             </button>
 
             {isScanning && (
@@ -263,12 +707,44 @@ function DuplicateFileFinder({ onBack }) {
                 Cancel
               </button>
             )}
+
+            <button
+              className="action-btn secondary"
+              onClick={() => sessionInputRef.current.click()}
+              disabled={isScanning || isDeleting}
+              title="Load saved results and selection; every file is checked against the disk"
+            >
+              Load Session
+            </button>
+            <button
+              className="action-btn secondary"
+              onClick={handleSaveSession}
+              disabled={!scanResults || isScanning}
+              title="Save the results, scope and current selection to a JSON file"
+            >
+              Save Session
+            </button>
+            <input
+              ref={sessionInputRef}
+              type="file"
+              accept=".json,application/json"
+              onChange={handleLoadSession}
+              hidden
+            />
           </div>
 
+          <DuplicateScanScope
+            scope={scanScope}
+            defaultPaths={scanMode === 'similar' ? scanDefaults.imagePaths : scanDefaults.paths}
+            showReferences={scanMode === 'reference'}
+            disabled={isScanning || isDeleting}
+            onChange={setScanScope}
+          />
+
           {isScanning && scanProgress && (
             <div className="progress-info">
               <div className="progress-message">{getProgressMessage()}</div>
-              {scanProgress.stage === 'hashing' && scanProgress.total && (
+              {['hashing', 'verifying', 'archives', 'decoding', 'thumbnails', 'validating'].includes(scanProgress.stage) && scanProgress.total && (
                 <div className="progress-bar">
                   <div
                     className="progress-fill"
@@ -285,61 +761,185 @@ function DuplicateFileFinder({ onBack }) {
         {/* Results Summary */}
         {scanResults && !isScanning && (
           <div className="results-summary">
-            <div className="summary-card">
-              <div className="summary-item">
-                <span className="summary-label">Files Scanned</span>
-                <span className="summary-value">{scanResults.summary.totalFiles.toLocaleString()}</span>
+            {scanResults.validation && (
+              <div className="hidden-groups-note">
+                Saved session from {new Date(scanResults.scannedAt).toLocaleString()}.{' '}
+                {scanResults.validation.stale > 0
+                  ? `${scanResults.validation.stale} of ${scanResults.validation.checked} files or folders changed since the scan and can't be selected. Rescan to refresh them.`
+                  : `All ${scanResults.validation.checked} files and folders are unchanged since the scan.`}
               </div>
-              <div className="summary-item">
-                <span className="summary-label">Duplicate Groups</span>
-                <span className="summary-value">{scanResults.summary.totalDuplicateGroups}</span>
+            )}
+            {isSimilarMode ? (
+              <div className="summary-card">
+                <div className="summary-item">
+                  <span className="summary-label">Images Scanned</span>
+                  <span className="summary-value">{scanResults.summary.decodedImages.toLocaleString()}</span>
+                </div>
+                <div className="summary-item">
+                  <span className="summary-label">Similar Groups</span>
+                  <span className="summary-value">{scanResults.summary.totalSimilarGroups}</span>
+                </div>
+                <div className="summary-item">
+                  <span className="summary-label">Similar Images</span>
+                  <span className="summary-value">{scanResults.summary.totalSimilarFiles}</span>
+                </div>
+                {scanResults.undecodable.length > 0 && (
+                  <div className="summary-item" title={scanResults.undecodable.map(u => `${u.path}: ${u.error}`).join('\n')}>
+                    <span className="summary-label">Unreadable</span>
+                    <span className="summary-value">{scanResults.undecodable.length}</span>
+                  </div>
+                )}
+                <div className="summary-item highlight">
+                  <span className="summary-label">Potential Savings</span>
+                  <span className="summary-value">{scanResults.summary.totalPotentialSavingsFormatted}</span>
+                </div>
               </div>
-              <div className="summary-item">
-                <span className="summary-label">Duplicate Files</span>
-                <span className="summary-value">{scanResults.summary.totalDuplicateFiles}</span>
+            ) : (
+              <div className="summary-card">
+                <div className="summary-item">
+                  <span className="summary-label">Files Scanned</span>
+                  <span className="summary-value">{scanResults.summary.totalFiles.toLocaleString()}</span>
+                </div>
+                <div className="summary-item">
+                  <span className="summary-label">{isReferenceMode ? 'Reference Files Copied' : 'Duplicate Groups'}</span>
+                  <span className="summary-value">{scanResults.summary.totalDuplicateGroups}</span>
+                </div>
+                <div className="summary-item">
+                  <span className="summary-label">{isReferenceMode ? 'Copies Found' : 'Duplicate Files'}</span>
+                  <span className="summary-value">{scanResults.summary.totalDuplicateFiles}</span>
+                </div>
+                {scanResults.nearMatches.length > 0 && (
+                  <div className="summary-item">
+                    <span className="summary-label">Near Matches</span>
+                    <span className="summary-value">{scanResults.nearMatches.length}</span>
+                  </div>
+                )}
+                {scanResults.folderGroups.length > 0 && (
+                  <div className="summary-item">
+                    <span className="summary-label">Duplicate Folders</span>
+                    <span className="summary-value">{scanResults.folderGroups.length}</span>
+                  </div>
+                )}
+                {scanResults.archiveMatches.length > 0 && (
+                  <div className="summary-item" title={`${scanResults.summary.redundantArchiveSizeFormatted} in archives fully present as loose files`}>
+                    <span className="summary-label">Redundant Archives</span>
+                    <span className="summary-value">{scanResults.summary.totalRedundantArchives}</span>
+                  </div>
+                )}
+                <div className="summary-item highlight">
+                  <span className="summary-label">Potential Savings</span>
+                  <span className="summary-value">{scanResults.summary.totalPotentialSavingsFormatted}</span>
+                </div>
               </div>
-              <div className="summary-item highlight">
-                <span className="summary-label">Potential Savings</span>
-                <span className="summary-value">{scanResults.summary.totalPotentialSavingsFormatted}</span>
+            )}
+
+            {!isSimilarMode && (hasFolderResults || scanResults.archiveMatches.length > 0) && (
+              <div className="view-tabs">
+                <button
+                  className={`view-tab ${resultView === 'files' ? 'active' : ''}`}
+                  onClick={() => setResultView('files')}
+                >
+                  Files ({visibleGroups.length})
+                </button>
+                {hasFolderResults && (
+                  <button
+                    className={`view-tab ${resultView === 'folders' ? 'active' : ''}`}
+                    onClick={() => setResultView('folders')}
+                  >
+                    Folders ({scanResults.folderGroups.length + scanResults.partialOverlaps.length})
+                  </button>
+                )}
+                {scanResults.archiveMatches.length > 0 && (
+                  <button
+                    className={`view-tab ${resultView === 'archives' ? 'active' : ''}`}
+                    onClick={() => setResultView('archives')}
+                  >
+                    Archives ({scanResults.archiveMatches.length})
+                  </button>
+                )}
               </div>
-            </div>
+            )}
 
-            {scanResults.groups.length > 0 && (
+            {!isArchiveView && (isFolderView ? scanResults.folderGroups.length > 0 : visibleGroups.length > 0) && (
               <div className="action-controls">
                 <div className="selection-buttons">
                   <button
                     className="action-btn secondary"
                     onClick={() => selectAllDuplicates(true)}
                   >
-                    Select All (Keep Newest)
-                  </button>
-                  <button
-                    className="action-btn secondary"
-                    onClick={() => selectAllDuplicates(false)}
-                  >
-                    Select All (Keep Oldest)
+                    {isSimilarMode
+                      ? 'Select All (Keep Best Quality)'
+                      : isReferenceMode ? 'Select All Copies' : 'Select All (Keep Newest)'}
                   </button>
+                  {!isSimilarMode && !isReferenceMode && (
+                    <button
+                      className="action-btn secondary"
+                      onClick={() => selectAllDuplicates(false)}
+                    >
+                      Select All (Keep Oldest)
+                    </button>
+                  )}
                   <button
                     className="action-btn secondary"
-                    onClick={() => setSelectedFiles(new Set())}
+                    onClick={() => (isFolderView ? setSelectedFolders(new Set()) : setSelectedFiles(new Set()))}
                   >
                     Deselect All
                   </button>
+                  {!isFolderView && !isReferenceMode && (
+                    <button
+                      className={`action-btn secondary ${showRuleBuilder ? 'active' : ''}`}
+                      onClick={() => setShowRuleBuilder(prev => !prev)}
+                    >
+                      Selection Rules
+                    </button>
+                  )}
                 </div>
 
                 <div className="delete-section">
                   <div className="selected-info">
-                    {selectedFiles.size > 0 && (
+                    {selectedCount > 0 && (
                       <>
-                        <span className="selected-count">{selectedFiles.size} files selected</span>
-                        <span className="selected-size">{formatBytes(getTotalSelectedSize())}</span>
+                        <span className="selected-count">{selectedCount} {isFolderView ? 'folders' : 'files'} selected</span>
+                        <span className="selected-size">
+                          {formatBytes(isFolderView ? getSelectedFolderSize() : getTotalSelectedSize())}
+                        </span>
                       </>
                     )}
                   </div>
+                  <button
+                    className="action-btn secondary"
+                    onClick={handlePreview}
+                    disabled={selectedCount === 0 || isDeleting || isPreviewing}
+                  >
+                    {isPreviewing ? 'Preparing...' : 'Preview'}
+                  </button>
+                  {!isSimilarMode && !isFolderView && (
+                    <>
+                      <select
+                        className="link-method"
+                        value={linkMethod}
+                        onChange={(e) => setLinkMethod(e.target.value)}
+                        disabled={isDeleting || isLinking}
+                        title="How selected copies are replaced by links to the kept file"
+                      >
+                        <option value="auto">Reflink, else hardlink</option>
+                        <option value="reflink">Reflinks only</option>
+                        <option value="hardlink">Hardlinks only</option>
+                      </select>
+                      <button
+                        className="action-btn secondary"
+                        onClick={handleLink}
+                        disabled={selectedFiles.size === 0 || isDeleting || isLinking}
+                        title="Keep every path but store the data once"
+                      >
+                        {isLinking ? 'Linking...' : 'Replace with Links'}
+                      </button>
+                    </>
+                  )}
                   <button
                     className="delete-button"
-                    onClick={handleDelete}
-                    disabled={selectedFiles.size === 0 || isDeleting}
+                    onClick={isFolderView ? handleDeleteFolders : handleDelete}
+                    disabled={selectedCount === 0 || isDeleting || isLinking}
                   >
                     {isDeleting ? 'Deleting...' : 'Delete Selected'}
                   </button>
@@ -347,10 +947,18 @@ function DuplicateFileFinder({ onBack }) {
               </div>
             )}
 
-            {isDeleting && deleteProgress && (
+            {showRuleBuilder && !isFolderView && !isArchiveView && !isReferenceMode && visibleGroups.length > 0 && (
+              <DuplicateRuleBuilder
+                groupCount={visibleGroups.length}
+                onApply={applyRules}
+                onClose={() => setShowRuleBuilder(false)}
+              />
+            )}
+
+            {(isDeleting || isLinking) && deleteProgress && (
               <div className="progress-info">
                 <div className="progress-message">
-                  Deleting file {deleteProgress.current} of {deleteProgress.total}...
+                  {isLinking ? 'Linking' : 'Deleting'} {isFolderView ? 'folder' : 'file'} {deleteProgress.current} of {deleteProgress.total}...
                 </div>
                 <div className="progress-bar">
                   <div
@@ -368,7 +976,34 @@ function DuplicateFileFinder({ onBack }) {
         {/* Duplicate Groups */}
         {scanResults && !isScanning && (
           <div className="duplicate-groups">
-            {scanResults.groups.length === 0 ? (
+            {isArchiveView ? (
+              <DuplicateArchiveMatches
+                archiveMatches={scanResults.archiveMatches}
+                expandedGroups={expandedGroups}
+                onToggleGroup={toggleGroup}
+              />
+            ) : isFolderView ? (
+              <DuplicateFolderGroups
+                folderGroups={scanResults.folderGroups}
+                partialOverlaps={scanResults.partialOverlaps}
+                selectedFolders={selectedFolders}
+                expandedGroups={expandedGroups}
+                onToggleGroup={toggleGroup}
+                onToggleFolder={toggleFolderSelection}
+                onSelectGroup={selectFolderGroup}
+                onDeselectGroup={deselectFolderGroup}
+              />
+            ) : isSimilarMode ? (
+              <SimilarImageGroups
+                groups={scanResults.groups}
+                selectedFiles={selectedFiles}
+                expandedGroups={expandedGroups}
+                onToggleGroup={toggleGroup}
+                onToggleFile={toggleFileSelection}
+                onSelectGroup={selectAllInGroup}
+                onDeselectGroup={deselectAllInGroup}
+              />
+            ) : scanResults.groups.length === 0 ? (
               <div className="no-duplicates">
                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                   <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14" />
@@ -378,110 +1013,209 @@ function DuplicateFileFinder({ onBack }) {
                 <p>Your files are clean! No duplicate files were detected.</p>
               </div>
             ) : (
-              scanResults.groups.map(group => {
-                const isExpanded = expandedGroups.has(group.id);
-                const groupFiles = group.files;
-                const allSelected = groupFiles.every(f => selectedFiles.has(f.path));
-                const someSelected = groupFiles.some(f => selectedFiles.has(f.path)) && !allSelected;
-
-                return (
-                  <div key={group.id} className="duplicate-group">
-                    <div className="group-header" onClick={() => toggleGroup(group.id)}>
-                      <div className="group-info">
-                        <svg
-                          className={`expand-icon ${isExpanded ? 'expanded' : ''}`}
-                          viewBox="0 0 24 24"
-                          fill="none"
-                          stroke="currentColor"
-                          strokeWidth="2"
-                        >
-                          <polyline points="9 18 15 12 9 6" />
-                        </svg>
-                        <div className="group-details">
-                          <span className="group-name">{groupFiles[0].name}</span>
-                          <span className="group-meta">
-                            {group.count} copies • {group.sizeFormatted} each • Can save {group.potentialSavingsFormatted}
-                          </span>
-                        </div>
-                      </div>
-                      <div className="group-actions" onClick={(e) => e.stopPropagation()}>
-                        <button
-                          className={`checkbox ${allSelected ? 'checked' : ''} ${someSelected ? 'partial' : ''}`}
-                          onClick={(e) => {
-                            e.stopPropagation();
-                            if (allSelected) {
-                              deselectAllInGroup(group);
-                            } else {
-                              selectAllInGroup(group, true);
-                            }
-                          }}
-                          title={allSelected ? 'Deselect all in group' : 'Select all duplicates (keep first)'}
-                        >
-                          {allSelected ? '' : someSelected ? '−' : ''}
-                        </button>
-                      </div>
-                    </div>
+              <>
+                {hiddenGroupCount > 0 && (
+                  <div className="hidden-groups-note">
+                    {hiddenGroupCount} group(s) inside duplicate folders are listed under Folders.
+                    <button className="file-action-btn" onClick={() => setShowFolderFiles(true)}>
+                      Show them here
+                    </button>
+                  </div>
+                )}
+                {visibleGroups.map(group => {
+                  const isExpanded = expandedGroups.has(group.id);
+                  const groupFiles = group.files;
+                  const selectableFiles = groupFiles.filter(isSelectable);
+                  const allSelected = selectableFiles.every(f => selectedFiles.has(f.path));
+                  const someSelected = selectableFiles.some(f => selectedFiles.has(f.path)) && !allSelected;
 
-                    {isExpanded && (
-                      <div className="group-files">
-                        <div className="group-file-actions">
-                          <button
-                            className="file-action-btn"
-                            onClick={() => selectAllInGroup(group, true)}
+                  return (
+                    <div key={group.id} className="duplicate-group">
+                      <div className="group-header" onClick={() => toggleGroup(group.id)}>
+                        <div className="group-info">
+                          <svg
+                            className={`expand-icon ${isExpanded ? 'expanded' : ''}`}
+                            viewBox="0 0 24 24"
+                            fill="none"
+                            stroke="currentColor"
+                            strokeWidth="2"
                           >
-                            Select All (Keep First)
-                          </button>
-                          <button
-                            className="file-action-btn"
-                            onClick={() => selectAllInGroup(group, false)}
-                          >
-                            Select All
-                          </button>
+                            <polyline points="9 18 15 12 9 6" />
+                          </svg>
+                          <div className="group-details">
+                            <span className="group-name">{groupFiles[0].name}</span>
+                            <span className="group-meta">
+                              {isReferenceMode
+                                ? `${selectableFiles.length} cop${selectableFiles.length === 1 ? 'y' : 'ies'} of a reference file`
+                                : `${group.count} identical files`}
+                              {!isReferenceMode && group.copies < group.count ? ` (${group.count - group.copies + 1} already linked)` : ''}
+                              {' '}• {group.sizeFormatted} each • Can save {group.potentialSavingsFormatted}
+                            </span>
+                          </div>
+                        </div>
+                        <div className="group-actions" onClick={(e) => e.stopPropagation()}>
                           <button
-                            className="file-action-btn"
-                            onClick={() => deselectAllInGroup(group)}
+                            className={`checkbox ${allSelected ? 'checked' : ''} ${someSelected ? 'partial' : ''}`}
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              if (allSelected) {
+                                deselectAllInGroup(group);
+                              } else {
+                                selectAllInGroup(group, true);
+                              }
+                            }}
+                            title={allSelected
+                              ? 'Deselect all in group'
+                              : isReferenceMode ? 'Select all copies (keep the reference)' : 'Select all duplicates (keep first)'}
                           >
-                            Deselect All
+                            {allSelected ? '' : someSelected ? '−' : ''}
                           </button>
                         </div>
+                      </div>
 
-                        {groupFiles.map((file, index) => {
-                          const isSelected = selectedFiles.has(file.path);
-                          const isFirst = index === 0;
-
-                          return (
-                            <div
-                              key={file.path}
-                              className={`file-item ${isSelected ? 'selected' : ''} ${isFirst ? 'original' : ''}`}
+                      {isExpanded && (
+                        <div className="group-files">
+                          <div className="group-file-actions">
+                            {isReferenceMode ? (
+                              <button
+                                className="file-action-btn"
+                                onClick={() => selectAllInGroup(group, false)}
+                              >
+                                Select All Copies
+                              </button>
+                            ) : (
+                              <>
+                                <button
+                                  className="file-action-btn"
+                                  onClick={() => selectAllInGroup(group, true)}
+                                >
+                                  Select All (Keep First)
+                                </button>
+                                <button
+                                  className="file-action-btn"
+                                  onClick={() => selectAllInGroup(group, false)}
+                                >
+                                  Select All
+                                </button>
+                              </>
+                            )}
+                            <button
+                              className="file-action-btn"
+                              onClick={() => deselectAllInGroup(group)}
                             >
-                              <input
-                                type="checkbox"
-                                checked={isSelected}
-                                onChange={() => toggleFileSelection(file.path)}
-                                className="file-checkbox"
-                              />
-                              <div className="file-info">
-                                <div className="file-name">
-                                  {file.name}
-                                  {isFirst && <span className="badge">Original</span>}
-                                </div>
-                                <div className="file-path">{file.directory}</div>
-                                <div className="file-meta">
-                                  {file.sizeFormatted} • Modified: {new Date(file.modified).toLocaleDateString()}
+                              Deselect All
+                            </button>
+                          </div>
+
+                          {groupFiles.map((file, index) => {
+                            const isSelected = selectedFiles.has(file.path);
+                            const isFirst = index === 0 && !isReferenceMode;
+                            const isLinked = groupFiles.some(other => other !== file && other.inode === file.inode);
+
+                            return (
+                              <div
+                                key={file.path}
+                                className={`file-item ${isSelected ? 'selected' : ''} ${isFirst ? 'original' : ''} ${file.reference ? 'reference' : ''}`}
+                              >
+                                <input
+                                  type="checkbox"
+                                  checked={isSelected}
+                                  onChange={() => toggleFileSelection(file.path)}
+                                  className="file-checkbox"
+                                  disabled={!isSelectable(file)}
+                                  title={file.reference ? 'Files in reference folders are never deleted' : file.staleReason}
+                                />
+                                <div className="file-info">
+                                  <div className="file-name">
+                                    {file.name}
+                                    {isFirst && <span className="badge">Original</span>}
+                                    {file.reference && <span className="badge reference">Reference</span>}
+                                    {file.stale && <span className="badge near" title={file.staleReason}>Changed</span>}
+                                    {isLinked && <span className="badge linked">Hardlinked</span>}
+                                  </div>
+                                  <div className="file-path">{file.directory}</div>
+                                  <div className="file-meta">
+                                    {file.sizeFormatted} • Modified: {new Date(file.modified).toLocaleDateString()}
+                                  </div>
                                 </div>
                               </div>
-                            </div>
-                          );
-                        })}
+                            );
+                          })}
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </>
+            )}
+          </div>
+        )}
+
+        {/* Near Matches: candidates whose full contents differ */}
+        {scanResults && !isScanning && !isSimilarMode && !isFolderView && !isArchiveView && scanResults.nearMatches.length > 0 && (
+          <div className="near-matches">
+            <div className="near-matches-header">
+              <h3>Near Matches</h3>
+              <p>
+                These files looked identical in the quick check, but their full contents differ.
+                They are not offered for deletion.
+              </p>
+            </div>
+
+            {scanResults.nearMatches.map(group => {
+              const isExpanded = expandedGroups.has(group.id);
+
+              return (
+                <div key={group.id} className="duplicate-group near-match">
+                  <div className="group-header" onClick={() => toggleGroup(group.id)}>
+                    <div className="group-info">
+                      <svg
+                        className={`expand-icon ${isExpanded ? 'expanded' : ''}`}
+                        viewBox="0 0 24 24"
+                        fill="none"
+                        stroke="currentColor"
+                        strokeWidth="2"
+                      >
+                        <polyline points="9 18 15 12 9 6" />
+                      </svg>
+                      <div className="group-details">
+                        <span className="group-name">{group.files[0].name}</span>
+                        <span className="group-meta">
+                          {group.count} files • {group.sizeFormatted} each • {group.variants} different versions
+                        </span>
                       </div>
-                    )}
+                    </div>
                   </div>
-                );
-              })
-            )}
+
+                  {isExpanded && (
+                    <div className="group-files">
+                      {group.files.map(file => (
+                        <div key={file.path} className="file-item">
+                          <div className="file-info">
+                            <div className="file-name">
+                              {file.name}
+                              {file.reference && <span className="badge reference">Reference</span>}
+                              <span className="badge near">
+                                {file.variant ? `Version ${file.variant}` : 'Unreadable'}
+                              </span>
+                            </div>
+                            <div className="file-path">{file.directory}</div>
+                            <div className="file-meta">
+                              {file.sizeFormatted} • Modified: {new Date(file.modified).toLocaleDateString()}
+                            </div>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
           </div>
         )}
       </div>
+
+      <CleanPreview manifest={previewManifest} onClose={() => setPreviewManifest(null)} />
     </div>
   );
 }
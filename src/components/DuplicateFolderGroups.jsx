@@ -0,0 +1,169 @@
+import React from 'react';
+
+// Folder-level results of findDuplicates: identical trees, then partial overlaps
+function DuplicateFolderGroups({ folderGroups, partialOverlaps, selectedFolders, expandedGroups, onToggleGroup, onToggleFolder, onSelectGroup, onDeselectGroup }) {
+  const renderExpandIcon = (isExpanded) => (
+    <svg
+      className={`expand-icon ${isExpanded ? 'expanded' : ''}`}
+      viewBox="0 0 24 24"
+      fill="none"
+      stroke="currentColor"
+      strokeWidth="2"
+    >
+      <polyline points="9 18 15 12 9 6" />
+    </svg>
+  );
+
+  return (
+    <>
+      {folderGroups.length === 0 ? (
+        <div className="no-duplicates">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14" />
+            <polyline points="22 4 12 14.01 9 11.01" />
+          </svg>
+          <h3>No Duplicate Folders Found</h3>
+          <p>No two folders hold exactly the same files.</p>
+        </div>
+      ) : (
+        folderGroups.map(group => {
+          const isExpanded = expandedGroups.has(group.id);
+          const allSelected = group.folders.every(f => selectedFolders.has(f.path));
+          const someSelected = group.folders.some(f => selectedFolders.has(f.path)) && !allSelected;
+
+          return (
+            <div key={group.id} className="duplicate-group">
+              <div className="group-header" onClick={() => onToggleGroup(group.id)}>
+                <div className="group-info">
+                  {renderExpandIcon(isExpanded)}
+                  <div className="group-details">
+                    <span className="group-name">{group.folders[0].name}/</span>
+                    <span className="group-meta">
+                      {group.count} identical folders • {group.fileCount} files, {group.sizeFormatted} each • Can save {group.potentialSavingsFormatted}
+                    </span>
+                  </div>
+                </div>
+                <div className="group-actions" onClick={(e) => e.stopPropagation()}>
+                  <button
+                    className={`checkbox ${allSelected ? 'checked' : ''} ${someSelected ? 'partial' : ''}`}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      if (allSelected || someSelected) {
+                        onDeselectGroup(group);
+                      } else {
+                        onSelectGroup(group);
+                      }
+                    }}
+                    title={allSelected || someSelected ? 'Deselect all in group' : 'Select all copies (keep first)'}
+                  >
+                    {someSelected ? '−' : ''}
+                  </button>
+                </div>
+              </div>
+
+              {isExpanded && (
+                <div className="group-files">
+                  <div className="group-file-actions">
+                    <button className="file-action-btn" onClick={() => onSelectGroup(group)}>
+                      Select All (Keep First)
+                    </button>
+                    <button className="file-action-btn" onClick={() => onDeselectGroup(group)}>
+                      Deselect All
+                    </button>
+                  </div>
+
+                  {group.folders.map((folder, index) => {
+                    const isSelected = selectedFolders.has(folder.path);
+
+                    return (
+                      <div
+                        key={folder.path}
+                        className={`file-item ${isSelected ? 'selected' : ''} ${index === 0 ? 'original' : ''}`}
+                      >
+                        <input
+                          type="checkbox"
+                          checked={isSelected}
+                          onChange={() => onToggleFolder(folder.path)}
+                          className="file-checkbox"
+                          disabled={folder.stale}
+                          title={folder.staleReason}
+                        />
+                        <div className="file-info">
+                          <div className="file-name">
+                            {folder.name}/
+                            {index === 0 && <span className="badge">Original</span>}
+                            {folder.stale && <span className="badge near" title={folder.staleReason}>Changed</span>}
+                          </div>
+                          <div className="file-path">{folder.directory}</div>
+                          <div className="file-meta">
+                            {folder.fileCount} files • {folder.sizeFormatted} • Last modified: {new Date(folder.modified).toLocaleDateString()}
+                          </div>
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+          );
+        })
+      )}
+
+      {partialOverlaps.length > 0 && (
+        <div className="near-matches">
+          <div className="near-matches-header">
+            <h3>Partially Overlapping Folders</h3>
+            <p>
+              These folders share files at the same relative paths but are not identical.
+              They are not offered for deletion; the percentage is the share of each folder's size found in the other.
+            </p>
+          </div>
+
+          {partialOverlaps.map(overlap => {
+            const isExpanded = expandedGroups.has(overlap.id);
+
+            return (
+              <div key={overlap.id} className="duplicate-group near-match">
+                <div className="group-header" onClick={() => onToggleGroup(overlap.id)}>
+                  <div className="group-info">
+                    {renderExpandIcon(isExpanded)}
+                    <div className="group-details">
+                      <span className="group-name">
+                        {overlap.folders[0].name}/ and {overlap.folders[1].name}/
+                      </span>
+                      <span className="group-meta">
+                        {overlap.overlap}% overlap • {overlap.sharedFiles} shared files • {overlap.sharedBytesFormatted} shared
+                      </span>
+                    </div>
+                  </div>
+                </div>
+
+                {isExpanded && (
+                  <div className="group-files">
+                    {overlap.folders.map(folder => (
+                      <div key={folder.path} className="file-item">
+                        <div className="file-info">
+                          <div className="file-name">
+                            {folder.name}/
+                            <span className="badge near">{folder.percent}% shared</span>
+                            {folder.stale && <span className="badge near" title={folder.staleReason}>Changed</span>}
+                          </div>
+                          <div className="file-path">{folder.directory}</div>
+                          <div className="file-meta">
+                            {folder.sharedFiles} of {folder.fileCount} files shared • {folder.sizeFormatted}
+                          </div>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </>
+  );
+}
+
+export default DuplicateFolderGroups;
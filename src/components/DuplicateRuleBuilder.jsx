@@ -0,0 +1,306 @@
+import React, { useState } from 'react';
+
+const PRESETS_KEY = 'duplicateSelectionPresets';
+
+export const RULE_TYPES = {
+  preferDirectory: { label: 'Keep the copy under folder', needsValue: true },
+  avoidDirectory: { label: 'Avoid keeping the copy under folder', needsValue: true },
+  avoidCopyNames: { label: 'Prefer names without "copy" or "(1)"' },
+  shortestPath: { label: 'Keep the shortest path' },
+  newest: { label: 'Keep the newest' },
+  oldest: { label: 'Keep the oldest' }
+};
+
+const BUILT_IN_PRESETS = [
+  {
+    name: 'Clean up Downloads',
+    builtIn: true,
+    rules: [
+      { type: 'avoidDirectory', value: 'Downloads' },
+      { type: 'avoidCopyNames' },
+      { type: 'shortestPath' }
+    ]
+  },
+  {
+    name: 'Keep originals',
+    builtIn: true,
+    rules: [
+      { type: 'avoidCopyNames' },
+      { type: 'oldest' }
+    ]
+  }
+];
+
+// "photo (1)", "photo copy", "photo - Copy 2", "Copy of photo"
+const COPY_NAME_PATTERN = /^copy of |.[\s_-]+copy(\s*\d+)?$|\s*\(\d+\)$/i;
+
+function isCopyName(name) {
+  const stem = name.replace(/\.[^.]+$/, '');
+  return COPY_NAME_PATTERN.test(stem);
+}
+
+/**
+ * A value with a separator is a folder path; a bare name matches any folder
+ * of that name along the path (e.g. "Downloads")
+ */
+function isUnderFolder(file, value) {
+  const folder = (value || '').trim().replace(/[\\/]+$/, '');
+  if (!folder) return false;
+
+  if (/[\\/]/.test(folder)) {
+    return file.directory === folder ||
+      file.directory.startsWith(folder + '/') ||
+      file.directory.startsWith(folder + '\\');
+  }
+  return file.directory.split(/[\\/]/).some(segment => segment.toLowerCase() === folder.toLowerCase());
+}
+
+// Higher scores are kept
+const RULE_SCORES = {
+  preferDirectory: (file, rule) => (isUnderFolder(file, rule.value) ? 1 : 0),
+  avoidDirectory: (file, rule) => (isUnderFolder(file, rule.value) ? 0 : 1),
+  avoidCopyNames: (file) => (isCopyName(file.name) ? 0 : 1),
+  shortestPath: (file) => -file.path.length,
+  newest: (file) => Date.parse(file.modified),
+  oldest: (file) => -Date.parse(file.modified)
+};
+
+export function describeRule(rule) {
+  const type = RULE_TYPES[rule.type];
+  return type.needsValue ? `${type.label} "${rule.value || ''}"` : type.label;
+}
+
+/**
+ * Pick the copy to keep in every group. Each rule in turn narrows the
+ * candidates to those it scores best; the rule that leaves a single
+ * candidate decided the group. Groups still tied after the last rule keep
+ * their first remaining file (the newest, or the best quality image).
+ * @returns {{ selected: Set<string>, decisions: Array<number>, ties: number }}
+ *   Paths to select for deletion, and how many groups each rule decided
+ */
+export function applySelectionRules(groups, rules) {
+  const selected = new Set();
+  const decisions = rules.map(() => 0);
+  let ties = 0;
+
+  for (const group of groups) {
+    let candidates = group.files;
+    let decidedBy = -1;
+
+    for (let i = 0; i < rules.length && candidates.length > 1; i++) {
+      const score = RULE_SCORES[rules[i].type];
+      const scores = candidates.map(file => score(file, rules[i]));
+      const best = Math.max(...scores);
+      candidates = candidates.filter((file, index) => scores[index] === best);
+      if (candidates.length === 1) decidedBy = i;
+    }
+
+    if (decidedBy === -1) {
+      ties++;
+    } else {
+      decisions[decidedBy]++;
+    }
+
+    const keep = candidates[0];
+    group.files.forEach(file => {
+      if (file !== keep) selected.add(file.path);
+    });
+  }
+
+  return { selected, decisions, ties };
+}
+
+function loadPresets() {
+  try {
+    return JSON.parse(localStorage.getItem(PRESETS_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+let nextRuleId = 1;
+const withId = (rule) => ({ ...rule, id: nextRuleId++ });
+
+function DuplicateRuleBuilder({ groupCount, onApply, onClose }) {
+  const [rules, setRules] = useState(() => BUILT_IN_PRESETS[0].rules.map(withId));
+  const [savedPresets, setSavedPresets] = useState(loadPresets);
+  const [presetName, setPresetName] = useState('');
+  const [summary, setSummary] = useState(null);
+
+  const presets = [...BUILT_IN_PRESETS, ...savedPresets];
+
+  const updateRule = (id, changes) => {
+    setRules(prev => prev.map(rule => (rule.id === id ? { ...rule, ...changes } : rule)));
+    setSummary(null);
+  };
+
+  const moveRule = (index, offset) => {
+    setRules(prev => {
+      const next = [...prev];
+      const [rule] = next.splice(index, 1);
+      next.splice(index + offset, 0, rule);
+      return next;
+    });
+    setSummary(null);
+  };
+
+  const removeRule = (id) => {
+    setRules(prev => prev.filter(rule => rule.id !== id));
+    setSummary(null);
+  };
+
+  const addRule = (type) => {
+    if (!type) return;
+    setRules(prev => [...prev, withId({ type, value: '' })]);
+    setSummary(null);
+  };
+
+  const loadPreset = (name) => {
+    const preset = presets.find(p => p.name === name);
+    if (!preset) return;
+    setRules(preset.rules.map(withId));
+    setPresetName(preset.builtIn ? '' : preset.name);
+    setSummary(null);
+  };
+
+  const storePresets = (next) => {
+    setSavedPresets(next);
+    localStorage.setItem(PRESETS_KEY, JSON.stringify(next));
+  };
+
+  const savePreset = () => {
+    const name = presetName.trim();
+    if (!name || rules.length === 0) return;
+    if (BUILT_IN_PRESETS.some(p => p.name === name)) {
+      alert(`"${name}" is a built-in preset. Choose another name.`);
+      return;
+    }
+
+    const preset = { name, rules: rules.map(({ type, value }) => ({ type, value })) };
+    storePresets([...savedPresets.filter(p => p.name !== name), preset]);
+  };
+
+  const deletePreset = () => {
+    const name = presetName.trim();
+    if (!savedPresets.some(p => p.name === name)) return;
+    if (!confirm(`Delete the preset "${name}"?`)) return;
+    storePresets(savedPresets.filter(p => p.name !== name));
+    setPresetName('');
+  };
+
+  const handleApply = () => {
+    const incomplete = rules.find(rule => RULE_TYPES[rule.type].needsValue && !(rule.value || '').trim());
+    if (incomplete) {
+      alert(`Enter a folder for "${RULE_TYPES[incomplete.type].label}".`);
+      return;
+    }
+    setSummary({ rules: [...rules], ...onApply(rules) });
+  };
+
+  return (
+    <div className="rule-builder">
+      <div className="rule-builder-header">
+        <h3>Selection Rules</h3>
+        <button className="file-action-btn" onClick={onClose}>Close</button>
+      </div>
+      <p className="rule-builder-hint">
+        Rules run in order for every group. Each rule narrows down which copy is kept; the next rule only
+        breaks ties. Every other copy is selected for deletion.
+      </p>
+
+      <div className="rule-presets">
+        <select value="" onChange={(e) => loadPreset(e.target.value)}>
+          <option value="">Load preset...</option>
+          {presets.map(preset => (
+            <option key={preset.name} value={preset.name}>
+              {preset.name}{preset.builtIn ? ' (built-in)' : ''}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          placeholder="Preset name"
+          value={presetName}
+          onChange={(e) => setPresetName(e.target.value)}
+        />
+        <button className="file-action-btn" onClick={savePreset} disabled={!presetName.trim() || rules.length === 0}>
+          Save Preset
+        </button>
+        <button
+          className="file-action-btn"
+          onClick={deletePreset}
+          disabled={!savedPresets.some(p => p.name === presetName.trim())}
+        >
+          Delete Preset
+        </button>
+      </div>
+
+      <ol className="rule-list">
+        {rules.map((rule, index) => (
+          <li key={rule.id} className="rule-row">
+            <span className="rule-index">{index + 1}</span>
+            <select value={rule.type} onChange={(e) => updateRule(rule.id, { type: e.target.value })}>
+              {Object.entries(RULE_TYPES).map(([type, { label }]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+            {RULE_TYPES[rule.type].needsValue && (
+              <input
+                type="text"
+                placeholder="Folder path or name, e.g. Downloads"
+                value={rule.value || ''}
+                onChange={(e) => updateRule(rule.id, { value: e.target.value })}
+              />
+            )}
+            <div className="rule-row-actions">
+              <button className="file-action-btn" onClick={() => moveRule(index, -1)} disabled={index === 0} title="Move up">
+                Up
+              </button>
+              <button
+                className="file-action-btn"
+                onClick={() => moveRule(index, 1)}
+                disabled={index === rules.length - 1}
+                title="Move down"
+              >
+                Down
+              </button>
+              <button className="file-action-btn" onClick={() => removeRule(rule.id)} title="Remove rule">
+                Remove
+              </button>
+            </div>
+          </li>
+        ))}
+      </ol>
+
+      <div className="rule-builder-footer">
+        <select value="" onChange={(e) => addRule(e.target.value)}>
+          <option value="">Add rule...</option>
+          {Object.entries(RULE_TYPES).map(([type, { label }]) => (
+            <option key={type} value={type}>{label}</option>
+          ))}
+        </select>
+        <button className="action-btn secondary" onClick={handleApply} disabled={rules.length === 0 || groupCount === 0}>
+          Apply to {groupCount} Group(s)
+        </button>
+      </div>
+
+      {summary && (
+        <div className="rule-summary">
+          <strong>Selected {summary.selected.size} file(s) for deletion.</strong>
+          <ul>
+            {summary.rules.map((rule, index) => (
+              <li key={rule.id}>
+                {index + 1}. {describeRule(rule)}: decided {summary.decisions[index]} group(s)
+              </li>
+            ))}
+            {summary.ties > 0 && (
+              <li>Still tied after every rule, kept the first listed copy: {summary.ties} group(s)</li>
+            )}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DuplicateRuleBuilder;
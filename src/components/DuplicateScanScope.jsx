@@ -0,0 +1,240 @@
+import React, { useState } from 'react';
+
+const SCOPES_KEY = 'duplicateScanScopes';
+
+const SIZE_UNITS = {
+  KB: 1024,
+  MB: 1024 * 1024
+};
+
+export const DEFAULT_SCOPE = {
+  paths: '',
+  referencePaths: '',
+  includeGlobs: '',
+  excludeGlobs: '',
+  minSize: 1,
+  minSizeUnit: 'KB',
+  includeHidden: false
+};
+
+const splitLines = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+const splitGlobs = (text) => text.split(/[,\n]/).map(glob => glob.trim()).filter(Boolean);
+
+/**
+ * Options for scanDuplicates / scanSimilarImages. No folders means the
+ * platform defaults (the XDG user folders on Linux). referencePaths only
+ * apply to the reference folder scan.
+ */
+export function toScanOptions(scope) {
+  return {
+    paths: splitLines(scope.paths),
+    referencePaths: splitLines(scope.referencePaths),
+    includeGlobs: splitGlobs(scope.includeGlobs),
+    excludeGlobs: splitGlobs(scope.excludeGlobs),
+    minFileSize: Math.max(1, Math.round((Number(scope.minSize) || 0) * SIZE_UNITS[scope.minSizeUnit])),
+    includeHidden: scope.includeHidden
+  };
+}
+
+export function fromScanOptions(options) {
+  const inMegabytes = options.minFileSize >= SIZE_UNITS.MB && options.minFileSize % SIZE_UNITS.MB === 0;
+  const unit = inMegabytes ? 'MB' : 'KB';
+
+  return {
+    paths: options.paths.join('\n'),
+    referencePaths: (options.referencePaths || []).join('\n'),
+    includeGlobs: options.includeGlobs.join(', '),
+    excludeGlobs: options.excludeGlobs.join(', '),
+    minSize: Math.round((options.minFileSize / SIZE_UNITS[unit]) * 100) / 100,
+    minSizeUnit: unit,
+    includeHidden: options.includeHidden
+  };
+}
+
+function loadScopes() {
+  try {
+    return JSON.parse(localStorage.getItem(SCOPES_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// Which folders and files a duplicate or similar image scan looks at
+function DuplicateScanScope({ scope, defaultPaths, showReferences, disabled, onChange }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [savedScopes, setSavedScopes] = useState(loadScopes);
+  const [scopeName, setScopeName] = useState('');
+
+  const options = toScanOptions(scope);
+  const update = (changes) => onChange({ ...scope, ...changes });
+
+  const loadScope = (name) => {
+    if (name === '__default') {
+      onChange(DEFAULT_SCOPE);
+      setScopeName('');
+      return;
+    }
+    const saved = savedScopes.find(s => s.name === name);
+    if (!saved) return;
+    onChange(fromScanOptions(saved.options));
+    setScopeName(saved.name);
+  };
+
+  const storeScopes = (next) => {
+    setSavedScopes(next);
+    localStorage.setItem(SCOPES_KEY, JSON.stringify(next));
+  };
+
+  const saveScope = () => {
+    const name = scopeName.trim();
+    if (!name) return;
+    storeScopes([...savedScopes.filter(s => s.name !== name), { name, options }]);
+  };
+
+  const deleteScope = () => {
+    const name = scopeName.trim();
+    if (!savedScopes.some(s => s.name === name)) return;
+    if (!confirm(`Delete the scope "${name}"?`)) return;
+    storeScopes(savedScopes.filter(s => s.name !== name));
+    setScopeName('');
+  };
+
+  const summary = [
+    showReferences && `${options.referencePaths.length} reference folder(s)`,
+    options.paths.length > 0
+      ? `${options.paths.length} ${showReferences ? 'target ' : ''}folder(s)`
+      : `Default ${showReferences ? 'target ' : ''}folders`,
+    `files from ${scope.minSize} ${scope.minSizeUnit}`,
+    options.includeGlobs.length > 0 && `${options.includeGlobs.length} include pattern(s)`,
+    options.excludeGlobs.length > 0 && `${options.excludeGlobs.length} exclude pattern(s)`,
+    scope.includeHidden ? 'hidden files included' : 'hidden files skipped'
+  ].filter(Boolean).join(' • ');
+
+  return (
+    <div className="scan-scope">
+      <div className="scan-scope-header">
+        <span className="scan-scope-summary" title={(options.paths.length > 0 ? options.paths : defaultPaths).join('\n')}>
+          Scope: {summary}
+        </span>
+        <select value="" onChange={(e) => loadScope(e.target.value)} disabled={disabled}>
+          <option value="">Load scope...</option>
+          <option value="__default">Default folders</option>
+          {savedScopes.map(saved => (
+            <option key={saved.name} value={saved.name}>{saved.name}</option>
+          ))}
+        </select>
+        <button className="file-action-btn" onClick={() => setIsEditing(!isEditing)} disabled={disabled}>
+          {isEditing ? 'Hide Scope' : 'Edit Scope'}
+        </button>
+      </div>
+
+      {isEditing && (
+        <div className="scan-scope-editor">
+          {showReferences && (
+            <label className="scope-field">
+              <span>Reference folders, one per line (files here are never deleted)</span>
+              <textarea
+                rows={3}
+                value={scope.referencePaths}
+                placeholder="e.g. ~/Pictures/Library"
+                onChange={(e) => update({ referencePaths: e.target.value })}
+                disabled={disabled}
+              />
+            </label>
+          )}
+
+          <label className="scope-field">
+            <span>
+              {showReferences ? 'Target folders to search for copies' : 'Folders'}, one per line (leave empty for the defaults)
+            </span>
+            <textarea
+              rows={4}
+              value={scope.paths}
+              placeholder={defaultPaths.join('\n')}
+              onChange={(e) => update({ paths: e.target.value })}
+              disabled={disabled}
+            />
+          </label>
+
+          <div className="scope-row">
+            <label className="scope-field">
+              <span>Include only</span>
+              <input
+                type="text"
+                value={scope.includeGlobs}
+                placeholder="e.g. *.jpg, ~/Photos/**"
+                onChange={(e) => update({ includeGlobs: e.target.value })}
+                disabled={disabled}
+              />
+            </label>
+            <label className="scope-field">
+              <span>Exclude</span>
+              <input
+                type="text"
+                value={scope.excludeGlobs}
+                placeholder="e.g. *.tmp, build, ~/Downloads/old"
+                onChange={(e) => update({ excludeGlobs: e.target.value })}
+                disabled={disabled}
+              />
+            </label>
+          </div>
+
+          <div className="scope-row">
+            <label className="scope-field inline">
+              <span>Minimum size</span>
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={scope.minSize}
+                onChange={(e) => update({ minSize: e.target.value })}
+                disabled={disabled}
+              />
+              <select value={scope.minSizeUnit} onChange={(e) => update({ minSizeUnit: e.target.value })} disabled={disabled}>
+                {Object.keys(SIZE_UNITS).map(unit => (
+                  <option key={unit} value={unit}>{unit}</option>
+                ))}
+              </select>
+            </label>
+            <label className="scope-checkbox">
+              <input
+                type="checkbox"
+                checked={scope.includeHidden}
+                onChange={(e) => update({ includeHidden: e.target.checked })}
+                disabled={disabled}
+              />
+              Include hidden files and folders
+            </label>
+          </div>
+
+          <p className="rule-builder-hint">
+            Patterns are separated by commas. Ones starting with / or ~ match from that folder; others, like *.tmp or
+            build, match at any depth. System folders such as node_modules and .git are always skipped.
+          </p>
+
+          <div className="scope-row">
+            <input
+              type="text"
+              placeholder="Scope name"
+              value={scopeName}
+              onChange={(e) => setScopeName(e.target.value)}
+              disabled={disabled}
+            />
+            <button className="file-action-btn" onClick={saveScope} disabled={disabled || !scopeName.trim()}>
+              Save Scope
+            </button>
+            <button
+              className="file-action-btn"
+              onClick={deleteScope}
+              disabled={disabled || !savedScopes.some(s => s.name === scopeName.trim())}
+            >
+              Delete Scope
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DuplicateScanScope;
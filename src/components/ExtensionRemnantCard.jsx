@@ -83,7 +83,12 @@ const ExtensionRemnantCard = ({ remnant, isSelected, onToggle, onClean, disabled
 
         <div className="card-right">
           <div className="extension-size">
-            <span className="size-value">{formatBytes(remnant.totalSize)}</span>
+            <span
+              className="size-value"
+              title={remnant.totalDiskSize !== undefined ? `${formatBytes(remnant.totalDiskSize)} on disk` : undefined}
+            >
+              {formatBytes(remnant.totalSize)}
+            </span>
             <span className="size-label">Space used</span>
           </div>
 
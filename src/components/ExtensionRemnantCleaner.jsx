@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import './ExtensionRemnantCleaner.css';
 import ExtensionRemnantCard from './ExtensionRemnantCard';
 import BrowserExtensionTabs from './BrowserExtensionTabs';
+import CleanPreview from './CleanPreview';
 import { FiSearch, FiTrash2, FiAlertCircle, FiCheckCircle } from 'react-icons/fi';
 
 const ExtensionRemnantCleaner = () => {
@@ -14,6 +15,8 @@ const ExtensionRemnantCleaner = () => {
   const [searchQuery, setSearchQuery] = useState('');
   const [cleaningProgress, setCleaningProgress] = useState(null);
   const [stats, setStats] = useState(null);
+  const [previewManifest, setPreviewManifest] = useState(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
 
   const browsers = [
     { id: 'chrome', name: 'Chrome', color: '#4285f4' },
@@ -121,7 +124,7 @@ const ExtensionRemnantCleaner = () => {
       return;
     }
 
-    if (!confirm(`Are you sure you want to clean ${selectedRemnants.size} orphaned extension${selectedRemnants.size !== 1 ? 's' : ''}? This action will move them to trash.`)) {
+    if (!confirm(`Are you sure you want to clean ${selectedRemnants.size} orphaned extension${selectedRemnants.size !== 1 ? 's' : ''}? Items can be restored from Recently Cleaned.`)) {
       return;
     }
 
@@ -136,7 +139,8 @@ const ExtensionRemnantCleaner = () => {
       if (result.success) {
         setMessage({
           type: 'success',
-          text: `Successfully cleaned ${result.data.totalCleaned} extension${result.data.totalCleaned !== 1 ? 's' : ''}, recovered ${formatBytes(result.data.totalSpaceRecovered)}`
+          text: `Successfully cleaned ${result.data.totalCleaned} extension${result.data.totalCleaned !== 1 ? 's' : ''}, recovered ${formatBytes(result.data.totalSpaceRecovered)}` +
+            (result.data.freeSpace ? ` (${result.data.freeSpace.measuredFreedFormatted} free space gained on disk)` : '')
         });
 
         // Refresh the list
@@ -160,12 +164,32 @@ const ExtensionRemnantCleaner = () => {
     }
   };
 
+  const handlePreviewSelected = async () => {
+    if (selectedRemnants.size === 0) return;
+
+    setIsPreviewing(true);
+    try {
+      const remnantsToPreview = remnants.filter(r => selectedRemnants.has(r.id));
+      const result = await window.electronAPI.cleanMultipleExtensionRemnants(remnantsToPreview, { dryRun: true });
+
+      if (result.success) {
+        setPreviewManifest(result.data.manifest);
+      } else {
+        setMessage({ type: 'error', text: result.error || 'Failed to preview clean' });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message || 'Failed to preview clean' });
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
   const handleCleanAll = async () => {
     if (remnants.length === 0) {
       return;
     }
 
-    if (!confirm(`Are you sure you want to clean ALL ${remnants.length} orphaned extensions? This action will move them to trash.`)) {
+    if (!confirm(`Are you sure you want to clean ALL ${remnants.length} orphaned extensions? Items can be restored from Recently Cleaned.`)) {
       return;
     }
 
@@ -175,7 +199,7 @@ const ExtensionRemnantCleaner = () => {
   };
 
   const handleCleanSingle = async (remnant) => {
-    if (!confirm(`Are you sure you want to clean "${remnant.name}"? This action will move it to trash.`)) {
+    if (!confirm(`Are you sure you want to clean "${remnant.name}"? It can be restored from Recently Cleaned.`)) {
       return;
     }
 
@@ -188,7 +212,8 @@ const ExtensionRemnantCleaner = () => {
       if (result.success) {
         setMessage({
           type: 'success',
-          text: `Successfully cleaned "${remnant.name}", recovered ${formatBytes(result.data.spaceRecovered)}`
+          text: `Successfully cleaned "${remnant.name}", recovered ${formatBytes(result.data.spaceRecovered)}` +
+            (result.data.freeSpace ? ` (${result.data.freeSpace.measuredFreedFormatted} free space gained on disk)` : '')
         });
 
         // Refresh the list
@@ -296,6 +321,14 @@ const ExtensionRemnantCleaner = () => {
                 {selectedRemnants.size === filteredRemnants.length ? 'Deselect All' : 'Select All'}
               </button>
 
+              <button
+                onClick={handlePreviewSelected}
+                disabled={selectedRemnants.size === 0 || isCleaning || isPreviewing}
+                className="btn-preview"
+              >
+                {isPreviewing ? 'Preparing...' : 'Preview'}
+              </button>
+
               <button
                 onClick={handleCleanSelected}
                 disabled={selectedRemnants.size === 0 || isCleaning}
@@ -392,6 +425,8 @@ const ExtensionRemnantCleaner = () => {
           </div>
         )}
       </div>
+
+      <CleanPreview manifest={previewManifest} onClose={() => setPreviewManifest(null)} />
     </div>
   );
 };
@@ -1,7 +1,7 @@
 import React from 'react';
 import './FileList.css';
 
-function FileList({ items, selectedFiles, onToggleFile }) {
+function FileList({ items, categories, selectedFiles, onToggleFile }) {
   const isSelected = (file) => {
     return selectedFiles.some(f => f.path === file.path);
   };
@@ -14,6 +14,15 @@ function FileList({ items, selectedFiles, onToggleFile }) {
     });
   };
 
+  const formatIndexedAt = (timestamp) => {
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} h ago`;
+    return formatDate(timestamp);
+  };
+
   if (items.length === 0) {
     return (
       <div className="file-list-card">
@@ -25,6 +34,60 @@ function FileList({ items, selectedFiles, onToggleFile }) {
     );
   }
 
+  // Older scan results carry no categories, so fall back to a single group
+  const groups = categories && categories.length > 0
+    ? categories.map(category => ({
+        ...category,
+        items: items.filter(item => item.category === category.name)
+      }))
+    : [{ name: null, items }];
+
+  const renderItem = (item) => (
+    <div
+      key={item.path}
+      className={`file-item ${isSelected(item) ? 'selected' : ''} ${item.protected ? 'protected' : ''}`}
+      onClick={() => !item.protected && onToggleFile(item)}
+    >
+      <div className="file-checkbox">
+        <input
+          type="checkbox"
+          checked={isSelected(item)}
+          disabled={item.protected}
+          onChange={() => {}}
+        />
+      </div>
+
+      <div className="file-icon">
+        {item.type === 'directory' ? 'DIR' : 'FILE'}
+      </div>
+
+      <div className="file-info">
+        <div className="file-name">{item.name}</div>
+        <div className="file-path">{item.path}</div>
+        {item.protected && item.protectionRule && (
+          <div className="file-protection" title={`${item.protectionRule.type} rule: ${item.protectionRule.value}`}>
+            Protected by {item.protectionRule.source} rule: {item.protectionRule.description}
+          </div>
+        )}
+      </div>
+
+      <div className="file-meta">
+        <div className="file-size">{item.sizeFormatted}</div>
+        {item.diskSizeFormatted && (
+          <div className="file-disk-size" title="Allocated blocks; hardlinked files count once">
+            {item.diskSizeFormatted} on disk
+          </div>
+        )}
+        <div className="file-date">{formatDate(item.modified)}</div>
+        {item.indexedAt && (
+          <div className="file-indexed" title="Oldest size index data used for this item">
+            Indexed {formatIndexedAt(item.indexedAt)}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+
   return (
     <div className="file-list-card">
       <div className="file-list-header">
@@ -33,33 +96,17 @@ function FileList({ items, selectedFiles, onToggleFile }) {
       </div>
 
       <div className="file-list">
-        {items.map((item, index) => (
-          <div
-            key={index}
-            className={`file-item ${isSelected(item) ? 'selected' : ''}`}
-            onClick={() => onToggleFile(item)}
-          >
-            <div className="file-checkbox">
-              <input
-                type="checkbox"
-                checked={isSelected(item)}
-                onChange={() => {}}
-              />
-            </div>
-
-            <div className="file-icon">
-              {item.type === 'directory' ? 'DIR' : 'FILE'}
-            </div>
-
-            <div className="file-info">
-              <div className="file-name">{item.name}</div>
-              <div className="file-path">{item.path}</div>
-            </div>
-
-            <div className="file-meta">
-              <div className="file-size">{item.sizeFormatted}</div>
-              <div className="file-date">{formatDate(item.modified)}</div>
-            </div>
+        {groups.map(group => (
+          <div key={group.name || 'all'} className="file-group">
+            {group.name && (
+              <div className="file-group-header">
+                <span className="file-group-name">{group.name}</span>
+                <span className="file-group-meta">
+                  {group.count} items • {group.sizeFormatted}
+                </span>
+              </div>
+            )}
+            {group.items.map(renderItem)}
           </div>
         ))}
       </div>
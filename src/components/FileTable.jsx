@@ -252,7 +252,12 @@ function FileTable({ files, selectedFiles, onFileSelect, onSelectAll, onOpenLoca
                       </span>
                     )}
                   </td>
-                  <td className="size-column">{file.sizeFormatted}</td>
+                  <td
+                    className="size-column"
+                    title={file.diskSizeFormatted && `${file.diskSizeFormatted} on disk${file.links > 1 ? `, ${file.links} hardlinks` : ''}`}
+                  >
+                    {file.sizeFormatted}
+                  </td>
                   <td className="modified-column">
                     <span title={new Date(file.modified).toLocaleString()}>
                       {formatDate(file.modified)}
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import './LargeFileFinder.css';
 import FileTable from './FileTable';
+import DiskUsageExplorer from './DiskUsageExplorer';
 
 function LargeFileFinder({ onBack }) {
   const [isScanning, setIsScanning] = useState(false);
@@ -14,6 +15,10 @@ function LargeFileFinder({ onBack }) {
   const [minSize, setMinSize] = useState(100 * 1024 * 1024); // 100MB default
   const [maxAge, setMaxAge] = useState(null);
   const [fileTypes, setFileTypes] = useState('all');
+  const [fullRescan, setFullRescan] = useState(false);
+
+  // 'files' lists large files; 'usage' explores folder sizes
+  const [mode, setMode] = useState('files');
 
   useEffect(() => {
     if (window.electronAPI) {
@@ -52,7 +57,8 @@ function LargeFileFinder({ onBack }) {
         minSize,
         maxAge,
         fileTypes,
-        excludeSystem: true
+        excludeSystem: true,
+        fullRescan
       });
 
       if (result.success) {
@@ -96,9 +102,9 @@ function LargeFileFinder({ onBack }) {
     const formattedSize = formatBytes(totalSize);
 
     if (!confirm(
-      `Are you sure you want to move ${filesToDelete.length} file(s) to trash?\n\n` +
+      `Are you sure you want to delete ${filesToDelete.length} file(s)?\n\n` +
       `This will free up ${formattedSize} of space.\n\n` +
-      `Files will be moved to trash and can be recovered if needed.`
+      `Files can be restored from Recently Cleaned until the retention period ends.`
     )) {
       return;
     }
@@ -113,20 +119,27 @@ function LargeFileFinder({ onBack }) {
         alert(
           `Successfully deleted ${result.data.deleted.length} file(s)!\n` +
           `Freed ${result.data.totalFreedFormatted} of space.` +
+          (result.data.freeSpace ? `\nFree space gained on disk: ${result.data.freeSpace.measuredFreedFormatted}.` : '') +
           (result.data.failed.length > 0 ? `\n\nFailed to delete ${result.data.failed.length} file(s).` : '')
         );
 
         // Remove deleted files from results
-        setScanResults(prev => ({
-          ...prev,
-          files: prev.files.filter(f => !result.data.deleted.includes(f.path)),
-          summary: {
-            ...prev.summary,
-            totalFiles: prev.summary.totalFiles - result.data.deleted.length,
-            totalSize: prev.summary.totalSize - result.data.totalFreed,
-            totalSizeFormatted: formatBytes(prev.summary.totalSize - result.data.totalFreed)
-          }
-        }));
+        setScanResults(prev => {
+          const files = prev.files.filter(f => !result.data.deleted.includes(f.path));
+          const totalDiskSize = files.reduce((sum, f) => sum + (f.diskSize ?? f.size), 0);
+          return {
+            ...prev,
+            files,
+            summary: {
+              ...prev.summary,
+              totalFiles: prev.summary.totalFiles - result.data.deleted.length,
+              totalSize: prev.summary.totalSize - result.data.totalFreed,
+              totalSizeFormatted: formatBytes(prev.summary.totalSize - result.data.totalFreed),
+              totalDiskSize,
+              totalDiskSizeFormatted: formatBytes(totalDiskSize)
+            }
+          };
+        });
 
         setSelectedFiles(new Set());
       } else {
@@ -237,9 +250,18 @@ function LargeFileFinder({ onBack }) {
           ← Back
         </button>
         <h1>Large & Old File Finder</h1>
+        <div className="view-toggle finder-mode-toggle">
+          <button className={mode === 'files' ? 'active' : ''} onClick={() => setMode('files')}>
+            Large Files
+          </button>
+          <button className={mode === 'usage' ? 'active' : ''} onClick={() => setMode('usage')}>
+            Disk Usage
+          </button>
+        </div>
       </div>
 
-      <div className="page-content">
+      {/* Both views stay mounted so switching keeps their results */}
+      <div className={`page-content ${mode === 'usage' ? 'mode-hidden' : ''}`}>
         {/* Filter Controls */}
         <div className="filter-panel">
           <div className="filter-section">
@@ -295,6 +317,18 @@ function LargeFileFinder({ onBack }) {
                 </select>
               </div>
 
+              <div className="filter-group">
+                <label className="full-rescan-option" title="Ignore the size index and list every directory again">
+                  <input
+                    type="checkbox"
+                    checked={fullRescan}
+                    onChange={(e) => setFullRescan(e.target.checked)}
+                    disabled={isScanning || isDeleting}
+                  />
+                  Full rescan
+                </label>
+              </div>
+
               <button
                 className="scan-button"
                 onClick={handleScan}
@@ -336,7 +370,16 @@ function LargeFileFinder({ onBack }) {
                 <div className="summary-card highlight">
                   <div className="summary-label">Total Size</div>
                   <div className="summary-value">{scanResults.summary.totalSizeFormatted}</div>
+                  {scanResults.summary.totalDiskSizeFormatted && (
+                    <div className="summary-detail">{scanResults.summary.totalDiskSizeFormatted} on disk</div>
+                  )}
                 </div>
+                {scanResults.summary.indexStats && (
+                  <div className="summary-card" title={`${scanResults.summary.indexStats.reusedDirs} directories unchanged since last index, ${scanResults.summary.indexStats.walkedDirs} listed`}>
+                    <div className="summary-label">Indexed</div>
+                    <div className="summary-value">{new Date(scanResults.summary.indexStats.indexedAt).toLocaleString()}</div>
+                  </div>
+                )}
                 {selectedFiles.size > 0 && (
                   <div className="summary-card selected">
                     <div className="summary-label">Selected ({selectedFiles.size})</div>
@@ -411,6 +454,10 @@ function LargeFileFinder({ onBack }) {
           </>
         )}
       </div>
+
+      <div className={`page-content ${mode === 'files' ? 'mode-hidden' : ''}`}>
+        <DiskUsageExplorer />
+      </div>
     </div>
   );
 }
@@ -36,12 +36,13 @@ function ProfileEditor({ profile, onSave, onCancel }) {
     onSave(formData);
   };
 
-  const toggleTask = (taskKey) => {
+  const toggleTask = (taskKey, defaults = {}) => {
     setFormData(prev => ({
       ...prev,
       cleaningTasks: {
         ...prev.cleaningTasks,
         [taskKey]: {
+          ...defaults,
           ...prev.cleaningTasks[taskKey],
           enabled: !prev.cleaningTasks[taskKey]?.enabled
         }
@@ -124,13 +125,17 @@ function ProfileEditor({ profile, onSave, onCancel }) {
                 { key: 'browserCache', label: 'Browser Cache' },
                 { key: 'formData', label: 'Form Data' },
                 { key: 'tempFiles', label: 'Temporary Files' },
-                { key: 'appCaches', label: 'Application Caches' }
+                { key: 'appCaches', label: 'Application Caches' },
+                // Emptying the trash deletes permanently; the scheduler only runs it with an explicit age
+                { key: 'trash', label: 'Empty trash older than 30 days', defaults: { olderThanDays: 30 } },
+                { key: 'crashDumps', label: 'Crash Reports (keep newest 3 per program)' },
+                { key: 'buildArtifacts', label: 'Build Artifacts (projects untouched for 90 days)' }
               ].map(task => (
                 <label key={task.key} className="checkbox-label">
                   <input
                     type="checkbox"
                     checked={formData.cleaningTasks[task.key]?.enabled || false}
-                    onChange={() => toggleTask(task.key)}
+                    onChange={() => toggleTask(task.key, task.defaults)}
                   />
                   <span>{task.label}</span>
                 </label>
@@ -0,0 +1,146 @@
+import React, { useState, useEffect } from 'react';
+import { FiPlus, FiTrash2, FiLock } from 'react-icons/fi';
+import './ProtectionRules.css';
+
+const TYPE_HINTS = {
+  glob: '~/.cache/important/**',
+  prefix: '/home/user/.cache/keep-this',
+  segment: 'keep-me',
+  regex: '\\.vmdk$'
+};
+
+function ProtectionRules() {
+  const [builtInRules, setBuiltInRules] = useState([]);
+  const [userRules, setUserRules] = useState([]);
+  const [showBuiltIn, setShowBuiltIn] = useState(false);
+  const [newRule, setNewRule] = useState({ action: 'deny', type: 'glob', value: '', description: '' });
+
+  useEffect(() => {
+    loadRules();
+  }, []);
+
+  const loadRules = async () => {
+    if (!window.electronAPI) return;
+
+    try {
+      const result = await window.electronAPI.getProtectionRules();
+      if (result.success) {
+        setBuiltInRules(result.data.builtIn);
+        setUserRules(result.data.user);
+      }
+    } catch (error) {
+      console.error('Failed to load protection rules:', error);
+    }
+  };
+
+  const handleAdd = async () => {
+    if (!newRule.value.trim()) {
+      alert('Please enter a rule value');
+      return;
+    }
+
+    const result = await window.electronAPI.addProtectionRule({ ...newRule, value: newRule.value.trim() });
+    if (!result.success) {
+      alert('Failed to add rule: ' + result.error);
+      return;
+    }
+
+    setNewRule(prev => ({ ...prev, value: '', description: '' }));
+    loadRules();
+  };
+
+  const handleDelete = async (rule) => {
+    const result = await window.electronAPI.deleteProtectionRule(rule.id);
+    if (!result.success) {
+      alert('Failed to delete rule: ' + result.error);
+      return;
+    }
+    loadRules();
+  };
+
+  return (
+    <div className="protection-rules">
+      <div className="pr-header">
+        <h3>Protection Rules</h3>
+        <p>
+          Deny rules always win. Allow rules can lift built-in protections,
+          except the locked ones for credentials and system directories. Rescan to apply changes.
+        </p>
+      </div>
+
+      <div className="pr-form">
+        <select
+          value={newRule.action}
+          onChange={(e) => setNewRule(prev => ({ ...prev, action: e.target.value }))}
+        >
+          <option value="deny">Deny</option>
+          <option value="allow">Allow</option>
+        </select>
+        <select
+          value={newRule.type}
+          onChange={(e) => setNewRule(prev => ({ ...prev, type: e.target.value }))}
+        >
+          <option value="glob">Glob</option>
+          <option value="prefix">Path prefix</option>
+          <option value="segment">Folder name</option>
+          <option value="regex">Regex</option>
+        </select>
+        <input
+          type="text"
+          className="pr-value"
+          placeholder={TYPE_HINTS[newRule.type]}
+          value={newRule.value}
+          onChange={(e) => setNewRule(prev => ({ ...prev, value: e.target.value }))}
+        />
+        <input
+          type="text"
+          placeholder="Description (optional)"
+          value={newRule.description}
+          onChange={(e) => setNewRule(prev => ({ ...prev, description: e.target.value }))}
+        />
+        <button className="pr-btn primary" onClick={handleAdd}>
+          <FiPlus />
+          Add
+        </button>
+      </div>
+
+      {userRules.length === 0 ? (
+        <div className="pr-empty">No custom rules yet</div>
+      ) : (
+        <div className="pr-list">
+          {userRules.map(rule => (
+            <div key={rule.id} className="pr-rule">
+              <span className={`pr-action ${rule.action}`}>{rule.action.toUpperCase()}</span>
+              <span className="pr-type">{rule.type}</span>
+              <span className="pr-value-text">{rule.value}</span>
+              <span className="pr-description">{rule.description}</span>
+              <button className="pr-btn secondary small" onClick={() => handleDelete(rule)}>
+                <FiTrash2 />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <button className="pr-toggle" onClick={() => setShowBuiltIn(!showBuiltIn)}>
+        {showBuiltIn ? 'Hide' : 'Show'} built-in rules ({builtInRules.length})
+      </button>
+
+      {showBuiltIn && (
+        <div className="pr-list">
+          {builtInRules.map(rule => (
+            <div key={rule.id} className="pr-rule built-in">
+              <span className="pr-action deny">DENY</span>
+              <span className="pr-type">{rule.type}</span>
+              <span className="pr-value-text">{rule.value}</span>
+              <span className="pr-description">{rule.description}</span>
+              {rule.locked && <FiLock className="pr-locked" title="Cannot be overridden" />}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ProtectionRules;
@@ -0,0 +1,222 @@
+import React, { useState, useEffect } from 'react';
+import { FiRotateCcw, FiTrash2, FiRefreshCw } from 'react-icons/fi';
+import './RecentlyCleaned.css';
+
+function RecentlyCleaned() {
+  const [batches, setBatches] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expandedBatches, setExpandedBatches] = useState(new Set());
+  const [retentionDays, setRetentionDays] = useState(7);
+  const [busyBatch, setBusyBatch] = useState(null);
+
+  useEffect(() => {
+    loadBatches();
+    loadSettings();
+  }, []);
+
+  const loadBatches = async () => {
+    if (!window.electronAPI) {
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const result = await window.electronAPI.getQuarantineEntries();
+      if (result.success) {
+        setBatches(result.data);
+      }
+    } catch (error) {
+      console.error('Failed to load quarantine:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadSettings = async () => {
+    if (!window.electronAPI) return;
+
+    try {
+      const result = await window.electronAPI.getQuarantineSettings();
+      if (result.success) {
+        setRetentionDays(result.data.retentionDays);
+      }
+    } catch (error) {
+      console.error('Failed to load quarantine settings:', error);
+    }
+  };
+
+  const handleSaveRetention = async () => {
+    const result = await window.electronAPI.updateQuarantineSettings({ retentionDays });
+    if (!result.success) {
+      alert('Failed to save retention: ' + result.error);
+      return;
+    }
+    loadBatches();
+  };
+
+  const handleRestore = async (batch, entryIds = null) => {
+    setBusyBatch(batch.id);
+    try {
+      const result = await window.electronAPI.restoreQuarantineEntries(batch.id, entryIds);
+      if (result.success) {
+        const { restored, failed } = result.data;
+        if (failed.length > 0) {
+          alert(
+            `Restored ${restored.length} item(s).\n\nFailed to restore ${failed.length} item(s):\n` +
+            failed.map(f => `${f.path}: ${f.error}`).join('\n')
+          );
+        }
+      } else {
+        alert('Restore failed: ' + result.error);
+      }
+    } finally {
+      setBusyBatch(null);
+      loadBatches();
+    }
+  };
+
+  const handlePurge = async (batch) => {
+    if (!confirm(`Permanently delete ${batch.totalSizeFormatted} from "${batch.label}"? This cannot be undone.`)) {
+      return;
+    }
+
+    setBusyBatch(batch.id);
+    try {
+      const result = await window.electronAPI.purgeQuarantineBatch(batch.id);
+      if (!result.success) {
+        alert('Delete failed: ' + result.error);
+      }
+    } finally {
+      setBusyBatch(null);
+      loadBatches();
+    }
+  };
+
+  const toggleBatch = (batchId) => {
+    setExpandedBatches(prev => {
+      const newSet = new Set(prev);
+      if (newSet.has(batchId)) {
+        newSet.delete(batchId);
+      } else {
+        newSet.add(batchId);
+      }
+      return newSet;
+    });
+  };
+
+  const formatDate = (timestamp) => {
+    return new Date(timestamp).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  const formatRemaining = (expiresAt) => {
+    const days = Math.ceil((expiresAt - Date.now()) / 86400000);
+    if (days <= 0) return 'Expires soon';
+    return `Deleted in ${days} day${days !== 1 ? 's' : ''}`;
+  };
+
+  return (
+    <div className="recently-cleaned">
+      <div className="recently-cleaned-toolbar">
+        <div className="retention-setting">
+          <label htmlFor="retention-days">Keep cleaned items for</label>
+          <input
+            id="retention-days"
+            type="number"
+            min="1"
+            max="365"
+            value={retentionDays}
+            onChange={(e) => setRetentionDays(parseInt(e.target.value) || 1)}
+          />
+          <span>days</span>
+          <button className="rc-btn secondary" onClick={handleSaveRetention}>
+            Save
+          </button>
+        </div>
+        <button className="rc-btn secondary" onClick={loadBatches} disabled={loading}>
+          <FiRefreshCw />
+          Refresh
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="rc-empty">Loading...</div>
+      ) : batches.length === 0 ? (
+        <div className="rc-empty">
+          <h3>Nothing to restore</h3>
+          <p>Items removed by the cleaners appear here until the retention period ends.</p>
+        </div>
+      ) : (
+        <div className="rc-batches">
+          {batches.map(batch => {
+            const isExpanded = expandedBatches.has(batch.id);
+            const pending = batch.entries.filter(e => !e.restoredAt);
+
+            return (
+              <div key={batch.id} className="rc-batch">
+                <div className="rc-batch-header" onClick={() => toggleBatch(batch.id)}>
+                  <div className="rc-batch-info">
+                    <span className="rc-batch-label">{batch.label}</span>
+                    <span className="rc-batch-meta">
+                      {formatDate(batch.createdAt)} • {pending.length} item{pending.length !== 1 ? 's' : ''} • {batch.totalSizeFormatted} • {batch.incomplete ? 'Interrupted, kept until deleted' : formatRemaining(batch.expiresAt)}
+                    </span>
+                  </div>
+                  <div className="rc-batch-actions" onClick={(e) => e.stopPropagation()}>
+                    <button
+                      className="rc-btn primary"
+                      onClick={() => handleRestore(batch)}
+                      disabled={busyBatch === batch.id || pending.length === 0}
+                    >
+                      <FiRotateCcw />
+                      Restore All
+                    </button>
+                    <button
+                      className="rc-btn danger"
+                      onClick={() => handlePurge(batch)}
+                      disabled={busyBatch === batch.id}
+                    >
+                      <FiTrash2 />
+                      Delete Now
+                    </button>
+                  </div>
+                </div>
+
+                {isExpanded && (
+                  <div className="rc-entries">
+                    {batch.entries.map(entry => (
+                      <div key={entry.id} className={`rc-entry ${entry.restoredAt ? 'restored' : ''}`}>
+                        <div className="rc-entry-type">
+                          {entry.type === 'directory' ? 'DIR' : 'FILE'}
+                        </div>
+                        <div className="rc-entry-path">{entry.originalPath}</div>
+                        <div className="rc-entry-size">{entry.sizeFormatted}</div>
+                        {entry.restoredAt ? (
+                          <span className="rc-entry-status">Restored</span>
+                        ) : (
+                          <button
+                            className="rc-btn secondary small"
+                            onClick={() => handleRestore(batch, [entry.id])}
+                            disabled={busyBatch === batch.id}
+                          >
+                            Restore
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RecentlyCleaned;
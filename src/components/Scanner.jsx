@@ -1,7 +1,7 @@
 import React from 'react';
 import './Scanner.css';
 
-function Scanner({ onScan, isScanning, isCleaning, scanProgress }) {
+function Scanner({ onScan, onFullRescan, isScanning, isCleaning, scanProgress }) {
   return (
     <div className="scanner-card">
       <h2>Quick Scan</h2>
@@ -11,7 +11,7 @@ function Scanner({ onScan, isScanning, isCleaning, scanProgress }) {
 
       <button
         className="scan-button"
-        onClick={onScan}
+        onClick={() => onScan()}
         disabled={isScanning || isCleaning}
       >
         {isScanning ? (
@@ -24,6 +24,17 @@ function Scanner({ onScan, isScanning, isCleaning, scanProgress }) {
         )}
       </button>
 
+      {onFullRescan && (
+        <button
+          className="full-rescan-button"
+          onClick={onFullRescan}
+          disabled={isScanning || isCleaning}
+          title="Ignore the size index and list every directory again"
+        >
+          Full Rescan
+        </button>
+      )}
+
       {scanProgress && (
         <div className="progress-info">
           <div className="progress-text">
@@ -0,0 +1,122 @@
+import React from 'react';
+
+// Groups of visually similar images from findSimilarImages, best quality first
+function SimilarImageGroups({ groups, selectedFiles, expandedGroups, onToggleGroup, onToggleFile, onSelectGroup, onDeselectGroup }) {
+  if (groups.length === 0) {
+    return (
+      <div className="no-duplicates">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+          <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14" />
+          <polyline points="22 4 12 14.01 9 11.01" />
+        </svg>
+        <h3>No Similar Images Found</h3>
+        <p>No images were within the chosen similarity of each other.</p>
+      </div>
+    );
+  }
+
+  return groups.map(group => {
+    const isExpanded = expandedGroups.has(group.id);
+    const best = group.files[0];
+    const allSelected = group.files.every(f => selectedFiles.has(f.path));
+    const someSelected = group.files.some(f => selectedFiles.has(f.path)) && !allSelected;
+
+    return (
+      <div key={group.id} className="duplicate-group">
+        <div className="group-header" onClick={() => onToggleGroup(group.id)}>
+          <div className="group-info">
+            <svg
+              className={`expand-icon ${isExpanded ? 'expanded' : ''}`}
+              viewBox="0 0 24 24"
+              fill="none"
+              stroke="currentColor"
+              strokeWidth="2"
+            >
+              <polyline points="9 18 15 12 9 6" />
+            </svg>
+            {best.thumbnail && <img className="group-thumbnail" src={best.thumbnail} alt="" />}
+            <div className="group-details">
+              <span className="group-name">{best.name}</span>
+              <span className="group-meta">
+                {group.count} similar images • up to {group.maxDistance} bits apart • Can save {group.potentialSavingsFormatted}
+              </span>
+            </div>
+          </div>
+          <div className="group-actions" onClick={(e) => e.stopPropagation()}>
+            <button
+              className={`checkbox ${allSelected ? 'checked' : ''} ${someSelected ? 'partial' : ''}`}
+              onClick={(e) => {
+                e.stopPropagation();
+                if (allSelected || someSelected) {
+                  onDeselectGroup(group);
+                } else {
+                  onSelectGroup(group, true);
+                }
+              }}
+              title={allSelected || someSelected ? 'Deselect all in group' : 'Select all but the best quality image'}
+            >
+              {someSelected ? '−' : ''}
+            </button>
+          </div>
+        </div>
+
+        {isExpanded && (
+          <div className="group-files">
+            <div className="group-file-actions">
+              <button className="file-action-btn" onClick={() => onSelectGroup(group, true)}>
+                Select All (Keep Best Quality)
+              </button>
+              <button className="file-action-btn" onClick={() => onDeselectGroup(group)}>
+                Deselect All
+              </button>
+            </div>
+
+            <div className="image-grid">
+              {group.files.map((file, index) => {
+                const isSelected = selectedFiles.has(file.path);
+
+                return (
+                  <label
+                    key={file.path}
+                    className={`image-card ${isSelected ? 'selected' : ''} ${index === 0 ? 'original' : ''}`}
+                    title={file.path}
+                  >
+                    <div className="image-thumb">
+                      {file.thumbnail
+                        ? <img src={file.thumbnail} alt={file.name} />
+                        : <span>No preview</span>}
+                    </div>
+                    <div className="image-card-info">
+                      <div className="file-name">
+                        <input
+                          type="checkbox"
+                          checked={isSelected}
+                          onChange={() => onToggleFile(file.path)}
+                          className="file-checkbox"
+                          disabled={file.stale}
+                          title={file.staleReason}
+                        />
+                        <span className="image-card-name">{file.name}</span>
+                      </div>
+                      {index === 0 && <span className="badge">Best Quality</span>}
+                      {file.stale && <span className="badge near" title={file.staleReason}>Changed</span>}
+                      <div className="file-meta">
+                        {file.width} x {file.height} • {file.sizeFormatted}
+                      </div>
+                      <div className="file-meta">
+                        {index === 0 ? 'Reference' : `${file.distance} bits from best`} • {new Date(file.modified).toLocaleDateString()}
+                      </div>
+                      <div className="file-path">{file.directory}</div>
+                    </div>
+                  </label>
+                );
+              })}
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  });
+}
+
+export default SimilarImageGroups;
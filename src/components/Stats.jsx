@@ -8,8 +8,12 @@ function Stats({
   onSelectAll,
   onDeselectAll,
   onClean,
+  onPreview,
+  isPreviewing,
   isCleaning,
-  cleanProgress
+  cleanProgress,
+  safetyOptions,
+  onSafetyOptionsChange
 }) {
   const formatBytes = (bytes) => {
     if (bytes === 0) return '0 Bytes';
@@ -27,11 +31,17 @@ function Stats({
         <div className="stat-item">
           <div className="stat-label">Total Found</div>
           <div className="stat-value">{scanResults.items.length} items</div>
+          {scanResults.protectedCount > 0 && (
+            <div className="stat-note">{scanResults.protectedCount} protected</div>
+          )}
         </div>
 
         <div className="stat-item">
           <div className="stat-label">Reclaimable Space</div>
           <div className="stat-value highlight">{scanResults.totalSizeFormatted}</div>
+          {scanResults.totalDiskSizeFormatted && (
+            <div className="stat-detail">{scanResults.totalDiskSizeFormatted} on disk</div>
+          )}
         </div>
 
         <div className="stat-item">
@@ -42,9 +52,91 @@ function Stats({
         <div className="stat-item">
           <div className="stat-label">Will Free</div>
           <div className="stat-value highlight">{formatBytes(getTotalSelectedSize())}</div>
+          {selectedFiles.length > 0 && (
+            <div className="stat-detail">
+              {formatBytes(selectedFiles.reduce((sum, file) => sum + (file.diskSize ?? file.size), 0))} on disk
+            </div>
+          )}
         </div>
       </div>
 
+      {Array.isArray(scanResults.scannedLocations) && (
+        <details className="scanned-locations">
+          <summary>
+            Scanned {scanResults.scannedLocations.length} locations
+            {scanResults.indexStats && (
+              <> ({scanResults.indexStats.reusedDirs} directories unchanged since last index, {scanResults.indexStats.walkedDirs} listed)</>
+            )}
+          </summary>
+          <ul>
+            {scanResults.scannedLocations.map(location => (
+              <li key={location}>{location}</li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      {safetyOptions && (
+        <div className="safety-options">
+          <label>
+            <input
+              type="checkbox"
+              checked={safetyOptions.skipInUse}
+              onChange={(e) => onSafetyOptionsChange({ ...safetyOptions, skipInUse: e.target.checked })}
+            />
+            Skip files in use by running programs
+          </label>
+          <label>
+            <input
+              type="checkbox"
+              checked={safetyOptions.minAgeHours > 0}
+              onChange={(e) => onSafetyOptionsChange({ ...safetyOptions, minAgeHours: e.target.checked ? 24 : 0 })}
+            />
+            Skip items modified in the last
+            <input
+              type="number"
+              min="1"
+              max="720"
+              value={safetyOptions.minAgeHours || 24}
+              disabled={safetyOptions.minAgeHours === 0}
+              onChange={(e) => onSafetyOptionsChange({ ...safetyOptions, minAgeHours: parseInt(e.target.value) || 1 })}
+            />
+            hours
+          </label>
+          <label>
+            Logs:
+            <select
+              value={safetyOptions.logMode}
+              onChange={(e) => onSafetyOptionsChange({ ...safetyOptions, logMode: e.target.value })}
+            >
+              <option value="delete">Delete</option>
+              <option value="compress">Compress and rotate</option>
+            </select>
+          </label>
+          {safetyOptions.logMode === 'compress' && (
+            <label>
+              Gzip logs older than
+              <input
+                type="number"
+                min="0"
+                max="365"
+                value={safetyOptions.logCompressAfterDays}
+                onChange={(e) => onSafetyOptionsChange({ ...safetyOptions, logCompressAfterDays: Math.max(0, parseInt(e.target.value) || 0) })}
+              />
+              days, keep
+              <input
+                type="number"
+                min="1"
+                max="100"
+                value={safetyOptions.logKeepRotations}
+                onChange={(e) => onSafetyOptionsChange({ ...safetyOptions, logKeepRotations: parseInt(e.target.value) || 1 })}
+              />
+              files per log
+            </label>
+          )}
+        </div>
+      )}
+
       <div className="action-buttons">
         <button
           className="secondary-button"
@@ -53,6 +145,14 @@ function Stats({
           {selectedFiles.length > 0 ? 'Deselect All' : 'Select All'}
         </button>
 
+        <button
+          className="secondary-button"
+          onClick={onPreview}
+          disabled={selectedFiles.length === 0 || isCleaning || isPreviewing}
+        >
+          {isPreviewing ? 'Preparing...' : 'Preview'}
+        </button>
+
         <button
           className="clean-button"
           onClick={onClean}
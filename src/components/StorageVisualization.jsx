@@ -2,6 +2,106 @@ import React, { useState, useMemo } from 'react';
 import './StorageVisualization.css';
 import { Treemap, ResponsiveContainer, Tooltip } from 'recharts';
 
+// Helper functions for colors
+const getBrowserColor = (index) => {
+  const colors = ['#4A9EFF', '#FF7139', '#006CFF', '#FF1B2D', '#FB542B', '#0078D7'];
+  return colors[index % colors.length];
+};
+
+export const getDataTypeColor = (index) => {
+  const colors = ['#5856D6', '#FF9500', '#FF3B30', '#34C759', '#00C7BE', '#AF52DE'];
+  return colors[index % colors.length];
+};
+
+// Custom tooltip for treemap
+const CustomTooltip = ({ active, payload }) => {
+  if (active && payload && payload.length) {
+    const data = payload[0].payload;
+    const detail = data.detail || data.browser;
+    return (
+      <div className="treemap-tooltip">
+        <p className="tooltip-label">{data.name}</p>
+        {detail && <p className="tooltip-browser">{detail}</p>}
+        <p className="tooltip-size">{data.sizeFormatted}</p>
+      </div>
+    );
+  }
+  return null;
+};
+
+// Custom content for treemap cells; a cell's own `color` wins over the palette
+const CustomContent = ({ depth, x, y, width, height, index, name, sizeFormatted, color, id, selectedId }) => {
+  const fontSize = Math.max(10, Math.min(14, width / 8));
+  const showText = width > 40 && height > 30;
+  const isSelected = selectedId !== undefined && id === selectedId;
+
+  return (
+    <g>
+      <rect
+        x={x}
+        y={y}
+        width={width}
+        height={height}
+        style={{
+          fill: color || (depth === 1 ? getDataTypeColor(index) : getBrowserColor(index)),
+          stroke: isSelected ? 'var(--text-primary)' : 'var(--bg-primary)',
+          strokeWidth: isSelected ? 3 : 2,
+          opacity: depth === 1 ? 0.9 : 0.7
+        }}
+      />
+      {showText && (
+        <>
+          <text
+            x={x + width / 2}
+            y={y + height / 2 - 8}
+            textAnchor="middle"
+            fill="white"
+            fontSize={fontSize}
+            fontWeight="600"
+          >
+            {name}
+          </text>
+          <text
+            x={x + width / 2}
+            y={y + height / 2 + 8}
+            textAnchor="middle"
+            fill="white"
+            fontSize={fontSize - 2}
+            opacity="0.9"
+          >
+            {sizeFormatted}
+          </text>
+        </>
+      )}
+    </g>
+  );
+};
+
+/**
+ * Treemap of `data` sized by `dataKey`. Also used by the disk usage
+ * explorer, which passes one folder level at a time and selects cells on click.
+ */
+export function StorageTreemap({ data, dataKey = 'size', height = 300, animate = true, selectedId, onCellClick, hint }) {
+  return (
+    <div className="treemap-container">
+      <ResponsiveContainer width="100%" height={height}>
+        <Treemap
+          data={data}
+          dataKey={dataKey}
+          aspectRatio={4 / 3}
+          stroke="var(--bg-primary)"
+          content={<CustomContent selectedId={selectedId} />}
+          isAnimationActive={animate}
+          onClick={onCellClick}
+        >
+          <Tooltip content={<CustomTooltip />} />
+        </Treemap>
+      </ResponsiveContainer>
+      {hint && <p className="viz-hint">{hint}</p>}
+    </div>
+  );
+}
+
 function StorageVisualization({ analysis }) {
   const [view, setView] = useState('treemap'); // 'treemap' or 'list'
 
@@ -55,79 +155,6 @@ function StorageVisualization({ analysis }) {
     return allItems.sort((a, b) => b.size - a.size).slice(0, 10);
   }, [analysis]);
 
-  // Custom tooltip for treemap
-  const CustomTooltip = ({ active, payload }) => {
-    if (active && payload && payload.length) {
-      const data = payload[0].payload;
-      return (
-        <div className="treemap-tooltip">
-          <p className="tooltip-label">{data.name}</p>
-          {data.browser && <p className="tooltip-browser">{data.browser}</p>}
-          <p className="tooltip-size">{data.sizeFormatted}</p>
-        </div>
-      );
-    }
-    return null;
-  };
-
-  // Custom content for treemap cells
-  const CustomContent = ({ root, depth, x, y, width, height, index, name, sizeFormatted }) => {
-    const fontSize = Math.max(10, Math.min(14, width / 8));
-    const showText = width > 40 && height > 30;
-
-    return (
-      <g>
-        <rect
-          x={x}
-          y={y}
-          width={width}
-          height={height}
-          style={{
-            fill: depth === 1 ? getDataTypeColor(index) : getBrowserColor(index),
-            stroke: 'var(--bg-primary)',
-            strokeWidth: 2,
-            opacity: depth === 1 ? 0.9 : 0.7
-          }}
-        />
-        {showText && (
-          <>
-            <text
-              x={x + width / 2}
-              y={y + height / 2 - 8}
-              textAnchor="middle"
-              fill="white"
-              fontSize={fontSize}
-              fontWeight="600"
-            >
-              {name}
-            </text>
-            <text
-              x={x + width / 2}
-              y={y + height / 2 + 8}
-              textAnchor="middle"
-              fill="white"
-              fontSize={fontSize - 2}
-              opacity="0.9"
-            >
-              {sizeFormatted}
-            </text>
-          </>
-        )}
-      </g>
-    );
-  };
-
-  // Helper functions for colors
-  const getBrowserColor = (index) => {
-    const colors = ['#4A9EFF', '#FF7139', '#006CFF', '#FF1B2D', '#FB542B', '#0078D7'];
-    return colors[index % colors.length];
-  };
-
-  const getDataTypeColor = (index) => {
-    const colors = ['#5856D6', '#FF9500', '#FF3B30', '#34C759', '#00C7BE', '#AF52DE'];
-    return colors[index % colors.length];
-  };
-
   if (!analysis || analysis.length === 0) return null;
 
   return (
@@ -165,22 +192,10 @@ function StorageVisualization({ analysis }) {
       </div>
 
       {view === 'treemap' ? (
-        <div className="treemap-container">
-          <ResponsiveContainer width="100%" height={300}>
-            <Treemap
-              data={treemapData}
-              dataKey="size"
-              aspectRatio={4 / 3}
-              stroke="var(--bg-primary)"
-              content={<CustomContent />}
-            >
-              <Tooltip content={<CustomTooltip />} />
-            </Treemap>
-          </ResponsiveContainer>
-          <p className="viz-hint">
-            Click and drag to explore. Larger boxes = more storage used.
-          </p>
-        </div>
+        <StorageTreemap
+          data={treemapData}
+          hint="Click and drag to explore. Larger boxes = more storage used."
+        />
       ) : (
         <div className="space-hogs-list">
           {topSpaceHogs.map((item, index) => (
@@ -0,0 +1,301 @@
+import React, { useState, useEffect } from 'react';
+import { FiEye, FiRefreshCw, FiRotateCcw, FiTrash2 } from 'react-icons/fi';
+import CleanPreview from './CleanPreview';
+import './TrashManager.css';
+
+function TrashManager() {
+  const [trash, setTrash] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState(new Set());
+  const [olderThanDays, setOlderThanDays] = useState(30);
+  const [busy, setBusy] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [previewManifest, setPreviewManifest] = useState(null);
+
+  useEffect(() => {
+    loadTrash();
+
+    if (!window.electronAPI) return;
+    window.electronAPI.onTrashEmptyProgress(setProgress);
+    return () => {
+      window.electronAPI.removeTrashEmptyProgressListener();
+    };
+  }, []);
+
+  const loadTrash = async () => {
+    if (!window.electronAPI) {
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const result = await window.electronAPI.listTrash();
+      if (result.success) {
+        setTrash(result.data);
+        setSelected(new Set());
+      } else {
+        alert('Failed to read the trash: ' + result.error);
+      }
+    } catch (error) {
+      console.error('Failed to load trash:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatBytes = (bytes) => {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
+  };
+
+  const formatDate = (timestamp) => {
+    if (!timestamp) return 'Unknown';
+    return new Date(timestamp).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  const reportResult = (verb, data) => {
+    const { cleaned, failed, skipped, totalFreedFormatted, freeSpace } = data;
+    let message = `${verb} ${cleaned.length} item(s), ${totalFreedFormatted}.`;
+    if (freeSpace) {
+      message += `\n\nFree space gained on disk: ${freeSpace.measuredFreedFormatted}.`;
+    }
+    if (skipped.length > 0) {
+      message += `\n\nKept ${skipped.length} item(s):\n` + skipped.map(s => `${s.path}: ${s.reason}`).join('\n');
+    }
+    if (failed.length > 0) {
+      message += `\n\nFailed on ${failed.length} item(s):\n` + failed.map(f => `${f.path}: ${f.error}`).join('\n');
+    }
+    alert(message);
+  };
+
+  const runEmpty = async (options, confirmation) => {
+    if (!confirm(confirmation)) return;
+
+    setBusy(true);
+    setProgress(null);
+    try {
+      const result = await window.electronAPI.emptyTrash(options);
+      if (result.success) {
+        reportResult('Emptied', result.data);
+      } else {
+        alert('Empty failed: ' + result.error);
+      }
+    } catch (error) {
+      alert('Empty error: ' + error.message);
+    } finally {
+      setBusy(false);
+      setProgress(null);
+      loadTrash();
+    }
+  };
+
+  const handleEmptyOld = () => {
+    const old = getOldItems();
+    runEmpty(
+      { olderThanDays },
+      `Empty ${old.length} item(s) trashed more than ${olderThanDays} days ago (${formatBytes(old.reduce((sum, item) => sum + item.size, 0))})? They are deleted permanently and cannot be restored.`
+    );
+  };
+
+  const handleDeleteSelected = () => {
+    runEmpty(
+      { ids: [...selected] },
+      `Permanently delete ${selected.size} selected item(s) (${formatBytes(getSelectedSize())}) from the trash? This cannot be undone.`
+    );
+  };
+
+  const handlePreview = async () => {
+    setBusy(true);
+    try {
+      const options = selected.size > 0 ? { ids: [...selected] } : { olderThanDays };
+      const result = await window.electronAPI.emptyTrash({ ...options, dryRun: true });
+      if (result.success) {
+        setPreviewManifest(result.data.manifest);
+      } else {
+        alert('Preview failed: ' + result.error);
+      }
+    } catch (error) {
+      alert('Preview error: ' + error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRestore = async () => {
+    setBusy(true);
+    try {
+      const result = await window.electronAPI.restoreTrashItems([...selected]);
+      if (result.success) {
+        const { restored, failed } = result.data;
+        if (failed.length > 0) {
+          alert(
+            `Restored ${restored.length} item(s).\n\nFailed to restore ${failed.length} item(s):\n` +
+            failed.map(f => `${f.path}: ${f.error}`).join('\n')
+          );
+        }
+      } else {
+        alert('Restore failed: ' + result.error);
+      }
+    } catch (error) {
+      alert('Restore error: ' + error.message);
+    } finally {
+      setBusy(false);
+      loadTrash();
+    }
+  };
+
+  const toggleItem = (id) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const items = trash ? trash.items : [];
+
+  const getOldItems = () => {
+    const cutoff = Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+    return items.filter(item => item.deletedAt && item.deletedAt < cutoff);
+  };
+
+  const getSelectedSize = () => items
+    .filter(item => selected.has(item.id))
+    .reduce((sum, item) => sum + item.size, 0);
+
+  const selectedRestorable = items.filter(item => selected.has(item.id) && item.canRestore).length;
+
+  return (
+    <div className="trash-manager">
+      <div className="tm-toolbar">
+        <div className="tm-empty-old">
+          <label htmlFor="tm-older-than">Empty items trashed more than</label>
+          <input
+            id="tm-older-than"
+            type="number"
+            min="0"
+            max="3650"
+            value={olderThanDays}
+            onChange={(e) => setOlderThanDays(Math.max(0, parseInt(e.target.value) || 0))}
+            disabled={busy}
+          />
+          <span>days ago</span>
+          <button className="tm-btn danger" onClick={handleEmptyOld} disabled={busy || loading || getOldItems().length === 0}>
+            <FiTrash2 />
+            Empty
+          </button>
+        </div>
+        <div className="tm-actions">
+          <button
+            className="tm-btn secondary"
+            onClick={handlePreview}
+            disabled={busy || loading || items.length === 0}
+            title="Preview the selected items, or the items older than the age above"
+          >
+            <FiEye />
+            Preview
+          </button>
+          <button className="tm-btn secondary" onClick={loadTrash} disabled={busy || loading}>
+            <FiRefreshCw />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {busy && progress && (
+        <div className="tm-progress">
+          Emptying {progress.current} of {progress.total} - {progress.path}
+        </div>
+      )}
+
+      {trash && (
+        <div className="tm-summary">
+          <div className="tm-summary-total">
+            <span className="tm-summary-label">In the trash</span>
+            <span className="tm-summary-value">{trash.totalSizeFormatted}</span>
+            <span className="tm-summary-label">{items.length} item(s)</span>
+          </div>
+          <div className="tm-locations">
+            {trash.locations.map(location => (
+              <div key={location.root} className="tm-location" title={location.root}>
+                <span className="tm-location-label">{location.label}</span>
+                {location.error ? (
+                  <span className="tm-location-error">{location.error}</span>
+                ) : (
+                  <span className="tm-location-meta">
+                    {location.itemCount} item(s) - {location.sizeFormatted}
+                  </span>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {selected.size > 0 && (
+        <div className="tm-selection">
+          <span>{selected.size} selected - {formatBytes(getSelectedSize())}</span>
+          <button className="tm-btn primary" onClick={handleRestore} disabled={busy || selectedRestorable === 0}>
+            <FiRotateCcw />
+            Restore{selectedRestorable < selected.size ? ` (${selectedRestorable})` : ''}
+          </button>
+          <button className="tm-btn danger" onClick={handleDeleteSelected} disabled={busy}>
+            <FiTrash2 />
+            Empty Selected
+          </button>
+          <button className="tm-btn secondary" onClick={() => setSelected(new Set())} disabled={busy}>
+            Deselect All
+          </button>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="tm-empty">Loading...</div>
+      ) : items.length === 0 ? (
+        <div className="tm-empty">
+          <h3>The trash is empty</h3>
+          <p>Files you delete in your file manager show up here.</p>
+        </div>
+      ) : (
+        <div className="tm-items">
+          {items.map(item => (
+            <label key={item.id} className={`tm-item ${selected.has(item.id) ? 'selected' : ''}`}>
+              <input
+                type="checkbox"
+                checked={selected.has(item.id)}
+                onChange={() => toggleItem(item.id)}
+              />
+              <span className="tm-item-type">{item.type === 'directory' ? 'DIR' : 'FILE'}</span>
+              <span className="tm-item-info">
+                <span className="tm-item-name">{item.name}</span>
+                <span className="tm-item-origin">
+                  {item.originalPath || 'Original location unknown'}
+                </span>
+              </span>
+              <span className="tm-item-date">{formatDate(item.deletedAt)}</span>
+              <span className="tm-item-size">{item.sizeFormatted}</span>
+            </label>
+          ))}
+        </div>
+      )}
+
+      <CleanPreview manifest={previewManifest} onClose={() => setPreviewManifest(null)} />
+    </div>
+  );
+}
+
+export default TrashManager;
@@ -0,0 +1,27 @@
+import React from 'react';
+import BuildArtifactCleaner from '../components/BuildArtifactCleaner';
+import { FiArrowLeft } from 'react-icons/fi';
+import './BuildArtifactsPage.css';
+
+const BuildArtifactsPage = ({ onBack }) => {
+  return (
+    <div className="build-artifacts-page">
+      <div className="page-header">
+        <button onClick={onBack} className="back-button">
+          <FiArrowLeft />
+          Back
+        </button>
+        <div className="page-info">
+          <h1>Build Artifacts</h1>
+          <p>Remove dependencies and build output from projects you haven't touched in a while</p>
+        </div>
+      </div>
+
+      <div className="page-content">
+        <BuildArtifactCleaner />
+      </div>
+    </div>
+  );
+};
+
+export default BuildArtifactsPage;
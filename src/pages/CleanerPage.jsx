@@ -3,19 +3,36 @@ import './CleanerPage.css';
 import Scanner from '../components/Scanner';
 import FileList from '../components/FileList';
 import Stats from '../components/Stats';
+import ProtectionRules from '../components/ProtectionRules';
+import CleanPreview from '../components/CleanPreview';
 
 function CleanerPage({ onBack }) {
   const [scanResults, setScanResults] = useState(null);
   const [isScanning, setIsScanning] = useState(false);
   const [isCleaning, setIsCleaning] = useState(false);
   const [scanProgress, setScanProgress] = useState(null);
+  const [liveItems, setLiveItems] = useState([]);
   const [cleanProgress, setCleanProgress] = useState(null);
   const [selectedFiles, setSelectedFiles] = useState([]);
+  const [showRules, setShowRules] = useState(false);
+  const [safetyOptions, setSafetyOptions] = useState({
+    skipInUse: true,
+    minAgeHours: 24,
+    logMode: 'delete',
+    logCompressAfterDays: 7,
+    logKeepRotations: 5
+  });
+  const [previewManifest, setPreviewManifest] = useState(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
 
   useEffect(() => {
     if (window.electronAPI) {
       window.electronAPI.onScanProgress((data) => {
         setScanProgress(data);
+        // Found items stream in batches while the scan runs
+        if (data.items && data.items.length > 0) {
+          setLiveItems(prev => [...prev, ...data.items]);
+        }
       });
 
       window.electronAPI.onCleanProgress((data) => {
@@ -33,7 +50,7 @@ function CleanerPage({ onBack }) {
     }
   }, []);
 
-  const handleScan = async () => {
+  const handleScan = async (fullRescan = false) => {
     if (!window.electronAPI) {
       alert('This feature requires the desktop application. Please run the app with "npm run dev"');
       return;
@@ -42,10 +59,11 @@ function CleanerPage({ onBack }) {
     setIsScanning(true);
     setScanProgress(null);
     setScanResults(null);
+    setLiveItems([]);
     setSelectedFiles([]);
 
     try {
-      const result = await window.electronAPI.scanSystem();
+      const result = await window.electronAPI.scanSystem({ fullRescan });
       if (result.success) {
         setScanResults(result.data);
       } else {
@@ -56,6 +74,7 @@ function CleanerPage({ onBack }) {
     } finally {
       setIsScanning(false);
       setScanProgress(null);
+      setLiveItems([]);
     }
   };
 
@@ -70,7 +89,7 @@ function CleanerPage({ onBack }) {
       return;
     }
 
-    if (!confirm(`Are you sure you want to delete ${selectedFiles.length} items? This action cannot be undone.`)) {
+    if (!confirm(`Are you sure you want to delete ${selectedFiles.length} items? Items can be restored from Recently Cleaned.`)) {
       return;
     }
 
@@ -78,9 +97,25 @@ function CleanerPage({ onBack }) {
     setCleanProgress(null);
 
     try {
-      const result = await window.electronAPI.cleanFiles(selectedFiles);
+      const result = await window.electronAPI.cleanFiles(selectedFiles, safetyOptions);
       if (result.success) {
-        alert(`Successfully cleaned ${result.data.cleaned.length} items and freed ${result.data.totalFreedFormatted}!`);
+        const { skipped = [], compressed, freeSpace } = result.data;
+        let message = `Successfully cleaned ${result.data.cleaned.length} items and freed ${result.data.totalFreedFormatted}!`;
+        if (freeSpace) {
+          message += `\n\nFree space gained on disk: ${freeSpace.measuredFreedFormatted}` +
+            (freeSpace.volumes.length > 1
+              ? '\n' + freeSpace.volumes.map(v => `${v.path}: ${v.freedFormatted}`).join('\n')
+              : '');
+        }
+        if (compressed) {
+          message += `\n\nLogs: compressed ${compressed.length} file(s), saving ${result.data.compressionSavedFormatted}; ` +
+            `deleted items and old rotations freed ${result.data.deletionSavedFormatted}.`;
+        }
+        if (skipped.length > 0) {
+          message += `\n\nKept back ${skipped.length} item(s):\n` +
+            skipped.map(s => `${s.path}: ${s.reason}`).join('\n');
+        }
+        alert(message);
 
         if (result.data.failed.length > 0) {
           console.warn('Failed to clean some items:', result.data.failed);
@@ -98,9 +133,27 @@ function CleanerPage({ onBack }) {
     }
   };
 
+  const handlePreview = async () => {
+    if (!window.electronAPI || selectedFiles.length === 0) return;
+
+    setIsPreviewing(true);
+    try {
+      const result = await window.electronAPI.cleanFiles(selectedFiles, { ...safetyOptions, dryRun: true });
+      if (result.success) {
+        setPreviewManifest(result.data.manifest);
+      } else {
+        alert('Preview failed: ' + result.error);
+      }
+    } catch (error) {
+      alert('Preview error: ' + error.message);
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
   const handleSelectAll = () => {
     if (scanResults) {
-      setSelectedFiles(scanResults.items);
+      setSelectedFiles(scanResults.items.filter(item => !item.protected));
     }
   };
 
@@ -130,12 +183,18 @@ function CleanerPage({ onBack }) {
           ← Back
         </button>
         <h1>System Cleaner</h1>
+        <button className="rules-button" onClick={() => setShowRules(!showRules)}>
+          {showRules ? 'Hide Protection Rules' : 'Protection Rules'}
+        </button>
       </div>
 
       <div className="page-content">
+        {showRules && <ProtectionRules />}
+
         <div className="control-panel">
           <Scanner
             onScan={handleScan}
+            onFullRescan={() => handleScan(true)}
             isScanning={isScanning}
             isCleaning={isCleaning}
             scanProgress={scanProgress}
@@ -149,20 +208,33 @@ function CleanerPage({ onBack }) {
               onSelectAll={handleSelectAll}
               onDeselectAll={handleDeselectAll}
               onClean={handleClean}
+              onPreview={handlePreview}
+              isPreviewing={isPreviewing}
               isCleaning={isCleaning}
               cleanProgress={cleanProgress}
+              safetyOptions={safetyOptions}
+              onSafetyOptionsChange={setSafetyOptions}
             />
           )}
         </div>
 
-        {scanResults && (
+        {scanResults ? (
           <FileList
             items={scanResults.items}
+            categories={scanResults.categories}
+            selectedFiles={selectedFiles}
+            onToggleFile={handleToggleFile}
+          />
+        ) : isScanning && liveItems.length > 0 && (
+          <FileList
+            items={liveItems}
             selectedFiles={selectedFiles}
             onToggleFile={handleToggleFile}
           />
         )}
       </div>
+
+      <CleanPreview manifest={previewManifest} onClose={() => setPreviewManifest(null)} />
     </div>
   );
 }
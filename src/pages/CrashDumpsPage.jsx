@@ -0,0 +1,27 @@
+import React from 'react';
+import CrashDumpCleaner from '../components/CrashDumpCleaner';
+import { FiArrowLeft } from 'react-icons/fi';
+import './CrashDumpsPage.css';
+
+const CrashDumpsPage = ({ onBack }) => {
+  return (
+    <div className="crash-dumps-page">
+      <div className="page-header">
+        <button onClick={onBack} className="back-button">
+          <FiArrowLeft />
+          Back
+        </button>
+        <div className="page-info">
+          <h1>Crash Reports</h1>
+          <p>Remove old crash reports and core dumps while keeping the newest ones per program</p>
+        </div>
+      </div>
+
+      <div className="page-content">
+        <CrashDumpCleaner />
+      </div>
+    </div>
+  );
+};
+
+export default CrashDumpsPage;
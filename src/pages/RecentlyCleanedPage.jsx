@@ -0,0 +1,27 @@
+import React from 'react';
+import RecentlyCleaned from '../components/RecentlyCleaned';
+import { FiArrowLeft } from 'react-icons/fi';
+import './RecentlyCleanedPage.css';
+
+const RecentlyCleanedPage = ({ onBack }) => {
+  return (
+    <div className="recently-cleaned-page">
+      <div className="page-header">
+        <button onClick={onBack} className="back-button">
+          <FiArrowLeft />
+          Back
+        </button>
+        <div className="page-info">
+          <h1>Recently Cleaned</h1>
+          <p>Restore items removed by any cleaner before they are permanently deleted</p>
+        </div>
+      </div>
+
+      <div className="page-content">
+        <RecentlyCleaned />
+      </div>
+    </div>
+  );
+};
+
+export default RecentlyCleanedPage;
@@ -356,6 +356,10 @@ function ScheduledCleaningPage({ onBack }) {
                     {log.success ? (
                       <>
                         {' '}{log.itemsCleaned || 0} items • {formatBytes(log.spaceSavedBytes || 0)}
+                        {log.pendingPurge && ' (pending purge)'}
+                        {log.details?.totalItemsPending > 0 && (
+                          <> • {log.details.totalItemsPending} awaiting confirmation ({formatBytes(log.details.totalSpacePending)})</>
+                        )}
                       </>
                     ) : (
                       <>{' '}{log.errorMessage || 'Failed'}</>
@@ -0,0 +1,27 @@
+import React from 'react';
+import TrashManager from '../components/TrashManager';
+import { FiArrowLeft } from 'react-icons/fi';
+import './TrashPage.css';
+
+const TrashPage = ({ onBack }) => {
+  return (
+    <div className="trash-page">
+      <div className="page-header">
+        <button onClick={onBack} className="back-button">
+          <FiArrowLeft />
+          Back
+        </button>
+        <div className="page-info">
+          <h1>Trash</h1>
+          <p>Review, restore or empty what you have deleted across every trash location</p>
+        </div>
+      </div>
+
+      <div className="page-content">
+        <TrashManager />
+      </div>
+    </div>
+  );
+};
+
+export default TrashPage;
@@ -0,0 +1,90 @@
+require('./electronStub');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { scanBuildArtifacts, cleanBuildArtifacts } = require('../electron/buildArtifactCleaner');
+const { closeQuarantine } = require('../electron/quarantine');
+
+test.after(() => closeQuarantine());
+
+function makeProject(root, name, files) {
+  const projectRoot = path.join(root, name);
+  fs.mkdirSync(path.join(projectRoot, '.git'), { recursive: true });
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(projectRoot, file)), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, file), content);
+  }
+  return projectRoot;
+}
+
+function findArtifacts(result) {
+  return result.projects.flatMap(project => project.artifacts.map(artifact => artifact.path)).sort();
+}
+
+test('dist and build only count when the config names them or git ignores them', async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'build-artifacts-'));
+  try {
+    const plain = makeProject(root, 'plain', {
+      'package.json': '{ "scripts": { "build": "node build/make.js" } }',
+      'build/make.js': 'x',
+      'dist/notes.txt': 'x',
+      'node_modules/dep/index.js': 'x'
+    });
+    const named = makeProject(root, 'named', {
+      'package.json': '{ "main": "dist/index.js" }',
+      'dist/index.js': 'x'
+    });
+    const ignored = makeProject(root, 'ignored', {
+      'setup.py': 'x',
+      '.gitignore': '# outputs\n/build/\ndist\n!dist\n',
+      'build/lib/a.py': 'x',
+      'dist/pkg.whl': 'x'
+    });
+    makeProject(root, 'requirements-only', {
+      'requirements.txt': 'x',
+      'build/a.txt': 'x'
+    });
+
+    const result = await scanBuildArtifacts(null, { searchPaths: [root] });
+    assert.deepStrictEqual(findArtifacts(result), [
+      path.join(ignored, 'build'),
+      path.join(named, 'dist'),
+      path.join(plain, 'node_modules')
+    ].sort());
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('cleaning re-checks each path against its project', async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'build-artifacts-'));
+  try {
+    const project = makeProject(root, 'app', {
+      'Cargo.toml': 'x',
+      'target/debug/app': 'x',
+      'src/__pycache__/a.pyc': 'x'
+    });
+    fs.mkdirSync(path.join(root, 'loose', 'build'), { recursive: true });
+    fs.mkdirSync(path.join(root, 'loose', 'target'), { recursive: true });
+
+    const result = await cleanBuildArtifacts([
+      path.join(root, 'loose', 'build'),
+      path.join(project, 'src', '..', '..', 'loose', 'target'),
+      path.join(project, 'src', '__pycache__'),
+      path.join(project, 'target')
+    ], null, { dryRun: true });
+
+    assert.deepStrictEqual(result.cleaned, [path.join(project, 'target')]);
+    assert.deepStrictEqual(result.skipped.map(item => item.path), [
+      path.join(root, 'loose', 'build'),
+      path.join(root, 'loose', 'target'),
+      path.join(project, 'src', '__pycache__')
+    ]);
+    assert.ok(fs.existsSync(path.join(project, 'target', 'debug', 'app')));
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,60 @@
+require('./electronStub');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Crashpad databases are looked up under XDG_CONFIG_HOME, read when the module loads
+const configHome = fs.mkdtempSync(path.join(os.tmpdir(), 'crash-dumps-'));
+process.env.XDG_CONFIG_HOME = configHome;
+const reportsDir = path.join(configHome, 'app', 'Crashpad', 'completed');
+
+const { cleanCrashDumps } = require('../electron/crashDumpCleaner');
+const { closeQuarantine } = require('../electron/quarantine');
+
+test.after(() => {
+  closeQuarantine();
+  fs.rmSync(configHome, { recursive: true, force: true });
+});
+
+test('paths that leave a crash location through ".." are skipped', { skip: process.platform !== 'linux' }, async () => {
+  const reportPath = path.join(reportsDir, 'report.dmp');
+  const outsidePath = path.join(configHome, 'notes.txt');
+  fs.mkdirSync(reportsDir, { recursive: true });
+  fs.writeFileSync(reportPath, 'dump');
+  fs.writeFileSync(outsidePath, 'keep');
+
+  const result = await cleanCrashDumps([
+    path.join(configHome, 'app', 'Crashpad') + path.sep + path.join('..', '..', 'notes.txt'),
+    reportPath
+  ], null);
+
+  assert.deepStrictEqual(result.skipped, [
+    { path: outsidePath, reason: 'Not in a crash report location', filter: 'location' }
+  ]);
+  assert.deepStrictEqual(result.cleaned, [reportPath]);
+  assert.strictEqual(fs.readFileSync(outsidePath, 'utf8'), 'keep');
+  assert.ok(!fs.existsSync(reportPath));
+});
+
+test('a report goes to quarantine with its .meta record', { skip: process.platform !== 'linux' }, async () => {
+  const reportPath = path.join(reportsDir, 'crash.dmp');
+  const metaPath = path.join(reportsDir, 'crash.meta');
+  fs.mkdirSync(reportsDir, { recursive: true });
+  fs.writeFileSync(reportPath, 'dump');
+  fs.writeFileSync(metaPath, 'meta');
+
+  const preview = await cleanCrashDumps([reportPath], null, { dryRun: true });
+  assert.strictEqual(preview.dryRun, true);
+  assert.deepStrictEqual(preview.cleaned, [reportPath]);
+  assert.ok(fs.existsSync(reportPath) && fs.existsSync(metaPath));
+
+  const result = await cleanCrashDumps([reportPath], null);
+  assert.deepStrictEqual(result.cleaned, [reportPath]);
+  assert.strictEqual(result.totalFreed, 8);
+  assert.ok(result.quarantineBatchId);
+  assert.ok(!fs.existsSync(reportPath));
+  assert.ok(!fs.existsSync(metaPath));
+});
@@ -0,0 +1,84 @@
+require('./electronStub');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { deleteDuplicates, deleteDuplicateFolders } = require('../electron/duplicateFinder');
+const { closeQuarantine } = require('../electron/quarantine');
+
+test.after(() => closeQuarantine());
+
+function makeRoot() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'duplicate-finder-'));
+}
+
+test('a file reached through two paths is not removed as its own duplicate', async () => {
+  const root = makeRoot();
+  try {
+    fs.mkdirSync(path.join(root, 'photos'));
+    fs.writeFileSync(path.join(root, 'photos', 'a.jpg'), 'image');
+    // The same folder scanned under a second root
+    fs.symlinkSync(path.join(root, 'photos'), path.join(root, 'mirror'));
+
+    const { data: result } = await deleteDuplicates([
+      { path: path.join(root, 'mirror', 'a.jpg'), keepPath: path.join(root, 'photos', 'a.jpg') }
+    ]);
+
+    assert.deepStrictEqual(result.deleted, []);
+    assert.deepStrictEqual(result.skipped.map(item => item.reason), [
+      `Same file as ${path.join(root, 'photos', 'a.jpg')}`
+    ]);
+
+    const { data: folders } = await deleteDuplicateFolders([
+      { path: path.join(root, 'mirror'), keepPath: path.join(root, 'photos') }
+    ]);
+    assert.deepStrictEqual(folders.deleted, []);
+    assert.deepStrictEqual(folders.skipped.map(item => item.reason), [
+      `Same folder as ${path.join(root, 'photos')}`
+    ]);
+    assert.strictEqual(fs.readFileSync(path.join(root, 'photos', 'a.jpg'), 'utf8'), 'image');
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('only copies that still match the kept file are moved to quarantine', async () => {
+  const root = makeRoot();
+  try {
+    const write = (name, content) => {
+      fs.writeFileSync(path.join(root, name), content);
+      return path.join(root, name);
+    };
+    const keep = write('keep.txt', 'same');
+    const copy = write('copy.txt', 'same');
+    const changed = write('changed.txt', 'edited since the scan');
+    const orphan = write('orphan.txt', 'same');
+
+    const removals = [
+      { path: copy, keepPath: keep },
+      { path: changed, keepPath: keep },
+      // Its kept copy is selected for removal as well
+      { path: orphan, keepPath: copy }
+    ];
+
+    const { data: preview } = await deleteDuplicates(removals, null, { dryRun: true });
+    assert.strictEqual(preview.dryRun, true);
+    assert.deepStrictEqual(preview.deleted, [copy]);
+    assert.ok(fs.existsSync(copy));
+
+    const { data: result } = await deleteDuplicates(removals);
+    assert.deepStrictEqual(result.deleted, [copy]);
+    assert.deepStrictEqual(result.skipped.map(item => item.path).sort(), [changed, orphan].sort());
+    assert.strictEqual(result.totalFreed, 4);
+    assert.ok(result.quarantineBatchId);
+
+    assert.ok(!fs.existsSync(copy));
+    for (const remaining of [keep, changed, orphan]) {
+      assert.ok(fs.existsSync(remaining));
+    }
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
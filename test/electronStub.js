@@ -0,0 +1,29 @@
+/**
+ * Minimal stand-in for the electron module so main-process modules can be
+ * loaded under plain node. userData points at a fresh temporary directory.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const userData = fs.mkdtempSync(path.join(os.tmpdir(), 'system-cleaner-test-'));
+
+const electron = {
+  app: {
+    getPath: () => userData
+  }
+};
+
+require.cache[require.resolve('electron')] = {
+  id: 'electron',
+  filename: require.resolve('electron'),
+  loaded: true,
+  exports: electron
+};
+
+process.on('exit', () => {
+  fs.rmSync(userData, { recursive: true, force: true });
+});
+
+module.exports = { userData };
@@ -0,0 +1,26 @@
+require('./electronStub');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { getLogFamily } = require('../electron/logRotator');
+
+test('getLogFamily strips rotation counters', () => {
+  assert.strictEqual(getLogFamily('app.log'), 'app.log');
+  assert.strictEqual(getLogFamily('app.log.1'), 'app.log');
+  assert.strictEqual(getLogFamily('app.1.log'), 'app.log');
+});
+
+test('getLogFamily strips compression extensions', () => {
+  assert.strictEqual(getLogFamily('app.log.2.gz'), 'app.log');
+  assert.strictEqual(getLogFamily('syslog.3.gz'), 'syslog');
+});
+
+test('getLogFamily strips date stamps', () => {
+  assert.strictEqual(getLogFamily('app-2024-01-31.log'), 'app.log');
+  assert.strictEqual(getLogFamily('app.log-20240131'), 'app.log');
+  assert.strictEqual(getLogFamily('app_2024-01-31T10-15-42.log'), 'app.log');
+});
+
+test('getLogFamily keeps names that only contain digits', () => {
+  assert.strictEqual(getLogFamily('http2.log'), 'http2.log');
+});
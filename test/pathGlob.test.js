@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { expandBraces, globToRegExp, hasGlob, toPosix } = require('../electron/pathGlob');
+
+test('hasGlob detects wildcard characters', () => {
+  assert.strictEqual(hasGlob('/home/user/*.log'), true);
+  assert.strictEqual(hasGlob('/home/user/{a,b}'), true);
+  assert.strictEqual(hasGlob('/home/user/app.log'), false);
+});
+
+test('expandBraces expands alternatives', () => {
+  assert.deepStrictEqual(expandBraces('a.{jpg,png}'), ['a.jpg', 'a.png']);
+  assert.deepStrictEqual(expandBraces('plain'), ['plain']);
+});
+
+test('* and ? stay inside one segment', () => {
+  const regex = globToRegExp('/var/log/*.log');
+  assert.ok(regex.test('/var/log/syslog.log'));
+  assert.ok(!regex.test('/var/log/nginx/access.log'));
+  assert.ok(globToRegExp('/tmp/file?.txt').test('/tmp/file1.txt'));
+  assert.ok(!globToRegExp('/tmp/file?.txt').test('/tmp/file10.txt'));
+});
+
+test('** matches zero or more whole segments', () => {
+  const regex = globToRegExp('/a/**/b');
+  assert.ok(regex.test('/a/b'));
+  assert.ok(regex.test('/a/x/y/b'));
+  assert.ok(!regex.test('/a/xb'));
+});
+
+test('a leading **/ matches relative and absolute paths, including the root', () => {
+  const regex = globToRegExp('**/foo');
+  assert.ok(regex.test('foo'));
+  assert.ok(regex.test('/foo'));
+  assert.ok(regex.test('/a/foo'));
+  assert.ok(!regex.test('/a/foox'));
+  assert.ok(globToRegExp('**/*.keep').test('/home/user/x.keep'));
+});
+
+test('a trailing ** matches everything below', () => {
+  const regex = globToRegExp('/home/user/build/**');
+  assert.ok(regex.test('/home/user/build/out/app.js'));
+  assert.ok(!regex.test('/home/user/builder/app.js'));
+});
+
+test('partial patterns match descendants', () => {
+  const regex = globToRegExp('?:/Windows', { partial: true });
+  assert.ok(regex.test('C:/Windows'));
+  assert.ok(regex.test('C:/Windows/System32'));
+  assert.ok(!regex.test('C:/WindowsApps'));
+});
+
+test('caseInsensitive ignores case', () => {
+  assert.ok(globToRegExp('/Users/*/Library', { caseInsensitive: true }).test('/users/me/library'));
+  assert.ok(!globToRegExp('/Users/*/Library').test('/users/me/library'));
+});
+
+test('toPosix converts separators', () => {
+  assert.strictEqual(toPosix('C:\\Users\\me'), 'C:/Users/me');
+});
@@ -0,0 +1,136 @@
+require('./electronStub');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { compileRule, evaluatePath, evaluateTree, addRule, deleteRule } = require('../electron/protectionRules');
+
+const HOME = os.homedir();
+
+test('segment rules match whole path segments only', () => {
+  const matches = compileRule({ type: 'segment', value: 'System' });
+  assert.ok(matches('/home/user/System/file'));
+  assert.ok(!matches('/home/user/.cache/SystemSettings'));
+});
+
+test('prefix rules match the prefix and everything below it', () => {
+  const matches = compileRule({ type: 'prefix', value: '/opt/app' });
+  assert.ok(matches('/opt/app'));
+  assert.ok(matches('/opt/app/cache'));
+  assert.ok(!matches('/opt/application'));
+});
+
+test('glob rules match descendants of the matched path', () => {
+  const matches = compileRule({ type: 'glob', value: '**/*.keep' });
+  assert.ok(matches('/home/user/notes.keep'));
+  assert.ok(matches('/home/user/notes.keep/inner'));
+  assert.ok(!matches('/home/user/notes.keeper'));
+});
+
+test('glob rules expand ~ to the home folder', () => {
+  const matches = compileRule({ type: 'glob', value: '~/projects/*/dist' });
+  assert.ok(matches(`${HOME}/projects/app/dist`));
+  assert.ok(!matches('/tmp/projects/app/dist'));
+});
+
+test('regex rules test the raw path', () => {
+  const matches = compileRule({ type: 'regex', value: 'important\\.db$' });
+  assert.ok(matches('/ignored', '/data/important.db'));
+  assert.ok(!matches('/data/important.db', '/data/other.db'));
+});
+
+test('built-in rules protect credentials and system directories', () => {
+  assert.strictEqual(evaluatePath(`${HOME}/.ssh/id_ed25519`).protected, true);
+  assert.strictEqual(evaluatePath(`${HOME}/.cache/thumbnails`).protected, false);
+});
+
+test('personal folder and build artifact rules can be skipped', () => {
+  const documents = path.join(HOME, 'Documents', 'report.pdf');
+  assert.strictEqual(evaluatePath(documents).protected, true);
+  assert.strictEqual(evaluatePath(documents, { allowPersonalFolders: true }).protected, false);
+
+  const dependency = '/tmp/project/node_modules/left-pad';
+  assert.strictEqual(evaluatePath(dependency).protected, true);
+  assert.strictEqual(evaluatePath(dependency, { allowBuildArtifacts: true }).protected, false);
+});
+
+test('user allow rules cannot override locked built-in rules', () => {
+  const allow = addRule({ action: 'allow', type: 'segment', value: '.ssh' });
+  assert.ok(allow.success);
+  try {
+    assert.strictEqual(evaluatePath(`${HOME}/.ssh/config`).protected, true);
+  } finally {
+    deleteRule(allow.rule.id);
+  }
+});
+
+test('user allow rules override unlocked built-in rules', () => {
+  const allow = addRule({ action: 'allow', type: 'prefix', value: '/tmp/project/.git' });
+  assert.ok(allow.success);
+  try {
+    assert.strictEqual(evaluatePath('/tmp/project/.git/objects').protected, false);
+    assert.strictEqual(evaluatePath('/tmp/other/.git/objects').protected, true);
+  } finally {
+    deleteRule(allow.rule.id);
+  }
+});
+
+test('user deny rules win over everything', () => {
+  const deny = addRule({ action: 'deny', type: 'glob', value: '/tmp/cache/**/*.keep', description: 'Kept files' });
+  assert.ok(deny.success);
+  try {
+    const result = evaluatePath('/tmp/cache/a/b.keep');
+    assert.strictEqual(result.protected, true);
+    assert.strictEqual(result.rule.description, 'Kept files');
+  } finally {
+    deleteRule(deny.rule.id);
+  }
+});
+
+test('invalid rules are rejected', () => {
+  assert.strictEqual(addRule({ action: 'block', type: 'segment', value: 'x' }).success, false);
+  assert.strictEqual(addRule({ action: 'deny', type: 'prefix', value: 'relative/path' }).success, false);
+  assert.strictEqual(addRule({ action: 'deny', type: 'segment', value: 'a/b' }).success, false);
+  assert.strictEqual(addRule({ action: 'deny', type: 'regex', value: '(' }).success, false);
+});
+
+test('evaluateTree reports a protected item inside a folder', async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'protection-tree-'));
+  try {
+    fs.mkdirSync(path.join(root, 'cache', 'nested', '.ssh'), { recursive: true });
+    fs.mkdirSync(path.join(root, 'clean', 'nested'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'clean', 'nested', 'file'), 'x');
+
+    const result = await evaluateTree(path.join(root, 'cache'));
+    assert.strictEqual(result.protected, true);
+    assert.strictEqual(result.path, path.join(root, 'cache', 'nested', '.ssh'));
+    assert.match(result.reason, /Contains protected item/);
+
+    assert.strictEqual((await evaluateTree(path.join(root, 'clean'))).protected, false);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('evaluateTree only applies deny and locked rules to descendants', async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'protection-tree-'));
+  const deny = addRule({ action: 'deny', type: 'segment', value: 'keep-me' });
+  try {
+    fs.mkdirSync(path.join(root, 'pre-commit', 'repo', '.git'), { recursive: true });
+    fs.mkdirSync(path.join(root, 'project', 'node_modules', 'dep'), { recursive: true });
+    fs.mkdirSync(path.join(root, 'denied', 'keep-me'), { recursive: true });
+
+    assert.strictEqual((await evaluateTree(path.join(root, 'pre-commit'))).protected, false);
+    assert.strictEqual((await evaluateTree(path.join(root, 'project'))).protected, false);
+    assert.strictEqual((await evaluateTree(path.join(root, 'pre-commit', 'repo', '.git'))).protected, true);
+
+    const result = await evaluateTree(path.join(root, 'denied'));
+    assert.strictEqual(result.protected, true);
+    assert.strictEqual(result.rule.id, deny.rule.id);
+  } finally {
+    deleteRule(deny.rule.id);
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
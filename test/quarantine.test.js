@@ -0,0 +1,175 @@
+const { userData } = require('./electronStub');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createBatch,
+  getVolumeStore,
+  listQuarantine,
+  restoreEntries,
+  purgeExpired,
+  closeQuarantine
+} = require('../electron/quarantine');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test.after(() => closeQuarantine());
+
+function makeRoot() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'quarantine-'));
+}
+
+function getBatchDir(batchId) {
+  return path.join(userData, 'quarantine', batchId);
+}
+
+function backdate(batchId) {
+  const manifestPath = path.join(getBatchDir(batchId), 'manifest.json');
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  manifest.createdAt -= 30 * DAY_MS;
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+}
+
+test('each entry is journaled before its item is moved', async () => {
+  const root = makeRoot();
+  const itemPath = path.join(root, 'cache.bin');
+  fs.writeFileSync(itemPath, 'payload');
+
+  const rename = fs.promises.rename;
+  let journaled = null;
+  fs.promises.rename = async (source, destination) => {
+    if (source === itemPath) {
+      const journal = fs.readFileSync(path.join(path.dirname(path.dirname(destination)), 'entries.jsonl'), 'utf8');
+      journaled = journal.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    }
+    return rename(source, destination);
+  };
+
+  const batch = createBatch('test', 'Journal');
+  try {
+    assert.strictEqual((await batch.add(itemPath)).success, true);
+  } finally {
+    fs.promises.rename = rename;
+  }
+
+  assert.deepStrictEqual(journaled.map(record => record.originalPath), [itemPath]);
+
+  // Until the commit the batch is rebuilt from the journal
+  const listed = (await listQuarantine()).find(entry => entry.id === batch.id);
+  assert.strictEqual(listed.incomplete, true);
+  assert.deepStrictEqual(listed.entries.map(entry => entry.originalPath), [itemPath]);
+
+  await batch.commit();
+  assert.ok(!fs.existsSync(path.join(getBatchDir(batch.id), 'entries.jsonl')));
+  assert.strictEqual((await listQuarantine()).find(entry => entry.id === batch.id).incomplete, false);
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('restore puts items back with their modes and timestamps', async () => {
+  const root = makeRoot();
+  const dirPath = path.join(root, 'logs');
+  const filePath = path.join(dirPath, 'nested', 'app.log');
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, 'line\n');
+
+  const old = new Date('2023-05-01T12:00:00Z');
+  fs.chmodSync(filePath, 0o640);
+  fs.utimesSync(filePath, old, old);
+  fs.utimesSync(path.join(dirPath, 'nested'), old, old);
+  fs.utimesSync(dirPath, old, old);
+
+  const batch = createBatch('test', 'Restore');
+  assert.strictEqual((await batch.add(dirPath)).success, true);
+  await batch.commit();
+  assert.ok(!fs.existsSync(dirPath));
+
+  const result = await restoreEntries(batch.getStoredBatchId());
+  assert.deepStrictEqual(result, { restored: [dirPath], failed: [] });
+
+  assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'line\n');
+  assert.strictEqual(fs.statSync(filePath).mode & 0o777, 0o640);
+  for (const restoredPath of [filePath, path.join(dirPath, 'nested'), dirPath]) {
+    assert.strictEqual(fs.statSync(restoredPath).mtimeMs, old.getTime());
+  }
+  // A fully restored batch leaves nothing behind
+  assert.ok(!fs.existsSync(getBatchDir(batch.id)));
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('restore refuses to overwrite something at the original location', async () => {
+  const root = makeRoot();
+  const itemPath = path.join(root, 'file');
+  fs.writeFileSync(itemPath, 'old');
+
+  const batch = createBatch('test', 'Conflict');
+  await batch.add(itemPath);
+  await batch.commit();
+  fs.writeFileSync(itemPath, 'new');
+
+  const result = await restoreEntries(batch.id);
+  assert.strictEqual(result.failed.length, 1);
+  assert.strictEqual(fs.readFileSync(itemPath, 'utf8'), 'new');
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('purgeExpired keeps batches that were never committed', async () => {
+  const root = makeRoot();
+  fs.writeFileSync(path.join(root, 'a'), 'a');
+  fs.writeFileSync(path.join(root, 'b'), 'b');
+
+  const committed = createBatch('test', 'Committed');
+  await committed.add(path.join(root, 'a'));
+  await committed.commit();
+  backdate(committed.id);
+
+  const interrupted = createBatch('test', 'Interrupted');
+  await interrupted.add(path.join(root, 'b'));
+  backdate(interrupted.id);
+
+  await purgeExpired();
+  assert.ok(!fs.existsSync(getBatchDir(committed.id)));
+  assert.ok(fs.existsSync(path.join(getBatchDir(interrupted.id), 'items', '0')));
+
+  await restoreEntries(interrupted.id);
+  assert.strictEqual(fs.readFileSync(path.join(root, 'b'), 'utf8'), 'b');
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('the volume store is the topmost writable folder on the item\'s device', async () => {
+  const root = makeRoot();
+  const itemPath = path.join(root, 'deep', 'item');
+  fs.mkdirSync(path.dirname(itemPath), { recursive: true });
+  fs.writeFileSync(itemPath, 'x');
+
+  const store = await getVolumeStore(itemPath);
+  assert.strictEqual(path.basename(store), '.system-cleaner-quarantine');
+
+  const storeParent = path.dirname(store);
+  assert.ok(itemPath.startsWith(storeParent === path.sep ? storeParent : storeParent + path.sep));
+  assert.strictEqual(fs.statSync(storeParent).dev, fs.statSync(itemPath).dev);
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('items on a volatile filesystem are copied into the main store', {
+  skip: !fs.existsSync('/dev/shm') || fs.statSync('/dev/shm').dev === fs.statSync(userData).dev
+}, async () => {
+  const root = fs.mkdtempSync('/dev/shm/quarantine-');
+  const itemPath = path.join(root, 'session');
+  fs.mkdirSync(itemPath);
+  fs.writeFileSync(path.join(itemPath, 'state'), 'x');
+
+  const batch = createBatch('test', 'Volatile');
+  assert.strictEqual((await batch.add(itemPath)).success, true);
+  await batch.commit();
+
+  assert.ok(!fs.existsSync(itemPath));
+  assert.ok(!fs.existsSync('/dev/shm/.system-cleaner-quarantine'));
+  assert.strictEqual(fs.readFileSync(path.join(getBatchDir(batch.id), 'items', '0', 'state'), 'utf8'), 'x');
+
+  await restoreEntries(batch.id);
+  assert.strictEqual(fs.readFileSync(path.join(itemPath, 'state'), 'utf8'), 'x');
+  fs.rmSync(root, { recursive: true, force: true });
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { applySafetyFilters } = require('../electron/safetyFilters');
+
+function makeTree() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'safety-filters-'));
+  fs.mkdirSync(path.join(root, 'busy', 'nested'), { recursive: true });
+  fs.mkdirSync(path.join(root, 'idle'));
+  fs.writeFileSync(path.join(root, 'idle', 'file'), 'x');
+  return root;
+}
+
+test('directories holding a listening socket at any depth are kept', { skip: process.platform === 'win32' }, async () => {
+  const root = makeTree();
+  const server = net.createServer();
+  await new Promise(resolve => server.listen(path.join(root, 'busy', 'nested', 'app.sock'), resolve));
+  try {
+    const { allowed, kept } = await applySafetyFilters(
+      [{ path: path.join(root, 'busy') }, { path: path.join(root, 'idle') }],
+      { skipInUse: true }
+    );
+    assert.deepStrictEqual(allowed.map(item => item.path), [path.join(root, 'idle')]);
+    assert.strictEqual(kept.length, 1);
+    assert.strictEqual(kept[0].filter, 'in-use');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('recently modified items are kept by the age filter', async () => {
+  const root = makeTree();
+  try {
+    const old = Date.now() / 1000 - 48 * 60 * 60;
+    fs.utimesSync(path.join(root, 'idle', 'file'), old, old);
+    fs.utimesSync(path.join(root, 'idle'), old, old);
+
+    const { allowed, kept } = await applySafetyFilters(
+      [{ path: path.join(root, 'busy') }, { path: path.join(root, 'idle') }],
+      { minAgeHours: 24 }
+    );
+    assert.deepStrictEqual(allowed.map(item => item.path), [path.join(root, 'idle')]);
+    assert.strictEqual(kept[0].filter, 'age');
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
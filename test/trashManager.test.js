@@ -0,0 +1,81 @@
+require('./electronStub');
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The home trash follows XDG_DATA_HOME, read when the module loads
+const dataHome = fs.mkdtempSync(path.join(os.tmpdir(), 'trash-manager-'));
+process.env.XDG_DATA_HOME = dataHome;
+const trashRoot = path.join(dataHome, 'Trash');
+
+const { listTrash, emptyTrash } = require('../electron/trashManager');
+const { closeQuarantine } = require('../electron/quarantine');
+
+test.after(() => {
+  closeQuarantine();
+  fs.rmSync(dataHome, { recursive: true, force: true });
+});
+
+// files is the content of a trashed file, or { relativePath: content } for a folder
+function trashItem(name, files, deletionDate = '2024-01-01T10:00:00') {
+  const dataPath = path.join(trashRoot, 'files', name);
+  if (typeof files === 'string') {
+    fs.mkdirSync(path.dirname(dataPath), { recursive: true });
+    fs.writeFileSync(dataPath, files);
+  } else {
+    for (const [file, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(dataPath, file)), { recursive: true });
+      fs.writeFileSync(path.join(dataPath, file), content);
+    }
+  }
+  fs.mkdirSync(path.join(trashRoot, 'info'), { recursive: true });
+  fs.writeFileSync(
+    path.join(trashRoot, 'info', `${name}.trashinfo`),
+    `[Trash Info]\nPath=/home/user/${name}\nDeletionDate=${deletionDate}\n`
+  );
+  return dataPath;
+}
+
+async function findHomeItems(names) {
+  const { items } = await listTrash();
+  return items.filter(item => item.trashRoot === trashRoot && names.includes(item.name));
+}
+
+test('a trashed project holding a .git folder can be emptied', { skip: process.platform !== 'linux' }, async () => {
+  const dataPath = trashItem('project', {
+    '.git/HEAD': 'ref: refs/heads/main\n',
+    'src/index.js': 'x'
+  });
+
+  const items = await findHomeItems(['project']);
+  assert.strictEqual(items.length, 1);
+
+  const result = await emptyTrash(null, { ids: items.map(item => item.id) });
+  assert.deepStrictEqual(result.skipped, []);
+  assert.deepStrictEqual(result.cleaned, ['/home/user/project']);
+  assert.ok(!fs.existsSync(dataPath));
+  assert.ok(!fs.existsSync(path.join(trashRoot, 'info', 'project.trashinfo')));
+});
+
+test('emptying by age only picks items deleted before the cutoff', { skip: process.platform !== 'linux' }, async () => {
+  const oldPath = trashItem('old.txt', 'old', '2020-03-01T08:00:00');
+  const recentPath = trashItem('recent.txt', 'recent', new Date().toISOString().slice(0, 19));
+
+  // A dry run, so trash folders outside the test are never touched
+  const preview = await emptyTrash(null, { olderThanDays: 30, dryRun: true });
+  assert.strictEqual(preview.dryRun, true);
+  assert.ok(preview.cleaned.includes('/home/user/old.txt'));
+  assert.ok(!preview.cleaned.includes('/home/user/recent.txt'));
+  assert.ok(fs.existsSync(oldPath));
+
+  const items = await findHomeItems(['old.txt']);
+  const result = await emptyTrash(null, { ids: items.map(item => item.id) });
+  assert.deepStrictEqual(result.cleaned, ['/home/user/old.txt']);
+  assert.strictEqual(result.totalFreed, 3);
+  assert.ok(!fs.existsSync(oldPath));
+  assert.ok(fs.existsSync(recentPath));
+  assert.strictEqual((await findHomeItems(['recent.txt'])).length, 1);
+});